@@ -0,0 +1,148 @@
+/**
+ * A minimal cookie jar for the claude.ai session, used by Claude to send the session key and keep any cookies
+ * claude.ai sets (e.g. a refreshed session key) for later requests.
+ *
+ * Every request goes to the same host, so cookies are kept by name only, Domain and Path are ignored.
+ */
+
+/**
+ * Stores cookies by name, with optional expiry times.
+ * @class
+ */
+export class CookieJar {
+    #cookies = new Map();
+    /**
+     * A stored cookie
+     * @typedef StoredCookie
+     * @property {String} value The value
+     * @property {Number | null} expires When it expires (milliseconds since the epoch), null for session cookies
+     */
+    /**
+     * Create a CookieJar
+     * @param {Object<String, String | StoredCookie>} [cookies] Initial cookies, e.g. from `toJSON()`
+     * @example
+     * const cookies = new CookieJar({ sessionKey: 'sk-ant-sid01-*****', activitySessionId: '...' });
+     */
+    constructor(cookies = {}) {
+        for (const [name, cookie] of Object.entries(cookies)) {
+            if (typeof cookie === 'string') {
+                this.set(name, cookie);
+            } else {
+                this.set(name, cookie.value, { expires: cookie.expires });
+            }
+        }
+    }
+    /**
+     * Get a cookie's value
+     * @param {String} name
+     * @returns {String | undefined} The value, or undefined if there isn't one (or it expired)
+     */
+    get(name) {
+        const cookie = this.#cookies.get(name);
+        if (cookie?.expires && cookie.expires <= Date.now()) {
+            this.#cookies.delete(name);
+            return undefined;
+        }
+        return cookie?.value;
+    }
+    /**
+     * Set a cookie
+     * @param {String} name
+     * @param {String} value
+     * @param {Object} [options]
+     * @param {Number | Date | null} [options.expires] When it expires, it's kept until deleted if not given
+     * @returns {CookieJar}
+     */
+    set(name, value, { expires = null } = {}) {
+        if (!/^[^\s;=,]+$/.test(name)) {
+            throw new Error(`Invalid cookie name: ${name}`);
+        }
+        this.#cookies.set(name, { value: String(value), expires: expires === null ? null : +expires });
+        return this;
+    }
+    /**
+     * Delete a cookie
+     * @param {String} name
+     * @returns {Boolean} Whether there was a cookie with that name
+     */
+    delete(name) {
+        return this.#cookies.delete(name);
+    }
+    /**
+     * Store a cookie from a Set-Cookie header value. Cookies that are already expired (e.g. `Max-Age=0`) are deleted.
+     * @param {String} header The header value, e.g. `sessionKey=sk-ant-sid01-...; Path=/; Max-Age=2592000; HttpOnly`
+     * @returns {String | null} The cookie's name, or null if the header couldn't be parsed
+     */
+    setCookie(header) {
+        const [pair, ...attributes] = header.split(';');
+        const separator = pair.indexOf('=');
+        const name = pair.slice(0, separator).trim();
+        if (separator < 1 || !/^[^\s;=,]+$/.test(name)) {
+            return null;
+        }
+        let value = pair.slice(separator + 1).trim();
+        if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+            value = value.slice(1, -1);
+        }
+        let expires = null;
+        for (const attribute of attributes) {
+            const [key, ...rest] = attribute.split('=');
+            const attributeValue = rest.join('=').trim();
+            if (key.trim().toLowerCase() === 'max-age' && /^-?\d+$/.test(attributeValue)) {
+                // Max-Age takes precedence over Expires
+                expires = Date.now() + Number(attributeValue) * 1000;
+                break;
+            }
+            if (key.trim().toLowerCase() === 'expires' && !isNaN(Date.parse(attributeValue))) {
+                expires = Date.parse(attributeValue);
+            }
+        }
+        if (expires !== null && expires <= Date.now()) {
+            this.delete(name);
+        } else {
+            this.set(name, value, { expires });
+        }
+        return name;
+    }
+    /**
+     * Store every cookie set by a response
+     * @param {Headers} [headers] The response headers
+     * @returns {String[]} The names of the cookies that were set (or deleted)
+     */
+    update(headers) {
+        if (typeof headers?.get !== 'function') {
+            return [];
+        }
+        const values = typeof headers.getSetCookie === 'function'
+            ? headers.getSetCookie()
+            // Older fetch implementations join them with commas, which also appear in Expires dates
+            : (headers.get('set-cookie')?.split(/,(?=\s*[^;=\s,]+=)/) || []);
+        return values.map(value => this.setCookie(value)).filter(Boolean);
+    }
+    /**
+     * The Cookie header to send
+     * @returns {String} e.g. `sessionKey=sk-ant-sid01-...; activitySessionId=...`
+     */
+    header() {
+        this.#prune();
+        return [...this.#cookies].map(([name, { value }]) => `${name}=${value}`).join('; ');
+    }
+    /**
+     * The cookies, in the format the constructor takes, to save them somewhere
+     * @returns {Object<String, StoredCookie>}
+     */
+    toJSON() {
+        this.#prune();
+        return Object.fromEntries([...this.#cookies].map(([name, cookie]) => [name, { ...cookie }]));
+    }
+    /**
+     * Remove expired cookies
+     */
+    #prune() {
+        for (const [name, { expires }] of this.#cookies) {
+            if (expires && expires <= Date.now()) {
+                this.#cookies.delete(name);
+            }
+        }
+    }
+}
@@ -0,0 +1,47 @@
+import { CookieJar } from './cookies.js';
+
+describe('CookieJar', () => {
+    it('gets, sets and deletes cookies', () => {
+        const jar = new CookieJar({ a: '1', b: { value: '2', expires: null } });
+        expect(jar.get('a')).toBe('1');
+        jar.set('c', 3);
+        expect(jar.header()).toBe('a=1; b=2; c=3');
+        expect(jar.delete('a')).toBe(true);
+        expect(jar.get('a')).toBeUndefined();
+        expect(() => jar.set('bad name', 'x')).toThrow('Invalid cookie name');
+    });
+    it('expires cookies', () => {
+        const jar = new CookieJar();
+        jar.set('old', '1', { expires: Date.now() - 1000 });
+        jar.set('new', '2', { expires: new Date(Date.now() + 60_000) });
+        expect(jar.get('old')).toBeUndefined();
+        expect(jar.header()).toBe('new=2');
+    });
+    it('parses Set-Cookie headers', () => {
+        const jar = new CookieJar({ gone: 'x' });
+        expect(jar.setCookie('sessionKey=sk-ant-sid01-abc; Path=/; Max-Age=60; Secure; HttpOnly')).toBe('sessionKey');
+        expect(jar.get('sessionKey')).toBe('sk-ant-sid01-abc');
+        jar.setCookie('quoted="a=b"; Expires=Wed, 21 Oct 2099 07:28:00 GMT');
+        expect(jar.get('quoted')).toBe('a=b');
+        expect(jar.toJSON().quoted.expires).toBe(Date.parse('Wed, 21 Oct 2099 07:28:00 GMT'));
+        // Max-Age wins over Expires
+        jar.setCookie('gone=; Expires=Wed, 21 Oct 2099 07:28:00 GMT; Max-Age=0');
+        expect(jar.get('gone')).toBeUndefined();
+        expect(jar.setCookie('no value')).toBeNull();
+    });
+    it('reads every cookie from response headers', () => {
+        const jar = new CookieJar();
+        expect(jar.update(new Headers([['set-cookie', 'a=1'], ['set-cookie', 'b=2; Expires=Wed, 21 Oct 2099 07:28:00 GMT']]))).toEqual(['a', 'b']);
+        // Without getSetCookie, the values are joined with commas
+        const joined = { get: () => 'c=3; Expires=Wed, 21 Oct 2099 07:28:00 GMT, d=4; Path=/' };
+        expect(jar.update(joined)).toEqual(['c', 'd']);
+        expect(jar.update(undefined)).toEqual([]);
+        expect(jar.header()).toBe('a=1; b=2; c=3; d=4');
+    });
+    it('round trips through JSON', () => {
+        const jar = new CookieJar({ a: '1' });
+        jar.set('b', '2', { expires: Date.now() + 60_000 });
+        const copy = new CookieJar(JSON.parse(JSON.stringify(jar)));
+        expect(copy.toJSON()).toEqual(jar.toJSON());
+    });
+});
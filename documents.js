@@ -0,0 +1,625 @@
+/**
+ * Offline text extraction for uploadFile, so common documents don't have to be sent to /api/convert_document.
+ *
+ * The type of a file comes from its first bytes (and the entries of ZIP files), its name and MIME type are only
+ * used to tell HTML from other text. Extraction gets the text, not the layout: no images, styles or exact positions.
+ * Everything runs in Node and browsers, ZIP entries and PDF streams are decompressed with DecompressionStream.
+ */
+
+/**
+ * A file type detected by detectFileType
+ * @typedef {"text" | "html" | "rtf" | "pdf" | "docx" | "pptx" | "xlsx" | "ole" | "zip" | "binary"} FileType
+ * `ole` is a legacy Office file (doc, xls, ppt), `zip` a ZIP file that isn't an Office document,
+ * and `binary` anything that isn't valid text (images, executables, etc).
+ */
+
+/**
+ * Detect the type of a file from its contents
+ * @param {Uint8Array} bytes The file's contents
+ * @param {Object} [file] The file's name and MIME type, to recognize HTML
+ * @param {String} [file.name]
+ * @param {String} [file.type]
+ * @returns {FileType} The type
+ * @example
+ * detectFileType(new Uint8Array(await file.arrayBuffer()), file); // "docx"
+ */
+export function detectFileType(bytes, { name = '', type = '' } = {}) {
+    // Some PDF writers put junk before the header, readers look for it in the first 1024 bytes
+    if (indexOf(bytes.subarray(0, 1024), '%PDF-') !== -1) {
+        return 'pdf';
+    }
+    if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04])) {
+        let names;
+        try {
+            names = [...readZip(bytes).keys()];
+        } catch {
+            return 'zip';
+        }
+        if (names.includes('word/document.xml')) {
+            return 'docx';
+        }
+        if (names.includes('ppt/presentation.xml')) {
+            return 'pptx';
+        }
+        if (names.includes('xl/workbook.xml')) {
+            return 'xlsx';
+        }
+        return 'zip';
+    }
+    if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+        return 'ole';
+    }
+    if (startsWith(bytes, [...'{\\rtf'].map(c => c.charCodeAt(0)))) {
+        return 'rtf';
+    }
+    const text = decodeText(bytes);
+    if (text === null) {
+        return 'binary';
+    }
+    if (/html/i.test(type) || /\.x?html?$/i.test(name) || /^\s*(<!doctype html|<html[\s>])/i.test(text.slice(0, 1000))) {
+        return 'html';
+    }
+    return 'text';
+}
+
+/**
+ * Thrown by extractDocument when a file decompresses to more than its limits, e.g. a ZIP bomb
+ * @class
+ */
+export class DocumentSizeError extends Error {
+    /**
+     * Create a DocumentSizeError
+     * @param {String} message The error message
+     * @param {Number} limit The limit that was exceeded, in bytes
+     */
+    constructor(message, limit) {
+        super(message);
+        this.name = 'DocumentSizeError';
+        this.limit = limit;
+    }
+}
+
+/**
+ * Extract the text of a file
+ * @async
+ * @param {Uint8Array} bytes The file's contents
+ * @param {FileType} type Its type, from detectFileType
+ * @param {Object} [options] Options
+ * @param {Number} [options.maxEntrySize=33554432] The most bytes a ZIP entry or PDF stream can decompress to
+ * @param {Number} [options.maxTotalSize=67108864] The most bytes the whole file can decompress to
+ * @returns {Promise<{content: String, totalPages: Number | null} | null>} The text and the number of pages (PDF) or slides (PPTX), or null if the type isn't supported or there's no text to extract (e.g. a scanned PDF)
+ * @throws {DocumentSizeError} If the file decompresses to more than the limits
+ * @throws {Error} If the file is damaged, encrypted or uses a format feature that isn't supported (e.g. ZIP64)
+ */
+export async function extractDocument(bytes, type, { maxEntrySize = 32 * 1024 * 1024, maxTotalSize = 64 * 1024 * 1024 } = {}) {
+    // Shared by every inflate call for this file, which takes what it decompressed off `remaining`
+    const limits = { maxEntrySize, maxTotalSize, remaining: maxTotalSize };
+    switch (type) {
+        case 'text':
+            return { content: decodeText(bytes) ?? '', totalPages: null };
+        case 'html':
+            return { content: htmlText(decodeText(bytes) ?? ''), totalPages: null };
+        case 'rtf':
+            return { content: rtfText(latin1(bytes)), totalPages: null };
+        case 'pdf':
+            return pdfText(bytes, limits);
+        case 'docx':
+            return docxText(bytes, limits);
+        case 'pptx':
+            return pptxText(bytes, limits);
+        case 'xlsx':
+            return xlsxText(bytes, limits);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Decodes text, recognizing UTF-8 and UTF-16 byte order marks.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @return {string | null} - The text, or null if it isn't valid text (binary data).
+ */
+function decodeText(bytes) {
+    let encoding = 'utf-8';
+    if (startsWith(bytes, [0xff, 0xfe])) {
+        encoding = 'utf-16le';
+    } else if (startsWith(bytes, [0xfe, 0xff])) {
+        encoding = 'utf-16be';
+    }
+    let text;
+    try {
+        // The decoder removes the byte order mark
+        text = new TextDecoder(encoding, { fatal: true }).decode(bytes);
+    } catch {
+        return null;
+    }
+    // Valid UTF-8 can still be binary, e.g. a file of zeros
+    const control = text.match(/[\x00-\x08\x0e-\x1f\x7f]/g)?.length || 0;
+    return text.includes('\0') || control > text.length * 0.05 ? null : text;
+}
+
+/**
+ * Reads the central directory of a ZIP file.
+ *
+ * @param {Uint8Array} bytes - The ZIP file.
+ * @return {Map<string, {method: number, flags: number, compressedSize: number, localOffset: number}>} - The entries by name.
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // The end of central directory record is followed by a comment of up to 64KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a valid ZIP file');
+    }
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (count === 0xffff || offset === 0xffffffff) {
+        throw new Error('ZIP64 files aren\'t supported');
+    }
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Not a valid ZIP file');
+        }
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        entries.set(name, {
+            flags: view.getUint16(offset + 8, true),
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true),
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return entries;
+}
+
+/**
+ * Reads a text file from a ZIP file.
+ *
+ * @param {Uint8Array} bytes - The ZIP file.
+ * @param {Map} entries - Its entries, from readZip.
+ * @param {string} name - The file to read.
+ * @param {Object} limits - The decompression limits, from extractDocument.
+ * @return {Promise<string | null>} - The contents, or null if there's no such file.
+ */
+async function readZipText(bytes, entries, name, limits) {
+    const entry = entries.get(name);
+    if (!entry) {
+        return null;
+    }
+    if (entry.flags & 1) {
+        throw new Error('The file is password protected');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(entry.localOffset, true) !== 0x04034b50) {
+        throw new Error('Not a valid ZIP file');
+    }
+    const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) {
+        return new TextDecoder().decode(data);
+    }
+    if (entry.method === 8) {
+        return new TextDecoder().decode(await inflate(data, 'deflate-raw', limits));
+    }
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+}
+
+/**
+ * Decompresses data with DecompressionStream, stopping once it's more than the limits.
+ *
+ * @param {Uint8Array} data - The compressed data.
+ * @param {"deflate" | "deflate-raw"} format - The format.
+ * @param {{maxEntrySize: number, maxTotalSize: number, remaining: number}} limits - The limits, `remaining` is reduced by the decompressed size.
+ * @return {Promise<Uint8Array>} - The decompressed data.
+ * @throws {DocumentSizeError} If the data decompresses to more than the limits.
+ */
+async function inflate(data, format, limits) {
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+    const chunks = [];
+    let size = 0;
+    try {
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            size += chunk.value.length;
+            if (size > limits.maxEntrySize || size > limits.remaining) {
+                reader.cancel().catch(() => { });
+                throw size > limits.maxEntrySize
+                    ? new DocumentSizeError(`Part of the file decompresses to more than ${limits.maxEntrySize} bytes`, limits.maxEntrySize)
+                    : new DocumentSizeError(`The file decompresses to more than ${limits.maxTotalSize} bytes`, limits.maxTotalSize);
+            }
+            chunks.push(chunk.value);
+        }
+    } catch (e) {
+        // PDF streams are often followed by a few bytes of padding, which is an error after the data we want
+        if (!chunks.length || e instanceof DocumentSizeError) {
+            throw e;
+        }
+    }
+    limits.remaining -= size;
+    const out = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    chunks.reduce((offset, chunk) => (out.set(chunk, offset), offset + chunk.length), 0);
+    return out;
+}
+
+/**
+ * Extracts the text of a Word document.
+ *
+ * @param {Uint8Array} bytes - The DOCX file.
+ * @param {Object} limits - The decompression limits, from extractDocument.
+ * @return {Promise<{content: string, totalPages: null}>} - The text.
+ */
+async function docxText(bytes, limits) {
+    const entries = readZip(bytes);
+    const xml = await readZipText(bytes, entries, 'word/document.xml', limits);
+    // Runs of text, tabs and line breaks in order. Tab stops (<w:tab w:val=...>) and deleted text (<w:delText>) are skipped
+    const text = [...xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g)]
+        .map(([tag, run]) => run !== undefined ? decodeEntities(run) : tag === '<w:tab/>' ? '\t' : '\n')
+        .join('');
+    return { content: tidy(text), totalPages: null };
+}
+
+/**
+ * Extracts the text of a PowerPoint presentation, slide by slide.
+ *
+ * @param {Uint8Array} bytes - The PPTX file.
+ * @param {Object} limits - The decompression limits, from extractDocument.
+ * @return {Promise<{content: string, totalPages: number}>} - The text and number of slides.
+ */
+async function pptxText(bytes, limits) {
+    const entries = readZip(bytes);
+    const number = (name) => Number(name.match(/(\d+)\.xml$/)[1]);
+    // Slides are numbered in the order they were created, which is nearly always the order they're shown in
+    const slides = [...entries.keys()].filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name)).sort((a, b) => number(a) - number(b));
+    const texts = [];
+    for (const [i, name] of slides.entries()) {
+        const xml = await readZipText(bytes, entries, name, limits);
+        const text = [...xml.matchAll(/<a:t>([^<]*)<\/a:t>|<a:br\b[^>]*\/>|<\/a:p>/g)]
+            .map(([, run]) => run !== undefined ? decodeEntities(run) : '\n')
+            .join('');
+        texts.push(`--- Slide ${i + 1} ---\n${tidy(text)}`);
+    }
+    return { content: texts.join('\n\n'), totalPages: slides.length };
+}
+
+/**
+ * Extracts the cells of an Excel workbook as tab separated rows, sheet by sheet. Dates are left as serial numbers.
+ *
+ * @param {Uint8Array} bytes - The XLSX file.
+ * @param {Object} limits - The decompression limits, from extractDocument.
+ * @return {Promise<{content: string, totalPages: null}>} - The text.
+ */
+async function xlsxText(bytes, limits) {
+    const entries = readZip(bytes);
+    const runs = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(([, text]) => decodeEntities(text)).join('');
+    // Phonetic runs (<rPh>) repeat the text in another script
+    const shared = [...((await readZipText(bytes, entries, 'xl/sharedStrings.xml', limits)) || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(([, item]) => runs(item.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')));
+    const targets = Object.fromEntries([...((await readZipText(bytes, entries, 'xl/_rels/workbook.xml.rels', limits)) || '').matchAll(/<Relationship\b([^>]*)>/g)]
+        .map(([, attrs]) => attributes(attrs))
+        .map(({ Id, Target = '' }) => [Id, Target.startsWith('/') ? Target.slice(1) : `xl/${Target}`]));
+    const sheets = [...(await readZipText(bytes, entries, 'xl/workbook.xml', limits)).matchAll(/<sheet\b([^>]*)>/g)].map(([, attrs]) => attributes(attrs));
+    const texts = [];
+    for (const [i, sheet] of sheets.entries()) {
+        const xml = await readZipText(bytes, entries, targets[sheet['r:id']] || `xl/worksheets/sheet${i + 1}.xml`, limits);
+        if (xml === null) {
+            continue;
+        }
+        const rows = [...xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)].map(([, row]) => {
+            const cells = [];
+            for (const [, attrs, content = ''] of row.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const { r, t } = attributes(attrs);
+                const value = decodeEntities(content.match(/<v>([^<]*)<\/v>/)?.[1] ?? '');
+                const text = t === 's' ? shared[value] ?? '' : t === 'inlineStr' ? runs(content) : t === 'b' ? (value === '1' ? 'TRUE' : 'FALSE') : value;
+                cells[r ? column(r) : cells.length] = text;
+            }
+            return Array.from(cells, cell => cell ?? '').join('\t').trimEnd();
+        });
+        texts.push(`--- Sheet ${sheet.name ? decodeEntities(sheet.name) : i + 1} ---\n${tidy(rows.join('\n'))}`);
+    }
+    return { content: texts.join('\n\n'), totalPages: null };
+}
+
+/**
+ * The column index of a cell reference.
+ *
+ * @param {string} ref - The reference, e.g. "AB12".
+ * @return {number} - The column, starting at 0.
+ */
+function column(ref) {
+    return [...ref.match(/^[A-Z]*/)[0]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Extracts the text layer of a PDF.
+ *
+ * @param {Uint8Array} bytes - The PDF file.
+ * @param {Object} limits - The decompression limits, from extractDocument.
+ * @return {Promise<{content: string, totalPages: number | null} | null>} - The text and number of pages, or null if there's no usable text.
+ */
+async function pdfText(bytes, limits) {
+    const source = latin1(bytes);
+    if (/\/Encrypt\b/.test(source)) {
+        throw new Error('The PDF is encrypted');
+    }
+    const pageType = /\/Type\s*\/Page(?![A-Za-z])/g;
+    let pages = source.match(pageType)?.length || 0;
+    const texts = [];
+    for (const match of source.matchAll(/\bstream\r?\n/g)) {
+        const start = match.index + match[0].length;
+        const dictionary = source.slice(source.lastIndexOf(' obj', match.index), match.index);
+        const end = source.indexOf('endstream', start);
+        if (end === -1) {
+            continue;
+        }
+        const length = Number(dictionary.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/)?.[1]);
+        let data = bytes.subarray(start, length && start + length <= end ? start + length : end);
+        const filters = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1].match(/\/\w+/g) || [];
+        if (filters.some(filter => filter !== '/FlateDecode') || /\/(Subtype\s*\/Image|Length1|FontFile)/.test(dictionary)) {
+            continue;
+        }
+        try {
+            data = filters.length ? await inflate(data, 'deflate', limits) : data;
+        } catch (e) {
+            if (e instanceof DocumentSizeError) {
+                throw e;
+            }
+            continue;
+        }
+        const content = latin1(data);
+        if (/\/Type\s*\/ObjStm/.test(dictionary)) {
+            // Page objects of newer PDFs are in compressed object streams
+            pages += content.match(pageType)?.length || 0;
+        } else if (/\bBT\b/.test(content)) {
+            texts.push(pdfContentText(content));
+        }
+    }
+    const content = tidy(texts.join('\n'));
+    // Fonts with their own encodings (like most CJK PDFs) can't be decoded without a full PDF library
+    const readable = content.match(/[\p{L}\p{N}\p{P}\s]/gu)?.length || 0;
+    if (!content || readable < content.length * 0.8) {
+        return null;
+    }
+    return { content, totalPages: pages || null };
+}
+
+/**
+ * Gets the text drawn by a PDF content stream.
+ *
+ * @param {string} content - The decompressed content stream.
+ * @return {string} - The text, with line breaks where the text moves to another line.
+ */
+function pdfContentText(content) {
+    const tokens = /\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<[\da-fA-F\s]*>|\[|\]|[+-]?(?:\d+\.?\d*|\.\d+)|\/[^\s/[\]()<>{}%]+|[A-Za-z'"*]+[01]?|%[^\r\n]*/g;
+    let text = '';
+    let operands = [];
+    let array = null;
+    let y = null;
+    const newline = () => { text = text.trimEnd() + '\n'; };
+    for (const [token] of content.matchAll(tokens)) {
+        if (token[0] === '(' || token[0] === '<') {
+            (array || operands).push({ string: pdfString(token) });
+        } else if (token === '[') {
+            array = [];
+        } else if (token === ']') {
+            operands.push(array || []);
+            array = null;
+        } else if (/^[+-]?[\d.]/.test(token)) {
+            (array || operands).push(Number(token));
+        } else if (token[0] === '/' || token[0] === '%') {
+            operands.push(token);
+        } else {
+            if (token === 'Tj' || token === '\'' || token === '"') {
+                if (token !== 'Tj') {
+                    newline();
+                }
+                text += operands.at(-1)?.string ?? '';
+            } else if (token === 'TJ') {
+                for (const item of operands.at(-1) || []) {
+                    // A large negative adjustment is a gap between words
+                    text += typeof item === 'number' ? (item < -200 ? ' ' : '') : item.string;
+                }
+            } else if (token === 'Td' || token === 'TD') {
+                operands.at(-1) ? newline() : (text += text.endsWith(' ') ? '' : ' ');
+            } else if (token === 'T*') {
+                newline();
+            } else if (token === 'Tm') {
+                if (y !== null && operands.at(-1) !== y) {
+                    newline();
+                }
+                y = operands.at(-1);
+            } else if (token === 'ET') {
+                text += ' ';
+            }
+            operands = [];
+        }
+    }
+    return text;
+}
+
+/**
+ * Decodes a PDF string literal or hex string.
+ *
+ * @param {string} token - The string, with its delimiters, e.g. "(Hello\\051)" or "<48656c6c6f>".
+ * @return {string} - The text.
+ */
+function pdfString(token) {
+    let raw;
+    if (token[0] === '<') {
+        const hex = token.slice(1, -1).replace(/\s/g, '');
+        raw = (hex.length % 2 ? hex + '0' : hex).match(/../g)?.map(byte => String.fromCharCode(parseInt(byte, 16))).join('') || '';
+    } else {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        raw = token.slice(1, -1).replace(/\\(\r\n|[\r\n]|[0-7]{1,3}|[\s\S])/g, (match, escaped) => {
+            if (/^[\r\n]/.test(escaped)) {
+                return '';
+            }
+            if (/^[0-7]/.test(escaped)) {
+                return String.fromCharCode(parseInt(escaped, 8) & 0xff);
+            }
+            return escapes[escaped] ?? escaped;
+        });
+    }
+    if (raw.startsWith('\xfe\xff')) {
+        return new TextDecoder('utf-16be').decode(Uint8Array.from(raw.slice(2), c => c.charCodeAt(0)));
+    }
+    return raw;
+}
+
+/**
+ * Gets the text of an HTML document, with line breaks between blocks.
+ *
+ * @param {string} html - The HTML.
+ * @return {string} - The text.
+ */
+function htmlText(html) {
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<\/?(p|div|h[1-6]|ul|ol|tr|table|section|article|header|footer|nav|aside|main|blockquote|pre|title|dt|dd|figure|figcaption|hr)\b[^>]*>/gi, '\n')
+        .replace(/<\/t[dh]\s*>/gi, '\t')
+        .replace(/<[^>]*>/g, '');
+    return tidy(decodeEntities(text));
+}
+
+/**
+ * Gets the text of an RTF document.
+ *
+ * @param {string} rtf - The RTF source (read as Latin-1, RTF is 7-bit with escapes for everything else).
+ * @return {string} - The text.
+ */
+function rtfText(rtf) {
+    // Groups with these control words at the start hold metadata or binary data, not text
+    const destinations = new Set(['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'filetbl', 'revtbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl', 'fldinst']);
+    const words = { par: '\n', line: '\n', row: '\n', sect: '\n\n', page: '\n\n', tab: '\t', cell: '\t', emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ' };
+    const symbols = { '~': '\u00a0', '_': '-', '\\': '\\', '{': '{', '}': '}' };
+    const windows1252 = new TextDecoder('windows-1252');
+    const stack = [];
+    let group = { skip: false, uc: 1 };
+    // Characters to drop after a \u escape, the fallback for readers without Unicode support
+    let fallback = 0;
+    let text = '';
+    const append = (chars) => {
+        const dropped = Math.min(fallback, chars.length);
+        fallback -= dropped;
+        if (!group.skip) {
+            text += chars.slice(dropped);
+        }
+    };
+    for (const [, word, param, hex, symbol, brace, plain] of rtf.matchAll(/\\([a-z]+)(-?\d+)? ?|\\'([\da-f]{2})|\\([^a-z])|([{}])|\r?\n|([^\\{}\r\n]+)/gi)) {
+        if (brace === '{') {
+            stack.push(group);
+            group = { ...group };
+        } else if (brace === '}') {
+            group = stack.pop() || { skip: false, uc: 1 };
+            fallback = 0;
+        } else if (word) {
+            if (destinations.has(word)) {
+                group.skip = true;
+            } else if (word === 'uc') {
+                group.uc = Number(param);
+            } else if (word === 'u') {
+                fallback = 0;
+                append(String.fromCharCode(Number(param) < 0 ? Number(param) + 65536 : Number(param)));
+                fallback = group.uc;
+            } else if (words[word]) {
+                fallback = 0;
+                append(words[word]);
+            }
+        } else if (hex) {
+            append(windows1252.decode(Uint8Array.of(parseInt(hex, 16))));
+        } else if (symbol === '*') {
+            // Ignorable destination, for readers that don't know it
+            group.skip = true;
+        } else if (symbol) {
+            append(symbols[symbol] ?? '');
+        } else if (plain) {
+            append(plain);
+        }
+    }
+    return tidy(text);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0', mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', euro: '€', times: '×' };
+
+/**
+ * Decodes XML and HTML character references.
+ *
+ * @param {string} text - The text.
+ * @return {string} - The decoded text.
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') {
+            return ENTITIES[entity] ?? match;
+        }
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+}
+
+/**
+ * Parses XML attributes.
+ *
+ * @param {string} source - The attributes, e.g. ` name="Sheet1" r:id="rId1"`.
+ * @return {Object<string, string>} - The attributes by name.
+ */
+function attributes(source) {
+    return Object.fromEntries([...source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)].map(([, name, double, single]) => [name, decodeEntities(double ?? single)]));
+}
+
+/**
+ * Normalizes whitespace: Unix line breaks, no spaces at the ends of lines, at most one blank line in a row.
+ *
+ * @param {string} text - The text.
+ * @return {string} - The tidied text.
+ */
+function tidy(text) {
+    return text.replace(/\r\n?/g, '\n').replace(/[ \t\u00a0]+$/gm, '').replace(/^[ \u00a0]+/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Decodes bytes as Latin-1, so every byte is one character at the same index.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @return {string} - The string.
+ */
+function latin1(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return text;
+}
+
+/**
+ * Whether some bytes start with others.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {number[]} prefix - The bytes to look for.
+ * @return {boolean}
+ */
+function startsWith(bytes, prefix) {
+    return prefix.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Finds an ASCII string in some bytes.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {string} search - The string.
+ * @return {number} - Its index, or -1.
+ */
+function indexOf(bytes, search) {
+    return latin1(bytes).indexOf(search);
+}
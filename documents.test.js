@@ -0,0 +1,141 @@
+import { detectFileType, extractDocument, DocumentSizeError } from './documents.js';
+import { readFileSync } from 'fs';
+import { deflateSync, deflateRawSync } from 'zlib';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+// A minimal ZIP writer, just enough for the parts of Office files the extractors read
+function zip(files) {
+    const local = [];
+    const central = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(files)) {
+        const nameBytes = bytes(name);
+        const data = deflateRawSync(bytes(content));
+        const header = (size, signature) => {
+            const view = new DataView(new ArrayBuffer(size));
+            view.setUint32(0, signature, true);
+            return view;
+        };
+        const head = header(30, 0x04034b50);
+        head.setUint16(8, 8, true);
+        head.setUint32(18, data.length, true);
+        head.setUint16(26, nameBytes.length, true);
+        const entry = header(46, 0x02014b50);
+        entry.setUint16(10, 8, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        local.push(new Uint8Array(head.buffer), nameBytes, data);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(16, offset, true);
+    return new Uint8Array(Buffer.concat([...local, ...central, new Uint8Array(end.buffer)]));
+}
+
+function pdf(...contents) {
+    const parts = ['%PDF-1.4\n', '1 0 obj\n<< /Type /Pages /Count 2 >>\nendobj\n', '2 0 obj\n<< /Type /Page /Parent 1 0 R >>\nendobj\n', '3 0 obj\n<< /Type /Page /Parent 1 0 R >>\nendobj\n'];
+    const chunks = parts.map(part => Buffer.from(part, 'latin1'));
+    contents.forEach((content, i) => {
+        const data = deflateSync(Buffer.from(content, 'latin1'));
+        chunks.push(Buffer.from(`${i + 4} 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'), data, Buffer.from('\nendstream\nendobj\n', 'latin1'));
+    });
+    chunks.push(Buffer.from('%%EOF\n'));
+    return new Uint8Array(Buffer.concat(chunks));
+}
+
+describe('detectFileType', () => {
+    it('detects types from the contents', () => {
+        expect(detectFileType(new Uint8Array(readFileSync('resources/doc.docx')))).toBe('docx');
+        expect(detectFileType(zip({ 'ppt/presentation.xml': '' }))).toBe('pptx');
+        expect(detectFileType(zip({ 'xl/workbook.xml': '' }))).toBe('xlsx');
+        expect(detectFileType(zip({ 'readme.txt': 'hi' }))).toBe('zip');
+        expect(detectFileType(pdf())).toBe('pdf');
+        expect(detectFileType(bytes('{\\rtf1\\ansi Hello}'))).toBe('rtf');
+        expect(detectFileType(Uint8Array.of(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0))).toBe('ole');
+        expect(detectFileType(Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13))).toBe('binary');
+        expect(detectFileType(new Uint8Array(64))).toBe('binary');
+    });
+    it('ignores misleading names', () => {
+        expect(detectFileType(bytes('# Docs'), { name: 'docs.md', type: 'text/markdown' })).toBe('text');
+        expect(detectFileType(Uint8Array.of(0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10), { name: 'notes.txt', type: 'text/plain' })).toBe('binary');
+        expect(detectFileType(bytes(''))).toBe('text');
+    });
+    it('recognizes HTML', () => {
+        expect(detectFileType(bytes('<p>Hi</p>'), { name: 'page.htm' })).toBe('html');
+        expect(detectFileType(bytes('<p>Hi</p>'), { type: 'text/html' })).toBe('html');
+        expect(detectFileType(bytes('  <!DOCTYPE html><p>Hi</p>'))).toBe('html');
+        expect(detectFileType(bytes('<p>Hi</p>'), { name: 'snippet.md' })).toBe('text');
+    });
+});
+
+describe('extractDocument', () => {
+    it('extracts Word documents', async () => {
+        expect(await extractDocument(new Uint8Array(readFileSync('resources/doc.docx')), 'docx')).toEqual({ content: 'This is a demo file', totalPages: null });
+        const xml = '<w:body><w:p><w:pPr><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr><w:r><w:t xml:space="preserve">Fish &amp; </w:t><w:tab/><w:t>chips</w:t></w:r></w:p>'
+            + '<w:p><w:r><w:t>Line</w:t><w:br/><w:t>break</w:t><w:delText>deleted</w:delText></w:r></w:p></w:body>';
+        expect((await extractDocument(zip({ 'word/document.xml': xml }), 'docx')).content).toBe('Fish & \tchips\nLine\nbreak');
+    });
+    it('extracts presentations slide by slide', async () => {
+        const slide = (text) => `<p:sld><a:p><a:r><a:t>${text}</a:t></a:r></a:p><a:p><a:r><a:t>Notes</a:t></a:r></a:p></p:sld>`;
+        const file = zip({ 'ppt/presentation.xml': '', 'ppt/slides/slide10.xml': slide('Ten'), 'ppt/slides/slide2.xml': slide('Two') });
+        expect(await extractDocument(file, 'pptx')).toEqual({ content: '--- Slide 1 ---\nTwo\nNotes\n\n--- Slide 2 ---\nTen\nNotes', totalPages: 2 });
+    });
+    it('extracts spreadsheets as tab separated rows', async () => {
+        const file = zip({
+            'xl/workbook.xml': '<workbook><sheets><sheet name="Q&amp;A" sheetId="1" r:id="rId1"/></sheets></workbook>',
+            'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/data.xml"/></Relationships>',
+            'xl/sharedStrings.xml': '<sst><si><t>Name</t></si><si><r><t>Ad</t></r><r><t>a</t></r><rPh><t>ada</t></rPh></si></sst>',
+            'xl/worksheets/data.xml': '<sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Admin</t></is></c></row>'
+                + '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2"><v>36</v></c><c r="C2" t="b"><v>1</v></c><c r="D2"/></row></sheetData>',
+        });
+        expect((await extractDocument(file, 'xlsx')).content).toBe('--- Sheet Q&A ---\nName\t\tAdmin\nAda\t36\tTRUE');
+    });
+    it('extracts the text layer of PDFs', async () => {
+        const file = pdf(
+            'BT /F1 12 Tf 72 720 Td (Hello \\(PDF\\)) Tj 0 -14 Td [(Wor) 10 (ld) -300 (again)] TJ ET',
+            'q 1 0 0 1 0 0 cm Q BT 1 0 0 1 72 700 Tm <FEFF00E9007400E9> Tj 1 0 0 1 72 680 Tm (\\351t\\351) Tj T* (last) Tj ET',
+        );
+        expect(await extractDocument(file, 'pdf')).toEqual({ content: 'Hello (PDF)\nWorld again\nété\nété\nlast', totalPages: 2 });
+    });
+    it('returns null for PDFs without a usable text layer', async () => {
+        expect(await extractDocument(pdf('q 100 0 0 100 0 0 cm /Im1 Do Q'), 'pdf')).toBeNull();
+        expect(await extractDocument(pdf('BT <0102030405060708> Tj ET'), 'pdf')).toBeNull();
+        await expect(extractDocument(new Uint8Array(Buffer.from('%PDF-1.4\n1 0 obj\n<< /Encrypt 2 0 R >>\nendobj\n')), 'pdf')).rejects.toThrow('encrypted');
+    });
+    it('extracts HTML', async () => {
+        const html = '<!doctype html><html><head><title>Page</title><style>p { color: red }</style></head><body>\n<h1>Recipe</h1><p>Mix   flour\nand water.<br>Wait.</p>'
+            + '<ul><li>Flour</li><li>Water &amp; salt</li></ul><script>alert("no")</script><!-- hidden --><table><tr><td>a</td><td>b</td></tr></table></body></html>';
+        expect((await extractDocument(bytes(html), 'html')).content).toBe('Page\n\nRecipe\n\nMix flour and water.\nWait.\n\n- Flour\n- Water & salt\n\na\tb');
+    });
+    it('extracts RTF', async () => {
+        const rtf = '{\\rtf1\\ansi\\ansicpg1252{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}{\\*\\generator Test;}\\f0\\fs24 Caf\\\'e9 \\b bold\\b0\\par\n'
+            + 'Smart \\ldblquote quotes\\rdblquote\\tab \\u8364?5 \\{braces\\}\\par}';
+        expect((await extractDocument(bytes(rtf), 'rtf')).content).toBe('Café bold\nSmart “quotes”\t€5 {braces}');
+    });
+    it('returns text as it is', async () => {
+        expect(await extractDocument(bytes('  indented\n'), 'text')).toEqual({ content: '  indented\n', totalPages: null });
+        expect(await extractDocument(bytes(''), 'binary')).toBeNull();
+    });
+    it('stops decompressing at the size limits', async () => {
+        const bomb = zip({ 'word/document.xml': '<w:t>' + 'a'.repeat(2_000_000) + '</w:t>' });
+        expect(bomb.length).toBeLessThan(10_000);
+        const error = await extractDocument(bomb, 'docx', { maxEntrySize: 1_000_000 }).catch(e => e);
+        expect(error).toBeInstanceOf(DocumentSizeError);
+        expect(error).toMatchObject({ limit: 1_000_000, message: expect.stringContaining('Part of the file') });
+        const slides = { 'ppt/presentation.xml': '' };
+        for (let i = 1; i <= 3; i++) {
+            slides[`ppt/slides/slide${i}.xml`] = `<a:t>${'b'.repeat(400_000)}</a:t>`;
+        }
+        await expect(extractDocument(zip(slides), 'pptx', { maxTotalSize: 1_000_000 })).rejects.toThrow('The file decompresses to more than 1000000 bytes');
+        expect((await extractDocument(zip(slides), 'pptx', { maxTotalSize: 2_000_000 })).totalPages).toBe(3);
+        await expect(extractDocument(pdf(`BT (${'c'.repeat(2_000_000)}) Tj ET`), 'pdf', { maxEntrySize: 1_000_000 })).rejects.toBeInstanceOf(DocumentSizeError);
+    });
+    it('rejects damaged files', async () => {
+        await expect(extractDocument(bytes('PK\x03\x04 not really'), 'docx')).rejects.toThrow('Not a valid ZIP file');
+    });
+});
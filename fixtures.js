@@ -0,0 +1,337 @@
+/**
+ * Record real claude.ai traffic to a fixture file and replay it in tests, as middleware (see Claude.use).
+ *
+ * A fixture file is JSON: `{ version: 1, recordings: [{ request, response }] }`, where a request is
+ * `{ method, endpoint, headers, body }` and a response is `{ status, statusText, headers, chunks, error }`. Response bodies are
+ * kept in the chunks they arrived in, so streamed messages replay exactly as they were received. Cookie values (the session key
+ * included) are replaced with "[REDACTED]", wherever they appear.
+ */
+
+/**
+ * Middleware that records requests and responses
+ * @typedef {Function} FixtureRecorder
+ * @property {function(): Promise<void>} flush Wait for the fixture file to be written
+ * @property {Object[]} recordings The recordings so far
+ */
+
+/**
+ * Record every request and its response to a fixture file. The file is overwritten, and rewritten as each response finishes.
+ * @param {String} path The fixture file
+ * @param {Object} [options] Options
+ * @param {function(Object): Object} [options.redact] Change each recording before it's saved, e.g. to remove email addresses
+ * @returns {FixtureRecorder} The middleware
+ * @example
+ * const recorder = recordFixtures('fixtures/haiku.json');
+ * claude.use(recorder);
+ * await claude.sendMessage('Write a haiku');
+ * await recorder.flush();
+ */
+export function recordFixtures(path, { redact = (recording) => recording } = {}) {
+    if (!path) {
+        throw new Error('Path required');
+    }
+    const recordings = [];
+    const secrets = new Set();
+    let writing = Promise.resolve();
+    const save = () => {
+        writing = writing.catch(() => { }).then(async () => {
+            const { writeFile, mkdir } = await import('fs/promises');
+            const { dirname } = await import('path');
+            let text = JSON.stringify({ version: 1, recordings: recordings.filter(i => i.response).map(redact) }, null, 2);
+            for (const secret of secrets) {
+                text = text.split(secret).join('[REDACTED]');
+            }
+            await mkdir(dirname(path), { recursive: true });
+            await writeFile(path, text + '\n');
+        });
+        return writing;
+    };
+    const recorder = async (context, next) => {
+        const headers = headerObject(context.options.headers);
+        for (const [, value] of cookies(headers.cookie)) {
+            // Short values would redact unrelated text
+            if (value.length >= 8) {
+                secrets.add(value);
+            }
+        }
+        // Added before the response so recordings are in the order the requests were made
+        const recording = { request: { method: (context.options.method || 'GET').toUpperCase(), endpoint: context.endpoint, headers: redactHeaders(headers), body: requestBody(context.options.body) } };
+        recordings.push(recording);
+        let response;
+        try {
+            response = await next();
+        } catch (e) {
+            recordings.splice(recordings.indexOf(recording), 1);
+            throw e;
+        }
+        const finish = (chunks, error = null) => {
+            recording.response = {
+                status: response.status,
+                statusText: response.statusText || '',
+                headers: redactHeaders(headerPairs(response.headers)),
+                chunks,
+                ...(error && { error: error.message || String(error) }),
+            };
+            save().catch(() => { });
+        };
+        if (!response.body?.getReader) {
+            finish([]);
+            return response;
+        }
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const chunks = [];
+        let finished = false;
+        const end = (error) => {
+            if (!finished) {
+                finished = true;
+                const rest = decoder.decode();
+                if (rest) { chunks.push(rest); }
+                finish(chunks, error);
+            }
+        };
+        // Passes the body through as it's read, so streaming and cancelling work as they would without the recorder
+        const body = new ReadableStream({
+            async pull(controller) {
+                let result;
+                try {
+                    result = await reader.read();
+                } catch (e) {
+                    end(e);
+                    controller.error(e);
+                    return;
+                }
+                if (result.done) {
+                    end();
+                    controller.close();
+                    return;
+                }
+                const text = decoder.decode(result.value, { stream: true });
+                if (text) { chunks.push(text); }
+                controller.enqueue(result.value);
+            },
+            cancel(reason) {
+                // The client stops reading at the end of a message, which isn't an error
+                end();
+                return reader.cancel(reason);
+            },
+        });
+        return new Response(nullBody(response.status) ? null : body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    };
+    recorder.recordings = recordings;
+    recorder.flush = async () => {
+        // Saves started while waiting replace the promise
+        let current;
+        do {
+            current = writing;
+            await current.catch(() => { });
+        } while (current !== writing);
+        return writing;
+    };
+    return recorder;
+}
+
+/**
+ * Middleware that replays recorded responses
+ * @typedef {Function} FixturePlayer
+ * @property {function(): Promise<Object[]>} pending The recordings that haven't been replayed
+ */
+
+/**
+ * Answer requests with recorded responses instead of making them.
+ *
+ * With `match: "strict"` requests have to be made in the recorded order, with the same method, endpoint and body. With
+ * `match: "loose"` any recording with the same method and endpoint is used, in order, and the last one is reused once they've
+ * all been used. Either way UUIDs are ignored, since the client makes new ones for each conversation.
+ * @param {String | Object} fixtures The fixture file, or its parsed contents
+ * @param {Object} [options] Options
+ * @param {"strict" | "loose"} [options.match="strict"] How requests are matched to recordings
+ * @param {Boolean} [options.passthrough=false] Make requests that don't match a recording instead of throwing
+ * @returns {FixturePlayer} The middleware
+ * @throws {Error} From requests that don't match a recording (unless `passthrough` is set)
+ * @example
+ * claude.use(replayFixtures('fixtures/haiku.json'));
+ * const { completion } = await claude.sendMessage('Write a haiku');
+ */
+export function replayFixtures(fixtures, { match = 'strict', passthrough = false } = {}) {
+    if (!['strict', 'loose'].includes(match)) {
+        throw new Error('match must be "strict" or "loose"');
+    }
+    let loaded;
+    const load = () => {
+        loaded ||= (async () => {
+            let json = fixtures;
+            if (typeof fixtures === 'string') {
+                const { readFile } = await import('fs/promises');
+                try {
+                    json = JSON.parse(await readFile(fixtures, 'utf-8'));
+                } catch (e) {
+                    throw new Error(`Couldn't read fixture file ${fixtures}: ${e.message}`);
+                }
+            }
+            if (!Array.isArray(json?.recordings)) {
+                throw new Error('Invalid fixtures, expected { recordings: [...] }');
+            }
+            return json.recordings.map(recording => ({ ...recording, used: false }));
+        })();
+        return loaded;
+    };
+    let position = 0;
+    const player = async (context, next) => {
+        const recordings = await load();
+        const request = { method: (context.options.method || 'GET').toUpperCase(), endpoint: context.endpoint, body: requestBody(context.options.body) };
+        const sameEndpoint = (recorded) => recorded.method === request.method && withoutUUIDs(recorded.endpoint) === withoutUUIDs(request.endpoint);
+        let recording;
+        if (match === 'strict') {
+            const expected = recordings[position];
+            if (expected && sameEndpoint(expected.request) && withoutUUIDs(JSON.stringify(expected.request.body)) === withoutUUIDs(JSON.stringify(request.body))) {
+                recording = expected;
+                position++;
+            } else if (!passthrough) {
+                throw new Error(`${request.method} ${request.endpoint} doesn't match recording ${position + 1}${expected ? ` (${expected.request.method} ${expected.request.endpoint})` : ', there are no more'}`);
+            }
+        } else {
+            const matching = recordings.filter(i => sameEndpoint(i.request));
+            recording = matching.find(i => !i.used) || matching.at(-1);
+            if (!recording && !passthrough) {
+                throw new Error(`No recording for ${request.method} ${request.endpoint}`);
+            }
+        }
+        if (!recording) {
+            return next();
+        }
+        recording.used = true;
+        return replay(recording.response, context.options.signal);
+    };
+    player.pending = async () => (await load()).filter(i => !i.used).map(({ used, ...recording }) => recording);
+    return player;
+}
+
+/**
+ * Builds a Response from a recorded one, streaming the chunks in order.
+ *
+ * @param {Object} recorded - The recorded response.
+ * @param {AbortSignal} [signal] - Errors the body when aborted, like fetch does.
+ * @return {Response}
+ */
+function replay({ status, statusText, headers, chunks = [], error }, signal) {
+    const encoder = new TextEncoder();
+    let index = 0;
+    const body = new ReadableStream({
+        pull(controller) {
+            if (signal?.aborted) {
+                controller.error(signal.reason);
+            } else if (index < chunks.length) {
+                controller.enqueue(encoder.encode(chunks[index++]));
+            } else if (error) {
+                controller.error(new TypeError(error));
+            } else {
+                controller.close();
+            }
+        },
+    });
+    return new Response(nullBody(status) ? null : body, { status, statusText, headers: new Headers(headers) });
+}
+
+/**
+ * Whether a status can't have a body (the Response constructor throws if it's given one).
+ *
+ * @param {number} status - The status.
+ * @return {boolean}
+ */
+function nullBody(status) {
+    return [101, 204, 205, 304].includes(status);
+}
+
+/**
+ * A request body in a form that can be saved and compared.
+ *
+ * @param {any} body - The fetch body.
+ * @return {any} - Parsed JSON, a string, the fields of a FormData (files as their name, type and size) or null.
+ */
+function requestBody(body) {
+    if (body === undefined || body === null) {
+        return null;
+    }
+    if (typeof body === 'string') {
+        try {
+            return JSON.parse(body);
+        } catch {
+            return body;
+        }
+    }
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        return { formData: [...body].map(([name, value]) => [name, typeof value === 'string' ? value : { name: value.name, type: value.type, size: value.size }]) };
+    }
+    return String(body);
+}
+
+/**
+ * Headers as a plain object with lower case names.
+ *
+ * @param {Object | Headers | Array} [headers] - The headers.
+ * @return {Object}
+ */
+function headerObject(headers = {}) {
+    return Object.fromEntries(headerPairs(headers));
+}
+
+/**
+ * Headers as [name, value] pairs with lower case names, keeping each Set-Cookie header separate.
+ *
+ * @param {Object | Headers | Array} [headers] - The headers.
+ * @return {string[][]}
+ */
+function headerPairs(headers = {}) {
+    if (typeof headers?.entries !== 'function' && !Array.isArray(headers)) {
+        return Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)]);
+    }
+    const setCookies = typeof headers.getSetCookie === 'function' ? headers.getSetCookie() : [];
+    const pairs = [...headers].map(([name, value]) => [name.toLowerCase(), String(value)]);
+    return setCookies.length ? [...pairs.filter(([name]) => name !== 'set-cookie'), ...setCookies.map(value => ['set-cookie', value])] : pairs;
+}
+
+/**
+ * Replaces cookie values in headers with "[REDACTED]".
+ *
+ * @param {Object | string[][]} headers - Request headers as an object, or response headers as pairs.
+ * @return {Object | string[][]} - The same shape, redacted.
+ */
+function redactHeaders(headers) {
+    const redactValue = (name, value) => {
+        if (name === 'cookie') {
+            return cookies(value).map(([key]) => `${key}=[REDACTED]`).join('; ');
+        }
+        if (name === 'set-cookie') {
+            return value.replace(/^([^=;]+)=[^;]*/, '$1=[REDACTED]');
+        }
+        return value;
+    };
+    if (Array.isArray(headers)) {
+        return headers.map(([name, value]) => [name, redactValue(name, value)]);
+    }
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, redactValue(name, value)]));
+}
+
+/**
+ * Splits a Cookie header into [name, value] pairs.
+ *
+ * @param {string} [header] - The header.
+ * @return {string[][]}
+ */
+function cookies(header = '') {
+    return header.split(';').map(i => i.trim()).filter(Boolean).map(pair => {
+        const index = pair.indexOf('=');
+        return index === -1 ? [pair, ''] : [pair.slice(0, index), pair.slice(index + 1)];
+    });
+}
+
+/**
+ * Replaces UUIDs so requests can be compared across runs.
+ *
+ * @param {string} text - The text.
+ * @return {string}
+ */
+function withoutUUIDs(text = '') {
+    return String(text).replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>');
+}
@@ -0,0 +1,110 @@
+import Claude, { RateLimitError } from './index.js';
+import { recordFixtures, replayFixtures } from './fixtures.js';
+import { MockClaudeServer } from './mock-server.js';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const sessionKey = 'sk-ant-REDACTED';
+
+describe('fixtures', () => {
+    let dir;
+    let server;
+    beforeAll(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'claude-fixtures-'));
+        server = await new MockClaudeServer({ respond: (message) => `Echo: ${message}` }).listen();
+    });
+    afterAll(async () => {
+        await server.close();
+        await rm(dir, { recursive: true, force: true });
+    });
+    beforeEach(() => server.reset());
+
+    it('records requests and streamed responses without the session key', async () => {
+        const path = join(dir, 'nested', 'record.json');
+        const recorder = recordFixtures(path);
+        const claude = new Claude({ sessionKey, proxy: server.url, middleware: [recorder] });
+        const { completion } = await claude.sendMessage('Hello world');
+        expect(completion).toBe('Echo: Hello world');
+        await recorder.flush();
+        const text = await readFile(path, 'utf-8');
+        expect(text).not.toContain(sessionKey);
+        const { recordings } = JSON.parse(text);
+        expect(recordings.map(({ request }) => `${request.method} ${request.endpoint.replace(/[\w-]{36}/g, ':id')}`)).toEqual([
+            'GET /api/organizations',
+            'GET /api/organizations/:id/chat_conversations',
+            'POST /api/organizations/:id/chat_conversations',
+            'POST /api/append_message',
+            'DELETE /api/organizations/:id/chat_conversations/:id',
+        ]);
+        const [, , , append] = recordings;
+        expect(append.request.headers.cookie).toBe('sessionKey=[REDACTED]');
+        expect(append.request.body).toMatchObject({ text: 'Hello world', completion: { prompt: 'Hello world' } });
+        expect(append.response).toMatchObject({ status: 200, headers: expect.arrayContaining([['content-type', 'text/event-stream']]) });
+        expect(append.response.chunks.join('')).toContain('"completion":"Echo: Hello world","stop_reason":"stop_sequence"');
+        expect(recordings[4].response).toMatchObject({ status: 204, chunks: [] });
+    });
+    it('replays recordings strictly', async () => {
+        const path = join(dir, 'strict.json');
+        const recorder = recordFixtures(path);
+        const recording = new Claude({ sessionKey, proxy: server.url, middleware: [recorder] });
+        const conversation = await recording.startConversation('First');
+        await conversation.sendMessage('Second');
+        await recorder.flush();
+
+        // Nothing is listening here, every response has to come from the fixture
+        const player = replayFixtures(path);
+        const claude = new Claude({ sessionKey, proxy: 'http://127.0.0.1:9', middleware: [player] });
+        const replayed = await claude.startConversation('First');
+        expect(replayed.conversationId).toBe(conversation.conversationId);
+        const chunks = [];
+        const response = await replayed.sendMessage('Second', { progress: (chunk) => chunks.push(chunk.delta) });
+        expect(response.completion).toBe('Echo: Second');
+        expect(chunks).toEqual(['Echo: ', 'Second']);
+        expect(await player.pending()).toEqual([]);
+        await expect(replayed.sendMessage('Third')).rejects.toThrow("POST /api/append_message doesn't match recording 7, there are no more");
+
+        const wrongBody = new Claude({ sessionKey, proxy: 'http://127.0.0.1:9', middleware: [replayFixtures(path)] });
+        const other = await wrongBody.startConversation('First');
+        await expect(other.sendMessage('Something else')).rejects.toThrow("doesn't match recording 6");
+    });
+    it('replays recordings loosely', async () => {
+        const path = join(dir, 'loose.json');
+        const recorder = recordFixtures(path);
+        const recording = new Claude({ sessionKey, proxy: server.url, middleware: [recorder] });
+        await recording.init();
+        await recording.getConversations();
+        await recorder.flush();
+
+        const claude = new Claude({ sessionKey, middleware: [replayFixtures(path, { match: 'loose' })] });
+        await claude.init();
+        await claude.getConversations();
+        await claude.getConversations();
+        await expect(claude.request('/api/unknown')).rejects.toThrow('No recording for GET /api/unknown');
+        expect(() => replayFixtures(path, { match: 'fuzzy' })).toThrow('match');
+    });
+    it('replays streams in the chunks they were received in', async () => {
+        const event = (completion, stop_reason = null) => `data: ${JSON.stringify({ completion, stop_reason, model: 'claude-2', messageLimit: { type: 'within_limit' } })}\n\n`;
+        const stream = event('Hel') + event('Hello') + event('Hello!', 'stop_sequence');
+        const conversation = { uuid: '11111111-2222-3333-4444-555555555555', name: '', summary: '', created_at: '', updated_at: '' };
+        const fixtures = {
+            version: 1,
+            recordings: [
+                { request: { method: 'GET', endpoint: '/api/organizations' }, response: { status: 200, headers: [['content-type', 'application/json']], chunks: ['[{"uuid":"org","name":"Org"}]'] } },
+                { request: { method: 'GET', endpoint: '/api/organizations/org/chat_conversations' }, response: { status: 200, headers: [], chunks: ['[]'] } },
+                { request: { method: 'POST', endpoint: '/api/organizations/org/chat_conversations' }, response: { status: 201, headers: [], chunks: [JSON.stringify(conversation)] } },
+                // Split in the middle of events
+                { request: { method: 'POST', endpoint: '/api/append_message' }, response: { status: 200, headers: [], chunks: [stream.slice(0, 10), stream.slice(10, 70), stream.slice(70)] } },
+                { request: { method: 'POST', endpoint: '/api/append_message' }, response: { status: 200, headers: [], chunks: [event('Par'), 'data: {"error": {"type": "rate_limit_error", "message": "Slow down"}}\n\n'] } },
+                { request: { method: 'POST', endpoint: '/api/append_message' }, response: { status: 200, headers: [], chunks: [event('Cut')], error: 'terminated' } },
+                { request: { method: 'DELETE', endpoint: `/api/organizations/org/chat_conversations/${conversation.uuid}` }, response: { status: 204, headers: [], chunks: [] } },
+            ],
+        };
+        const claude = new Claude({ sessionKey, middleware: [replayFixtures(fixtures, { match: 'loose' })] });
+        const chunks = [];
+        expect(await claude.sendMessage('Hi', { progress: (chunk) => chunks.push(chunk.delta) })).toMatchObject({ completion: 'Hello!', stop_reason: 'stop_sequence' });
+        expect(chunks).toEqual(['Hel', 'lo', '!']);
+        await expect(claude.sendMessage('Hi')).rejects.toThrow(RateLimitError);
+        await expect(claude.sendMessage('Hi')).rejects.toThrow('terminated');
+    });
+});
@@ -15,24 +15,282 @@ export class Claude {
      * @param {string} options.sessionKey - Claude session key
      * @param {string|function} [options.proxy] - Proxy URL or proxy function
      * @param {function} [options.fetch] - Fetch function
+     * @param {boolean|RetryPolicy} [options.retry=false] - Retry failed requests, `true` uses the default policy
+     * @param {string} [options.organization] - UUID or name of the organization to use, defaults to the first one
+     * @param {MemoryStorage|JSONFileStorage|SQLiteStorage} [options.storage] - Cache organizations, conversations and messages in this storage adapter
+     * @param {boolean} [options.offline=false] - Only read from `storage`, without making requests
+     * @param {false|"warn"|"error"} [options.contextCheck=false] - Before sending a message, estimate whether it fits in the model's context window along with the conversation so far, and warn or throw a ContextLengthError if it doesn't
+     * @param {boolean|AutoContinuePolicy} [options.autoContinue=false] - When a conversation gets close to the context window, summarize it and continue in a new conversation, `true` uses the default policy
+     * @param {Middleware[]} [options.middleware] - Middleware to add, see `use()`
+     * @param {Object<string, string>} [options.headers] - Headers to send with every request (e.g. a user agent)
+     * @param {CookieJar|Object<string, string>} [options.cookies] - Other cookies to send, the session key is added to them
      * @example
      * const claude = new Claude({
      *   sessionKey: 'sk-ant-sid01-*****',
-     *   fetch: globalThis.fetch
+     *   fetch: globalThis.fetch,
+     *   retry: { attempts: 5 }
      * })
      *
      * await claude.init();
      * claude.sendMessage('Hello world').then(console.log)
      */
-    constructor({ sessionKey, proxy, fetch }: {
+    constructor({ sessionKey, proxy, fetch, retry, organization, storage, offline, contextCheck, autoContinue, middleware, headers, cookies }: {
         sessionKey: string;
         proxy?: string | Function;
         fetch?: Function;
+        retry?: boolean | {
+            /**
+             * The maximum number of attempts (including the first one)
+             */
+            attempts?: number;
+            /**
+             * The delay before the first retry in milliseconds
+             */
+            delay?: number;
+            /**
+             * The delay is multiplied by this after each attempt
+             */
+            factor?: number;
+            /**
+             * The maximum delay, errors that say to wait longer than this (like an exceeded message limit) aren't retried
+             */
+            maxDelay?: number;
+            /**
+             * Randomize each delay between 50% and 100% of its value
+             */
+            jitter?: boolean;
+            /**
+             * Whether an error should be retried, defaults to `error.retryable`
+             */
+            retryOn?: (arg0: ClaudeError) => boolean;
+        };
+        organization?: string;
+        storage?: MemoryStorage | JSONFileStorage | SQLiteStorage;
+        offline?: boolean;
+        contextCheck?: false | "warn" | "error";
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        middleware?: ((context: {
+            /**
+             * The API endpoint, e.g. "/api/organizations"
+             */
+            endpoint: string;
+            /**
+             * The full URL (after the proxy)
+             */
+            url: string;
+            /**
+             * The fetch options, middleware can change these (e.g. to add headers)
+             */
+            options: any;
+            /**
+             * The attempt number, starting at 1 (see the retry option)
+             */
+            attempt: number;
+        }, next: (arg0: {
+            /**
+             * The API endpoint, e.g. "/api/organizations"
+             */
+            endpoint: string;
+            /**
+             * The full URL (after the proxy)
+             */
+            url: string;
+            /**
+             * The fetch options, middleware can change these (e.g. to add headers)
+             */
+            options: any;
+            /**
+             * The attempt number, starting at 1 (see the retry option)
+             */
+            attempt: number;
+        } | undefined) => Promise<Response>) => Promise<Response>)[];
+        headers?: {
+            [x: string]: string;
+        };
+        cookies?: CookieJar | {
+            [x: string]: string;
+        };
     });
     ready: boolean;
+    store: ConversationStore;
+    offline: boolean;
+    retryPolicy: {
+        /**
+         * The maximum number of attempts (including the first one)
+         */
+        attempts?: number;
+        /**
+         * The delay before the first retry in milliseconds
+         */
+        delay?: number;
+        /**
+         * The delay is multiplied by this after each attempt
+         */
+        factor?: number;
+        /**
+         * The maximum delay, errors that say to wait longer than this (like an exceeded message limit) aren't retried
+         */
+        maxDelay?: number;
+        /**
+         * Randomize each delay between 50% and 100% of its value
+         */
+        jitter?: boolean;
+        /**
+         * Whether an error should be retried, defaults to `error.retryable`
+         */
+        retryOn?: (arg0: ClaudeError) => boolean;
+    };
+    contextCheck: false | "error" | "warn";
+    autoContinue: {
+        /**
+         * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+         */
+        threshold?: number;
+        /**
+         * The message asking Claude to summarize the conversation
+         */
+        prompt?: string;
+        /**
+         * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+         */
+        attachments?: (arg0: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[], arg1: number) => {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+    };
+    /**
+     * The message limit from the most recent response, null until a message has been sent
+     * @type {MessageLimit | null}
+     */
+    messageLimit: {
+        /**
+         * The type of message limit, e.g. "within_limit", "approaching_limit" or "exceeded_limit"
+         */
+        type: string;
+        /**
+         * When the limit resets (if sent by claude.ai)
+         */
+        resetsAt: Date | null;
+    } | null;
     proxy: Function;
     fetch: Function;
-    sessionKey: string;
+    /**
+     * Headers sent with every request, request specific headers take precedence
+     * @type {Object<string, string>}
+     */
+    headers: {
+        [x: string]: string;
+    };
+    /**
+     * The cookies sent with every request, including the session key. Cookies set by claude.ai are added to it
+     * @type {CookieJar}
+     */
+    cookies: CookieJar;
+    set sessionKey(sessionKey: string);
+    /**
+     * The session key, changing it (e.g. after a `sessionExpired` event) is used for the next request
+     * @type {string}
+     */
+    get sessionKey(): string;
+    /**
+     * Whether the last request was rejected because of the session (401 or 403), or claude.ai removed the session cookie
+     * @type {boolean}
+     */
+    get sessionExpired(): boolean;
     /**
      * Get available Claude models.
      * @returns {string[]} Array of model names
@@ -44,6 +302,85 @@ export class Claude {
      * @returns {number} Total token count
      */
     totalTokens(model?: string): number;
+    /**
+     * Estimate how many tokens text, attachments or messages take up. This is an approximation (claude.ai doesn't expose its tokenizer), expect it to be off by 10-20%.
+     * @param {...(String | Attachment | Message | Array)} inputs - Text, attachments (their extracted_content) or messages (their text and attachments)
+     * @returns {number} The estimated number of tokens
+     * @example
+     * claude.countTokens("What's in this file?", attachment); // 1234
+     */
+    countTokens(...inputs: (string | {
+        /**
+         * The file name
+         */
+        file_name: string;
+        /**
+         * The file's mime type
+         */
+        file_type: string;
+        /**
+         * The file size in bytes
+         */
+        file_size: number;
+        /**
+         * The contents of the file that were extracted
+         */
+        extracted_content: string;
+        /**
+         * The total pages of the document
+         */
+        totalPages?: number | null;
+    } | {
+        /**
+         * The message UUID
+         */
+        uuid: any;
+        /**
+         * The message text
+         */
+        text: string;
+        /**
+         * The message created at
+         */
+        created_at: string;
+        /**
+         * The message updated at
+         */
+        updated_at: string;
+        /**
+         * When the message was last edited (no editing support via api/web client)
+         */
+        edited_at: string | null;
+        /**
+         * Feedback
+         */
+        chat_feedback: Any | null;
+        /**
+         * The attachments
+         */
+        attachments: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+    } | any[])[]): number;
     /**
      * Get the default Claude model.
      * @returns {string} Default model name
@@ -53,6 +390,7 @@ export class Claude {
      * A partial or total completion for a message.
      * @typedef MessageStreamChunk
      * @property {String} completion The markdown text completion for this response
+     * @property {String} delta The text added to `completion` since the previous chunk
      * @property {String | null} stop_reason The reason for the response stop (if any)
      * @property {String} model The model used
      * @property {String} stop The string at which Claude stopped responding at, e.g. "\n\nHuman:"
@@ -60,12 +398,35 @@ export class Claude {
      * @property {Object} messageLimit If you're within the message limit
      * @param {String} messageLimit.type The type of message limit ("within_limit")
      */
+    /**
+     * The message limit state, taken from the `messageLimit` of message stream chunks.
+     * @typedef MessageLimit
+     * @property {String} type The type of message limit, e.g. "within_limit", "approaching_limit" or "exceeded_limit"
+     * @property {Date | null} resetsAt When the limit resets (if sent by claude.ai)
+     */
+    /**
+     * When and how to retry failed requests. Requests that aren't idempotent (like creating a conversation) are never retried, interrupted messages are regenerated with retry_message.
+     * @typedef RetryPolicy
+     * @property {Number} [attempts=3] The maximum number of attempts (including the first one)
+     * @property {Number} [delay=1000] The delay before the first retry in milliseconds
+     * @property {Number} [factor=2] The delay is multiplied by this after each attempt
+     * @property {Number} [maxDelay=30000] The maximum delay, errors that say to wait longer than this (like an exceeded message limit) aren't retried
+     * @property {Boolean} [jitter=true] Randomize each delay between 50% and 100% of its value
+     * @property {function(ClaudeError): boolean} [retryOn] Whether an error should be retried, defaults to `error.retryable`
+     */
+    /**
+     * When and how to move a long conversation to a new one.
+     * @typedef AutoContinuePolicy
+     * @property {Number} [threshold=0.8] Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+     * @property {String} [prompt] The message asking Claude to summarize the conversation
+     * @property {function(Attachment[], number): Attachment[]} [attachments] Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+     */
     /**
      * Send a message to a new or existing conversation.
      * @param {string} message - Initial message
      * @param {SendMessageParams} [params] - Additional parameters
      * @param {string} [params.conversation] - Existing conversation ID
-     * @param {boolean} [params.temporary=true] - Delete after getting response
+     * @param {boolean} [params.temporary=true] - Delete after getting response (even if it fails)
      * @returns {Promise<MessageStreamChunk>} Result message
      */
     sendMessage(message: string, { conversation, temporary, ...params }?: {
@@ -110,6 +471,10 @@ export class Claude {
              * The markdown text completion for this response
              */
             completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
             /**
              * The reason for the response stop (if any)
              */
@@ -139,6 +504,10 @@ export class Claude {
              * The markdown text completion for this response
              */
             completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
             /**
              * The reason for the response stop (if any)
              */
@@ -160,11 +529,94 @@ export class Claude {
              */
             messageLimit: any;
         }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
     }): Promise<{
         /**
          * The markdown text completion for this response
          */
         completion: string;
+        /**
+         * The text added to `completion` since the previous chunk
+         */
+        delta: string;
         /**
          * The reason for the response stop (if any)
          */
@@ -187,134 +639,205 @@ export class Claude {
         messageLimit: any;
     }>;
     /**
-     * Make an API request.
-     * @param {string} endpoint - API endpoint
-     * @param {Object} options - Request options
-     * @returns {Promise<Response>} Fetch response
+     * Send a message to a new or existing conversation and get the response as a stream of the text it adds, see Conversation.textStream
+     * @param {string} message - The message
+     * @param {SendMessageParams} [params] - Additional parameters
+     * @param {string} [params.conversation] - Existing conversation ID
+     * @param {boolean} [params.temporary=true] - Delete the new conversation once the stream ends (or errors or is cancelled), it's kept untitled otherwise
+     * @returns {ReadableStream<String>} The new text of each chunk of the response
      * @example
-     * await claude.request('/api/organizations').then(r => r.json())
+     * await claude.textStream('Write a poem').pipeTo(Writable.toWeb(process.stdout));
      */
-    request(endpoint: string, options: any): Promise<Response>;
-    /**
-     * Initialize the client.
-     * @async
-     * @returns {Promise<void>} Void
-     */
-    init(): Promise<void>;
-    organizationId: string;
-    recent_conversations: {
-        /**
-         * The conversation ID
-         */
-        conversationId: string;
-        /**
-         * The conversation name
-         */
-        name: string;
+    textStream(message: string, { conversation, temporary, ...params }?: {
         /**
-         * The conversation summary (usually empty)
+         * Whether to retry the most recent message in the conversation instead of sending a new one
          */
-        summary: string;
+        retry?: boolean;
         /**
-         * The conversation created at
+         * The timezone
          */
-        created_at: string;
+        timezone?: string;
         /**
-         * The conversation updated at
+         * Attachments
          */
-        updated_at: string;
-    }[];
-    /**
-     * An organization
-     * @typedef Organization
-     * @property {String} join_token A token
-     * @property {String} name The organization name
-     * @property {String} uuid The organization UUID
-     * @property {String} created_at The organization creation date
-     * @property {String} updated_at The organization update date
-     * @property {String[]} capabilities What the organization can do
-     * @property {Object} settings The organization's settings
-     * @property {Array} active_flags Organization's flags (none that I've found)
-     */
-    /**
-     * Get the organizations list.
-     * @async
-     * @returns {Promise<Organization[]>} A list of organizations
-     * @example
-     * await claude.getOrganizations().then(organizations => {
-     *  console.log('Users organization name is:', organizations[0].name)
-     * })
-     */
-    getOrganizations(): Promise<{
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
         /**
-         * A token
+         * Callback when done receiving the message response
          */
-        join_token: string;
+        done?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
         /**
-         * The organization name
+         * Callback on message response progress
          */
-        name: string;
+        progress?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
         /**
-         * The organization UUID
+         * Signal to abort the request and stop reading the response
          */
-        uuid: string;
+        signal?: AbortSignal;
         /**
-         * The organization creation date
+         * Abort if the whole response hasn't been received after this many milliseconds
          */
-        created_at: string;
+        timeout?: number;
         /**
-         * The organization update date
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
          */
-        updated_at: string;
+        contextCheck?: false | "warn" | "error";
         /**
-         * What the organization can do
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
          */
-        capabilities: string[];
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
         /**
-         * The organization's settings
+         * The organization to start a conversation in (startConversation only), defaults to the current one
          */
-        settings: any;
+        organization?: Organization | any | string;
         /**
-         * Organization's flags (none that I've found)
+         * Resolve with the partial response (instead of rejecting) when aborted
          */
-        active_flags: any[];
-    }[]>;
-    /**
-     * Delete all conversations
-     * @async
-     * @returns {Promise<Response[]>} An array of responses for the DELETE requests
-     * @example
-     * await claude.clearConversations();
-     * console.assert(await claude.getConversations().length === 0);
-     */
-    clearConversations(): Promise<Response[]>;
-    /**
-     * @callback doneCallback
-     * @param {MessageStreamChunk} a The completed response
-     */
-    /**
-     * @callback progressCallback
-     * @param {MessageStreamChunk} a The response in progress
-     */
-    /**
-     * @typedef SendMessageParams
-     * @property {Boolean} [retry=false] Whether to retry the most recent message in the conversation instead of sending a new one
-     * @property {String} [timezone="America/New_York"] The timezone
-     * @property {Attachment[]} [attachments=[]] Attachments
-     * @property {doneCallback} [done] Callback when done receiving the message response
-     * @property {progressCallback} [progress] Callback on message response progress
-     */
+        keepPartial?: boolean;
+    }): ReadableStream<string>;
     /**
-     * Start a new conversation
-     * @param {String} message The message to send to start the conversation
-     * @param {SendMessageParams} [params={}] Message params passed to Conversation.sendMessage
-     * @returns {Promise<Conversation>}
+     * Like `textStream`, as a Node.js Readable (Node only)
      * @async
+     * @param {string} message - The message
+     * @param {SendMessageParams} [params] - Additional parameters, as for `textStream`
+     * @returns {Promise<Readable>} A Readable of UTF-8 strings, destroying it stops the response
      * @example
-     * const conversation = await claude.startConversation("Hello! How are you?")
-     * console.log(await conversation.getInfo());
+     * http.createServer(async (req, res) => (await claude.nodeStream('Hello')).pipe(res));
      */
-    startConversation(message: string, params?: {
+    nodeStream(message: string, params?: {
         /**
          * Whether to retry the most recent message in the conversation instead of sending a new one
          */
@@ -356,6 +879,10 @@ export class Claude {
              * The markdown text completion for this response
              */
             completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
             /**
              * The reason for the response stop (if any)
              */
@@ -385,6 +912,10 @@ export class Claude {
              * The markdown text completion for this response
              */
             completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
             /**
              * The reason for the response stop (if any)
              */
@@ -406,174 +937,419 @@ export class Claude {
              */
             messageLimit: any;
         }) => any;
-    }): Promise<{
         /**
-         * The conversation ID
+         * Signal to abort the request and stop reading the response
          */
-        conversationId: string;
+        signal?: AbortSignal;
         /**
-         * The conversation name
+         * Abort if the whole response hasn't been received after this many milliseconds
          */
-        name: string;
+        timeout?: number;
         /**
-         * The conversation summary (usually empty)
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
          */
-        summary: string;
+        contextCheck?: false | "warn" | "error";
         /**
-         * The conversation created at
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
          */
-        created_at: string;
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
         /**
-         * The conversation updated at
+         * The organization to start a conversation in (startConversation only), defaults to the current one
          */
-        updated_at: string;
-    }>;
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
+    }): Promise<any>;
     /**
-     * Get a conversation by its ID
-     * @param {UUID} id The uuid of the conversation (Conversation.uuid or Conversation.conversationId)
-     * @async
-     * @returns {Conversation | null} The conversation
+     * A request as seen by middleware and the "request" event
+     * @typedef RequestContext
+     * @property {String} endpoint The API endpoint, e.g. "/api/organizations"
+     * @property {String} url The full URL (after the proxy)
+     * @property {Object} options The fetch options, middleware can change these (e.g. to add headers)
+     * @property {Number} attempt The attempt number, starting at 1 (see the retry option)
+     */
+    /**
+     * Wraps every fetch call. Call `next` to continue with the request (passing a different context if you like) and return its response, or return a different Response
+     * @callback Middleware
+     * @param {RequestContext} context The request
+     * @param {function(RequestContext=): Promise<Response>} next Calls the next middleware, and then fetch
+     * @returns {Promise<Response>} The response
+     */
+    /**
+     * Add a middleware, they run in the order they were added on every attempt of every request
+     * @param {Middleware} middleware The middleware
+     * @returns {Claude} This instance, for chaining
      * @example
-     * const conversation = await claude.getConversation("222aa20a-bc79-48d2-8f6d-c819a1b5eaed");
+     * claude.use(async (context, next) => {
+     *   context.options.headers = { ...context.options.headers, 'x-request-id': crypto.randomUUID() };
+     *   const started = Date.now();
+     *   const response = await next();
+     *   console.log(context.endpoint, response.status, Date.now() - started, 'ms');
+     *   return response;
+     * });
      */
-    getConversation(id: any): {
+    use(middleware: (context: {
         /**
-         * The conversation ID
+         * The API endpoint, e.g. "/api/organizations"
          */
-        conversationId: string;
+        endpoint: string;
         /**
-         * The conversation name
+         * The full URL (after the proxy)
          */
-        name: string;
+        url: string;
         /**
-         * The conversation summary (usually empty)
+         * The fetch options, middleware can change these (e.g. to add headers)
          */
-        summary: string;
+        options: any;
         /**
-         * The conversation created at
+         * The attempt number, starting at 1 (see the retry option)
          */
-        created_at: string;
+        attempt: number;
+    }, next: (arg0: {
         /**
-         * The conversation updated at
+         * The API endpoint, e.g. "/api/organizations"
          */
-        updated_at: string;
-    };
+        endpoint: string;
+        /**
+         * The full URL (after the proxy)
+         */
+        url: string;
+        /**
+         * The fetch options, middleware can change these (e.g. to add headers)
+         */
+        options: any;
+        /**
+         * The attempt number, starting at 1 (see the retry option)
+         */
+        attempt: number;
+    } | undefined) => Promise<Response>) => Promise<Response>): Claude;
     /**
-     * Get all conversations
-     * @async
-     * @returns {Promise<Conversation[]>} A list of conversations
+     * Listen to an event
+     * - `request` (context: RequestContext) - Before each fetch, after middleware
+     * - `response` (response: Response, context: RequestContext) - After each fetch, whatever the status
+     * - `chunk` (chunk: MessageStreamChunk, conversation: Conversation) - Each chunk of a message response
+     * - `done` (chunk: MessageStreamChunk, conversation: Conversation) - The last chunk of a message response
+     * - `error` (error: ClaudeError, details: {endpoint: String, conversation?: Conversation}) - A request or message response failed
+     * - `conversationCreated` (conversation: Conversation) - A conversation was created
+     * - `conversationDeleted` (conversation: Conversation) - A conversation was deleted
+     * - `toolCall` (call: ToolCall, conversation: Conversation) - A tool was called by sendWithTools
+     * - `sessionExpired` (error: AuthenticationError) - A request was rejected because of the session, or claude.ai removed the session cookie. Emitted once until a request succeeds or `sessionKey` is changed
+     * @param {String} event The event name
+     * @param {Function} listener Called with the event's arguments
+     * @returns {Claude} This instance, for chaining
      * @example
-     * console.log(`You have ${await claude.getConversations().length} conversations:`);
+     * claude.on('chunk', (chunk) => process.stdout.write(chunk.delta));
      */
-    getConversations(): Promise<{
-        /**
-         * The conversation ID
-         */
-        conversationId: string;
+    on(event: string, listener: Function): Claude;
+    /**
+     * Listen to the next occurrence of an event, see `on()`
+     * @param {String} event The event name
+     * @param {Function} listener Called with the event's arguments
+     * @returns {Claude} This instance, for chaining
+     */
+    once(event: string, listener: Function): Claude;
+    /**
+     * Stop listening to an event
+     * @param {String} event The event name
+     * @param {Function} listener The listener passed to `on()` or `once()`
+     * @returns {Claude} This instance, for chaining
+     */
+    off(event: string, listener: Function): Claude;
+    /**
+     * Call an event's listeners
+     * @param {String} event The event name
+     * @param {...any} args The event's arguments
+     * @returns {Boolean} Whether there were any listeners
+     */
+    emit(event: string, ...args: any[]): boolean;
+    /**
+     * A tool Claude can use, see Conversation.sendWithTools
+     * @typedef Tool
+     * @property {String} name The name Claude calls it by (letters, numbers, _ and -)
+     * @property {String} description What it does and when to use it
+     * @property {Object} [parameters] A JSON Schema for its arguments (an object), see validateSchema
+     * @property {function(Object, {conversation: Conversation, signal?: AbortSignal}): any} handler Runs the tool with the arguments, returns (or resolves to) the result. Strings are sent as they are, anything else as JSON
+     */
+    /**
+     * Register a tool for Conversation.sendWithTools
+     * @param {Tool} tool The tool, replaces any tool with the same name
+     * @returns {Claude} This instance, for chaining
+     * @example
+     * claude.registerTool({
+     *   name: 'calculate',
+     *   description: 'Evaluate an arithmetic expression',
+     *   parameters: { type: 'object', properties: { expression: { type: 'string' } }, required: ['expression'] },
+     *   handler: ({ expression }) => evaluate(expression),
+     * });
+     */
+    registerTool(tool: {
         /**
-         * The conversation name
+         * The name Claude calls it by (letters, numbers, _ and -)
          */
         name: string;
         /**
-         * The conversation summary (usually empty)
+         * What it does and when to use it
          */
-        summary: string;
+        description: string;
         /**
-         * The conversation created at
+         * A JSON Schema for its arguments (an object), see validateSchema
          */
-        created_at: string;
+        parameters?: any;
         /**
-         * The conversation updated at
+         * Runs the tool with the arguments, returns (or resolves to) the result. Strings are sent as they are, anything else as JSON
          */
-        updated_at: string;
-    }[]>;
+        handler: (arg0: any, arg1: {
+            conversation: {
+                /**
+                 * The conversation ID
+                 */
+                conversationId: string;
+                /**
+                 * The conversation name
+                 */
+                name: string;
+                /**
+                 * The conversation summary (usually empty)
+                 */
+                summary: string;
+                /**
+                 * The conversation created at
+                 */
+                created_at: string;
+                /**
+                 * The conversation updated at
+                 */
+                updated_at: string;
+            };
+            signal?: AbortSignal;
+        }) => any;
+    }): Claude;
     /**
-     * The response from uploading a file (an attachment)
-     * @typedef Attachment
-     * @property {String} file_name The file name
-     * @property {String} file_type The file's mime type
-     * @property {Number} file_size The file size in bytes
-     * @property {String} extracted_content The contents of the file that were extracted
-     * @property {Number | null} [totalPages] The total pages of the document
+     * Remove a registered tool
+     * @param {String} name The tool's name
+     * @returns {Boolean} Whether there was a tool with that name
      */
+    unregisterTool(name: string): boolean;
     /**
-     * Extract the contents of a file
-     * @param {File} file A JS File (like) object to upload.
-     * @async
-     * @returns {Promise<Attachment>}
-     * @example
-     * const file = await claude.uploadFile(
-     *     new File(["test"], "test.txt", { type: "text/plain" }
-     * );
-     * console.log(await claude.sendMessage("What's the contents of test.txt?", {
-     *  attachments: [file]
-     * }))
+     * The registered tools
+     * @type {Tool[]}
      */
-    uploadFile(file: File): Promise<{
-        /**
-         * The file name
-         */
-        file_name: string;
+    get tools(): {
         /**
-         * The file's mime type
+         * The name Claude calls it by (letters, numbers, _ and -)
          */
-        file_type: string;
+        name: string;
         /**
-         * The file size in bytes
+         * What it does and when to use it
          */
-        file_size: number;
+        description: string;
         /**
-         * The contents of the file that were extracted
+         * A JSON Schema for its arguments (an object), see validateSchema
          */
-        extracted_content: string;
+        parameters?: any;
         /**
-         * The total pages of the document
+         * Runs the tool with the arguments, returns (or resolves to) the result. Strings are sent as they are, anything else as JSON
          */
-        totalPages?: number | null;
-    }>;
-}
-/**
- * A Claude conversation instance.
- * @class
- * @classdesc Represents an active Claude conversation.
- */
-export class Conversation {
+        handler: (arg0: any, arg1: {
+            conversation: {
+                /**
+                 * The conversation ID
+                 */
+                conversationId: string;
+                /**
+                 * The conversation name
+                 */
+                name: string;
+                /**
+                 * The conversation summary (usually empty)
+                 */
+                summary: string;
+                /**
+                 * The conversation created at
+                 */
+                created_at: string;
+                /**
+                 * The conversation updated at
+                 */
+                updated_at: string;
+            };
+            signal?: AbortSignal;
+        }) => any;
+    }[];
     /**
-     * @typedef Conversation
-     * @property {String} conversationId The conversation ID
-     * @property {String} name The conversation name
-     * @property {String} summary The conversation summary (usually empty)
-     * @property {String} created_at The conversation created at
-     * @property {String} updated_at The conversation updated at
+     * Make an API request.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options (passed to fetch)
+     * @param {AbortSignal} [options.signal] - Signal to abort the request
+     * @param {Number} [options.timeout] - Abort the request if there's no response after this many milliseconds (reading the body isn't covered)
+     * @param {Boolean} [options.idempotent] - Whether the request can be retried, defaults to true for GET, HEAD, OPTIONS, PUT and DELETE requests
+     * @returns {Promise<Response>} Fetch response
+     * @throws {AbortError} If the request was aborted (TimeoutError if it timed out)
+     * @throws {NetworkError} If the request couldn't be made (or the client is offline)
+     * @throws {ClaudeError} If the response has an error status (AuthenticationError, NotFoundError, RateLimitError, ServerError)
+     * @example
+     * await claude.request('/api/organizations').then(r => r.json())
      */
+    request(endpoint: string, options: {
+        signal?: AbortSignal;
+        timeout?: number;
+        idempotent?: boolean;
+    }): Promise<Response>;
     /**
-     * Create a Conversation instance.
-     * @param {Claude} claude - Claude client instance
-     * @param {Object} options - Options
-     * @param {String} options.conversationId - Conversation ID
-     * @param {String} [options.name] - Conversation name
-     * @param {String} [options.summary] - Conversation summary
-     * @param {String} [options.created_at] - Conversation created at
-     * @param {String} [options.updated_at] - Conversation updated at
-     * @param {String} [options.model] - Claude model
+     * Initialize the client.
+     * @async
+     * @returns {Promise<void>} Void
+     * @throws {NotFoundError} If the `organization` passed to the constructor doesn't exist
      */
-    constructor(claude: Claude, { model, conversationId, name, summary, created_at, updated_at }: {
-        conversationId: string;
-        name?: string;
-        summary?: string;
-        created_at?: string;
-        updated_at?: string;
-        model?: string;
-    });
-    claude: Claude;
-    conversationId: string;
-    request: (endpoint: string, options: any) => Promise<Response>;
-    model: string;
+    init(): Promise<void>;
     /**
-     * Convert the conversation to a JSON object
-     * @returns {Conversation} The serializable object
+     * The account the session key belongs to
+     * @typedef Account
+     * @property {UUID} uuid The account UUID
+     * @property {String} email_address The email address
+     * @property {String} full_name The name
+     * @property {Object[]} memberships The organizations the account is in, with the account's role in each
      */
-    toJSON(): {
+    /**
+     * Get the account the session key belongs to. Always makes a request, even with `storage`.
+     * @async
+     * @param {Object} [options] Options
+     * @param {AbortSignal} [options.signal] Signal to abort the request
+     * @param {Number} [options.timeout] Abort after this many milliseconds
+     * @returns {Promise<Account>} The account
+     * @throws {AuthenticationError} If the session key is invalid or expired
+     * @example
+     * const { email_address } = await claude.whoami();
+     */
+    whoami({ signal, timeout }?: {
+        signal?: AbortSignal;
+        timeout?: number;
+    }): Promise<{
+        /**
+         * The account UUID
+         */
+        uuid: any;
+        /**
+         * The email address
+         */
+        email_address: string;
+        /**
+         * The name
+         */
+        full_name: string;
+        /**
+         * The organizations the account is in, with the account's role in each
+         */
+        memberships: any[];
+    }>;
+    /**
+     * Check whether the session key works, without throwing if it doesn't
+     * @async
+     * @param {Object} [options] Options, see `whoami()`
+     * @returns {Promise<{valid: Boolean, account: Account | null, error: AuthenticationError | null}>}
+     * @throws {ClaudeError} If the session couldn't be checked (e.g. a NetworkError)
+     * @example
+     * const { valid } = await claude.validateSession();
+     * if (!valid) {
+     *   claude.sessionKey = await refreshKey();
+     * }
+     */
+    validateSession(options?: any): Promise<{
+        valid: boolean;
+        account: {
+            /**
+             * The account UUID
+             */
+            uuid: any;
+            /**
+             * The email address
+             */
+            email_address: string;
+            /**
+             * The name
+             */
+            full_name: string;
+            /**
+             * The organizations the account is in, with the account's role in each
+             */
+            memberships: any[];
+        } | null;
+        error: AuthenticationError | null;
+    }>;
+    /**
+     * The organization conversations are created in, null before `init()`
+     * @type {Organization | null}
+     */
+    get organization(): Organization | null;
+    /**
+     * Switch to another organization. New conversations are created in this organization, existing Conversation instances stay in theirs.
+     * @async
+     * @param {Organization | UUID | String} organization The organization, its UUID or its name
+     * @returns {Promise<Organization>} The organization
+     * @throws {NotFoundError} If there's no organization with that UUID or name
+     * @example
+     * await claude.useOrganization("Work");
+     */
+    useOrganization(organization: Organization | any | string): Promise<Organization>;
+    organizationId: any;
+    recent_conversations: {
         /**
          * The conversation ID
          */
@@ -594,13 +1370,68 @@ export class Conversation {
          * The conversation updated at
          */
         updated_at: string;
-    };
+    }[];
     /**
-     * Retry the last message in the conversation
-     * @param {SendMessageParams} [params={}]
-     * @returns {Promise<MessageStreamChunk>}
+     * Get the organizations list.
+     * @async
+     * @returns {Promise<Organization[]>} A list of organizations
+     * @example
+     * await claude.getOrganizations().then(organizations => {
+     *  console.log('Users organization name is:', organizations[0].name)
+     * })
      */
-    retry(params?: {
+    getOrganizations(): Promise<Organization[]>;
+    /**
+     * The organizations from the last getOrganizations() call
+     * @type {Organization[]}
+     */
+    organizations: Organization[];
+    /**
+     * Delete all conversations
+     * @async
+     * @param {Object} [options] Options
+     * @param {Organization | UUID | String} [options.organization] Clear this organization's conversations instead of the current one's
+     * @returns {Promise<Response[]>} An array of responses for the DELETE requests
+     * @example
+     * await claude.clearConversations();
+     * console.assert(await claude.getConversations().length === 0);
+     */
+    clearConversations({ organization }?: {
+        organization?: Organization | any | string;
+    }): Promise<Response[]>;
+    /**
+     * @callback doneCallback
+     * @param {MessageStreamChunk} a The completed response
+     */
+    /**
+     * @callback progressCallback
+     * @param {MessageStreamChunk} a The response in progress
+     */
+    /**
+     * @typedef SendMessageParams
+     * @property {Boolean} [retry=false] Whether to retry the most recent message in the conversation instead of sending a new one
+     * @property {String} [timezone="America/New_York"] The timezone
+     * @property {Attachment[]} [attachments=[]] Attachments
+     * @property {doneCallback} [done] Callback when done receiving the message response
+     * @property {progressCallback} [progress] Callback on message response progress
+     * @property {AbortSignal} [signal] Signal to abort the request and stop reading the response
+     * @property {Number} [timeout] Abort if the whole response hasn't been received after this many milliseconds
+     * @property {false | "warn" | "error"} [contextCheck] Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+     * @property {boolean | AutoContinuePolicy} [autoContinue] Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+     * @property {Organization | UUID | String} [organization] The organization to start a conversation in (startConversation only), defaults to the current one
+     * @property {Boolean} [keepPartial=false] Resolve with the partial response (instead of rejecting) when aborted
+     */
+    /**
+     * Start a new conversation
+     * @param {String} message The message to send to start the conversation
+     * @param {SendMessageParams} [params={}] Message params passed to Conversation.sendMessage
+     * @returns {Promise<Conversation>}
+     * @async
+     * @example
+     * const conversation = await claude.startConversation("Hello! How are you?")
+     * console.log(await conversation.getInfo());
+     */
+    startConversation(message: string, params?: {
         /**
          * Whether to retry the most recent message in the conversation instead of sending a new one
          */
@@ -632,7 +1463,7 @@ export class Conversation {
             /**
              * The total pages of the document
              */
-            totalPages?: number;
+            totalPages?: number | null;
         }[];
         /**
          * Callback when done receiving the message response
@@ -642,10 +1473,14 @@ export class Conversation {
              * The markdown text completion for this response
              */
             completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
             /**
              * The reason for the response stop (if any)
              */
-            stop_reason: string;
+            stop_reason: string | null;
             /**
              * The model used
              */
@@ -671,10 +1506,14 @@ export class Conversation {
              * The markdown text completion for this response
              */
             completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
             /**
              * The reason for the response stop (if any)
              */
-            stop_reason: string;
+            stop_reason: string | null;
             /**
              * The model used
              */
@@ -692,40 +1531,4813 @@ export class Conversation {
              */
             messageLimit: any;
         }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
+    }): Promise<{
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    }>;
+    /**
+     * Get a conversation by its ID
+     * @param {UUID} id The uuid of the conversation (Conversation.uuid or Conversation.conversationId)
+     * @param {Object} [options] Options
+     * @param {Organization | UUID | String} [options.organization] The organization the conversation is in, defaults to the current one
+     * @async
+     * @returns {Conversation | null} The conversation
+     * @example
+     * const conversation = await claude.getConversation("222aa20a-bc79-48d2-8f6d-c819a1b5eaed");
+     */
+    getConversation(id: any, { organization }?: {
+        organization?: Organization | any | string;
+    }): {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    } | null;
+    /**
+     * Get all conversations
+     * @async
+     * @param {Object} [options] Options
+     * @param {Organization | UUID | String} [options.organization] Get this organization's conversations instead of the current one's
+     * @returns {Promise<Conversation[]>} A list of conversations
+     * @example
+     * console.log(`You have ${await claude.getConversations().length} conversations:`);
+     */
+    getConversations({ organization }?: {
+        organization?: Organization | any | string;
+    }): Promise<{
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    }[]>;
+    /**
+     * The result of syncing the local storage
+     * @typedef SyncResult
+     * @property {Conversation[]} updated Conversations that were new or changed, and have been refetched
+     * @property {Conversation[]} unchanged Conversations that were already up to date
+     * @property {UUID[]} removed IDs of conversations that were deleted on claude.ai and removed from storage
+     */
+    /**
+     * Bring the local storage up to date, only fetching the messages of conversations whose `updated_at` has changed
+     * @async
+     * @param {Object} [options] Options
+     * @param {Organization | UUID | String} [options.organization] Sync this organization instead of the current one
+     * @returns {Promise<SyncResult>}
+     * @example
+     * const claude = new Claude({ sessionKey, storage: new JSONFileStorage('claude.json') });
+     * await claude.init();
+     * const { updated } = await claude.sync();
+     * console.log(`Fetched ${updated.length} changed conversations`);
+     */
+    sync({ organization }?: {
+        organization?: Organization | any | string;
     }): Promise<{
         /**
-         * The markdown text completion for this response
+         * Conversations that were new or changed, and have been refetched
+         */
+        updated: {
+            /**
+             * The conversation ID
+             */
+            conversationId: string;
+            /**
+             * The conversation name
+             */
+            name: string;
+            /**
+             * The conversation summary (usually empty)
+             */
+            summary: string;
+            /**
+             * The conversation created at
+             */
+            created_at: string;
+            /**
+             * The conversation updated at
+             */
+            updated_at: string;
+        }[];
+        /**
+         * Conversations that were already up to date
+         */
+        unchanged: {
+            /**
+             * The conversation ID
+             */
+            conversationId: string;
+            /**
+             * The conversation name
+             */
+            name: string;
+            /**
+             * The conversation summary (usually empty)
+             */
+            summary: string;
+            /**
+             * The conversation created at
+             */
+            created_at: string;
+            /**
+             * The conversation updated at
+             */
+            updated_at: string;
+        }[];
+        /**
+         * IDs of conversations that were deleted on claude.ai and removed from storage
+         */
+        removed: any[];
+    }>;
+    /**
+     * A message that matched a search
+     * @typedef SearchMatch
+     * @property {Message} message The message
+     * @property {"text" | "attachment"} source Whether the query matched the message text or one of its attachments
+     * @property {String | null} file_name The attachment's file name (if source is "attachment")
+     * @property {String} snippet The text around the first match, e.g. "...the answer is 42 because..."
+     * @property {Number} score How well this message matched
+     */
+    /**
+     * A conversation that matched a search
+     * @typedef SearchResult
+     * @property {Conversation} conversation The conversation
+     * @property {Number} score How well the conversation matched, results are sorted by this
+     * @property {SearchMatch[]} matches The matching messages, best first
+     */
+    /**
+     * Search conversations by the text of their messages and attachments. This fetches every conversation in the date range, so pass the `storage` option to the constructor when searching often.
+     * @async
+     * @param {Object} [options] Search options
+     * @param {String} [options.query] Words to search for, every word has to be in the conversation (case insensitive). Without a query every conversation matching the other filters is returned
+     * @param {Date | String | Number} [options.from] Only search messages created at or after this
+     * @param {Date | String | Number} [options.to] Only search messages created at or before this
+     * @param {String} [options.model] Only search conversations using this model
+     * @param {Boolean} [options.hasAttachments] Only search conversations with (true) or without (false) attachments
+     * @param {Number} [options.limit=20] The maximum number of results
+     * @param {Number} [options.offset=0] Skip this many results, for pagination
+     * @param {Organization | UUID | String} [options.organization] Search this organization instead of the current one
+     * @returns {Promise<{total: Number, results: SearchResult[]}>} The total number of matching conversations and the requested page of results
+     * @example
+     * const { results } = await claude.searchConversations({ query: 'sourdough recipe', from: '2023-06-01' });
+     * for (const { conversation, matches } of results) {
+     *   console.log(conversation.name, matches[0].snippet);
+     * }
+     */
+    searchConversations({ query, from, to, model, hasAttachments, limit, offset, organization }?: {
+        query?: string;
+        from?: Date | string | number;
+        to?: Date | string | number;
+        model?: string;
+        hasAttachments?: boolean;
+        limit?: number;
+        offset?: number;
+        organization?: Organization | any | string;
+    }): Promise<{
+        total: number;
+        results: {
+            /**
+             * The conversation
+             */
+            conversation: {
+                /**
+                 * The conversation ID
+                 */
+                conversationId: string;
+                /**
+                 * The conversation name
+                 */
+                name: string;
+                /**
+                 * The conversation summary (usually empty)
+                 */
+                summary: string;
+                /**
+                 * The conversation created at
+                 */
+                created_at: string;
+                /**
+                 * The conversation updated at
+                 */
+                updated_at: string;
+            };
+            /**
+             * How well the conversation matched, results are sorted by this
+             */
+            score: number;
+            /**
+             * The matching messages, best first
+             */
+            matches: {
+                /**
+                 * The message
+                 */
+                message: {
+                    /**
+                     * The message UUID
+                     */
+                    uuid: any;
+                    /**
+                     * The message text
+                     */
+                    text: string;
+                    /**
+                     * The message created at
+                     */
+                    created_at: string;
+                    /**
+                     * The message updated at
+                     */
+                    updated_at: string;
+                    /**
+                     * When the message was last edited (no editing support via api/web client)
+                     */
+                    edited_at: string | null;
+                    /**
+                     * Feedback
+                     */
+                    chat_feedback: Any | null;
+                    /**
+                     * The attachments
+                     */
+                    attachments: {
+                        /**
+                         * The file name
+                         */
+                        file_name: string;
+                        /**
+                         * The file's mime type
+                         */
+                        file_type: string;
+                        /**
+                         * The file size in bytes
+                         */
+                        file_size: number;
+                        /**
+                         * The contents of the file that were extracted
+                         */
+                        extracted_content: string;
+                        /**
+                         * The total pages of the document
+                         */
+                        totalPages?: number | null;
+                    }[];
+                };
+                /**
+                 * Whether the query matched the message text or one of its attachments
+                 */
+                source: "text" | "attachment";
+                /**
+                 * The attachment's file name (if source is "attachment")
+                 */
+                file_name: string | null;
+                /**
+                 * The text around the first match, e.g. "...the answer is 42 because..."
+                 */
+                snippet: string;
+                /**
+                 * How well this message matched
+                 */
+                score: number;
+            }[];
+        }[];
+    }>;
+    /**
+     * A prompt for batch
+     * @typedef BatchPrompt
+     * @property {String} message The message
+     * @property {String} [id] Identifies the prompt when resuming, defaults to its index
+     * @property {Attachment[]} [attachments] Attachments, added to the batch's attachments
+     * @property {String} [model] The model, defaults to the batch's model
+     */
+    /**
+     * The result of one prompt in a batch
+     * @typedef BatchResult
+     * @property {Number} index The prompt's index
+     * @property {String | Number} id The prompt's id (or index)
+     * @property {String} message The message
+     * @property {"fulfilled" | "rejected"} status Whether it worked
+     * @property {MessageStreamChunk | null} response The response (if it worked)
+     * @property {ClaudeError | {name: String, message: String, status: Number | null} | null} error Why it failed (a plain object when read from a results file)
+     * @property {UUID | null} conversationId The conversation, if `temporary` is false
+     */
+    /**
+     * Send many independent prompts, each in its own conversation, with a limited number running at once.
+     * A prompt failing doesn't stop the others, and conversations are deleted afterwards even if sending fails.
+     * @async
+     * @param {(String | BatchPrompt)[]} prompts The prompts
+     * @param {Object} [options] Options
+     * @param {Number} [options.concurrency=3] How many prompts to run at once
+     * @param {String} [options.model] The model to use
+     * @param {Attachment[]} [options.attachments] Attachments to send with every prompt
+     * @param {Boolean} [options.temporary=true] Delete each conversation after getting the response
+     * @param {function({completed: Number, failed: Number, total: Number, result: BatchResult}): void} [options.progress] Called after each prompt finishes
+     * @param {String} [options.resultsFile] Append each result to this JSON Lines file (Node only), and skip prompts it already has a successful result for, so an interrupted batch can be resumed
+     * @param {AbortSignal} [options.signal] Stops starting new prompts and aborts the running ones, rejecting with an AbortError
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage for every prompt
+     * @returns {Promise<BatchResult[]>} The results, in the same order as the prompts
+     * @example
+     * const results = await claude.batch(reviews.map(review => `Is this review positive or negative? ${review}`), {
+     *   concurrency: 5,
+     *   resultsFile: 'sentiment.jsonl',
+     *   progress: ({ completed, total }) => console.log(`${completed}/${total}`),
+     * });
+     */
+    batch(prompts: (string | {
+        /**
+         * The message
+         */
+        message: string;
+        /**
+         * Identifies the prompt when resuming, defaults to its index
+         */
+        id?: string;
+        /**
+         * Attachments, added to the batch's attachments
+         */
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        /**
+         * The model, defaults to the batch's model
+         */
+        model?: string;
+    })[], { concurrency, model, attachments, temporary, progress, resultsFile, signal, ...params }?: {
+        concurrency?: number;
+        model?: string;
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        temporary?: boolean;
+        progress?: (arg0: {
+            completed: number;
+            failed: number;
+            total: number;
+            result: {
+                /**
+                 * The prompt's index
+                 */
+                index: number;
+                /**
+                 * The prompt's id (or index)
+                 */
+                id: string | number;
+                /**
+                 * The message
+                 */
+                message: string;
+                /**
+                 * Whether it worked
+                 */
+                status: "fulfilled" | "rejected";
+                /**
+                 * The response (if it worked)
+                 */
+                response: {
+                    /**
+                     * The markdown text completion for this response
+                     */
+                    completion: string;
+                    /**
+                     * The text added to `completion` since the previous chunk
+                     */
+                    delta: string;
+                    /**
+                     * The reason for the response stop (if any)
+                     */
+                    stop_reason: string | null;
+                    /**
+                     * The model used
+                     */
+                    model: string;
+                    /**
+                     * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                     */
+                    stop: string;
+                    /**
+                     * A logging ID
+                     */
+                    log_id: string;
+                    /**
+                     * If you're within the message limit
+                     */
+                    messageLimit: any;
+                } | null;
+                /**
+                 * Why it failed (a plain object when read from a results file)
+                 */
+                error: ClaudeError | {
+                    name: string;
+                    message: string;
+                    status: number | null;
+                } | null;
+                /**
+                 * The conversation, if `temporary` is false
+                 */
+                conversationId: any | null;
+            };
+        }) => void;
+        resultsFile?: string;
+        signal?: AbortSignal;
+        params?: {
+            /**
+             * Whether to retry the most recent message in the conversation instead of sending a new one
+             */
+            retry?: boolean;
+            /**
+             * The timezone
+             */
+            timezone?: string;
+            /**
+             * Attachments
+             */
+            attachments?: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+            /**
+             * Callback when done receiving the message response
+             */
+            done?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Callback on message response progress
+             */
+            progress?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Signal to abort the request and stop reading the response
+             */
+            signal?: AbortSignal;
+            /**
+             * Abort if the whole response hasn't been received after this many milliseconds
+             */
+            timeout?: number;
+            /**
+             * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+             */
+            contextCheck?: false | "warn" | "error";
+            /**
+             * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+             */
+            autoContinue?: boolean | {
+                /**
+                 * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+                 */
+                threshold?: number;
+                /**
+                 * The message asking Claude to summarize the conversation
+                 */
+                prompt?: string;
+                /**
+                 * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+                 */
+                attachments?: (arg0: {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[], arg1: number) => {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[];
+            };
+            /**
+             * The organization to start a conversation in (startConversation only), defaults to the current one
+             */
+            organization?: Organization | any | string;
+            /**
+             * Resolve with the partial response (instead of rejecting) when aborted
+             */
+            keepPartial?: boolean;
+        };
+    }): Promise<{
+        /**
+         * The prompt's index
+         */
+        index: number;
+        /**
+         * The prompt's id (or index)
+         */
+        id: string | number;
+        /**
+         * The message
+         */
+        message: string;
+        /**
+         * Whether it worked
+         */
+        status: "fulfilled" | "rejected";
+        /**
+         * The response (if it worked)
+         */
+        response: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        } | null;
+        /**
+         * Why it failed (a plain object when read from a results file)
+         */
+        error: ClaudeError | {
+            name: string;
+            message: string;
+            status: number | null;
+        } | null;
+        /**
+         * The conversation, if `temporary` is false
+         */
+        conversationId: any | null;
+    }[]>;
+    /**
+     * A part of a document, from splitDocument
+     * @typedef DocumentChunk
+     * @property {Number} index The chunk's index
+     * @property {Number} start Where the chunk starts in the document's text (a character offset)
+     * @property {Number} end Where it ends (exclusive), chunks overlap so this can be after the next chunk's start
+     * @property {Number} tokens The chunk's estimated tokens
+     * @property {Attachment} attachment The chunk as an attachment, named e.g. "report.pdf (part 2 of 5)"
+     */
+    /**
+     * Split a document into chunks that fit in a model's context window. Chunks end at paragraph breaks where possible, then
+     * at line breaks, sentences or words, and each one starts with the end of the one before it so nothing is cut off without context.
+     * @param {Attachment | String} document The document (an attachment from uploadFile, or text)
+     * @param {Object} [options] Options
+     * @param {String} [options.model] The model, for its window size
+     * @param {Number} [options.chunkTokens] The most tokens in a chunk, defaults to 40% of the model's window
+     * @param {Number} [options.overlap=200] How many tokens of the previous chunk to repeat at the start of each chunk
+     * @returns {DocumentChunk[]} The chunks (one if the document already fits)
+     * @example
+     * const chunks = claude.splitDocument(attachment, { chunkTokens: 5000 });
+     * console.log(chunks.map(chunk => `${chunk.start}-${chunk.end}`));
+     */
+    splitDocument(document: {
+        /**
+         * The file name
+         */
+        file_name: string;
+        /**
+         * The file's mime type
+         */
+        file_type: string;
+        /**
+         * The file size in bytes
+         */
+        file_size: number;
+        /**
+         * The contents of the file that were extracted
+         */
+        extracted_content: string;
+        /**
+         * The total pages of the document
+         */
+        totalPages?: number | null;
+    } | string, { model, chunkTokens, overlap }?: {
+        model?: string;
+        chunkTokens?: number;
+        overlap?: number;
+    }): {
+        /**
+         * The chunk's index
+         */
+        index: number;
+        /**
+         * Where the chunk starts in the document's text (a character offset)
+         */
+        start: number;
+        /**
+         * Where it ends (exclusive), chunks overlap so this can be after the next chunk's start
+         */
+        end: number;
+        /**
+         * The chunk's estimated tokens
+         */
+        tokens: number;
+        /**
+         * The chunk as an attachment, named e.g. "report.pdf (part 2 of 5)"
+         */
+        attachment: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        };
+    }[];
+    /**
+     * The answer from one chunk of a document
+     * @typedef ChunkAnswer
+     * @property {Number} index The chunk's index
+     * @property {Number} start Where the chunk starts in the document's text
+     * @property {Number} end Where it ends (exclusive)
+     * @property {Number} tokens The chunk's estimated tokens
+     * @property {String} answer What Claude answered for this chunk (for "refine", the answer so far after reading it)
+     */
+    /**
+     * Ask about a document that may be too big for the context window. It's split with splitDocument and each chunk
+     * is sent in its own temporary conversation, then the answers are combined:
+     * - `"map-reduce"` asks about every chunk separately (in parallel) and then asks Claude to combine the answers, in several rounds if they don't fit in one message
+     * - `"refine"` goes through the chunks in order, asking Claude to improve its answer so far with each one. Slower, but later chunks see what was found before
+     *
+     * A document that fits in one chunk is sent with the message as it is.
+     * @async
+     * @param {String} message What to ask about the document
+     * @param {Attachment | String} document The document (an attachment from uploadFile, or text)
+     * @param {Object} [options] Options
+     * @param {"map-reduce" | "refine"} [options.strategy="map-reduce"] How to combine the answers
+     * @param {String} [options.model] The model to use
+     * @param {Number} [options.chunkTokens] The most tokens in a chunk, see splitDocument
+     * @param {Number} [options.overlap=200] Tokens of overlap between chunks, see splitDocument
+     * @param {Number} [options.concurrency=3] How many chunks to ask about at once ("map-reduce" only)
+     * @param {{map?: Function, reduce?: Function, refine?: Function}} [options.prompts] Replace the prompts, each is called with `{ message, file_name, index, total, answers, answer }` and returns the message to send
+     * @param {function({stage: "map" | "reduce" | "refine", completed: Number, total: Number}): void} [options.progress] Called after each message
+     * @param {AbortSignal} [options.signal] Signal to abort
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage
+     * @returns {Promise<{answer: String, response: MessageStreamChunk, strategy: String, chunks: ChunkAnswer[]}>} The combined answer, the response it came from, and where each chunk is in the document with its answer
+     * @example
+     * const attachment = await claude.uploadFile(bigPdf);
+     * const { answer, chunks } = await claude.askDocument('List every deadline mentioned', attachment);
+     */
+    askDocument(message: string, document: {
+        /**
+         * The file name
+         */
+        file_name: string;
+        /**
+         * The file's mime type
+         */
+        file_type: string;
+        /**
+         * The file size in bytes
+         */
+        file_size: number;
+        /**
+         * The contents of the file that were extracted
+         */
+        extracted_content: string;
+        /**
+         * The total pages of the document
+         */
+        totalPages?: number | null;
+    } | string, { strategy, model, chunkTokens, overlap, concurrency, prompts, progress, signal, ...params }?: {
+        strategy?: "map-reduce" | "refine";
+        model?: string;
+        chunkTokens?: number;
+        overlap?: number;
+        concurrency?: number;
+        prompts?: {
+            map?: Function;
+            reduce?: Function;
+            refine?: Function;
+        };
+        progress?: (arg0: {
+            stage: "map" | "reduce" | "refine";
+            completed: number;
+            total: number;
+        }) => void;
+        signal?: AbortSignal;
+        params?: {
+            /**
+             * Whether to retry the most recent message in the conversation instead of sending a new one
+             */
+            retry?: boolean;
+            /**
+             * The timezone
+             */
+            timezone?: string;
+            /**
+             * Attachments
+             */
+            attachments?: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+            /**
+             * Callback when done receiving the message response
+             */
+            done?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Callback on message response progress
+             */
+            progress?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Signal to abort the request and stop reading the response
+             */
+            signal?: AbortSignal;
+            /**
+             * Abort if the whole response hasn't been received after this many milliseconds
+             */
+            timeout?: number;
+            /**
+             * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+             */
+            contextCheck?: false | "warn" | "error";
+            /**
+             * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+             */
+            autoContinue?: boolean | {
+                /**
+                 * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+                 */
+                threshold?: number;
+                /**
+                 * The message asking Claude to summarize the conversation
+                 */
+                prompt?: string;
+                /**
+                 * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+                 */
+                attachments?: (arg0: {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[], arg1: number) => {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[];
+            };
+            /**
+             * The organization to start a conversation in (startConversation only), defaults to the current one
+             */
+            organization?: Organization | any | string;
+            /**
+             * Resolve with the partial response (instead of rejecting) when aborted
+             */
+            keepPartial?: boolean;
+        };
+    }): Promise<{
+        answer: string;
+        response: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        };
+        strategy: string;
+        chunks: {
+            /**
+             * The chunk's index
+             */
+            index: number;
+            /**
+             * Where the chunk starts in the document's text
+             */
+            start: number;
+            /**
+             * Where it ends (exclusive)
+             */
+            end: number;
+            /**
+             * The chunk's estimated tokens
+             */
+            tokens: number;
+            /**
+             * What Claude answered for this chunk (for "refine", the answer so far after reading it)
+             */
+            answer: string;
+        }[];
+    }>;
+    /**
+     * A link between a conversation and one that was forked or continued from it
+     * @typedef BranchLink
+     * @property {UUID} parent The original conversation's ID
+     * @property {UUID} child The new conversation's ID
+     * @property {UUID | null} messageId The last message of the original conversation that the new one includes (null for all of them)
+     * @property {"fork" | "continue"} type Whether the new conversation was made with fork() or autoContinue
+     * @property {String} created_at When the link was made
+     */
+    /**
+     * Record that a conversation was forked or continued from another one. Called by Conversation.fork and autoContinue, and saved in `storage` if there is one
+     * @async
+     * @param {Conversation | UUID} parent The original conversation
+     * @param {Conversation | UUID} child The new conversation
+     * @param {Object} [options] Options
+     * @param {Message | UUID} [options.message] The last message of the original conversation that the new one includes
+     * @param {"fork" | "continue"} [options.type="fork"] How the new conversation was made
+     * @returns {Promise<BranchLink>} The link
+     */
+    linkConversations(parent: {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    } | any, child: {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    } | any, { message, type }?: {
+        message?: {
+            /**
+             * The message UUID
+             */
+            uuid: any;
+            /**
+             * The message text
+             */
+            text: string;
+            /**
+             * The message created at
+             */
+            created_at: string;
+            /**
+             * The message updated at
+             */
+            updated_at: string;
+            /**
+             * When the message was last edited (no editing support via api/web client)
+             */
+            edited_at: string | null;
+            /**
+             * Feedback
+             */
+            chat_feedback: Any | null;
+            /**
+             * The attachments
+             */
+            attachments: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        } | any;
+        type?: "fork" | "continue";
+    }): Promise<{
+        /**
+         * The original conversation's ID
+         */
+        parent: any;
+        /**
+         * The new conversation's ID
+         */
+        child: any;
+        /**
+         * The last message of the original conversation that the new one includes (null for all of them)
+         */
+        messageId: any | null;
+        /**
+         * Whether the new conversation was made with fork() or autoContinue
+         */
+        type: "fork" | "continue";
+        /**
+         * When the link was made
+         */
+        created_at: string;
+    }>;
+    /**
+     * A conversation in a branch tree
+     * @typedef BranchNode
+     * @property {UUID} conversationId The conversation's ID
+     * @property {BranchLink | null} link How it was made from its parent (null for the root)
+     * @property {BranchNode[]} children Conversations forked or continued from it, oldest first
+     */
+    /**
+     * Get the tree of conversations related to a conversation by forks and continuations, starting at the original conversation
+     * @async
+     * @param {Conversation | UUID} conversation Any conversation in the tree
+     * @returns {Promise<BranchNode>} The root of the tree
+     * @example
+     * const print = (node, depth = 0) => {
+     *   console.log('  '.repeat(depth) + node.conversationId);
+     *   node.children.forEach(child => print(child, depth + 1));
+     * };
+     * print(await claude.getBranchTree(conversation));
+     */
+    getBranchTree(conversation: {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    } | any): Promise<{
+        /**
+         * The conversation's ID
+         */
+        conversationId: any;
+        /**
+         * How it was made from its parent (null for the root)
+         */
+        link: {
+            /**
+             * The original conversation's ID
+             */
+            parent: any;
+            /**
+             * The new conversation's ID
+             */
+            child: any;
+            /**
+             * The last message of the original conversation that the new one includes (null for all of them)
+             */
+            messageId: any | null;
+            /**
+             * Whether the new conversation was made with fork() or autoContinue
+             */
+            type: "fork" | "continue";
+            /**
+             * When the link was made
+             */
+            created_at: string;
+        } | null;
+        /**
+         * Conversations forked or continued from it, oldest first
+         */
+        children: /*elided*/ any[];
+    }>;
+    /**
+     * The response from uploading a file (an attachment)
+     * @typedef Attachment
+     * @property {String} file_name The file name
+     * @property {String} file_type The file's mime type
+     * @property {Number} file_size The file size in bytes
+     * @property {String} extracted_content The contents of the file that were extracted
+     * @property {Number | null} [totalPages] The total pages of the document
+     */
+    /**
+     * Extract the contents of a file. The type is detected from the file's contents, not its name. Text, HTML, RTF, DOCX, PPTX, XLSX
+     * and PDF (with a text layer) files are extracted locally, other documents (like legacy .doc files and scanned PDFs) are sent to claude.ai.
+     * @param {File} file A JS File (like) object to upload.
+     * @param {Object} [options] Options
+     * @param {"auto" | "local" | "server"} [options.extract="auto"] Where to extract documents: locally with claude.ai as a fallback, only locally, or always on claude.ai (text is always read locally)
+     * @param {Number} [options.maxSize=10485760] The largest file to accept, in bytes (claude.ai's limit is 10MB)
+     * @param {Number} [options.maxCharacters=1000000] The most text to accept
+     * @param {AbortSignal} [options.signal] Signal to abort the upload
+     * @param {Number} [options.timeout] Abort the upload after this many milliseconds
+     * @async
+     * @returns {Promise<Attachment>}
+     * @throws {FileError} If the file is too big (or decompresses to too much), its type isn't supported, or it's damaged
+     * @throws {ParseError} If the document couldn't be converted
+     * @example
+     * const file = await claude.uploadFile(
+     *     new File(["test"], "test.txt", { type: "text/plain" }
+     * );
+     * console.log(await claude.sendMessage("What's the contents of test.txt?", {
+     *  attachments: [file]
+     * }))
+     */
+    uploadFile(file: File, { extract, maxSize, maxCharacters, signal, timeout }?: {
+        extract?: "auto" | "local" | "server";
+        maxSize?: number;
+        maxCharacters?: number;
+        signal?: AbortSignal;
+        timeout?: number;
+    }): Promise<{
+        /**
+         * The file name
+         */
+        file_name: string;
+        /**
+         * The file's mime type
+         */
+        file_type: string;
+        /**
+         * The file size in bytes
+         */
+        file_size: number;
+        /**
+         * The contents of the file that were extracted
+         */
+        extracted_content: string;
+        /**
+         * The total pages of the document
+         */
+        totalPages?: number | null;
+    }>;
+    #private;
+}
+/**
+ * A Claude conversation instance.
+ * @class
+ * @classdesc Represents an active Claude conversation.
+ */
+export class Conversation {
+    /**
+     * @typedef Conversation
+     * @property {String} conversationId The conversation ID
+     * @property {String} name The conversation name
+     * @property {String} summary The conversation summary (usually empty)
+     * @property {String} created_at The conversation created at
+     * @property {String} updated_at The conversation updated at
+     */
+    /**
+     * Create a Conversation instance.
+     * @param {Claude} claude - Claude client instance
+     * @param {Object} options - Options
+     * @param {String} options.conversationId - Conversation ID
+     * @param {String} [options.name] - Conversation name
+     * @param {String} [options.summary] - Conversation summary
+     * @param {String} [options.created_at] - Conversation created at
+     * @param {String} [options.updated_at] - Conversation updated at
+     * @param {String} [options.model] - Claude model
+     * @param {UUID} [options.organizationId] - The organization the conversation is in, defaults to the Claude instance's current organization
+     */
+    constructor(claude: Claude, { model, conversationId, organizationId, name, summary, created_at, updated_at }: {
+        conversationId: string;
+        name?: string;
+        summary?: string;
+        created_at?: string;
+        updated_at?: string;
+        model?: string;
+        organizationId?: any;
+    });
+    claude: Claude;
+    conversationId: string;
+    organizationId: any;
+    request: (...args: any[]) => Promise<Response>;
+    model: string;
+    /**
+     * The conversation this one was summarized from (see the autoContinue option)
+     * @type {Conversation | null}
+     */
+    continuedFrom: {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    } | null;
+    /**
+     * The conversation this one was continued in, messages sent to this conversation go there instead
+     * @type {Conversation | null}
+     */
+    continuedIn: {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    } | null;
+    /**
+     * The conversation and message this one was forked from (see fork())
+     * @type {{conversation: Conversation, messageId: UUID} | null}
+     */
+    forkedFrom: {
+        conversation: {
+            /**
+             * The conversation ID
+             */
+            conversationId: string;
+            /**
+             * The conversation name
+             */
+            name: string;
+            /**
+             * The conversation summary (usually empty)
+             */
+            summary: string;
+            /**
+             * The conversation created at
+             */
+            created_at: string;
+            /**
+             * The conversation updated at
+             */
+            updated_at: string;
+        };
+        messageId: any;
+    } | null;
+    /**
+     * The newest conversation in the chain of continued conversations (this one if it hasn't been continued)
+     * @type {Conversation}
+     */
+    get latest(): {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    };
+    /**
+     * Convert the conversation to a JSON object
+     * @returns {Conversation} The serializable object
+     */
+    toJSON(): {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    };
+    /**
+     * Retry the last message in the conversation
+     * @param {SendMessageParams} [params={}]
+     * @returns {Promise<MessageStreamChunk>}
+     */
+    retry(params?: {
+        /**
+         * Whether to retry the most recent message in the conversation instead of sending a new one
+         */
+        retry?: boolean;
+        /**
+         * The timezone
+         */
+        timezone?: string;
+        /**
+         * Attachments
+         */
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        /**
+         * Callback when done receiving the message response
+         */
+        done?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Callback on message response progress
+         */
+        progress?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
+    }): Promise<{
+        /**
+         * The markdown text completion for this response
+         */
+        completion: string;
+        /**
+         * The text added to `completion` since the previous chunk
+         */
+        delta: string;
+        /**
+         * The reason for the response stop (if any)
+         */
+        stop_reason: string | null;
+        /**
+         * The model used
+         */
+        model: string;
+        /**
+         * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+         */
+        stop: string;
+        /**
+         * A logging ID
+         */
+        log_id: string;
+        /**
+         * If you're within the message limit
+         */
+        messageLimit: any;
+    }>;
+    /**
+     * A tool call made during sendWithTools
+     * @typedef ToolCall
+     * @property {Number} step The message it was in (starting at 1)
+     * @property {String} name The tool's name
+     * @property {Object} arguments The arguments Claude passed
+     * @property {any} result What the handler returned (undefined if it failed)
+     * @property {String | null} error Why the call failed (unknown tool, invalid arguments or an error thrown by the handler)
+     * @property {Number} duration How long the handler took in milliseconds
+     */
+    /**
+     * The result of sendWithTools
+     * @typedef ToolsResponse
+     * @property {String} answer Claude's final answer
+     * @property {MessageStreamChunk} response The response with the final answer
+     * @property {ToolCall[]} trace Every tool call, in order
+     * @property {Number} steps How many messages were sent
+     */
+    /**
+     * Send a message that Claude can answer using tools. The tools are described in the message, and whenever Claude's response calls tools
+     * they're run and the results are sent back, until it responds without calling any. Failed calls are sent back as errors for Claude to deal with.
+     * @async
+     * @param {String} message The message
+     * @param {Object} [options] Options
+     * @param {(Tool | String)[]} [options.tools] The tools to allow (Tool objects or names of registered tools), defaults to every registered tool
+     * @param {Number} [options.maxSteps=5] The maximum number of messages to send (including the first)
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage (attachments only with the first message)
+     * @returns {Promise<ToolsResponse>}
+     * @throws {ToolError} If Claude is still calling tools after maxSteps messages
+     * @example
+     * claude.registerTool({ name: 'time', description: 'Get the current time as an ISO string', handler: () => new Date().toISOString() });
+     * const { answer, trace } = await conversation.sendWithTools('What time is it?');
+     */
+    sendWithTools(message: string, { tools, maxSteps, attachments, ...params }?: {
+        tools?: ({
+            /**
+             * The name Claude calls it by (letters, numbers, _ and -)
+             */
+            name: string;
+            /**
+             * What it does and when to use it
+             */
+            description: string;
+            /**
+             * A JSON Schema for its arguments (an object), see validateSchema
+             */
+            parameters?: any;
+            /**
+             * Runs the tool with the arguments, returns (or resolves to) the result. Strings are sent as they are, anything else as JSON
+             */
+            handler: (arg0: any, arg1: {
+                conversation: {
+                    /**
+                     * The conversation ID
+                     */
+                    conversationId: string;
+                    /**
+                     * The conversation name
+                     */
+                    name: string;
+                    /**
+                     * The conversation summary (usually empty)
+                     */
+                    summary: string;
+                    /**
+                     * The conversation created at
+                     */
+                    created_at: string;
+                    /**
+                     * The conversation updated at
+                     */
+                    updated_at: string;
+                };
+                signal?: AbortSignal;
+            }) => any;
+        } | string)[];
+        maxSteps?: number;
+        params?: {
+            /**
+             * Whether to retry the most recent message in the conversation instead of sending a new one
+             */
+            retry?: boolean;
+            /**
+             * The timezone
+             */
+            timezone?: string;
+            /**
+             * Attachments
+             */
+            attachments?: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+            /**
+             * Callback when done receiving the message response
+             */
+            done?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Callback on message response progress
+             */
+            progress?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Signal to abort the request and stop reading the response
+             */
+            signal?: AbortSignal;
+            /**
+             * Abort if the whole response hasn't been received after this many milliseconds
+             */
+            timeout?: number;
+            /**
+             * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+             */
+            contextCheck?: false | "warn" | "error";
+            /**
+             * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+             */
+            autoContinue?: boolean | {
+                /**
+                 * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+                 */
+                threshold?: number;
+                /**
+                 * The message asking Claude to summarize the conversation
+                 */
+                prompt?: string;
+                /**
+                 * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+                 */
+                attachments?: (arg0: {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[], arg1: number) => {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[];
+            };
+            /**
+             * The organization to start a conversation in (startConversation only), defaults to the current one
+             */
+            organization?: Organization | any | string;
+            /**
+             * Resolve with the partial response (instead of rejecting) when aborted
+             */
+            keepPartial?: boolean;
+        };
+    }): Promise<{
+        /**
+         * Claude's final answer
+         */
+        answer: string;
+        /**
+         * The response with the final answer
+         */
+        response: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        };
+        /**
+         * Every tool call, in order
+         */
+        trace: {
+            /**
+             * The message it was in (starting at 1)
+             */
+            step: number;
+            /**
+             * The tool's name
+             */
+            name: string;
+            /**
+             * The arguments Claude passed
+             */
+            arguments: any;
+            /**
+             * What the handler returned (undefined if it failed)
+             */
+            result: any;
+            /**
+             * Why the call failed (unknown tool, invalid arguments or an error thrown by the handler)
+             */
+            error: string | null;
+            /**
+             * How long the handler took in milliseconds
+             */
+            duration: number;
+        }[];
+        /**
+         * How many messages were sent
+         */
+        steps: number;
+    }>;
+    /**
+     * The result of sendJSON
+     * @typedef JSONResponse
+     * @property {any} data The parsed and validated JSON
+     * @property {MessageStreamChunk} response The response it was taken from
+     * @property {Number} attempts How many messages it took (1 if the first response was valid)
+     */
+    /**
+     * Send a message asking for JSON matching a JSON Schema. The JSON is taken from the first code block in the response (or the whole response),
+     * and if it doesn't parse or match the schema, Claude is sent the errors and asked to correct it.
+     * @async
+     * @param {String} message The message
+     * @param {Object} schema The JSON Schema, see validateSchema for the supported keywords
+     * @param {Object} [options] Options
+     * @param {Number} [options.attempts=3] The maximum number of messages to send (including the first)
+     * @param {function(any): (String[] | Boolean)} [options.validate] Validate the JSON yourself, return a list of errors (or true/false) instead of using the built in validator
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage (attachments only with the first message)
+     * @returns {Promise<JSONResponse>}
+     * @throws {ValidationError} If the JSON still isn't valid after the last attempt
+     * @example
+     * const { data } = await conversation.sendJSON('List 3 primary colors', {
+     *   type: 'array',
+     *   items: { type: 'object', properties: { name: { type: 'string' }, hex: { type: 'string', pattern: '^#[0-9a-f]{6}$' } }, required: ['name', 'hex'] },
+     * });
+     */
+    sendJSON(message: string, schema: any, { attempts, validate, attachments, ...params }?: {
+        attempts?: number;
+        validate?: (arg0: any) => (string[] | boolean);
+        params?: {
+            /**
+             * Whether to retry the most recent message in the conversation instead of sending a new one
+             */
+            retry?: boolean;
+            /**
+             * The timezone
+             */
+            timezone?: string;
+            /**
+             * Attachments
+             */
+            attachments?: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+            /**
+             * Callback when done receiving the message response
+             */
+            done?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Callback on message response progress
+             */
+            progress?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Signal to abort the request and stop reading the response
+             */
+            signal?: AbortSignal;
+            /**
+             * Abort if the whole response hasn't been received after this many milliseconds
+             */
+            timeout?: number;
+            /**
+             * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+             */
+            contextCheck?: false | "warn" | "error";
+            /**
+             * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+             */
+            autoContinue?: boolean | {
+                /**
+                 * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+                 */
+                threshold?: number;
+                /**
+                 * The message asking Claude to summarize the conversation
+                 */
+                prompt?: string;
+                /**
+                 * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+                 */
+                attachments?: (arg0: {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[], arg1: number) => {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[];
+            };
+            /**
+             * The organization to start a conversation in (startConversation only), defaults to the current one
+             */
+            organization?: Organization | any | string;
+            /**
+             * Resolve with the partial response (instead of rejecting) when aborted
+             */
+            keepPartial?: boolean;
+        };
+    }): Promise<{
+        /**
+         * The parsed and validated JSON
+         */
+        data: any;
+        /**
+         * The response it was taken from
+         */
+        response: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        };
+        /**
+         * How many messages it took (1 if the first response was valid)
+         */
+        attempts: number;
+    }>;
+    /**
+     * Start a new conversation with the history of this one up to a message, to explore a different path from there.
+     * claude.ai can't copy conversations, so the history is either sent as a transcript in the first message (one message, the default),
+     * or the human messages are sent again one by one (Claude's replies are regenerated, and every message counts towards the message limit).
+     * @async
+     * @param {Object} [options] Options
+     * @param {Message | UUID | Number} [options.atMessage] The last message to include (a Message, its UUID or its index), defaults to the last message
+     * @param {String} [options.message] A message to send in the new conversation after the history
+     * @param {"transcript" | "messages"} [options.replay="transcript"] How to send the history
+     * @param {SendMessageParams} [options.params] Other parameters are passed to the messages that are sent (`done` and `progress` only to the last one)
+     * @returns {Promise<Conversation>} The new conversation, its `forkedFrom` is `{ conversation: this, messageId }`
+     * @throws {NotFoundError} If atMessage isn't in the conversation
+     * @example
+     * const messages = await conversation.getMessages();
+     * const branch = await conversation.fork({ atMessage: messages[3], message: 'What if we used Postgres instead?' });
+     */
+    fork({ atMessage, message, replay, done, progress, ...params }?: {
+        atMessage?: {
+            /**
+             * The message UUID
+             */
+            uuid: any;
+            /**
+             * The message text
+             */
+            text: string;
+            /**
+             * The message created at
+             */
+            created_at: string;
+            /**
+             * The message updated at
+             */
+            updated_at: string;
+            /**
+             * When the message was last edited (no editing support via api/web client)
+             */
+            edited_at: string | null;
+            /**
+             * Feedback
+             */
+            chat_feedback: Any | null;
+            /**
+             * The attachments
+             */
+            attachments: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        } | any | number;
+        message?: string;
+        replay?: "transcript" | "messages";
+        params?: {
+            /**
+             * Whether to retry the most recent message in the conversation instead of sending a new one
+             */
+            retry?: boolean;
+            /**
+             * The timezone
+             */
+            timezone?: string;
+            /**
+             * Attachments
+             */
+            attachments?: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+            /**
+             * Callback when done receiving the message response
+             */
+            done?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Callback on message response progress
+             */
+            progress?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Signal to abort the request and stop reading the response
+             */
+            signal?: AbortSignal;
+            /**
+             * Abort if the whole response hasn't been received after this many milliseconds
+             */
+            timeout?: number;
+            /**
+             * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+             */
+            contextCheck?: false | "warn" | "error";
+            /**
+             * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+             */
+            autoContinue?: boolean | {
+                /**
+                 * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+                 */
+                threshold?: number;
+                /**
+                 * The message asking Claude to summarize the conversation
+                 */
+                prompt?: string;
+                /**
+                 * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+                 */
+                attachments?: (arg0: {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[], arg1: number) => {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[];
+            };
+            /**
+             * The organization to start a conversation in (startConversation only), defaults to the current one
+             */
+            organization?: Organization | any | string;
+            /**
+             * Resolve with the partial response (instead of rejecting) when aborted
+             */
+            keepPartial?: boolean;
+        };
+    }): Promise<{
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    }>;
+    /**
+     * A response generated by generateCandidates
+     * @typedef Candidate
+     * @extends MessageStreamChunk
+     * @property {Number} index The order it was generated in, starting at 0
+     * @property {Number | Boolean | null} score What the select callback returned for it (null without one)
+     * @property {Boolean} active Whether it's the reply claude.ai kept, which is always the most recently generated one
+     */
+    /**
+     * Generate several responses to a message, by sending it and then regenerating the reply with retry_message.
+     * claude.ai only keeps the most recent reply, so that one is `active`, see keepCandidate to continue from another one.
+     * @async
+     * @param {String | null} message The message to send, or null to regenerate the last reply in the conversation
+     * @param {Object} [options] Options
+     * @param {Number} [options.n=3] How many responses to generate
+     * @param {function(Candidate): (Number | Boolean | Promise<Number | Boolean>)} [options.select] Scores each candidate as it's generated. Returning true selects that candidate and stops generating (so it stays the active reply), otherwise the highest number is selected
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage for every candidate
+     * @returns {Promise<{candidates: Candidate[], selected: Candidate | null}>} Every candidate, and the selected one (the active one without `select`, null if none scored above false)
+     * @example
+     * const { selected } = await conversation.generateCandidates('Reply with a JSON list of 3 colors', {
+     *   n: 5,
+     *   select: ({ completion }) => { try { JSON.parse(completion); return true; } catch { return false; } },
+     * });
+     */
+    generateCandidates(message: string | null, { n, select, ...params }?: {
+        n?: number;
+        select?: (arg0: any) => (number | boolean | Promise<number | boolean>);
+        params?: {
+            /**
+             * Whether to retry the most recent message in the conversation instead of sending a new one
+             */
+            retry?: boolean;
+            /**
+             * The timezone
+             */
+            timezone?: string;
+            /**
+             * Attachments
+             */
+            attachments?: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+            /**
+             * Callback when done receiving the message response
+             */
+            done?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Callback on message response progress
+             */
+            progress?: (a: {
+                /**
+                 * The markdown text completion for this response
+                 */
+                completion: string;
+                /**
+                 * The text added to `completion` since the previous chunk
+                 */
+                delta: string;
+                /**
+                 * The reason for the response stop (if any)
+                 */
+                stop_reason: string | null;
+                /**
+                 * The model used
+                 */
+                model: string;
+                /**
+                 * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+                 */
+                stop: string;
+                /**
+                 * A logging ID
+                 */
+                log_id: string;
+                /**
+                 * If you're within the message limit
+                 */
+                messageLimit: any;
+            }) => any;
+            /**
+             * Signal to abort the request and stop reading the response
+             */
+            signal?: AbortSignal;
+            /**
+             * Abort if the whole response hasn't been received after this many milliseconds
+             */
+            timeout?: number;
+            /**
+             * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+             */
+            contextCheck?: false | "warn" | "error";
+            /**
+             * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+             */
+            autoContinue?: boolean | {
+                /**
+                 * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+                 */
+                threshold?: number;
+                /**
+                 * The message asking Claude to summarize the conversation
+                 */
+                prompt?: string;
+                /**
+                 * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+                 */
+                attachments?: (arg0: {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[], arg1: number) => {
+                    /**
+                     * The file name
+                     */
+                    file_name: string;
+                    /**
+                     * The file's mime type
+                     */
+                    file_type: string;
+                    /**
+                     * The file size in bytes
+                     */
+                    file_size: number;
+                    /**
+                     * The contents of the file that were extracted
+                     */
+                    extracted_content: string;
+                    /**
+                     * The total pages of the document
+                     */
+                    totalPages?: number | null;
+                }[];
+            };
+            /**
+             * The organization to start a conversation in (startConversation only), defaults to the current one
+             */
+            organization?: Organization | any | string;
+            /**
+             * Resolve with the partial response (instead of rejecting) when aborted
+             */
+            keepPartial?: boolean;
+        };
+    }): Promise<{
+        candidates: any[];
+        selected: any | null;
+    }>;
+    /**
+     * Continue from a candidate from generateCandidates. If it's the active reply this conversation is returned,
+     * otherwise claude.ai has already replaced it so the conversation is forked (as a transcript, see fork) with the candidate as the last reply.
+     * Call this before sending anything else to the conversation.
+     * @async
+     * @param {Candidate} candidate The candidate to keep
+     * @param {SendMessageParams} [params] Passed to the message starting the fork
+     * @returns {Promise<Conversation>} The conversation to continue in
+     */
+    keepCandidate(candidate: any, params?: {
+        /**
+         * Whether to retry the most recent message in the conversation instead of sending a new one
+         */
+        retry?: boolean;
+        /**
+         * The timezone
+         */
+        timezone?: string;
+        /**
+         * Attachments
+         */
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        /**
+         * Callback when done receiving the message response
+         */
+        done?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Callback on message response progress
+         */
+        progress?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
+    }): Promise<{
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    }>;
+    /**
+     * Send a message to this conversation
+     * @param {String} message
+     * @async
+     * @param {SendMessageParams} params The parameters to send along with the message
+     * @returns {Promise<MessageStreamChunk>}
+     */
+    sendMessage(message: string, { done, progress, keepPartial, rawResponse, contextCheck, autoContinue, ...params }?: {
+        /**
+         * Whether to retry the most recent message in the conversation instead of sending a new one
+         */
+        retry?: boolean;
+        /**
+         * The timezone
+         */
+        timezone?: string;
+        /**
+         * Attachments
+         */
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        /**
+         * Callback when done receiving the message response
+         */
+        done?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Callback on message response progress
+         */
+        progress?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
+    }): Promise<{
+        /**
+         * The markdown text completion for this response
+         */
+        completion: string;
+        /**
+         * The text added to `completion` since the previous chunk
+         */
+        delta: string;
+        /**
+         * The reason for the response stop (if any)
+         */
+        stop_reason: string | null;
+        /**
+         * The model used
+         */
+        model: string;
+        /**
+         * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+         */
+        stop: string;
+        /**
+         * A logging ID
+         */
+        log_id: string;
+        /**
+         * If you're within the message limit
+         */
+        messageLimit: any;
+    }>;
+    /**
+     * Send a message to this conversation and iterate over the response as it's generated
+     * @param {String} message
+     * @param {SendMessageParams} [params] The parameters to send along with the message (`done` and `progress` are ignored)
+     * @returns {AsyncGenerator<MessageStreamChunk>} Chunks with the cumulative `completion` and the new text in `delta`, ending with the chunk that has a `stop_reason`
+     * @throws {ClaudeError} If the server sends an error event
+     * @throws {AbortError} If `signal` is aborted or `timeout` is reached, with the last chunk received in `partial`
+     * @throws {NetworkError} If the stream ends before a stop_reason is received
+     * @example
+     * for await (const chunk of conversation.stream("Write a haiku")) {
+     *   process.stdout.write(chunk.delta);
+     * }
+     */
+    stream(message: string, { retry, timezone, attachments, model, signal, timeout, rawResponse }?: {
+        /**
+         * Whether to retry the most recent message in the conversation instead of sending a new one
+         */
+        retry?: boolean;
+        /**
+         * The timezone
+         */
+        timezone?: string;
+        /**
+         * Attachments
+         */
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        /**
+         * Callback when done receiving the message response
+         */
+        done?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Callback on message response progress
+         */
+        progress?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
+    }): AsyncGenerator<{
+        /**
+         * The markdown text completion for this response
+         */
+        completion: string;
+        /**
+         * The text added to `completion` since the previous chunk
+         */
+        delta: string;
+        /**
+         * The reason for the response stop (if any)
+         */
+        stop_reason: string | null;
+        /**
+         * The model used
+         */
+        model: string;
+        /**
+         * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+         */
+        stop: string;
+        /**
+         * A logging ID
+         */
+        log_id: string;
+        /**
+         * If you're within the message limit
+         */
+        messageLimit: any;
+    }>;
+    /**
+     * Send a message to this conversation and get the response as a stream of the text it adds, for piping into files, HTTP responses and the like.
+     * Chunks are read from claude.ai as the stream is read (so a slow reader slows the response down instead of it being buffered), cancelling the stream stops the response,
+     * and errors (see `stream`) error the stream. Failed messages aren't retried.
+     * @param {String} message The message
+     * @param {SendMessageParams} [params] The parameters to send along with the message, as for `stream`
+     * @returns {ReadableStream<String>} The new text of each chunk of the response
+     * @example
+     * const response = new Response(conversation.textStream('Write a poem').pipeThrough(new TextEncoderStream()));
+     */
+    textStream(message: string, params?: {
+        /**
+         * Whether to retry the most recent message in the conversation instead of sending a new one
+         */
+        retry?: boolean;
+        /**
+         * The timezone
+         */
+        timezone?: string;
+        /**
+         * Attachments
+         */
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        /**
+         * Callback when done receiving the message response
+         */
+        done?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Callback on message response progress
+         */
+        progress?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
+    }): ReadableStream<string>;
+    /**
+     * Like `textStream`, as a Node.js Readable (Node only)
+     * @async
+     * @param {String} message The message
+     * @param {SendMessageParams} [params] The parameters to send along with the message, as for `stream`
+     * @returns {Promise<Readable>} A Readable of UTF-8 strings, destroying it stops the response
+     * @example
+     * (await conversation.nodeStream('Write a poem')).pipe(process.stdout);
+     */
+    nodeStream(message: string, params?: {
+        /**
+         * Whether to retry the most recent message in the conversation instead of sending a new one
+         */
+        retry?: boolean;
+        /**
+         * The timezone
+         */
+        timezone?: string;
+        /**
+         * Attachments
+         */
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        /**
+         * Callback when done receiving the message response
+         */
+        done?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Callback on message response progress
+         */
+        progress?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
+    }): Promise<any>;
+    /**
+     * Rename the current conversation
+     * @async
+     * @param {String} title The new title
+     * @returns {Promise<Response>} A Response object
+     */
+    rename(title: string): Promise<Response>;
+    /**
+     * Delete the conversation
+     * @async
+     * @returns Promise<Response>
+     */
+    delete(): Promise<Response>;
+    /**
+     * @typedef Message
+     * @property {UUID} uuid The message UUID
+     * @property {String} text The message text
+     * @property {String} created_at The message created at
+     * @property {String} updated_at The message updated at
+     * @property {String | null} edited_at When the message was last edited (no editing support via api/web client)
+     * @property {Any | null} chat_feedback Feedback
+     * @property {Attachment[]} attachments The attachments
+     */
+    /**
+     * @typedef ConversationInfo
+     * @extends Conversation
+     * @property {Message[]} chat_messages The messages in this conversation
+     */
+    /**
+     * Get information about this conversation. With the `storage` option, cached info is used if it's as recent as this conversation's `updated_at` (or when offline).
+     * @param {Object} [options] Options
+     * @param {AbortSignal} [options.signal] Signal to abort the request
+     * @param {Number} [options.timeout] Abort the request after this many milliseconds
+     * @returns {Promise<ConversationInfo>}
+     */
+    getInfo({ signal, timeout }?: {
+        signal?: AbortSignal;
+        timeout?: number;
+    }): Promise<any>;
+    /**
+     * Get all the files from this conversation
+     * @async
+     * @param {Object} [options] Options passed to getInfo
+     * @returns {Promise<Attachment[]>}
+     */
+    getFiles(options?: any): Promise<{
+        /**
+         * The file name
+         */
+        file_name: string;
+        /**
+         * The file's mime type
+         */
+        file_type: string;
+        /**
+         * The file size in bytes
+         */
+        file_size: number;
+        /**
+         * The contents of the file that were extracted
+         */
+        extracted_content: string;
+        /**
+         * The total pages of the document
+         */
+        totalPages?: number | null;
+    }[]>;
+    /**
+     * How much of the context window the conversation uses
+     * @typedef ContextUsage
+     * @property {String} model The model the window size is for
+     * @property {Number} used Estimated tokens used by the messages and their attachments
+     * @property {Number | null} total The model's context window size (null if unknown)
+     * @property {Number | null} remaining Estimated tokens left
+     * @property {Number | null} percentage Estimated percentage of the window used
+     * @property {{uuid: UUID, sender: String, tokens: Number}[]} messages The estimated tokens for each message
+     */
+    /**
+     * Estimate how much of the model's context window the messages in this conversation take up, see Claude.countTokens
+     * @async
+     * @param {Object} [options] Options passed to getInfo
+     * @param {String} [options.model] The model to use the window size of, defaults to the conversation's model
+     * @returns {Promise<ContextUsage>}
+     * @example
+     * const { percentage } = await conversation.contextUsage();
+     * console.log(`${percentage.toFixed(1)}% of the context window used`);
+     */
+    contextUsage({ model, ...options }?: {
+        model?: string;
+    }): Promise<{
+        /**
+         * The model the window size is for
+         */
+        model: string;
+        /**
+         * Estimated tokens used by the messages and their attachments
+         */
+        used: number;
+        /**
+         * The model's context window size (null if unknown)
+         */
+        total: number | null;
+        /**
+         * Estimated tokens left
+         */
+        remaining: number | null;
+        /**
+         * Estimated percentage of the window used
+         */
+        percentage: number | null;
+        /**
+         * The estimated tokens for each message
+         */
+        messages: {
+            uuid: any;
+            sender: string;
+            tokens: number;
+        }[];
+    }>;
+    /**
+     * Get all messages in the conversation
+     * @async
+     * @param {Object} [options] Options passed to getInfo
+     * @returns {Promise<Message[]>}
+     */
+    getMessages(options?: any): Promise<{
+        /**
+         * The message UUID
+         */
+        uuid: any;
+        /**
+         * The message text
+         */
+        text: string;
+        /**
+         * The message created at
+         */
+        created_at: string;
+        /**
+         * The message updated at
+         */
+        updated_at: string;
+        /**
+         * When the message was last edited (no editing support via api/web client)
+         */
+        edited_at: string | null;
+        /**
+         * Feedback
+         */
+        chat_feedback: Any | null;
+        /**
+         * The attachments
+         */
+        attachments: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+    }[]>;
+    #private;
+}
+/**
+ * Base class for every error thrown by the library.
+ * @class
+ * @classdesc Carries the HTTP status, endpoint and response body (when available) of a failed request.
+ */
+export class ClaudeError extends Error {
+    /**
+     * Create a ClaudeError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Details about the failed request
+     * @param {Number} [details.status] - The HTTP status code
+     * @param {String} [details.endpoint] - The API endpoint that was requested
+     * @param {Object | String} [details.body] - The response body (parsed as JSON if possible)
+     * @param {Error} [details.cause] - The underlying error
+     */
+    constructor(message: string, { status, endpoint, body, cause }?: {
+        status?: number;
+        endpoint?: string;
+        body?: any | string;
+        cause?: Error;
+    });
+    name: any;
+    status: number;
+    endpoint: string;
+    body: any;
+    /**
+     * Whether retrying the request could succeed
+     * @type {boolean}
+     */
+    get retryable(): boolean;
+}
+/**
+ * Thrown on 401/403 responses, usually because the session key is invalid or has expired.
+ * @class
+ */
+export class AuthenticationError extends ClaudeError {
+}
+/**
+ * Thrown on 429 responses, or when the message limit is exceeded.
+ * @class
+ */
+export class RateLimitError extends ClaudeError {
+    /**
+     * Create a RateLimitError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {Date | null} [details.resetsAt] - When requests can be made again (if known)
+     */
+    constructor(message: string, { resetsAt, ...details }?: {
+        resetsAt?: Date | null;
+    });
+    resetsAt: Date;
+}
+/**
+ * Thrown on 404 responses, e.g. for a deleted conversation.
+ * @class
+ */
+export class NotFoundError extends ClaudeError {
+}
+/**
+ * Thrown on 5xx responses.
+ * @class
+ */
+export class ServerError extends ClaudeError {
+}
+/**
+ * Thrown when fetch itself fails (DNS, connection reset, etc), there is no response in this case.
+ * @class
+ */
+export class NetworkError extends ClaudeError {
+}
+/**
+ * Thrown when a request is aborted through its `signal`.
+ * @class
+ */
+export class AbortError extends ClaudeError {
+    /**
+     * Create an AbortError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {MessageStreamChunk | null} [details.partial] - The last chunk received before a message stream was aborted
+     */
+    constructor(message: string, { partial, ...details }?: {
+        partial?: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        } | null;
+    });
+    partial: {
+        /**
+         * The markdown text completion for this response
+         */
+        completion: string;
+        /**
+         * The text added to `completion` since the previous chunk
+         */
+        delta: string;
+        /**
+         * The reason for the response stop (if any)
+         */
+        stop_reason: string | null;
+        /**
+         * The model used
+         */
+        model: string;
+        /**
+         * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+         */
+        stop: string;
+        /**
+         * A logging ID
+         */
+        log_id: string;
+        /**
+         * If you're within the message limit
+         */
+        messageLimit: any;
+    };
+}
+/**
+ * Thrown when a request takes longer than its `timeout`.
+ * @class
+ */
+export class TimeoutError extends AbortError {
+}
+/**
+ * Thrown when a response can't be parsed or doesn't have the expected shape.
+ * @class
+ */
+export class ParseError extends ClaudeError {
+}
+/**
+ * Thrown by sendJSON when the response still isn't valid JSON, or doesn't match the schema, after the last attempt.
+ * @class
+ */
+export class ValidationError extends ParseError {
+    /**
+     * Create a ValidationError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {String[]} [details.errors] - What was wrong, e.g. `$.name: must be string`
+     * @param {any} [details.value] - The parsed JSON (undefined if it couldn't be parsed)
+     */
+    constructor(message: string, { errors, value, ...details }?: {
+        errors?: string[];
+        value?: any;
+    });
+    errors: string[];
+    value: any;
+}
+/**
+ * Thrown by sendWithTools when Claude keeps calling tools for more than `maxSteps` messages.
+ * @class
+ */
+export class ToolError extends ClaudeError {
+    /**
+     * Create a ToolError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {ToolCall[]} [details.trace] - Every tool call that was made
+     */
+    constructor(message: string, { trace, ...details }?: {
+        trace?: {
+            /**
+             * The message it was in (starting at 1)
+             */
+            step: number;
+            /**
+             * The tool's name
+             */
+            name: string;
+            /**
+             * The arguments Claude passed
+             */
+            arguments: any;
+            /**
+             * What the handler returned (undefined if it failed)
+             */
+            result: any;
+            /**
+             * Why the call failed (unknown tool, invalid arguments or an error thrown by the handler)
+             */
+            error: string | null;
+            /**
+             * How long the handler took in milliseconds
+             */
+            duration: number;
+        }[];
+    });
+    trace: {
+        /**
+         * The message it was in (starting at 1)
+         */
+        step: number;
+        /**
+         * The tool's name
+         */
+        name: string;
+        /**
+         * The arguments Claude passed
+         */
+        arguments: any;
+        /**
+         * What the handler returned (undefined if it failed)
+         */
+        result: any;
+        /**
+         * Why the call failed (unknown tool, invalid arguments or an error thrown by the handler)
+         */
+        error: string | null;
+        /**
+         * How long the handler took in milliseconds
+         */
+        duration: number;
+    }[];
+}
+/**
+ * Thrown before sending a message that wouldn't fit in the model's context window (with `contextCheck: "error"`).
+ * @class
+ */
+export class ContextLengthError extends ClaudeError {
+    /**
+     * Create a ContextLengthError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {Number} [details.tokens] - The estimated tokens needed
+     * @param {Number} [details.limit] - The model's context window size
+     */
+    constructor(message: string, { tokens, limit, ...details }?: {
+        tokens?: number;
+        limit?: number;
+    });
+    tokens: number;
+    limit: number;
+}
+/**
+ * Thrown by uploadFile when a file is too big, isn't a supported type, or can't be read.
+ * @class
+ */
+export class FileError extends ClaudeError {
+    /**
+     * Create a FileError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {String} [details.file_name] - The file's name
+     * @param {String} [details.file_type] - The detected type, e.g. "pdf" or "binary"
+     */
+    constructor(message: string, { file_name, file_type, ...details }?: {
+        file_name?: string;
+        file_type?: string;
+    });
+    file_name: string;
+    file_type: string;
+}
+/**
+ * A pool of Claude clients, one per session key.
+ * @class
+ * @classdesc Spreads new conversations across several accounts, taking keys out of rotation when they're rate limited or expire.
+ */
+export class ClaudePool {
+    /**
+     * How to pick a client for a new conversation. "round-robin" cycles through the keys, "least-recently-limited" prefers keys that haven't been rate limited (or were limited the longest time ago) and "sticky" keeps using the same key until it fails. A function is passed the healthy clients and returns one of them.
+     * @typedef {"round-robin" | "least-recently-limited" | "sticky" | function(Claude[]): Claude} PoolStrategy
+     */
+    /**
+     * The health of a session key in a pool
+     * @typedef SessionKeyStatus
+     * @property {String} sessionKey The redacted session key
+     * @property {Boolean} healthy Whether the key is currently used
+     * @property {Date | null} unhealthyUntil When a rate limited key is used again (null for expired keys)
+     * @property {Date | null} lastLimitedAt When the key was last rate limited
+     * @property {ClaudeError | null} error The error that made the key unhealthy
+     */
+    /**
+     * Create a pool of Claude clients.
+     * @param {Object} options - Options, anything other than these is passed to each Claude instance
+     * @param {string[]} options.sessionKeys - The session keys
+     * @param {PoolStrategy} [options.strategy="round-robin"] - How to pick a key for new conversations
+     * @param {number} [options.cooldown=60000] - How long a rate limited key is left out when claude.ai doesn't say when the limit resets
+     * @example
+     * const pool = new ClaudePool({
+     *   sessionKeys: [process.env.KEY_1, process.env.KEY_2],
+     *   strategy: 'least-recently-limited',
+     * });
+     * await pool.init();
+     * const conversation = await pool.startConversation('Hello!');
+     */
+    constructor({ sessionKeys, strategy, cooldown, ...options }: {
+        sessionKeys: string[];
+        strategy?: "round-robin" | "least-recently-limited" | "sticky" | ((arg0: Claude[]) => Claude);
+        cooldown?: number;
+    });
+    clients: Claude[];
+    health: any;
+    /**
+     * Add a middleware to every client, see Claude.use
+     * @param {Middleware} middleware The middleware
+     * @returns {ClaudePool} This pool, for chaining
+     */
+    use(middleware: (context: {
+        /**
+         * The API endpoint, e.g. "/api/organizations"
+         */
+        endpoint: string;
+        /**
+         * The full URL (after the proxy)
+         */
+        url: string;
+        /**
+         * The fetch options, middleware can change these (e.g. to add headers)
+         */
+        options: any;
+        /**
+         * The attempt number, starting at 1 (see the retry option)
+         */
+        attempt: number;
+    }, next: (arg0: {
+        /**
+         * The API endpoint, e.g. "/api/organizations"
+         */
+        endpoint: string;
+        /**
+         * The full URL (after the proxy)
+         */
+        url: string;
+        /**
+         * The fetch options, middleware can change these (e.g. to add headers)
+         */
+        options: any;
+        /**
+         * The attempt number, starting at 1 (see the retry option)
+         */
+        attempt: number;
+    } | undefined) => Promise<Response>) => Promise<Response>): ClaudePool;
+    /**
+     * Listen to an event from every client, see Claude.on. Listeners are also passed the client as the last argument
+     * @param {String} event The event name
+     * @param {Function} listener Called with the event's arguments and the client
+     * @returns {ClaudePool} This pool, for chaining
+     */
+    on(event: string, listener: Function): ClaudePool;
+    /**
+     * Stop listening to an event, see Claude.off
+     * @param {String} event The event name
+     * @param {Function} listener The listener passed to `on()`
+     * @returns {ClaudePool} This pool, for chaining
+     */
+    off(event: string, listener: Function): ClaudePool;
+    /**
+     * Initialize every client, keys that fail are marked unhealthy.
+     * @async
+     * @returns {Promise<void>}
+     * @throws {ClaudeError} If no client could be initialized
+     */
+    init(): Promise<void>;
+    /**
+     * Take a client out of rotation if an error means its key can't be used. Authentication errors last until markHealthy() is called, rate limits until they reset (or `cooldown` passes).
+     * @param {Claude} client - The client
+     * @param {Error} error - The error it failed with
+     * @returns {Boolean} Whether the client was marked unhealthy
+     */
+    markUnhealthy(client: Claude, error: Error): boolean;
+    /**
+     * Put a client back into rotation (e.g. after updating an expired session key)
+     * @param {Claude} client - The client
+     */
+    markHealthy(client: Claude): void;
+    /**
+     * The health of each session key, in the same order as `sessionKeys`
+     * @returns {SessionKeyStatus[]}
+     */
+    status(): {
+        /**
+         * The redacted session key
+         */
+        sessionKey: string;
+        /**
+         * Whether the key is currently used
+         */
+        healthy: boolean;
+        /**
+         * When a rate limited key is used again (null for expired keys)
+         */
+        unhealthyUntil: Date | null;
+        /**
+         * When the key was last rate limited
+         */
+        lastLimitedAt: Date | null;
+        /**
+         * The error that made the key unhealthy
+         */
+        error: ClaudeError | null;
+    }[];
+    /**
+     * Pick a client for a new conversation, or the client that owns an existing one.
+     * @param {Object} [options] - Options
+     * @param {Conversation | UUID} [options.conversation] - Route to the client that owns this conversation
+     * @returns {Claude}
+     * @throws {ClaudeError} If every key is unhealthy (a RateLimitError if they're all rate limited)
+     * @throws {Error} If a strategy function doesn't return one of the healthy clients
+     */
+    pick({ conversation }?: {
+        conversation?: {
+            /**
+             * The conversation ID
+             */
+            conversationId: string;
+            /**
+             * The conversation name
+             */
+            name: string;
+            /**
+             * The conversation summary (usually empty)
+             */
+            summary: string;
+            /**
+             * The conversation created at
+             */
+            created_at: string;
+            /**
+             * The conversation updated at
+             */
+            updated_at: string;
+        } | any;
+    }): Claude;
+    /**
+     * Start a new conversation with the next available key, failing over to another key if it's rate limited or expired
+     * @param {String} message The message to send to start the conversation
+     * @param {SendMessageParams} [params={}] Message params passed to Conversation.sendMessage
+     * @returns {Promise<Conversation>}
+     */
+    startConversation(message: string, params?: {
+        /**
+         * Whether to retry the most recent message in the conversation instead of sending a new one
+         */
+        retry?: boolean;
+        /**
+         * The timezone
+         */
+        timezone?: string;
+        /**
+         * Attachments
+         */
+        attachments?: {
+            /**
+             * The file name
+             */
+            file_name: string;
+            /**
+             * The file's mime type
+             */
+            file_type: string;
+            /**
+             * The file size in bytes
+             */
+            file_size: number;
+            /**
+             * The contents of the file that were extracted
+             */
+            extracted_content: string;
+            /**
+             * The total pages of the document
+             */
+            totalPages?: number | null;
+        }[];
+        /**
+         * Callback when done receiving the message response
+         */
+        done?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Callback on message response progress
+         */
+        progress?: (a: {
+            /**
+             * The markdown text completion for this response
+             */
+            completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
+            /**
+             * The reason for the response stop (if any)
+             */
+            stop_reason: string | null;
+            /**
+             * The model used
+             */
+            model: string;
+            /**
+             * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+             */
+            stop: string;
+            /**
+             * A logging ID
+             */
+            log_id: string;
+            /**
+             * If you're within the message limit
+             */
+            messageLimit: any;
+        }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
          */
-        completion: string;
+        organization?: Organization | any | string;
         /**
-         * The reason for the response stop (if any)
+         * Resolve with the partial response (instead of rejecting) when aborted
          */
-        stop_reason: string;
+        keepPartial?: boolean;
+    }): Promise<{
         /**
-         * The model used
+         * The conversation ID
          */
-        model: string;
+        conversationId: string;
         /**
-         * The string at which Claude stopped responding at, e.g. "\n\nHuman:"
+         * The conversation name
          */
-        stop: string;
+        name: string;
         /**
-         * A logging ID
+         * The conversation summary (usually empty)
          */
-        log_id: string;
+        summary: string;
         /**
-         * If you're within the message limit
+         * The conversation created at
          */
-        messageLimit: any;
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
     }>;
     /**
-     * Send a message to this conversation
-     * @param {String} message
-     * @async
-     * @param {SendMessageParams} params The parameters to send along with the message
+     * Send a message to a new (temporary by default) or existing conversation, see Claude.sendMessage
+     * @param {string} message - The message
+     * @param {SendMessageParams} [params] - Additional parameters
+     * @param {Conversation | UUID} [params.conversation] - Existing conversation, sent with the key that owns it
      * @returns {Promise<MessageStreamChunk>}
      */
-    sendMessage(message: string, { retry, timezone, attachments, model, done, progress, rawResponse }?: {
+    sendMessage(message: string, { conversation, ...params }?: {
         /**
          * Whether to retry the most recent message in the conversation instead of sending a new one
          */
@@ -757,7 +6369,7 @@ export class Conversation {
             /**
              * The total pages of the document
              */
-            totalPages?: number;
+            totalPages?: number | null;
         }[];
         /**
          * Callback when done receiving the message response
@@ -767,10 +6379,14 @@ export class Conversation {
              * The markdown text completion for this response
              */
             completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
             /**
              * The reason for the response stop (if any)
              */
-            stop_reason: string;
+            stop_reason: string | null;
             /**
              * The model used
              */
@@ -796,10 +6412,14 @@ export class Conversation {
              * The markdown text completion for this response
              */
             completion: string;
+            /**
+             * The text added to `completion` since the previous chunk
+             */
+            delta: string;
             /**
              * The reason for the response stop (if any)
              */
-            stop_reason: string;
+            stop_reason: string | null;
             /**
              * The model used
              */
@@ -817,15 +6437,98 @@ export class Conversation {
              */
             messageLimit: any;
         }) => any;
+        /**
+         * Signal to abort the request and stop reading the response
+         */
+        signal?: AbortSignal;
+        /**
+         * Abort if the whole response hasn't been received after this many milliseconds
+         */
+        timeout?: number;
+        /**
+         * Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+         */
+        contextCheck?: false | "warn" | "error";
+        /**
+         * Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+         */
+        autoContinue?: boolean | {
+            /**
+             * Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+             */
+            threshold?: number;
+            /**
+             * The message asking Claude to summarize the conversation
+             */
+            prompt?: string;
+            /**
+             * Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+             */
+            attachments?: (arg0: {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[], arg1: number) => {
+                /**
+                 * The file name
+                 */
+                file_name: string;
+                /**
+                 * The file's mime type
+                 */
+                file_type: string;
+                /**
+                 * The file size in bytes
+                 */
+                file_size: number;
+                /**
+                 * The contents of the file that were extracted
+                 */
+                extracted_content: string;
+                /**
+                 * The total pages of the document
+                 */
+                totalPages?: number | null;
+            }[];
+        };
+        /**
+         * The organization to start a conversation in (startConversation only), defaults to the current one
+         */
+        organization?: Organization | any | string;
+        /**
+         * Resolve with the partial response (instead of rejecting) when aborted
+         */
+        keepPartial?: boolean;
     }): Promise<{
         /**
          * The markdown text completion for this response
          */
         completion: string;
+        /**
+         * The text added to `completion` since the previous chunk
+         */
+        delta: string;
         /**
          * The reason for the response stop (if any)
          */
-        stop_reason: string;
+        stop_reason: string | null;
         /**
          * The model used
          */
@@ -844,44 +6547,87 @@ export class Conversation {
         messageLimit: any;
     }>;
     /**
-     * Rename the current conversation
-     * @async
-     * @param {String} title The new title
-     * @returns {Promise<Response>} A Response object
-     */
-    rename(title: string): Promise<Response>;
-    /**
-     * Delete the conversation
-     * @async
-     * @returns Promise<Response>
-     */
-    delete(): Promise<Response>;
-    /**
-     * @typedef Message
-     * @property {UUID} uuid The message UUID
-     * @property {String} text The message text
-     * @property {String} created_at The message created at
-     * @property {String} updated_at The message updated at
-     * @property {String | null} edited_at When the message was last edited (no editing support via api/web client)
-     * @property {Any | null} chat_feedback Feedback
-     * @property {Attachment[]} attachments The attachments
-     */
-    /**
-     * @typedef ConversationInfo
-     * @extends Conversation
-     * @property {Message[]} chat_messages The messages in this conversation
+     * Get a conversation by its ID, from whichever key owns it
+     * @param {Conversation | UUID} id The conversation or its uuid
+     * @returns {Promise<Conversation>}
+     * @throws {NotFoundError} If no key has the conversation
      */
+    getConversation(id: {
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    } | any): Promise<{
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    }>;
     /**
-     * Get information about this conversation
-     * @returns {Promise<ConversationInfo>}
+     * Get the conversations of every healthy key
+     * @returns {Promise<Conversation[]>}
      */
-    getInfo(): Promise<any>;
+    getConversations(): Promise<{
+        /**
+         * The conversation ID
+         */
+        conversationId: string;
+        /**
+         * The conversation name
+         */
+        name: string;
+        /**
+         * The conversation summary (usually empty)
+         */
+        summary: string;
+        /**
+         * The conversation created at
+         */
+        created_at: string;
+        /**
+         * The conversation updated at
+         */
+        updated_at: string;
+    }[]>;
     /**
-     * Get all the files from this conversation
-     * @async
-     * @returns {Promise<Attachment[]>}
+     * Extract the contents of a file using any healthy key, see Claude.uploadFile
+     * @param {File} file A JS File (like) object to upload.
+     * @param {Object} [options] Options passed to Claude.uploadFile
+     * @returns {Promise<Attachment>}
      */
-    getFiles(): Promise<{
+    uploadFile(file: File, options?: any): Promise<{
         /**
          * The file name
          */
@@ -901,65 +6647,102 @@ export class Conversation {
         /**
          * The total pages of the document
          */
-        totalPages?: number;
-    }[]>;
+        totalPages?: number | null;
+    }>;
+    #private;
+}
+/**
+ * Organization class
+ * @class
+ * @classdesc An organization the user belongs to, returned by Claude.getOrganizations()
+ */
+export class Organization {
     /**
-     * Get all messages in the conversation
-     * @async
-     * @returns {Promise<Message[]>}
+     * Create an Organization instance.
+     * @param {Claude} claude - Claude instance
+     * @param {Object} organization - Organization data
+     * @param {UUID} organization.uuid - The organization UUID
+     * @param {String} organization.name - The organization name
+     * @param {String} [organization.join_token] - A token
+     * @param {String} [organization.created_at] - The organization creation date
+     * @param {String} [organization.updated_at] - The organization update date
+     * @param {String[]} [organization.capabilities] - What the organization can do, e.g. "chat"
+     * @param {Object} [organization.settings] - The organization's settings
+     * @param {Array} [organization.active_flags] - Organization's flags (none that I've found)
      */
-    getMessages(): Promise<{
-        /**
-         * The message UUID
-         */
+    constructor(claude: Claude, { uuid, name, join_token, created_at, updated_at, capabilities, settings, active_flags }: {
         uuid: any;
+        name: string;
+        join_token?: string;
+        created_at?: string;
+        updated_at?: string;
+        capabilities?: string[];
+        settings?: any;
+        active_flags?: any[];
+    });
+    claude: Claude;
+    json: {
+        uuid: any;
+        name: string;
+        join_token: string;
+        created_at: string;
+        updated_at: string;
+        capabilities: string[];
+        settings: any;
+        active_flags: any[];
+    };
+    /**
+     * Convert this organization to a JSON representation
+     * @returns {Object}
+     */
+    toJSON(): any;
+    /**
+     * Check if the organization has a capability
+     * @param {String} capability - The capability, e.g. "chat"
+     * @returns {Boolean}
+     */
+    hasCapability(capability: string): boolean;
+    /**
+     * Whether this is the Claude instance's current organization
+     * @type {boolean}
+     */
+    get isActive(): boolean;
+    /**
+     * Make this the current organization (see Claude.useOrganization)
+     * @returns {Promise<Organization>}
+     */
+    use(): Promise<Organization>;
+    /**
+     * Get the conversations in this organization
+     * @returns {Promise<Conversation[]>}
+     */
+    getConversations(): Promise<{
         /**
-         * The message text
-         */
-        text: string;
-        /**
-         * The message created at
+         * The conversation ID
          */
-        created_at: string;
+        conversationId: string;
         /**
-         * The message updated at
+         * The conversation name
          */
-        updated_at: string;
+        name: string;
         /**
-         * When the message was last edited (no editing support via api/web client)
+         * The conversation summary (usually empty)
          */
-        edited_at: string | null;
+        summary: string;
         /**
-         * Feedback
+         * The conversation created at
          */
-        chat_feedback: Any | null;
+        created_at: string;
         /**
-         * The attachments
+         * The conversation updated at
          */
-        attachments: {
-            /**
-             * The file name
-             */
-            file_name: string;
-            /**
-             * The file's mime type
-             */
-            file_type: string;
-            /**
-             * The file size in bytes
-             */
-            file_size: number;
-            /**
-             * The contents of the file that were extracted
-             */
-            extracted_content: string;
-            /**
-             * The total pages of the document
-             */
-            totalPages?: number;
-        }[];
+        updated_at: string;
     }[]>;
-    #private;
+    /**
+     * Delete all conversations in this organization
+     * @returns {Promise<Response[]>}
+     */
+    clearConversations(): Promise<Response[]>;
 }
 /**
  * Message class
@@ -998,7 +6781,7 @@ export class Message {
             updated_at: string;
         };
         claude: Claude;
-    }, { uuid, text, sender, index, updated_at, edited_at, chat_feedback, attachments }: {
+    }, { uuid, text, sender, index, created_at, updated_at, edited_at, chat_feedback, attachments }: {
         /**
          * The message UUID
          */
@@ -1018,11 +6801,11 @@ export class Message {
         /**
          * When the message was last edited (no editing support via api/web client)
          */
-        edited_at: string;
+        edited_at: string | null;
         /**
          * Feedback
          */
-        chat_feedback: any;
+        chat_feedback: Any | null;
         /**
          * The attachments
          */
@@ -1046,15 +6829,16 @@ export class Message {
             /**
              * The total pages of the document
              */
-            totalPages?: number;
+            totalPages?: number | null;
         }[];
     });
-    request: (endpoint: string, options: any) => Promise<Response>;
+    request: (...args: any[]) => Promise<Response>;
     json: {
         uuid: any;
         text: string;
         sender: any;
         index: any;
+        created_at: string;
         updated_at: string;
         edited_at: string;
         chat_feedback: any;
@@ -1078,7 +6862,7 @@ export class Message {
             /**
              * The total pages of the document
              */
-            totalPages?: number;
+            totalPages?: number | null;
         }[];
     };
     /**
@@ -1106,11 +6890,11 @@ export class Message {
         /**
          * When the message was last edited (no editing support via api/web client)
          */
-        edited_at: string;
+        edited_at: string | null;
         /**
          * Feedback
          */
-        chat_feedback: any;
+        chat_feedback: Any | null;
         /**
          * The attachments
          */
@@ -1134,7 +6918,7 @@ export class Message {
             /**
              * The total pages of the document
              */
-            totalPages?: number;
+            totalPages?: number | null;
         }[];
     };
     /**
@@ -1197,4 +6981,11 @@ export class Message {
         updated_at: string;
     }>;
 }
+export { validateSchema } from "./schema.js";
+export { CookieJar } from "./cookies.js";
 export default Claude;
+import { ConversationStore } from './storage.js';
+import { CookieJar } from './cookies.js';
+export { MemoryStorage, JSONFileStorage, SQLiteStorage, ConversationStore } from "./storage.js";
+export { recordFixtures, replayFixtures } from "./fixtures.js";
+export { detectFileType, extractDocument, DocumentSizeError } from "./documents.js";
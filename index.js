@@ -1,9 +1,20 @@
+import { ConversationStore } from './storage.js';
+import { validateSchema } from './schema.js';
+import { CookieJar } from './cookies.js';
+import { detectFileType, extractDocument, DocumentSizeError } from './documents.js';
+
 /**
  * The main Claude API client class.
  * @class
  * @classdesc Creates an instance of the Claude API client.
  */
 export class Claude {
+    #organization;
+    #branches = null;
+    #middleware = [];
+    #listeners = new Map();
+    #tools = new Map();
+    #sessionExpired = false;
     /**
      * A UUID string
      * @typedef UUID
@@ -15,17 +26,45 @@ export class Claude {
      * @param {string} options.sessionKey - Claude session key 
      * @param {string|function} [options.proxy] - Proxy URL or proxy function
      * @param {function} [options.fetch] - Fetch function
+     * @param {boolean|RetryPolicy} [options.retry=false] - Retry failed requests, `true` uses the default policy
+     * @param {string} [options.organization] - UUID or name of the organization to use, defaults to the first one
+     * @param {MemoryStorage|JSONFileStorage|SQLiteStorage} [options.storage] - Cache organizations, conversations and messages in this storage adapter
+     * @param {boolean} [options.offline=false] - Only read from `storage`, without making requests
+     * @param {false|"warn"|"error"} [options.contextCheck=false] - Before sending a message, estimate whether it fits in the model's context window along with the conversation so far, and warn or throw a ContextLengthError if it doesn't
+     * @param {boolean|AutoContinuePolicy} [options.autoContinue=false] - When a conversation gets close to the context window, summarize it and continue in a new conversation, `true` uses the default policy
+     * @param {Middleware[]} [options.middleware] - Middleware to add, see `use()`
+     * @param {Object<string, string>} [options.headers] - Headers to send with every request (e.g. a user agent)
+     * @param {CookieJar|Object<string, string>} [options.cookies] - Other cookies to send, the session key is added to them
      * @example
      * const claude = new Claude({
      *   sessionKey: 'sk-ant-sid01-*****',
-     *   fetch: globalThis.fetch
+     *   fetch: globalThis.fetch,
+     *   retry: { attempts: 5 }
      * })
      * 
      * await claude.init();
      * claude.sendMessage('Hello world').then(console.log)
      */
-    constructor({ sessionKey, proxy, fetch }) {
+    constructor({ sessionKey, proxy, fetch, retry = false, organization, storage, offline = false, contextCheck = false, autoContinue = false, middleware = [], headers = {}, cookies }) {
         this.ready = false;
+        this.store = storage ? new ConversationStore(storage) : null;
+        this.offline = offline;
+        if (offline && !storage) {
+            throw new Error('Offline mode requires a storage adapter');
+        }
+        this.#organization = organization;
+        this.retryPolicy = retryPolicy(retry);
+        if (![false, 'warn', 'error'].includes(contextCheck)) {
+            throw new Error('contextCheck must be false, "warn" or "error"');
+        }
+        this.contextCheck = contextCheck;
+        this.autoContinue = autoContinuePolicy(autoContinue);
+        middleware.forEach(fn => this.use(fn));
+        /**
+         * The message limit from the most recent response, null until a message has been sent
+         * @type {MessageLimit | null}
+         */
+        this.messageLimit = null;
         if (typeof proxy === 'string') {
             const HOST = proxy;
             this.proxy = ({ endpoint, options }) => ({ endpoint: HOST + endpoint, options })
@@ -39,14 +78,42 @@ export class Claude {
         if (!this.proxy) {
             this.proxy = ({ endpoint, options }) => ({ endpoint: 'https://claude.ai' + endpoint, options });
         }
+        if (fetch) { this.fetch = fetch }
+        /**
+         * Headers sent with every request, request specific headers take precedence
+         * @type {Object<string, string>}
+         */
+        this.headers = headers;
+        /**
+         * The cookies sent with every request, including the session key. Cookies set by claude.ai are added to it
+         * @type {CookieJar}
+         */
+        this.cookies = cookies instanceof CookieJar ? cookies : new CookieJar(cookies);
+        this.sessionKey = sessionKey;
+    }
+    /**
+     * The session key, changing it (e.g. after a `sessionExpired` event) is used for the next request
+     * @type {string}
+     */
+    get sessionKey() {
+        return this.cookies.get('sessionKey');
+    }
+    set sessionKey(sessionKey) {
         if (!sessionKey) {
             throw new Error('Session key required');
         }
         if (!sessionKey.startsWith('sk-ant-sid01')) {
             throw new Error('Session key invalid: Must be in the format sk-ant-sid01-*****');
         }
-        if (fetch) { this.fetch = fetch }
-        this.sessionKey = sessionKey;
+        this.cookies.set('sessionKey', sessionKey);
+        this.#sessionExpired = false;
+    }
+    /**
+     * Whether the last request was rejected because of the session (401 or 403), or claude.ai removed the session cookie
+     * @type {boolean}
+     */
+    get sessionExpired() {
+        return this.#sessionExpired;
     }
     /**
      * Get available Claude models.
@@ -70,6 +137,27 @@ export class Claude {
         }
         return TOKENS[model || this.defaultModel()];
     }
+    /**
+     * Estimate how many tokens text, attachments or messages take up. This is an approximation (claude.ai doesn't expose its tokenizer), expect it to be off by 10-20%.
+     * @param {...(String | Attachment | Message | Array)} inputs - Text, attachments (their extracted_content) or messages (their text and attachments)
+     * @returns {number} The estimated number of tokens
+     * @example
+     * claude.countTokens("What's in this file?", attachment); // 1234
+     */
+    countTokens(...inputs) {
+        return inputs.flat(Infinity).reduce((total, input) => {
+            if (!input) {
+                return total;
+            }
+            if (typeof input === 'string') {
+                return total + estimateTokens(input);
+            }
+            if ('extracted_content' in input) {
+                return total + estimateTokens(input.file_name || '') + estimateTokens(input.extracted_content || '');
+            }
+            return total + estimateTokens(input.text || '') + this.countTokens(input.attachments || []);
+        }, 0);
+    }
     /**
      * Get the default Claude model.
      * @returns {string} Default model name
@@ -81,6 +169,7 @@ export class Claude {
      * A partial or total completion for a message.
      * @typedef MessageStreamChunk
      * @property {String} completion The markdown text completion for this response
+     * @property {String} delta The text added to `completion` since the previous chunk
      * @property {String | null} stop_reason The reason for the response stop (if any)
      * @property {String} model The model used
      * @property {String} stop The string at which Claude stopped responding at, e.g. "\n\nHuman:"
@@ -88,43 +177,275 @@ export class Claude {
      * @property {Object} messageLimit If you're within the message limit
      * @param {String} messageLimit.type The type of message limit ("within_limit")
      */
+    /**
+     * The message limit state, taken from the `messageLimit` of message stream chunks.
+     * @typedef MessageLimit
+     * @property {String} type The type of message limit, e.g. "within_limit", "approaching_limit" or "exceeded_limit"
+     * @property {Date | null} resetsAt When the limit resets (if sent by claude.ai)
+     */
+    /**
+     * When and how to retry failed requests. Requests that aren't idempotent (like creating a conversation) are never retried, interrupted messages are regenerated with retry_message.
+     * @typedef RetryPolicy
+     * @property {Number} [attempts=3] The maximum number of attempts (including the first one)
+     * @property {Number} [delay=1000] The delay before the first retry in milliseconds
+     * @property {Number} [factor=2] The delay is multiplied by this after each attempt
+     * @property {Number} [maxDelay=30000] The maximum delay, errors that say to wait longer than this (like an exceeded message limit) aren't retried
+     * @property {Boolean} [jitter=true] Randomize each delay between 50% and 100% of its value
+     * @property {function(ClaudeError): boolean} [retryOn] Whether an error should be retried, defaults to `error.retryable`
+     */
+    /**
+     * When and how to move a long conversation to a new one.
+     * @typedef AutoContinuePolicy
+     * @property {Number} [threshold=0.8] Continue in a new conversation once the conversation plus the new message would use this much of the context window (0 to 1)
+     * @property {String} [prompt] The message asking Claude to summarize the conversation
+     * @property {function(Attachment[], number): Attachment[]} [attachments] Picks the attachments to carry over, given every attachment in the conversation (oldest first) and a token budget. Defaults to the newest ones that fit in the budget
+     */
     /**
      * Send a message to a new or existing conversation.
      * @param {string} message - Initial message
      * @param {SendMessageParams} [params] - Additional parameters
      * @param {string} [params.conversation] - Existing conversation ID
-     * @param {boolean} [params.temporary=true] - Delete after getting response
+     * @param {boolean} [params.temporary=true] - Delete after getting response (even if it fails)
      * @returns {Promise<MessageStreamChunk>} Result message
      */
-    async sendMessage(message, { conversation = null, temporary = true, ...params }) {
-        if (!conversation) {
-            let out;
-            let convo = await this.startConversation(message, {
-                ...params,
-                done: (a) => {
-                    if (params.done) {
-                        params.done(a);
-                    }
-                    out = a;
+    async sendMessage(message, { conversation = null, temporary = true, ...params } = {}) {
+        if (conversation) {
+            return (await this.getConversation(conversation)).sendMessage(message, params);
+        }
+        if (temporary) {
+            return this.#sendTemporary(message, params);
+        }
+        let out;
+        await this.startConversation(message, {
+            ...params,
+            done: (a) => {
+                if (params.done) {
+                    params.done(a);
                 }
-            })
-            if (temporary) { await convo.delete(); }
-            return out;
-        } else {
-            return await this.getConversation(conversation).sendMessage(message, {
-                ...params,
-            })
+                out = a;
+            }
+        })
+        return out;
+    }
+    /**
+     * Send a message to a new or existing conversation and get the response as a stream of the text it adds, see Conversation.textStream
+     * @param {string} message - The message
+     * @param {SendMessageParams} [params] - Additional parameters
+     * @param {string} [params.conversation] - Existing conversation ID
+     * @param {boolean} [params.temporary=true] - Delete the new conversation once the stream ends (or errors or is cancelled), it's kept untitled otherwise
+     * @returns {ReadableStream<String>} The new text of each chunk of the response
+     * @example
+     * await claude.textStream('Write a poem').pipeTo(Writable.toWeb(process.stdout));
+     */
+    textStream(message, { conversation = null, temporary = true, ...params } = {}) {
+        if (conversation) {
+            return textStream(async (signal) => (await this.getConversation(conversation)).stream(message, { ...params, signal }), { signal: params.signal });
+        }
+        let convo;
+        let cleanup = () => { };
+        return textStream(async (signal) => {
+            [signal, cleanup] = withTimeout(signal, params.timeout);
+            convo = await this.#createConversation(message, { ...params, signal });
+            return convo.stream(message, { ...params, signal, timeout: undefined });
+        }, {
+            signal: params.signal,
+            finish: async () => {
+                cleanup();
+                if (temporary) {
+                    // Not with the signal, so it's still deleted after an abort
+                    await convo?.delete().catch(() => { });
+                }
+            },
+        });
+    }
+    /**
+     * Like `textStream`, as a Node.js Readable (Node only)
+     * @async
+     * @param {string} message - The message
+     * @param {SendMessageParams} [params] - Additional parameters, as for `textStream`
+     * @returns {Promise<Readable>} A Readable of UTF-8 strings, destroying it stops the response
+     * @example
+     * http.createServer(async (req, res) => (await claude.nodeStream('Hello')).pipe(res));
+     */
+    async nodeStream(message, params) {
+        const { Readable } = await import('stream');
+        return Readable.fromWeb(this.textStream(message, params), { encoding: 'utf-8' });
+    }
+    /**
+     * A request as seen by middleware and the "request" event
+     * @typedef RequestContext
+     * @property {String} endpoint The API endpoint, e.g. "/api/organizations"
+     * @property {String} url The full URL (after the proxy)
+     * @property {Object} options The fetch options, middleware can change these (e.g. to add headers)
+     * @property {Number} attempt The attempt number, starting at 1 (see the retry option)
+     */
+    /**
+     * Wraps every fetch call. Call `next` to continue with the request (passing a different context if you like) and return its response, or return a different Response
+     * @callback Middleware
+     * @param {RequestContext} context The request
+     * @param {function(RequestContext=): Promise<Response>} next Calls the next middleware, and then fetch
+     * @returns {Promise<Response>} The response
+     */
+    /**
+     * Add a middleware, they run in the order they were added on every attempt of every request
+     * @param {Middleware} middleware The middleware
+     * @returns {Claude} This instance, for chaining
+     * @example
+     * claude.use(async (context, next) => {
+     *   context.options.headers = { ...context.options.headers, 'x-request-id': crypto.randomUUID() };
+     *   const started = Date.now();
+     *   const response = await next();
+     *   console.log(context.endpoint, response.status, Date.now() - started, 'ms');
+     *   return response;
+     * });
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new Error('Middleware must be a function');
+        }
+        this.#middleware.push(middleware);
+        return this;
+    }
+    /**
+     * Listen to an event
+     * - `request` (context: RequestContext) - Before each fetch, after middleware
+     * - `response` (response: Response, context: RequestContext) - After each fetch, whatever the status
+     * - `chunk` (chunk: MessageStreamChunk, conversation: Conversation) - Each chunk of a message response
+     * - `done` (chunk: MessageStreamChunk, conversation: Conversation) - The last chunk of a message response
+     * - `error` (error: ClaudeError, details: {endpoint: String, conversation?: Conversation}) - A request or message response failed
+     * - `conversationCreated` (conversation: Conversation) - A conversation was created
+     * - `conversationDeleted` (conversation: Conversation) - A conversation was deleted
+     * - `toolCall` (call: ToolCall, conversation: Conversation) - A tool was called by sendWithTools
+     * - `sessionExpired` (error: AuthenticationError) - A request was rejected because of the session, or claude.ai removed the session cookie. Emitted once until a request succeeds or `sessionKey` is changed
+     * @param {String} event The event name
+     * @param {Function} listener Called with the event's arguments
+     * @returns {Claude} This instance, for chaining
+     * @example
+     * claude.on('chunk', (chunk) => process.stdout.write(chunk.delta));
+     */
+    on(event, listener) {
+        if (!this.#listeners.has(event)) {
+            this.#listeners.set(event, []);
+        }
+        this.#listeners.get(event).push(listener);
+        return this;
+    }
+    /**
+     * Listen to the next occurrence of an event, see `on()`
+     * @param {String} event The event name
+     * @param {Function} listener Called with the event's arguments
+     * @returns {Claude} This instance, for chaining
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            return listener(...args);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+    /**
+     * Stop listening to an event
+     * @param {String} event The event name
+     * @param {Function} listener The listener passed to `on()` or `once()`
+     * @returns {Claude} This instance, for chaining
+     */
+    off(event, listener) {
+        const listeners = this.#listeners.get(event) || [];
+        const index = listeners.findIndex(i => i === listener || i.listener === listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        return this;
+    }
+    /**
+     * Call an event's listeners
+     * @param {String} event The event name
+     * @param {...any} args The event's arguments
+     * @returns {Boolean} Whether there were any listeners
+     */
+    emit(event, ...args) {
+        const listeners = [...(this.#listeners.get(event) || [])];
+        listeners.forEach(listener => listener(...args));
+        return listeners.length > 0;
+    }
+    /**
+     * A tool Claude can use, see Conversation.sendWithTools
+     * @typedef Tool
+     * @property {String} name The name Claude calls it by (letters, numbers, _ and -)
+     * @property {String} description What it does and when to use it
+     * @property {Object} [parameters] A JSON Schema for its arguments (an object), see validateSchema
+     * @property {function(Object, {conversation: Conversation, signal?: AbortSignal}): any} handler Runs the tool with the arguments, returns (or resolves to) the result. Strings are sent as they are, anything else as JSON
+     */
+    /**
+     * Register a tool for Conversation.sendWithTools
+     * @param {Tool} tool The tool, replaces any tool with the same name
+     * @returns {Claude} This instance, for chaining
+     * @example
+     * claude.registerTool({
+     *   name: 'calculate',
+     *   description: 'Evaluate an arithmetic expression',
+     *   parameters: { type: 'object', properties: { expression: { type: 'string' } }, required: ['expression'] },
+     *   handler: ({ expression }) => evaluate(expression),
+     * });
+     */
+    registerTool(tool) {
+        if (!/^[\w-]+$/.test(tool?.name || '')) {
+            throw new Error('Tool name required (letters, numbers, _ and -)');
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Tool ${tool.name} needs a handler function`);
         }
+        this.#tools.set(tool.name, { parameters: { type: 'object' }, description: '', ...tool });
+        return this;
+    }
+    /**
+     * Remove a registered tool
+     * @param {String} name The tool's name
+     * @returns {Boolean} Whether there was a tool with that name
+     */
+    unregisterTool(name) {
+        return this.#tools.delete(name);
+    }
+    /**
+     * The registered tools
+     * @type {Tool[]}
+     */
+    get tools() {
+        return [...this.#tools.values()];
     }
     /**
      * Make an API request.
      * @param {string} endpoint - API endpoint
-     * @param {Object} options - Request options
+     * @param {Object} options - Request options (passed to fetch)
+     * @param {AbortSignal} [options.signal] - Signal to abort the request
+     * @param {Number} [options.timeout] - Abort the request if there's no response after this many milliseconds (reading the body isn't covered)
+     * @param {Boolean} [options.idempotent] - Whether the request can be retried, defaults to true for GET, HEAD, OPTIONS, PUT and DELETE requests
      * @returns {Promise<Response>} Fetch response
+     * @throws {AbortError} If the request was aborted (TimeoutError if it timed out)
+     * @throws {NetworkError} If the request couldn't be made (or the client is offline)
+     * @throws {ClaudeError} If the response has an error status (AuthenticationError, NotFoundError, RateLimitError, ServerError)
      * @example
      * await claude.request('/api/organizations').then(r => r.json())
      */
-    request(endpoint, options) {
+    async request(endpoint, options) {
+        try {
+            return await this.#send(endpoint, options);
+        } catch (e) {
+            this.emit('error', e, { endpoint });
+            throw e;
+        }
+    }
+    /**
+     * Make a request with retries, see `request()`
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @returns {Promise<Response>} Fetch response
+     */
+    async #send(endpoint, options) {
+        if (this.offline) {
+            throw new NetworkError(`Can't request ${endpoint} in offline mode`, { endpoint });
+        }
         // Can't figure out a way to test this so I'm just assuming it works
         if (!(this.fetch || globalThis.fetch)) {
             throw new Error(`No fetch available in your environment. Use node-18 or later, a modern browser, or add the following code to your project:\n\nimport "isomorphic-fetch";\nconst claude = new Claude({fetch: fetch, sessionKey: "sk-ant-sid01-*****"});`);
@@ -136,35 +457,183 @@ export class Claude {
             const HOST = this.proxy;
             this.proxy = ({ endpoint, options }) => ({ endpoint: HOST + endpoint, options })
         }
-        const proxied = this.proxy({ endpoint, options });
-        return (this.fetch || globalThis.fetch)(proxied.endpoint, proxied.options);
+        let signal;
+        let idempotent;
+        let cleanup = () => { };
+        if (options) {
+            let timeout;
+            ({ signal, timeout, idempotent, ...options } = options);
+            [signal, cleanup] = withTimeout(signal, timeout);
+            if (signal) { options.signal = signal; }
+        }
+        idempotent ??= ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'].includes((options?.method || 'GET').toUpperCase());
+        try {
+            const policy = this.retryPolicy || retryPolicy(false);
+            for (let attempt = 1; ; attempt++) {
+                if (signal?.aborted) {
+                    throw abortError(signal, endpoint);
+                }
+                // Built on every attempt, the cookies may have changed since the last one
+                const cookie = this.cookies.header();
+                const headers = { ...lowerCaseKeys(this.headers), ...(cookie && { cookie }), ...lowerCaseKeys(options?.headers) };
+                const proxied = this.proxy({ endpoint, options: { ...options, headers } });
+                const context = { endpoint, url: proxied.endpoint, options: proxied.options || {}, attempt };
+                let response;
+                let error;
+                try {
+                    response = await this.#dispatch(context, 0);
+                    this.emit('response', response, context);
+                    if (this.cookies.update(response.headers).includes('sessionKey') && !this.sessionKey) {
+                        this.#expireSession(new AuthenticationError(`The session cookie was removed by ${endpoint}`, { status: response.status, endpoint }));
+                    }
+                } catch (e) {
+                    if (signal?.aborted) {
+                        throw abortError(signal, endpoint);
+                    }
+                    // Anything else thrown by middleware is a bug, not a failed request
+                    if (!(e instanceof ClaudeError)) {
+                        throw e;
+                    }
+                    error = e;
+                }
+                if (!error && !(response.status >= 400)) {
+                    if (this.sessionKey) {
+                        this.#sessionExpired = false;
+                    }
+                    return response;
+                }
+                error ||= await errorFromResponse(response, endpoint);
+                if (error instanceof AuthenticationError) {
+                    this.#expireSession(error);
+                }
+                const delay = idempotent && attempt < policy.attempts ? retryDelay(policy, attempt, error) : null;
+                if (delay === null) {
+                    throw error;
+                }
+                await sleep(delay, signal).catch(() => { throw abortError(signal, endpoint) });
+            }
+        } finally {
+            cleanup();
+        }
+    }
+    /**
+     * Mark the session as expired, emitting `sessionExpired` the first time
+     * @param {AuthenticationError} error Why
+     */
+    #expireSession(error) {
+        if (!this.#sessionExpired) {
+            this.#sessionExpired = true;
+            this.emit('sessionExpired', error);
+        }
+    }
+    /**
+     * Run a request through the middleware from `index` on, then fetch
+     * @param {RequestContext} context The request
+     * @param {Number} index The middleware to run next
+     * @returns {Promise<Response>} The response
+     * @throws {NetworkError} If fetch fails
+     */
+    async #dispatch(context, index) {
+        if (index < this.#middleware.length) {
+            return this.#middleware[index](context, (next = context) => this.#dispatch(next, index + 1));
+        }
+        this.emit('request', context);
+        try {
+            return await (this.fetch || globalThis.fetch)(context.url, context.options);
+        } catch (e) {
+            throw new NetworkError(`Request to ${context.endpoint} failed: ${e.message}`, { endpoint: context.endpoint, cause: e });
+        }
     }
     /**
      * Initialize the client.
      * @async
      * @returns {Promise<void>} Void
+     * @throws {NotFoundError} If the `organization` passed to the constructor doesn't exist
      */
     async init() {
         const organizations = await this.getOrganizations();
-        if (organizations.error) {
-            throw new Error(JSON.stringify(organizations, null, 2))
+        await this.useOrganization(this.#organization || organizations[0]);
+    }
+    /**
+     * The account the session key belongs to
+     * @typedef Account
+     * @property {UUID} uuid The account UUID
+     * @property {String} email_address The email address
+     * @property {String} full_name The name
+     * @property {Object[]} memberships The organizations the account is in, with the account's role in each
+     */
+    /**
+     * Get the account the session key belongs to. Always makes a request, even with `storage`.
+     * @async
+     * @param {Object} [options] Options
+     * @param {AbortSignal} [options.signal] Signal to abort the request
+     * @param {Number} [options.timeout] Abort after this many milliseconds
+     * @returns {Promise<Account>} The account
+     * @throws {AuthenticationError} If the session key is invalid or expired
+     * @example
+     * const { email_address } = await claude.whoami();
+     */
+    async whoami({ signal, timeout } = {}) {
+        const endpoint = '/api/auth/current_account';
+        let cleanup;
+        [signal, cleanup] = withTimeout(signal, timeout);
+        let json, response;
+        try {
+            response = await this.request(endpoint, { signal });
+            json = await readJSON(response, endpoint, signal);
+        } finally {
+            cleanup();
         }
-        this.organizationId = organizations[0].uuid;
-        this.recent_conversations = await this.getConversations();
-        this.ready = true;
+        if (!json?.account?.uuid) {
+            throw new ParseError('Invalid response when getting the current account', { endpoint, status: response.status, body: json });
+        }
+        return json.account;
+    }
+    /**
+     * Check whether the session key works, without throwing if it doesn't
+     * @async
+     * @param {Object} [options] Options, see `whoami()`
+     * @returns {Promise<{valid: Boolean, account: Account | null, error: AuthenticationError | null}>}
+     * @throws {ClaudeError} If the session couldn't be checked (e.g. a NetworkError)
+     * @example
+     * const { valid } = await claude.validateSession();
+     * if (!valid) {
+     *   claude.sessionKey = await refreshKey();
+     * }
+     */
+    async validateSession(options) {
+        try {
+            return { valid: true, account: await this.whoami(options), error: null };
+        } catch (e) {
+            if (e instanceof AuthenticationError) {
+                return { valid: false, account: null, error: e };
+            }
+            throw e;
+        }
+    }
+    /**
+     * The organization conversations are created in, null before `init()`
+     * @type {Organization | null}
+     */
+    get organization() {
+        return this.organizations?.find(i => i.uuid === this.organizationId) || null;
     }
     /**
-     * An organization
-     * @typedef Organization
-     * @property {String} join_token A token
-     * @property {String} name The organization name
-     * @property {String} uuid The organization UUID
-     * @property {String} created_at The organization creation date
-     * @property {String} updated_at The organization update date
-     * @property {String[]} capabilities What the organization can do
-     * @property {Object} settings The organization's settings
-     * @property {Array} active_flags Organization's flags (none that I've found)
+     * Switch to another organization. New conversations are created in this organization, existing Conversation instances stay in theirs.
+     * @async
+     * @param {Organization | UUID | String} organization The organization, its UUID or its name
+     * @returns {Promise<Organization>} The organization
+     * @throws {NotFoundError} If there's no organization with that UUID or name
+     * @example
+     * await claude.useOrganization("Work");
      */
+    async useOrganization(organization) {
+        const org = await this.#findOrganization(organization);
+        this.organizationId = org.uuid;
+        this.recent_conversations = await this.getConversations();
+        this.ready = true;
+        return org;
+    }
     /**
      * Get the organizations list.
      * @async
@@ -175,24 +644,53 @@ export class Claude {
      * })
      */
     async getOrganizations() {
-        const response = await this.request("/api/organizations", {
-            headers: {
-                "content-type": "application/json",
-                "cookie": `sessionKey=${this.sessionKey}`
+        const json = await withCache(this, '/api/organizations', () => this.store.getOrganizations(), (json) => this.store.setOrganizations(json), async () => {
+            const response = await this.request("/api/organizations", {
+                headers: {
+                    "content-type": "application/json"
+                }
+            });
+            const json = await readJSON(response, "/api/organizations");
+            if (!Array.isArray(json)) {
+                throw new ClaudeError(json?.error?.message || 'Failed to get organizations', { status: response.status, endpoint: '/api/organizations', body: json });
             }
+            return json;
         });
-        return await response.json().catch(errorHandle("getOrganizations"));
+        /**
+         * The organizations from the last getOrganizations() call
+         * @type {Organization[]}
+         */
+        this.organizations = json.map(org => new Organization(this, org));
+        return this.organizations;
+    }
+    /**
+     * Find an organization by UUID or name
+     * @param {Organization | UUID | String} organization The organization, its UUID or its name
+     * @returns {Promise<Organization>}
+     */
+    async #findOrganization(organization) {
+        if (organization instanceof Organization) {
+            return organization;
+        }
+        const organizations = this.organizations || await this.getOrganizations();
+        const found = organizations.find(i => i.uuid === organization || i.name === organization);
+        if (!found) {
+            throw new NotFoundError(`Organization not found: ${organization} (available: ${organizations.map(i => i.name).join(', ')})`, { endpoint: '/api/organizations' });
+        }
+        return found;
     }
     /**
      * Delete all conversations
      * @async
+     * @param {Object} [options] Options
+     * @param {Organization | UUID | String} [options.organization] Clear this organization's conversations instead of the current one's
      * @returns {Promise<Response[]>} An array of responses for the DELETE requests
      * @example
      * await claude.clearConversations();
      * console.assert(await claude.getConversations().length === 0);
      */
-    async clearConversations() {
-        const convos = await this.getConversations();
+    async clearConversations({ organization } = {}) {
+        const convos = await this.getConversations({ organization });
         return Promise.all(convos.map(i => i.delete()))
     }
     /**
@@ -210,6 +708,12 @@ export class Claude {
      * @property {Attachment[]} [attachments=[]] Attachments
      * @property {doneCallback} [done] Callback when done receiving the message response
      * @property {progressCallback} [progress] Callback on message response progress
+     * @property {AbortSignal} [signal] Signal to abort the request and stop reading the response
+     * @property {Number} [timeout] Abort if the whole response hasn't been received after this many milliseconds
+     * @property {false | "warn" | "error"} [contextCheck] Check the message fits in the context window before sending it, defaults to the Claude instance's `contextCheck` option
+     * @property {boolean | AutoContinuePolicy} [autoContinue] Summarize and continue in a new conversation when close to the context window, defaults to the Claude instance's `autoContinue` option
+     * @property {Organization | UUID | String} [organization] The organization to start a conversation in (startConversation only), defaults to the current one
+     * @property {Boolean} [keepPartial=false] Resolve with the partial response (instead of rejecting) when aborted
      */
     /**
      * Start a new conversation
@@ -222,180 +726,740 @@ export class Claude {
      * console.log(await conversation.getInfo());
      */
     async startConversation(message, params = {}) {
+        // One signal for all of the requests, so the timeout applies to the whole thing
+        const [signal, cleanup] = withTimeout(params.signal, params.timeout);
+        try {
+            const convo = await this.#createConversation(message, { ...params, signal });
+            await convo.sendMessage(message, { ...params, signal, timeout: undefined, contextCheck: false, autoContinue: false })
+            await this.request(`/api/generate_chat_title`, {
+                signal,
+                headers: {
+                    "content-type": "application/json"
+                },
+                body: JSON.stringify({
+                    organization_uuid: convo.organizationId,
+                    conversation_uuid: convo.conversationId,
+                    message_content: message,
+                    recent_titles: this.recent_conversations.map(i => i.name),
+                }),
+                method: 'POST'
+            }).then(r => readJSON(r, '/api/generate_chat_title', signal));
+            return convo;
+        } finally {
+            cleanup();
+        }
+    }
+    /**
+     * Create an empty conversation for a message (checking the message fits in the context window first)
+     * @param {String} message The message that will be sent
+     * @param {SendMessageParams} params The message params (contextCheck, attachments, model, organization and signal are used)
+     * @returns {Promise<Conversation>}
+     */
+    async #createConversation(message, { contextCheck = this.contextCheck, attachments, model, organization, signal }) {
         if (!this.ready) {
             await this.init();
         }
-        const { uuid: convoID, name, summary, created_at, updated_at } = await this.request(`/api/organizations/${this.organizationId}/chat_conversations`, {
+        // There's no history yet, so this can be checked before creating the conversation
+        checkContext(this, contextCheck, this.countTokens(message, attachments), model);
+        const organizationId = organization ? (await this.#findOrganization(organization)).uuid : this.organizationId;
+        const endpoint = `/api/organizations/${organizationId}/chat_conversations`;
+        const { uuid: convoID, name, summary, created_at, updated_at } = await this.request(endpoint, {
+            signal,
             headers: {
-                "content-type": "application/json",
-                "cookie": `sessionKey=${this.sessionKey}`
+                "content-type": "application/json"
             },
             method: 'POST',
             body: JSON.stringify({
                 name: '',
                 uuid: uuid(),
             })
-        }).then(r => r.json()).catch(errorHandle("startConversation create"));
-        const convo = new Conversation(this, { conversationId: convoID, name, summary, created_at, updated_at });
-        await convo.sendMessage(message, params)
-        await this.request(`/api/generate_chat_title`, {
-            headers: {
-                "content-type": "application/json",
-                "cookie": `sessionKey=${this.sessionKey}`
-            },
-            body: JSON.stringify({
-                organization_uuid: this.organizationId,
-                conversation_uuid: convoID,
-                message_content: message,
-                recent_titles: this.recent_conversations.map(i => i.name),
-            }),
-            method: 'POST'
-        }).then(r => r.json()).catch(errorHandle("startConversation generate_chat_title"));
+        }).then(r => readJSON(r, endpoint, signal));
+        const convo = new Conversation(this, { conversationId: convoID, organizationId, name, summary, created_at, updated_at, model });
+        this.emit('conversationCreated', convo);
         return convo;
     }
+    /**
+     * Send a message to a new conversation and delete it afterwards, whether or not sending worked
+     * @param {String} message The message
+     * @param {SendMessageParams} params Message params
+     * @returns {Promise<MessageStreamChunk>}
+     */
+    async #sendTemporary(message, params) {
+        const [signal, cleanup] = withTimeout(params.signal, params.timeout);
+        try {
+            const convo = await this.#createConversation(message, { ...params, signal });
+            try {
+                return await convo.sendMessage(message, { ...params, signal, timeout: undefined, contextCheck: false, autoContinue: false });
+            } finally {
+                // Not with the signal, so it's still deleted after an abort
+                await convo.delete().catch(() => { });
+            }
+        } finally {
+            cleanup();
+        }
+    }
     /**
      * Get a conversation by its ID
      * @param {UUID} id The uuid of the conversation (Conversation.uuid or Conversation.conversationId)
+     * @param {Object} [options] Options
+     * @param {Organization | UUID | String} [options.organization] The organization the conversation is in, defaults to the current one
      * @async
      * @returns {Conversation | null} The conversation
      * @example
      * const conversation = await claude.getConversation("222aa20a-bc79-48d2-8f6d-c819a1b5eaed");
      */
-    async getConversation(id) {
+    async getConversation(id, { organization } = {}) {
+        const organizationId = organization ? (await this.#findOrganization(organization)).uuid : id.organizationId || this.organizationId;
         if (id instanceof Conversation || id.conversationId) {
-            return new Conversation(this, { conversationId: id.conversationId })
+            return new Conversation(this, { conversationId: id.conversationId, organizationId })
         }
-        return new Conversation(this, { conversationId: id })
+        return new Conversation(this, { conversationId: id, organizationId })
     }
     /**
      * Get all conversations
      * @async
+     * @param {Object} [options] Options
+     * @param {Organization | UUID | String} [options.organization] Get this organization's conversations instead of the current one's
      * @returns {Promise<Conversation[]>} A list of conversations
      * @example
      * console.log(`You have ${await claude.getConversations().length} conversations:`); 
      */
-    async getConversations() {
-        const response = await this.request(`/api/organizations/${this.organizationId}/chat_conversations`, {
-            headers: {
-                "content-type": "application/json",
-                "cookie": `sessionKey=${this.sessionKey}`
-            }
+    async getConversations({ organization } = {}) {
+        const organizationId = organization ? (await this.#findOrganization(organization)).uuid : this.organizationId;
+        const endpoint = `/api/organizations/${organizationId}/chat_conversations`;
+        const json = await withCache(this, endpoint, () => this.store.getConversations(organizationId), (json) => this.store.setConversations(organizationId, json), async () => {
+            const response = await this.request(endpoint, {
+                headers: {
+                    "content-type": "application/json"
+                }
+            });
+            return readJSON(response, endpoint);
         });
-        const json = await response.json();
-        return json.map(convo => new Conversation(this, { conversationId: convo.uuid, ...convo }));
+        return json.map(convo => new Conversation(this, { conversationId: convo.uuid, organizationId, ...convo }));
     }
     /**
-     * The response from uploading a file (an attachment)
-     * @typedef Attachment
-     * @property {String} file_name The file name
-     * @property {String} file_type The file's mime type
-     * @property {Number} file_size The file size in bytes
-     * @property {String} extracted_content The contents of the file that were extracted
-     * @property {Number | null} [totalPages] The total pages of the document
+     * The result of syncing the local storage
+     * @typedef SyncResult
+     * @property {Conversation[]} updated Conversations that were new or changed, and have been refetched
+     * @property {Conversation[]} unchanged Conversations that were already up to date
+     * @property {UUID[]} removed IDs of conversations that were deleted on claude.ai and removed from storage
      */
     /**
-     * Extract the contents of a file
-     * @param {File} file A JS File (like) object to upload.
+     * Bring the local storage up to date, only fetching the messages of conversations whose `updated_at` has changed
      * @async
-     * @returns {Promise<Attachment>}
+     * @param {Object} [options] Options
+     * @param {Organization | UUID | String} [options.organization] Sync this organization instead of the current one
+     * @returns {Promise<SyncResult>}
      * @example
-     * const file = await claude.uploadFile(
-     *     new File(["test"], "test.txt", { type: "text/plain" }
-     * );
-     * console.log(await claude.sendMessage("What's the contents of test.txt?", {
-     *  attachments: [file]
-     * }))
+     * const claude = new Claude({ sessionKey, storage: new JSONFileStorage('claude.json') });
+     * await claude.init();
+     * const { updated } = await claude.sync();
+     * console.log(`Fetched ${updated.length} changed conversations`);
      */
-    async uploadFile(file) {
-        const { content, isText } = await readAsText(file);
-        if (isText) {
-            console.log(`Extracted ${content.length} characters from ${file.name}`);
-            return {
-                "file_name": file.name,
-                "file_type": file.type,
-                "file_size": file.size,
-                "extracted_content": content,
-            }
-        }
-        const fd = new FormData();
-        fd.append('file', file, file.name);
-        fd.append('orgUuid', this.organizationId);
-        const response = await this.request('/api/convert_document', {
-            headers: {
-                "cookie": `sessionKey=${this.sessionKey}`,
-            },
-            method: 'POST',
-            body: fd
-        });
-        let json;
-        try {
-            json = await response.json();
-        } catch (e) {
-            console.log("Couldn't parse JSON", response.status)
-            throw new Error('Invalid response when uploading ' + file.name);
+    async sync({ organization } = {}) {
+        if (!this.store) {
+            throw new Error('sync() requires the storage option');
         }
-        if (response.status !== 200) {
-            console.log('Status not 200')
-            throw new Error('Invalid response when uploading ' + file.name);
+        const organizationId = organization ? (await this.#findOrganization(organization)).uuid : this.organizationId;
+        const previous = await this.store.getConversations(organizationId) || [];
+        const conversations = await this.getConversations({ organization: organizationId });
+        const result = { updated: [], unchanged: [], removed: [] };
+        for (const conversation of conversations) {
+            const cached = await this.store.getConversation(conversation.conversationId);
+            if (cached && !cached.stale && cached.info.updated_at === conversation.updated_at) {
+                result.unchanged.push(conversation);
+                continue;
+            }
+            await conversation.getInfo();
+            result.updated.push(conversation);
         }
-        if (!json.hasOwnProperty('extracted_content')) {
-            console.log(json);
-            throw new Error('Invalid response when uploading ' + file.name);
+        const ids = new Set(conversations.map(i => i.conversationId));
+        for (const { uuid } of previous) {
+            if (!ids.has(uuid)) {
+                await this.store.deleteConversation(uuid, organizationId);
+                result.removed.push(uuid);
+            }
         }
-        console.log(`Extracted ${json.extracted_content.length} characters from ${file.name}`);
-        return json;
+        return result;
     }
-}
-
-/**
- * A Claude conversation instance.
- * @class 
- * @classdesc Represents an active Claude conversation.
- */
-export class Conversation {
     /**
-     * @typedef Conversation
-     * @property {String} conversationId The conversation ID
-     * @property {String} name The conversation name
-     * @property {String} summary The conversation summary (usually empty)
-     * @property {String} created_at The conversation created at
-     * @property {String} updated_at The conversation updated at
+     * A message that matched a search
+     * @typedef SearchMatch
+     * @property {Message} message The message
+     * @property {"text" | "attachment"} source Whether the query matched the message text or one of its attachments
+     * @property {String | null} file_name The attachment's file name (if source is "attachment")
+     * @property {String} snippet The text around the first match, e.g. "...the answer is 42 because..."
+     * @property {Number} score How well this message matched
      */
     /**
-     * Create a Conversation instance.
-     * @param {Claude} claude - Claude client instance 
-     * @param {Object} options - Options
-     * @param {String} options.conversationId - Conversation ID
-     * @param {String} [options.name] - Conversation name
-     * @param {String} [options.summary] - Conversation summary
-     * @param {String} [options.created_at] - Conversation created at
-     * @param {String} [options.updated_at] - Conversation updated at
-     * @param {String} [options.model] - Claude model
+     * A conversation that matched a search
+     * @typedef SearchResult
+     * @property {Conversation} conversation The conversation
+     * @property {Number} score How well the conversation matched, results are sorted by this
+     * @property {SearchMatch[]} matches The matching messages, best first
      */
-    constructor(claude, { model, conversationId, name = "", summary = "", created_at, updated_at }) {
-        this.claude = claude;
-        this.conversationId = conversationId;
-        this.request = claude.request;
-        if (!this.claude) {
-            throw new Error('Claude not initialized');
-        }
-        if (!this.claude.sessionKey) {
-            throw new Error('Session key required');
-        }
-        if (!this.conversationId) {
-            throw new Error('Conversation ID required, are you calling `await claude.init()`?');
-        }
-        this.model = model || this.claude.defaultModel();
-        Object.assign(this, { name, summary, created_at: created_at || new Date().toISOString(), updated_at: updated_at || new Date().toISOString() })
-    }
     /**
-     * Convert the conversation to a JSON object
-     * @returns {Conversation} The serializable object
-     */
+     * Search conversations by the text of their messages and attachments. This fetches every conversation in the date range, so pass the `storage` option to the constructor when searching often.
+     * @async
+     * @param {Object} [options] Search options
+     * @param {String} [options.query] Words to search for, every word has to be in the conversation (case insensitive). Without a query every conversation matching the other filters is returned
+     * @param {Date | String | Number} [options.from] Only search messages created at or after this
+     * @param {Date | String | Number} [options.to] Only search messages created at or before this
+     * @param {String} [options.model] Only search conversations using this model
+     * @param {Boolean} [options.hasAttachments] Only search conversations with (true) or without (false) attachments
+     * @param {Number} [options.limit=20] The maximum number of results
+     * @param {Number} [options.offset=0] Skip this many results, for pagination
+     * @param {Organization | UUID | String} [options.organization] Search this organization instead of the current one
+     * @returns {Promise<{total: Number, results: SearchResult[]}>} The total number of matching conversations and the requested page of results
+     * @example
+     * const { results } = await claude.searchConversations({ query: 'sourdough recipe', from: '2023-06-01' });
+     * for (const { conversation, matches } of results) {
+     *   console.log(conversation.name, matches[0].snippet);
+     * }
+     */
+    async searchConversations({ query = '', from, to, model, hasAttachments, limit = 20, offset = 0, organization } = {}) {
+        const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+        const fromTime = from === undefined ? -Infinity : new Date(from).getTime();
+        const toTime = to === undefined ? Infinity : new Date(to).getTime();
+        if (isNaN(fromTime) || isNaN(toTime)) {
+            throw new Error('Invalid from or to date');
+        }
+        // No message can be in the range if the conversation was last updated before it started, or created after it ended
+        const conversations = (await this.getConversations({ organization })).filter(conversation => {
+            return new Date(conversation.updated_at).getTime() >= fromTime && new Date(conversation.created_at).getTime() <= toTime
+                && (!model || conversation.model === model);
+        });
+        const results = await mapLimit(conversations, 5, async (conversation) => {
+            const messages = (await conversation.getMessages()).filter(message => {
+                const created = message.created_at ? new Date(message.created_at).getTime() : NaN;
+                return isNaN(created) || (created >= fromTime && created <= toTime);
+            });
+            if (!messages.length) {
+                return null;
+            }
+            const attachments = messages.flatMap(message => message.attachments || []);
+            if (hasAttachments !== undefined && hasAttachments !== attachments.length > 0) {
+                return null;
+            }
+            const haystack = [conversation.name, ...messages.map(i => i.text), ...attachments.map(i => i.extracted_content)].join('\n').toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) {
+                return null;
+            }
+            const matches = messages.flatMap(message => [
+                { message, source: 'text', file_name: null, text: message.text || '' },
+                ...(message.attachments || []).map(file => ({ message, source: 'attachment', file_name: file.file_name, text: file.extracted_content || '' })),
+            ]).map(({ text, ...match }) => ({
+                ...match,
+                // Attachments are long and often only mentioned in passing, so they count for less
+                score: searchScore(text, terms, query) * (match.source === 'attachment' ? 0.5 : 1),
+                snippet: searchSnippet(text, terms),
+            })).filter(match => !terms.length || match.score > 0).sort((a, b) => b.score - a.score);
+            const nameScore = searchScore(conversation.name || '', terms, query) * 2;
+            return { conversation, score: nameScore + matches.reduce((total, match) => total + match.score, 0), matches };
+        });
+        const sorted = results.filter(Boolean).sort((a, b) => b.score - a.score || new Date(b.conversation.updated_at) - new Date(a.conversation.updated_at));
+        return { total: sorted.length, results: sorted.slice(offset, offset + limit) };
+    }
+    /**
+     * A prompt for batch
+     * @typedef BatchPrompt
+     * @property {String} message The message
+     * @property {String} [id] Identifies the prompt when resuming, defaults to its index
+     * @property {Attachment[]} [attachments] Attachments, added to the batch's attachments
+     * @property {String} [model] The model, defaults to the batch's model
+     */
+    /**
+     * The result of one prompt in a batch
+     * @typedef BatchResult
+     * @property {Number} index The prompt's index
+     * @property {String | Number} id The prompt's id (or index)
+     * @property {String} message The message
+     * @property {"fulfilled" | "rejected"} status Whether it worked
+     * @property {MessageStreamChunk | null} response The response (if it worked)
+     * @property {ClaudeError | {name: String, message: String, status: Number | null} | null} error Why it failed (a plain object when read from a results file)
+     * @property {UUID | null} conversationId The conversation, if `temporary` is false
+     */
+    /**
+     * Send many independent prompts, each in its own conversation, with a limited number running at once.
+     * A prompt failing doesn't stop the others, and conversations are deleted afterwards even if sending fails.
+     * @async
+     * @param {(String | BatchPrompt)[]} prompts The prompts
+     * @param {Object} [options] Options
+     * @param {Number} [options.concurrency=3] How many prompts to run at once
+     * @param {String} [options.model] The model to use
+     * @param {Attachment[]} [options.attachments] Attachments to send with every prompt
+     * @param {Boolean} [options.temporary=true] Delete each conversation after getting the response
+     * @param {function({completed: Number, failed: Number, total: Number, result: BatchResult}): void} [options.progress] Called after each prompt finishes
+     * @param {String} [options.resultsFile] Append each result to this JSON Lines file (Node only), and skip prompts it already has a successful result for, so an interrupted batch can be resumed
+     * @param {AbortSignal} [options.signal] Stops starting new prompts and aborts the running ones, rejecting with an AbortError
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage for every prompt
+     * @returns {Promise<BatchResult[]>} The results, in the same order as the prompts
+     * @example
+     * const results = await claude.batch(reviews.map(review => `Is this review positive or negative? ${review}`), {
+     *   concurrency: 5,
+     *   resultsFile: 'sentiment.jsonl',
+     *   progress: ({ completed, total }) => console.log(`${completed}/${total}`),
+     * });
+     */
+    async batch(prompts, { concurrency = 3, model, attachments = [], temporary = true, progress = () => { }, resultsFile, signal, ...params } = {}) {
+        if (!Array.isArray(prompts)) {
+            throw new Error('Prompts must be an array');
+        }
+        if (!(Number.isInteger(concurrency) && concurrency >= 1)) {
+            throw new Error('Concurrency must be a positive integer');
+        }
+        const items = prompts.map((prompt, index) => {
+            const item = typeof prompt === 'string' ? { message: prompt } : prompt;
+            if (typeof item?.message !== 'string') {
+                throw new Error(`Prompt ${index} has no message`);
+            }
+            return { ...item, index, id: item.id ?? index };
+        });
+        const previous = resultsFile ? await readBatchResults(resultsFile) : new Map();
+        const results = items.map(item => {
+            const result = previous.get(String(item.id));
+            return result?.status === 'fulfilled' && result.message === item.message ? { ...result, index: item.index } : null;
+        });
+        const total = items.length;
+        let completed = results.filter(Boolean).length;
+        let failed = 0;
+        let writing = Promise.resolve();
+        if (!this.ready) {
+            await this.init();
+        }
+        await mapLimit(items.filter(item => !results[item.index]), concurrency, async (item) => {
+            if (signal?.aborted) {
+                throw abortError(signal, 'batch');
+            }
+            const options = { ...params, signal, model: item.model || model, attachments: [...attachments, ...(item.attachments || [])] };
+            const result = { index: item.index, id: item.id, message: item.message, status: 'fulfilled', response: null, error: null, conversationId: null };
+            try {
+                if (temporary) {
+                    result.response = await this.#sendTemporary(item.message, options);
+                } else {
+                    const conversation = await this.startConversation(item.message, { ...options, done: (response) => { result.response = response; } });
+                    result.conversationId = conversation.conversationId;
+                }
+            } catch (e) {
+                if (signal?.aborted) {
+                    throw e;
+                }
+                Object.assign(result, { status: 'rejected', error: e });
+                failed++;
+            }
+            results[item.index] = result;
+            completed++;
+            if (resultsFile) {
+                writing = writing.catch(() => { }).then(() => appendBatchResult(resultsFile, result));
+                await writing;
+            }
+            progress({ completed, failed, total, result });
+        });
+        return results;
+    }
+    /**
+     * A part of a document, from splitDocument
+     * @typedef DocumentChunk
+     * @property {Number} index The chunk's index
+     * @property {Number} start Where the chunk starts in the document's text (a character offset)
+     * @property {Number} end Where it ends (exclusive), chunks overlap so this can be after the next chunk's start
+     * @property {Number} tokens The chunk's estimated tokens
+     * @property {Attachment} attachment The chunk as an attachment, named e.g. "report.pdf (part 2 of 5)"
+     */
+    /**
+     * Split a document into chunks that fit in a model's context window. Chunks end at paragraph breaks where possible, then
+     * at line breaks, sentences or words, and each one starts with the end of the one before it so nothing is cut off without context.
+     * @param {Attachment | String} document The document (an attachment from uploadFile, or text)
+     * @param {Object} [options] Options
+     * @param {String} [options.model] The model, for its window size
+     * @param {Number} [options.chunkTokens] The most tokens in a chunk, defaults to 40% of the model's window
+     * @param {Number} [options.overlap=200] How many tokens of the previous chunk to repeat at the start of each chunk
+     * @returns {DocumentChunk[]} The chunks (one if the document already fits)
+     * @example
+     * const chunks = claude.splitDocument(attachment, { chunkTokens: 5000 });
+     * console.log(chunks.map(chunk => `${chunk.start}-${chunk.end}`));
+     */
+    splitDocument(document, { model, chunkTokens = Math.floor(this.totalTokens(model) * 0.4), overlap = 200 } = {}) {
+        if (!(Number.isInteger(chunkTokens) && chunkTokens > 0)) {
+            throw new Error('chunkTokens must be a positive integer');
+        }
+        if (!(overlap >= 0 && overlap < chunkTokens)) {
+            throw new Error('overlap must be at least 0 and less than chunkTokens');
+        }
+        const { file_name = 'document.txt', file_type = 'text/plain', extracted_content: text } = typeof document === 'string' ? { extracted_content: document } : document;
+        const ranges = splitText(text, chunkTokens, overlap);
+        return ranges.map(({ start, end, tokens }, index) => ({
+            index, start, end, tokens,
+            attachment: {
+                file_name: ranges.length > 1 ? `${file_name} (part ${index + 1} of ${ranges.length})` : file_name,
+                file_type,
+                file_size: new TextEncoder().encode(text.slice(start, end)).length,
+                extracted_content: text.slice(start, end),
+            },
+        }));
+    }
+    /**
+     * The answer from one chunk of a document
+     * @typedef ChunkAnswer
+     * @property {Number} index The chunk's index
+     * @property {Number} start Where the chunk starts in the document's text
+     * @property {Number} end Where it ends (exclusive)
+     * @property {Number} tokens The chunk's estimated tokens
+     * @property {String} answer What Claude answered for this chunk (for "refine", the answer so far after reading it)
+     */
+    /**
+     * Ask about a document that may be too big for the context window. It's split with splitDocument and each chunk
+     * is sent in its own temporary conversation, then the answers are combined:
+     * - `"map-reduce"` asks about every chunk separately (in parallel) and then asks Claude to combine the answers, in several rounds if they don't fit in one message
+     * - `"refine"` goes through the chunks in order, asking Claude to improve its answer so far with each one. Slower, but later chunks see what was found before
+     *
+     * A document that fits in one chunk is sent with the message as it is.
+     * @async
+     * @param {String} message What to ask about the document
+     * @param {Attachment | String} document The document (an attachment from uploadFile, or text)
+     * @param {Object} [options] Options
+     * @param {"map-reduce" | "refine"} [options.strategy="map-reduce"] How to combine the answers
+     * @param {String} [options.model] The model to use
+     * @param {Number} [options.chunkTokens] The most tokens in a chunk, see splitDocument
+     * @param {Number} [options.overlap=200] Tokens of overlap between chunks, see splitDocument
+     * @param {Number} [options.concurrency=3] How many chunks to ask about at once ("map-reduce" only)
+     * @param {{map?: Function, reduce?: Function, refine?: Function}} [options.prompts] Replace the prompts, each is called with `{ message, file_name, index, total, answers, answer }` and returns the message to send
+     * @param {function({stage: "map" | "reduce" | "refine", completed: Number, total: Number}): void} [options.progress] Called after each message
+     * @param {AbortSignal} [options.signal] Signal to abort
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage
+     * @returns {Promise<{answer: String, response: MessageStreamChunk, strategy: String, chunks: ChunkAnswer[]}>} The combined answer, the response it came from, and where each chunk is in the document with its answer
+     * @example
+     * const attachment = await claude.uploadFile(bigPdf);
+     * const { answer, chunks } = await claude.askDocument('List every deadline mentioned', attachment);
+     */
+    async askDocument(message, document, { strategy = 'map-reduce', model, chunkTokens, overlap, concurrency = 3, prompts = {}, progress = () => { }, signal, ...params } = {}) {
+        if (!['map-reduce', 'refine'].includes(strategy)) {
+            throw new Error('strategy must be "map-reduce" or "refine"');
+        }
+        const { map, reduce, refine } = {
+            map: ({ message, file_name, index, total }) => `The attached file is part ${index + 1} of ${total} of ${file_name}. Answer the question below using only this part. If it has nothing relevant, just say "Nothing relevant".\n\n${message}`,
+            reduce: ({ message, file_name, answers }) => `These are answers to the question below, each based on a different part of ${file_name}, in order. Combine them into one answer to the question, as if you had read the whole file. Leave out parts with nothing relevant and don't mention the parts.\n\nQuestion: ${message}\n\n${answers.map((answer, i) => `<answer part="${i + 1}">\n${answer}\n</answer>`).join('\n')}`,
+            refine: ({ message, file_name, index, total, answer }) => `The attached file is part ${index + 1} of ${total} of ${file_name}. Below is an answer to the question based on the parts before this one. Improve it with anything relevant in this part, and reply with only the improved answer (or the same answer if this part has nothing to add).\n\nQuestion: ${message}\n\nAnswer so far:\n${answer}`,
+            ...prompts,
+        };
+        const { file_name = 'document.txt' } = typeof document === 'string' ? {} : document;
+        // Room for the prompt, the answers carried between messages and the response
+        chunkTokens ??= Math.max(1, Math.floor(this.totalTokens(model) * 0.4) - estimateTokens(message));
+        const chunks = this.splitDocument(document, { model, chunkTokens, overlap: Math.min(overlap ?? 200, chunkTokens - 1) });
+        if (!this.ready) {
+            await this.init();
+        }
+        const send = (text, attachments = []) => this.#sendTemporary(text, { ...params, model, signal, attachments });
+        const provenance = ({ attachment, ...chunk }, answer) => ({ ...chunk, answer });
+        const total = chunks.length;
+        if (total === 1) {
+            const response = await send(message, [chunks[0].attachment]);
+            progress({ stage: strategy === 'refine' ? 'refine' : 'map', completed: 1, total: 1 });
+            return { answer: response.completion, response, strategy, chunks: [provenance(chunks[0], response.completion)] };
+        }
+        if (strategy === 'refine') {
+            let response = null;
+            const answers = [];
+            for (const chunk of chunks) {
+                const answer = response?.completion ?? null;
+                response = await send((answer === null ? map : refine)({ message, file_name, index: chunk.index, total, answer }), [chunk.attachment]);
+                answers.push(provenance(chunk, response.completion));
+                progress({ stage: 'refine', completed: chunk.index + 1, total });
+            }
+            return { answer: response.completion, response, strategy, chunks: answers };
+        }
+        let completed = 0;
+        const mapped = await mapLimit(chunks, concurrency, async (chunk) => {
+            const { completion } = await send(map({ message, file_name, index: chunk.index, total }), [chunk.attachment]);
+            progress({ stage: 'map', completed: ++completed, total });
+            return provenance(chunk, completion);
+        });
+        // Combine the answers in groups that fit until one message can combine them all
+        const limit = Math.floor(this.totalTokens(model) * 0.8);
+        let answers = mapped.map(i => i.answer);
+        let response;
+        while (true) {
+            const groups = [[]];
+            for (const answer of answers) {
+                const group = groups.at(-1);
+                if (group.length && estimateTokens(reduce({ message, file_name, answers: [...group, answer] })) > limit) {
+                    groups.push([answer]);
+                } else {
+                    group.push(answer);
+                }
+            }
+            if (groups.length > 1 && groups.length === answers.length) {
+                throw new ContextLengthError(`The answers from ${file_name} are too long to combine, use smaller chunks or the "refine" strategy`, { limit });
+            }
+            completed = 0;
+            const responses = await mapLimit(groups, concurrency, async (group) => {
+                const response = await send(reduce({ message, file_name, answers: group }));
+                progress({ stage: 'reduce', completed: ++completed, total: groups.length });
+                return response;
+            });
+            if (responses.length === 1) {
+                [response] = responses;
+                break;
+            }
+            answers = responses.map(i => i.completion);
+        }
+        return { answer: response.completion, response, strategy, chunks: mapped };
+    }
+    /**
+     * A link between a conversation and one that was forked or continued from it
+     * @typedef BranchLink
+     * @property {UUID} parent The original conversation's ID
+     * @property {UUID} child The new conversation's ID
+     * @property {UUID | null} messageId The last message of the original conversation that the new one includes (null for all of them)
+     * @property {"fork" | "continue"} type Whether the new conversation was made with fork() or autoContinue
+     * @property {String} created_at When the link was made
+     */
+    /**
+     * Record that a conversation was forked or continued from another one. Called by Conversation.fork and autoContinue, and saved in `storage` if there is one
+     * @async
+     * @param {Conversation | UUID} parent The original conversation
+     * @param {Conversation | UUID} child The new conversation
+     * @param {Object} [options] Options
+     * @param {Message | UUID} [options.message] The last message of the original conversation that the new one includes
+     * @param {"fork" | "continue"} [options.type="fork"] How the new conversation was made
+     * @returns {Promise<BranchLink>} The link
+     */
+    async linkConversations(parent, child, { message = null, type = 'fork' } = {}) {
+        const link = {
+            parent: parent.conversationId || parent,
+            child: child.conversationId || child,
+            messageId: message?.uuid || message,
+            type,
+            created_at: new Date().toISOString(),
+        };
+        const branches = await this.#loadBranches();
+        branches.push(link);
+        await this.store?.setBranches(branches);
+        return link;
+    }
+    /**
+     * A conversation in a branch tree
+     * @typedef BranchNode
+     * @property {UUID} conversationId The conversation's ID
+     * @property {BranchLink | null} link How it was made from its parent (null for the root)
+     * @property {BranchNode[]} children Conversations forked or continued from it, oldest first
+     */
+    /**
+     * Get the tree of conversations related to a conversation by forks and continuations, starting at the original conversation
+     * @async
+     * @param {Conversation | UUID} conversation Any conversation in the tree
+     * @returns {Promise<BranchNode>} The root of the tree
+     * @example
+     * const print = (node, depth = 0) => {
+     *   console.log('  '.repeat(depth) + node.conversationId);
+     *   node.children.forEach(child => print(child, depth + 1));
+     * };
+     * print(await claude.getBranchTree(conversation));
+     */
+    async getBranchTree(conversation) {
+        const branches = await this.#loadBranches();
+        let root = conversation.conversationId || conversation;
+        const seen = new Set([root]);
+        for (let link; (link = branches.find(i => i.child === root)) && !seen.has(link.parent);) {
+            root = link.parent;
+            seen.add(root);
+        }
+        const build = (conversationId, link, visited) => ({
+            conversationId,
+            link,
+            children: branches.filter(i => i.parent === conversationId && !visited.has(i.child))
+                .map(i => build(i.child, i, new Set([...visited, i.child]))),
+        });
+        return build(root, null, new Set([root]));
+    }
+    /**
+     * Load the branch links from storage the first time they're needed
+     * @returns {Promise<BranchLink[]>}
+     */
+    async #loadBranches() {
+        this.#branches ||= (await this.store?.getBranches()) || [];
+        return this.#branches;
+    }
+    /**
+     * The response from uploading a file (an attachment)
+     * @typedef Attachment
+     * @property {String} file_name The file name
+     * @property {String} file_type The file's mime type
+     * @property {Number} file_size The file size in bytes
+     * @property {String} extracted_content The contents of the file that were extracted
+     * @property {Number | null} [totalPages] The total pages of the document
+     */
+    /**
+     * Extract the contents of a file. The type is detected from the file's contents, not its name. Text, HTML, RTF, DOCX, PPTX, XLSX
+     * and PDF (with a text layer) files are extracted locally, other documents (like legacy .doc files and scanned PDFs) are sent to claude.ai.
+     * @param {File} file A JS File (like) object to upload.
+     * @param {Object} [options] Options
+     * @param {"auto" | "local" | "server"} [options.extract="auto"] Where to extract documents: locally with claude.ai as a fallback, only locally, or always on claude.ai (text is always read locally)
+     * @param {Number} [options.maxSize=10485760] The largest file to accept, in bytes (claude.ai's limit is 10MB)
+     * @param {Number} [options.maxCharacters=1000000] The most text to accept
+     * @param {AbortSignal} [options.signal] Signal to abort the upload
+     * @param {Number} [options.timeout] Abort the upload after this many milliseconds
+     * @async
+     * @returns {Promise<Attachment>}
+     * @throws {FileError} If the file is too big (or decompresses to too much), its type isn't supported, or it's damaged
+     * @throws {ParseError} If the document couldn't be converted
+     * @example
+     * const file = await claude.uploadFile(
+     *     new File(["test"], "test.txt", { type: "text/plain" }
+     * );
+     * console.log(await claude.sendMessage("What's the contents of test.txt?", {
+     *  attachments: [file]
+     * }))
+     */
+    async uploadFile(file, { extract = 'auto', maxSize = 10 * 1024 * 1024, maxCharacters = 1_000_000, signal, timeout } = {}) {
+        if (!['auto', 'local', 'server'].includes(extract)) {
+            throw new Error('extract must be "auto", "local" or "server"');
+        }
+        if (file.size > maxSize) {
+            throw new FileError(`${file.name} is ${file.size} bytes, more than the limit of ${maxSize}`, { file_name: file.name });
+        }
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const type = detectFileType(bytes, file);
+        // What /api/convert_document handles
+        const convertible = ['pdf', 'docx', 'pptx', 'xlsx', 'ole'];
+        let attachment = null;
+        if (extract !== 'server' || ['text', 'html', 'rtf'].includes(type)) {
+            let result;
+            try {
+                result = await extractDocument(bytes, type);
+            } catch (e) {
+                // A file that decompresses to that much (like a ZIP bomb) isn't worth sending to claude.ai either
+                if (extract === 'local' || !convertible.includes(type) || e instanceof DocumentSizeError) {
+                    throw new FileError(`Couldn't read ${file.name} (${type}): ${e.message}`, { file_name: file.name, file_type: type, cause: e });
+                }
+            }
+            if (result) {
+                attachment = {
+                    "file_name": file.name,
+                    "file_type": ['text', 'html'].includes(type) ? file.type || `text/${type === 'text' ? 'plain' : 'html'}` : type,
+                    "file_size": file.size,
+                    "extracted_content": result.content,
+                    ...(result.totalPages && { totalPages: result.totalPages }),
+                };
+            }
+        }
+        if (!attachment) {
+            if (extract === 'local' || !convertible.includes(type)) {
+                const reason = convertible.includes(type) ? 'has no text that can be extracted locally' : `is a file type that can't be read (${type})`;
+                throw new FileError(`${file.name} ${reason}`, { file_name: file.name, file_type: type });
+            }
+            attachment = await this.#convertDocument(file, { signal, timeout });
+        }
+        if (attachment.extracted_content.length > maxCharacters) {
+            throw new FileError(`${file.name} has ${attachment.extracted_content.length} characters, more than the limit of ${maxCharacters}`, { file_name: file.name, file_type: type });
+        }
+        console.log(`Extracted ${attachment.extracted_content.length} characters from ${file.name}`);
+        return attachment;
+    }
+    /**
+     * Extract the contents of a document with claude.ai
+     * @param {File} file The file
+     * @param {Object} options `signal` and `timeout`
+     * @returns {Promise<Attachment>}
+     */
+    async #convertDocument(file, { signal, timeout }) {
+        const fd = new FormData();
+        fd.append('file', file, file.name);
+        fd.append('orgUuid', this.organizationId);
+        let cleanup;
+        [signal, cleanup] = withTimeout(signal, timeout);
+        let json, response;
+        try {
+            response = await this.request('/api/convert_document', {
+                signal,
+                method: 'POST',
+                body: fd
+            });
+            json = await readJSON(response, '/api/convert_document', signal);
+        } finally {
+            cleanup();
+        }
+        if (!json.hasOwnProperty('extracted_content')) {
+            throw new ParseError('Invalid response when uploading ' + file.name, { endpoint: '/api/convert_document', status: response.status, body: json });
+        }
+        return json;
+    }
+}
+
+/**
+ * A Claude conversation instance.
+ * @class 
+ * @classdesc Represents an active Claude conversation.
+ */
+export class Conversation {
+    /**
+     * @typedef Conversation
+     * @property {String} conversationId The conversation ID
+     * @property {String} name The conversation name
+     * @property {String} summary The conversation summary (usually empty)
+     * @property {String} created_at The conversation created at
+     * @property {String} updated_at The conversation updated at
+     */
+    /**
+     * Create a Conversation instance.
+     * @param {Claude} claude - Claude client instance 
+     * @param {Object} options - Options
+     * @param {String} options.conversationId - Conversation ID
+     * @param {String} [options.name] - Conversation name
+     * @param {String} [options.summary] - Conversation summary
+     * @param {String} [options.created_at] - Conversation created at
+     * @param {String} [options.updated_at] - Conversation updated at
+     * @param {String} [options.model] - Claude model
+     * @param {UUID} [options.organizationId] - The organization the conversation is in, defaults to the Claude instance's current organization
+     */
+    constructor(claude, { model, conversationId, organizationId, name = "", summary = "", created_at, updated_at }) {
+        this.claude = claude;
+        this.conversationId = conversationId;
+        if (!this.claude) {
+            throw new Error('Claude not initialized');
+        }
+        this.organizationId = organizationId || this.claude.organizationId;
+        if (!this.claude.sessionKey) {
+            throw new Error('Session key required');
+        }
+        if (!this.conversationId) {
+            throw new Error('Conversation ID required, are you calling `await claude.init()`?');
+        }
+        this.request = (...args) => this.claude.request(...args);
+        this.model = model || this.claude.defaultModel();
+        Object.assign(this, { name, summary, created_at: created_at || new Date().toISOString(), updated_at: updated_at || new Date().toISOString() })
+        /**
+         * The conversation this one was summarized from (see the autoContinue option)
+         * @type {Conversation | null}
+         */
+        this.continuedFrom = null;
+        /**
+         * The conversation this one was continued in, messages sent to this conversation go there instead
+         * @type {Conversation | null}
+         */
+        this.continuedIn = null;
+        /**
+         * The conversation and message this one was forked from (see fork())
+         * @type {{conversation: Conversation, messageId: UUID} | null}
+         */
+        this.forkedFrom = null;
+    }
+    /**
+     * The newest conversation in the chain of continued conversations (this one if it hasn't been continued)
+     * @type {Conversation}
+     */
+    get latest() {
+        return this.continuedIn ? this.continuedIn.latest : this;
+    }
+    /**
+     * Convert the conversation to a JSON object
+     * @returns {Conversation} The serializable object
+     */
     toJSON() {
         return {
             conversationId: this.conversationId,
             uuid: this.conversationId,
+            organizationId: this.organizationId,
             name: this.name,
             summary: this.summary,
             created_at: this.created_at,
@@ -404,237 +1468,1881 @@ export class Conversation {
         }
     }
     /**
-     * Retry the last message in the conversation
-     * @param {SendMessageParams} [params={}] 
-     * @returns {Promise<MessageStreamChunk>}
+     * Retry the last message in the conversation
+     * @param {SendMessageParams} [params={}] 
+     * @returns {Promise<MessageStreamChunk>}
+     */
+    async retry(params) {
+        return this.sendMessage("", { ...params, retry: true });
+    }
+    /**
+     * A tool call made during sendWithTools
+     * @typedef ToolCall
+     * @property {Number} step The message it was in (starting at 1)
+     * @property {String} name The tool's name
+     * @property {Object} arguments The arguments Claude passed
+     * @property {any} result What the handler returned (undefined if it failed)
+     * @property {String | null} error Why the call failed (unknown tool, invalid arguments or an error thrown by the handler)
+     * @property {Number} duration How long the handler took in milliseconds
+     */
+    /**
+     * The result of sendWithTools
+     * @typedef ToolsResponse
+     * @property {String} answer Claude's final answer
+     * @property {MessageStreamChunk} response The response with the final answer
+     * @property {ToolCall[]} trace Every tool call, in order
+     * @property {Number} steps How many messages were sent
+     */
+    /**
+     * Send a message that Claude can answer using tools. The tools are described in the message, and whenever Claude's response calls tools
+     * they're run and the results are sent back, until it responds without calling any. Failed calls are sent back as errors for Claude to deal with.
+     * @async
+     * @param {String} message The message
+     * @param {Object} [options] Options
+     * @param {(Tool | String)[]} [options.tools] The tools to allow (Tool objects or names of registered tools), defaults to every registered tool
+     * @param {Number} [options.maxSteps=5] The maximum number of messages to send (including the first)
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage (attachments only with the first message)
+     * @returns {Promise<ToolsResponse>}
+     * @throws {ToolError} If Claude is still calling tools after maxSteps messages
+     * @example
+     * claude.registerTool({ name: 'time', description: 'Get the current time as an ISO string', handler: () => new Date().toISOString() });
+     * const { answer, trace } = await conversation.sendWithTools('What time is it?');
+     */
+    async sendWithTools(message, { tools, maxSteps = 5, attachments, ...params } = {}) {
+        const available = new Map((tools || this.claude.tools).map(tool => {
+            const found = typeof tool === 'string' ? this.claude.tools.find(i => i.name === tool) : tool;
+            if (!found) {
+                throw new Error(`Tool not registered: ${tool}`);
+            }
+            return [found.name, found];
+        }));
+        if (!available.size) {
+            throw new Error('No tools to use, register some with claude.registerTool()');
+        }
+        const descriptions = [...available.values()].map(tool => `- ${tool.name}: ${tool.description}\n  Arguments (JSON Schema): ${JSON.stringify(tool.parameters || { type: 'object' })}`).join('\n');
+        let prompt = `You can use the tools below to answer. To use tools, respond with one or more tool calls and nothing after them, then wait for the results:\n\n<tool_call>\n{"name": "tool name", "arguments": {}}\n</tool_call>\n\nThe results will be sent back in <tool_result> blocks. When you have everything you need, answer normally without any tool calls.\n\nTools:\n${descriptions}\n\n${message}`;
+        const trace = [];
+        for (let step = 1; step <= maxSteps; step++) {
+            const response = await this.sendMessage(prompt, { ...params, attachments: step === 1 ? attachments : undefined });
+            const calls = parseToolCalls(response.completion);
+            if (!calls.length) {
+                return { answer: response.completion.trim(), response, trace, steps: step };
+            }
+            const results = [];
+            for (const call of calls) {
+                const entry = { step, name: call.name, arguments: call.arguments, result: undefined, error: null, duration: 0 };
+                const tool = available.get(call.name);
+                const errors = call.error ? [call.error] : !tool ? [`Unknown tool "${call.name}", use one of: ${[...available.keys()].join(', ')}`] : validateSchema(tool.parameters || { type: 'object' }, call.arguments);
+                if (errors.length) {
+                    entry.error = errors.join(', ');
+                } else {
+                    const started = Date.now();
+                    try {
+                        entry.result = await tool.handler(call.arguments, { conversation: this, signal: params.signal });
+                    } catch (e) {
+                        entry.error = e.message || String(e);
+                    }
+                    entry.duration = Date.now() - started;
+                }
+                trace.push(entry);
+                this.claude.emit('toolCall', entry, this);
+                const content = entry.error ? `Error: ${entry.error}` : typeof entry.result === 'string' ? entry.result : JSON.stringify(entry.result ?? null);
+                results.push(`<tool_result name="${call.name ?? ''}">\n${content}\n</tool_result>`);
+            }
+            prompt = results.join('\n\n');
+        }
+        throw new ToolError(`Claude was still calling tools after ${maxSteps} messages`, { trace });
+    }
+    /**
+     * The result of sendJSON
+     * @typedef JSONResponse
+     * @property {any} data The parsed and validated JSON
+     * @property {MessageStreamChunk} response The response it was taken from
+     * @property {Number} attempts How many messages it took (1 if the first response was valid)
+     */
+    /**
+     * Send a message asking for JSON matching a JSON Schema. The JSON is taken from the first code block in the response (or the whole response),
+     * and if it doesn't parse or match the schema, Claude is sent the errors and asked to correct it.
+     * @async
+     * @param {String} message The message
+     * @param {Object} schema The JSON Schema, see validateSchema for the supported keywords
+     * @param {Object} [options] Options
+     * @param {Number} [options.attempts=3] The maximum number of messages to send (including the first)
+     * @param {function(any): (String[] | Boolean)} [options.validate] Validate the JSON yourself, return a list of errors (or true/false) instead of using the built in validator
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage (attachments only with the first message)
+     * @returns {Promise<JSONResponse>}
+     * @throws {ValidationError} If the JSON still isn't valid after the last attempt
+     * @example
+     * const { data } = await conversation.sendJSON('List 3 primary colors', {
+     *   type: 'array',
+     *   items: { type: 'object', properties: { name: { type: 'string' }, hex: { type: 'string', pattern: '^#[0-9a-f]{6}$' } }, required: ['name', 'hex'] },
+     * });
+     */
+    async sendJSON(message, schema, { attempts = 3, validate, attachments, ...params } = {}) {
+        if (!schema || typeof schema !== 'object') {
+            throw new Error('Schema required');
+        }
+        const check = validate
+            ? async (value) => {
+                const result = await validate(value);
+                return Array.isArray(result) ? result : result === false ? ['$: is invalid'] : [];
+            }
+            : (value) => validateSchema(schema, value);
+        let prompt = `${message}\n\nRespond with only JSON, in a code block, that matches this JSON Schema:\n\n\`\`\`json\n${JSON.stringify(schema, null, 2)}\n\`\`\``;
+        let error;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const response = await this.sendMessage(prompt, { ...params, attachments: attempt === 1 ? attachments : undefined });
+            let value;
+            try {
+                value = extractJSON(response.completion);
+            } catch (e) {
+                error = new ValidationError(`Response isn't valid JSON: ${e.message}`, { errors: [e.message], body: response.completion, cause: e });
+                prompt = `Your response didn't have valid JSON in it (${e.message}). Respond with only the JSON, in a code block.`;
+                continue;
+            }
+            const errors = await check(value);
+            if (!errors.length) {
+                return { data: value, response, attempts: attempt };
+            }
+            error = new ValidationError(`JSON doesn't match the schema: ${errors.join(', ')}`, { errors, value, body: response.completion });
+            prompt = `That JSON doesn't match the schema:\n\n${errors.map(i => `- ${i}`).join('\n')}\n\nRespond with only the corrected JSON, in a code block.`;
+        }
+        throw error;
+    }
+    /**
+     * Start a new conversation with the history of this one up to a message, to explore a different path from there.
+     * claude.ai can't copy conversations, so the history is either sent as a transcript in the first message (one message, the default),
+     * or the human messages are sent again one by one (Claude's replies are regenerated, and every message counts towards the message limit).
+     * @async
+     * @param {Object} [options] Options
+     * @param {Message | UUID | Number} [options.atMessage] The last message to include (a Message, its UUID or its index), defaults to the last message
+     * @param {String} [options.message] A message to send in the new conversation after the history
+     * @param {"transcript" | "messages"} [options.replay="transcript"] How to send the history
+     * @param {SendMessageParams} [options.params] Other parameters are passed to the messages that are sent (`done` and `progress` only to the last one)
+     * @returns {Promise<Conversation>} The new conversation, its `forkedFrom` is `{ conversation: this, messageId }`
+     * @throws {NotFoundError} If atMessage isn't in the conversation
+     * @example
+     * const messages = await conversation.getMessages();
+     * const branch = await conversation.fork({ atMessage: messages[3], message: 'What if we used Postgres instead?' });
+     */
+    async fork({ atMessage, message, replay = 'transcript', done, progress, ...params } = {}) {
+        if (!['transcript', 'messages'].includes(replay)) {
+            throw new Error('replay must be "transcript" or "messages"');
+        }
+        const messages = (await this.getMessages({ signal: params.signal })) || [];
+        const index = atMessage === undefined ? messages.length - 1 : messages.findIndex((item, i) => {
+            return typeof atMessage === 'number' ? i === atMessage : item.uuid === (atMessage.uuid || atMessage);
+        });
+        if (index === -1 || !messages.length) {
+            throw new NotFoundError(`Message not found in conversation ${this.conversationId}: ${atMessage?.uuid || atMessage}`);
+        }
+        return this.#replay(messages.slice(0, index + 1), { message, replay, done, progress, ...params });
+    }
+    /**
+     * A response generated by generateCandidates
+     * @typedef Candidate
+     * @extends MessageStreamChunk
+     * @property {Number} index The order it was generated in, starting at 0
+     * @property {Number | Boolean | null} score What the select callback returned for it (null without one)
+     * @property {Boolean} active Whether it's the reply claude.ai kept, which is always the most recently generated one
+     */
+    /**
+     * Generate several responses to a message, by sending it and then regenerating the reply with retry_message.
+     * claude.ai only keeps the most recent reply, so that one is `active`, see keepCandidate to continue from another one.
+     * @async
+     * @param {String | null} message The message to send, or null to regenerate the last reply in the conversation
+     * @param {Object} [options] Options
+     * @param {Number} [options.n=3] How many responses to generate
+     * @param {function(Candidate): (Number | Boolean | Promise<Number | Boolean>)} [options.select] Scores each candidate as it's generated. Returning true selects that candidate and stops generating (so it stays the active reply), otherwise the highest number is selected
+     * @param {SendMessageParams} [options.params] Other parameters are passed to sendMessage for every candidate
+     * @returns {Promise<{candidates: Candidate[], selected: Candidate | null}>} Every candidate, and the selected one (the active one without `select`, null if none scored above false)
+     * @example
+     * const { selected } = await conversation.generateCandidates('Reply with a JSON list of 3 colors', {
+     *   n: 5,
+     *   select: ({ completion }) => { try { JSON.parse(completion); return true; } catch { return false; } },
+     * });
+     */
+    async generateCandidates(message, { n = 3, select, ...params } = {}) {
+        if (!(Number.isInteger(n) && n >= 1)) {
+            throw new Error('n must be a positive integer');
+        }
+        const candidates = [];
+        let selected = null;
+        for (let index = 0; index < n; index++) {
+            const chunk = index === 0 && message !== null ? await this.sendMessage(message, params) : await this.retry(params);
+            const candidate = { ...chunk, index, score: null, active: true };
+            candidates.forEach(i => { i.active = false; });
+            candidates.push(candidate);
+            if (!select) {
+                selected = candidate;
+                continue;
+            }
+            candidate.score = await select(candidate);
+            if (candidate.score === true) {
+                selected = candidate;
+                break;
+            }
+            if (typeof candidate.score === 'number' && (selected === null || candidate.score > selected.score)) {
+                selected = candidate;
+            }
+        }
+        return { candidates, selected };
+    }
+    /**
+     * Continue from a candidate from generateCandidates. If it's the active reply this conversation is returned,
+     * otherwise claude.ai has already replaced it so the conversation is forked (as a transcript, see fork) with the candidate as the last reply.
+     * Call this before sending anything else to the conversation.
+     * @async
+     * @param {Candidate} candidate The candidate to keep
+     * @param {SendMessageParams} [params] Passed to the message starting the fork
+     * @returns {Promise<Conversation>} The conversation to continue in
+     */
+    async keepCandidate(candidate, params = {}) {
+        if (candidate.active) {
+            return this;
+        }
+        const messages = (await this.getMessages({ signal: params.signal })) || [];
+        const last = messages[messages.length - 1];
+        if (last?.sender !== 'assistant') {
+            throw new Error('The last message in the conversation isn\'t a reply');
+        }
+        const history = [...messages.slice(0, -1), { uuid: last.uuid, sender: last.sender, text: candidate.completion, attachments: [] }];
+        return this.#replay(history, { ...params, replay: 'transcript' });
+    }
+    /**
+     * Start a new conversation with a history, and link it to this one as a fork
+     * @param {Message[]} history The messages to send
+     * @param {Object} options The fork options (see fork)
+     * @returns {Promise<Conversation>} The new conversation
+     */
+    async #replay(history, { message, replay, done, progress, ...params }) {
+        const options = { model: this.model, ...params, organization: this.organizationId };
+        const last = { ...options, done, progress };
+        let conversation;
+        if (replay === 'transcript') {
+            const transcript = history.map(item => {
+                const files = (item.attachments || []).map(file => `\n[Attached: ${file.file_name}]`).join('');
+                return `${item.sender === 'human' ? 'Human' : 'Assistant'}: ${item.text}${files}`;
+            }).join('\n\n');
+            const seed = `This continues an earlier conversation. Here it is so far:\n\n<transcript>\n${transcript}\n</transcript>\n\n${message ?? 'Reply with just "OK", the conversation will continue from here.'}`;
+            conversation = await this.claude.startConversation(seed, { ...last, attachments: [...history.flatMap(item => item.attachments || []), ...(params.attachments || [])] });
+        } else {
+            const prompts = history.filter(item => item.sender === 'human').map(item => ({ text: item.text, attachments: item.attachments || [] }));
+            if (message !== undefined) {
+                prompts.push({ text: message, attachments: params.attachments || [] });
+            }
+            if (!prompts.length) {
+                throw new Error('Nothing to replay, the history has no human messages and no message was given');
+            }
+            for (const [i, prompt] of prompts.entries()) {
+                const send = { ...(i === prompts.length - 1 ? last : options), attachments: prompt.attachments };
+                conversation = conversation
+                    ? (await conversation.sendMessage(prompt.text, send), conversation)
+                    : await this.claude.startConversation(prompt.text, send);
+            }
+        }
+        const messageId = history[history.length - 1].uuid;
+        conversation.forkedFrom = { conversation: this, messageId };
+        await this.claude.linkConversations(this, conversation, { message: messageId, type: 'fork' });
+        return conversation;
+    }
+    /**
+     * Send a message to this conversation
+     * @param {String} message 
+     * @async
+     * @param {SendMessageParams} params The parameters to send along with the message
+     * @returns {Promise<MessageStreamChunk>}
+     */
+    async sendMessage(message, { done = () => { }, progress = () => { }, keepPartial = false, rawResponse = () => { }, contextCheck = this.claude.contextCheck, autoContinue, ...params } = {}) {
+        if (this.continuedIn) {
+            return this.continuedIn.sendMessage(message, { done, progress, keepPartial, rawResponse, contextCheck, autoContinue, ...params });
+        }
+        const policy = this.claude.retryPolicy || retryPolicy(false);
+        const [signal, cleanup] = withTimeout(params.signal, params.timeout);
+        try {
+            const continuation = autoContinue === undefined ? this.claude.autoContinue : autoContinuePolicy(autoContinue);
+            let usage;
+            if (continuation && !params.retry) {
+                usage = await this.contextUsage({ model: params.model, signal });
+                const needed = usage.used + this.claude.countTokens(message, params.attachments);
+                if (usage.total && needed >= usage.total * continuation.threshold) {
+                    return this.#continue(message, continuation, usage.total, { ...params, signal, timeout: undefined, done, progress, keepPartial, rawResponse, contextCheck });
+                }
+            }
+            if (contextCheck) {
+                usage ||= await this.contextUsage({ model: params.model, signal });
+                checkContext(this.claude, contextCheck, usage.used + this.claude.countTokens(message, params.attachments), params.model || this.model);
+            }
+            let retry = params.retry;
+            let last;
+            for (let attempt = 1; ; attempt++) {
+                let received = false;
+                try {
+                    const stream = this.stream(message, {
+                        ...params,
+                        retry,
+                        signal,
+                        timeout: undefined,
+                        rawResponse: (text) => {
+                            received = true;
+                            rawResponse(text);
+                        },
+                    });
+                    for await (const chunk of stream) {
+                        progress(chunk);
+                        last = chunk;
+                    }
+                    break;
+                } catch (e) {
+                    if (keepPartial && e instanceof AbortError && e.partial) {
+                        last = e.partial;
+                        break;
+                    }
+                    const delay = attempt < policy.attempts ? retryDelay(policy, attempt, e) : null;
+                    if (delay === null) {
+                        throw e;
+                    }
+                    // Once the response has started the message is already in the conversation, so regenerate it instead of sending it again
+                    retry ||= received;
+                    await sleep(delay, signal).catch(() => { throw abortError(signal, `/api/${retry ? "retry_message" : "append_message"}`, last) });
+                }
+            }
+            done(last);
+            return last;
+        } finally {
+            cleanup();
+        }
+    }
+    /**
+     * Send a message to this conversation and iterate over the response as it's generated
+     * @param {String} message 
+     * @param {SendMessageParams} [params] The parameters to send along with the message (`done` and `progress` are ignored)
+     * @returns {AsyncGenerator<MessageStreamChunk>} Chunks with the cumulative `completion` and the new text in `delta`, ending with the chunk that has a `stop_reason`
+     * @throws {ClaudeError} If the server sends an error event
+     * @throws {AbortError} If `signal` is aborted or `timeout` is reached, with the last chunk received in `partial`
+     * @throws {NetworkError} If the stream ends before a stop_reason is received
+     * @example
+     * for await (const chunk of conversation.stream("Write a haiku")) {
+     *   process.stdout.write(chunk.delta);
+     * }
+     */
+    async *stream(message, { retry = false, timezone = "America/New_York", attachments = [], model, signal, timeout, rawResponse = () => { } } = {}) {
+        if (this.continuedIn) {
+            return yield* this.continuedIn.stream(message, { retry, timezone, attachments, model, signal, timeout, rawResponse });
+        }
+        const body = {
+            organization_uuid: this.organizationId,
+            conversation_uuid: this.conversationId,
+            text: message,
+            attachments,
+            completion: {
+                prompt: message,
+                timezone,
+                model: model || this.model,
+            }
+        };
+        const endpoint = `/api/${retry ? "retry_message" : "append_message"}`;
+        let cleanup;
+        [signal, cleanup] = withTimeout(signal, timeout);
+        try {
+            const response = await this.request(endpoint, {
+                signal,
+                method: "POST",
+                headers: {
+                    "accept": "text/event-stream,text/event-stream",
+                    "content-type": "application/json"
+                },
+                body: JSON.stringify(body)
+            });
+            await this.claude.store?.invalidateConversation(this.conversationId);
+            let completion = "";
+            let last = null;
+            try {
+                for await (const { event, data } of readEvents(response, rawResponse, signal)) {
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(data);
+                    } catch (e) {
+                        throw new ParseError(`Invalid event in response from ${endpoint}`, { status: response.status, endpoint, body: data, cause: e });
+                    }
+                    if (parsed.messageLimit) {
+                        this.claude.messageLimit = parseMessageLimit(parsed.messageLimit);
+                    }
+                    if (event === 'error' || parsed.error) {
+                        throw errorFromEvent(parsed, endpoint, response.status);
+                    }
+                    // claude.ai sends the whole completion so far, but handle plain deltas too
+                    const text = parsed.completion || "";
+                    const delta = text.startsWith(completion) ? text.slice(completion.length) : text;
+                    completion = text.startsWith(completion) ? text : completion + text;
+                    last = { ...parsed, completion, delta };
+                    this.claude.emit('chunk', last, this);
+                    if (parsed.stop_reason) {
+                        this.claude.emit('done', last, this);
+                    }
+                    yield last;
+                    if (parsed.stop_reason) {
+                        return;
+                    }
+                }
+            } catch (e) {
+                let error = signal?.aborted && !(e instanceof ClaudeError) ? abortError(signal, endpoint, last) : e;
+                // The connection dropped while reading, retried (with retry_message) like a stream that ends early
+                if (error instanceof NetworkError) {
+                    error = new NetworkError(`Response from ${endpoint} was cut off: ${error.cause?.message}`, { status: response.status, endpoint, body: last, cause: error.cause });
+                }
+                this.claude.emit('error', error, { endpoint, conversation: this });
+                throw error;
+            }
+            const error = new NetworkError(`Response from ${endpoint} ended before it was complete`, { status: response.status, endpoint, body: last });
+            this.claude.emit('error', error, { endpoint, conversation: this });
+            throw error;
+        } finally {
+            cleanup();
+        }
+    }
+    /**
+     * Send a message to this conversation and get the response as a stream of the text it adds, for piping into files, HTTP responses and the like.
+     * Chunks are read from claude.ai as the stream is read (so a slow reader slows the response down instead of it being buffered), cancelling the stream stops the response,
+     * and errors (see `stream`) error the stream. Failed messages aren't retried.
+     * @param {String} message The message
+     * @param {SendMessageParams} [params] The parameters to send along with the message, as for `stream`
+     * @returns {ReadableStream<String>} The new text of each chunk of the response
+     * @example
+     * const response = new Response(conversation.textStream('Write a poem').pipeThrough(new TextEncoderStream()));
+     */
+    textStream(message, params = {}) {
+        return textStream((signal) => this.stream(message, { ...params, signal }), { signal: params.signal });
+    }
+    /**
+     * Like `textStream`, as a Node.js Readable (Node only)
+     * @async
+     * @param {String} message The message
+     * @param {SendMessageParams} [params] The parameters to send along with the message, as for `stream`
+     * @returns {Promise<Readable>} A Readable of UTF-8 strings, destroying it stops the response
+     * @example
+     * (await conversation.nodeStream('Write a poem')).pipe(process.stdout);
+     */
+    async nodeStream(message, params) {
+        const { Readable } = await import('stream');
+        return Readable.fromWeb(this.textStream(message, params), { encoding: 'utf-8' });
+    }
+    /**
+     * Rename the current conversation
+     * @async
+     * @param {String} title The new title
+     * @returns {Promise<Response>} A Response object
+     */
+    async rename(title) {
+        if (!title?.length) {
+            throw new Error('Title required');
+        }
+        const response = await this.request('/api/rename_chat', {
+            method: 'POST',
+            body: JSON.stringify({
+                conversation_uuid: this.conversationId,
+                organization_uuid: this.organizationId,
+                title,
+            })
+        });
+        await this.claude.store?.invalidateConversation(this.conversationId);
+        return response;
+    }
+    /**
+     * Delete the conversation
+     * @async
+     * @returns Promise<Response>
+     */
+    async delete() {
+        const response = await this.request(`/api/organizations/${this.organizationId}/chat_conversations/${this.conversationId}`, {
+            method: 'DELETE'
+        });
+        await this.claude.store?.deleteConversation(this.conversationId, this.organizationId);
+        this.claude.emit('conversationDeleted', this);
+        return response;
+    }
+    /**
+     * @typedef Message
+     * @property {UUID} uuid The message UUID
+     * @property {String} text The message text
+     * @property {String} created_at The message created at
+     * @property {String} updated_at The message updated at
+     * @property {String | null} edited_at When the message was last edited (no editing support via api/web client)
+     * @property {Any | null} chat_feedback Feedback
+     * @property {Attachment[]} attachments The attachments
+     */
+    /**
+     * @typedef ConversationInfo
+     * @extends Conversation
+     * @property {Message[]} chat_messages The messages in this conversation
+     */
+    /**
+     * Get information about this conversation. With the `storage` option, cached info is used if it's as recent as this conversation's `updated_at` (or when offline).
+     * @param {Object} [options] Options
+     * @param {AbortSignal} [options.signal] Signal to abort the request
+     * @param {Number} [options.timeout] Abort the request after this many milliseconds
+     * @returns {Promise<ConversationInfo>}
+     */
+    async getInfo({ signal, timeout } = {}) {
+        const endpoint = `/api/organizations/${this.organizationId}/chat_conversations/${this.conversationId}`;
+        const store = this.claude.store;
+        const cached = await store?.getConversation(this.conversationId);
+        if (cached && !cached.stale && cached.info.updated_at === this.updated_at) {
+            return this.#formatMessages('chat_messages')(cached.info);
+        }
+        const json = await withCache(this.claude, endpoint, async () => cached?.info, (json) => store.setConversation(this.conversationId, json), async () => {
+            let cleanup;
+            [signal, cleanup] = withTimeout(signal, timeout);
+            try {
+                const response = await this.request(endpoint, {
+                    signal,
+                    headers: {
+                        "content-type": "application/json"
+                    }
+                });
+                return await readJSON(response, endpoint, signal);
+            } finally {
+                cleanup();
+            }
+        });
+        return this.#formatMessages('chat_messages')(json);
+    }
+    /**
+     * Get all the files from this conversation
+     * @async
+     * @param {Object} [options] Options passed to getInfo
+     * @returns {Promise<Attachment[]>}
+     */
+    getFiles(options) {
+        return this.getMessages(options).then(r => r.map(i => i.attachments)).then(r => r.flat());
+    }
+    /**
+     * How much of the context window the conversation uses
+     * @typedef ContextUsage
+     * @property {String} model The model the window size is for
+     * @property {Number} used Estimated tokens used by the messages and their attachments
+     * @property {Number | null} total The model's context window size (null if unknown)
+     * @property {Number | null} remaining Estimated tokens left
+     * @property {Number | null} percentage Estimated percentage of the window used
+     * @property {{uuid: UUID, sender: String, tokens: Number}[]} messages The estimated tokens for each message
+     */
+    /**
+     * Estimate how much of the model's context window the messages in this conversation take up, see Claude.countTokens
+     * @async
+     * @param {Object} [options] Options passed to getInfo
+     * @param {String} [options.model] The model to use the window size of, defaults to the conversation's model
+     * @returns {Promise<ContextUsage>}
+     * @example
+     * const { percentage } = await conversation.contextUsage();
+     * console.log(`${percentage.toFixed(1)}% of the context window used`);
+     */
+    async contextUsage({ model = this.model, ...options } = {}) {
+        const messages = (await this.getMessages(options)).map(message => ({ uuid: message.uuid, sender: message.sender, tokens: this.claude.countTokens(message) }));
+        const used = messages.reduce((total, message) => total + message.tokens, 0);
+        const total = this.claude.totalTokens(model) ?? null;
+        return {
+            model,
+            used,
+            total,
+            remaining: total === null ? null : total - used,
+            percentage: total === null ? null : used / total * 100,
+            messages,
+        };
+    }
+    /**
+     * Get all messages in the conversation
+     * @async
+     * @param {Object} [options] Options passed to getInfo
+     * @returns {Promise<Message[]>}
+     */
+    getMessages(options) {
+        return this.getInfo(options).then((a) => a.chat_messages);
+    }
+    /**
+     * Summarize this conversation and send the message to a new conversation started with the summary
+     * @param {String} message The message that didn't fit
+     * @param {AutoContinuePolicy} policy The auto continue policy
+     * @param {Number} total The context window size
+     * @param {SendMessageParams} params The parameters the message was sent with
+     * @returns {Promise<MessageStreamChunk>} The response to the message in the new conversation
+     */
+    async #continue(message, policy, total, { done, ...params }) {
+        const { signal, model } = params;
+        const { completion } = await this.sendMessage(policy.prompt, { signal, model, contextCheck: false, autoContinue: false });
+        const files = (await this.getFiles({ signal })).filter(Boolean);
+        const attachments = [...policy.attachments(files, Math.floor(total * 0.25)), ...(params.attachments || [])];
+        const seed = `This continues a previous conversation that got too long. Here is a summary of it:\n\n<summary>\n${completion.trim()}\n</summary>\n\n${message}`;
+        let last;
+        const conversation = await this.claude.startConversation(seed, {
+            ...params,
+            model: model || this.model,
+            organization: this.organizationId,
+            attachments,
+            done: (chunk) => { last = chunk; },
+        });
+        conversation.continuedFrom = this;
+        this.continuedIn = conversation;
+        await this.claude.linkConversations(this, conversation, { type: 'continue' });
+        done(last);
+        return last;
+    }
+    /**
+     * Internal method for converting a JSON response to contain Message objects
+     * @param {String} message_key The message key in the object
+     * @returns {Function}
+     */
+    #formatMessages(message_key) {
+        return (response) => {
+            if (!response[message_key]) {
+                return response;
+            }
+            return {
+                ...response,
+                [message_key]: response[message_key].map(i => new Message({ claude: this.claude, conversation: this }, { ...i })),
+            }
+        }
+    }
+}
+
+/**
+ * Reads a server-sent events response, decoding UTF-8 across chunk boundaries.
+ *
+ * @param {Response} response - The response object containing the stream.
+ * @param {function} [onText] - Called with each decoded piece of text as it's received.
+ * @param {AbortSignal} [signal] - Stops reading (rejecting with the abort reason) when aborted.
+ * @return {AsyncGenerator<{event: string, data: string}>} - The events in the stream.
+ * @throws {NetworkError} If the body can't be read, e.g. because the connection dropped.
+ */
+async function* readEvents(response, onText = () => { }, signal) {
+    const reader = response.body.getReader();
+    // Not every fetch implementation errors the body when the signal is aborted, so race each read against it
+    const aborted = signal && new Promise((_, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+        }
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    aborted?.catch(() => { });
+    const read = () => reader.read().catch(e => {
+        throw signal?.aborted ? e : new NetworkError(`Failed to read the response: ${e.message}`, { status: response.status, cause: e });
+    });
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    let event = 'message';
+    let data = [];
+    let finished = false;
+    try {
+        while (!finished) {
+            const { done, value } = await (aborted ? Promise.race([read(), aborted]) : read());
+            finished = done;
+            const text = done ? decoder.decode() : decoder.decode(value, { stream: true });
+            if (text) { onText(text); }
+            buffer += text;
+            // Keep the last partial line (and a trailing \r that may be half of a \r\n) for the next read
+            const lines = buffer.split(done ? /\r\n|\r|\n/ : /\r\n|\r(?!$)|\n/);
+            buffer = done ? '' : lines.pop();
+            if (done) { lines.push(''); }
+            for (const line of lines) {
+                if (!line) {
+                    if (data.length) {
+                        yield { event, data: data.join('\n') };
+                    }
+                    event = 'message';
+                    data = [];
+                    continue;
+                }
+                if (line.startsWith(':')) {
+                    continue;
+                }
+                const index = line.indexOf(':');
+                const field = index === -1 ? line : line.slice(0, index);
+                const fieldValue = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+                if (field === 'data') {
+                    data.push(fieldValue);
+                } else if (field === 'event') {
+                    event = fieldValue;
+                }
+            }
+        }
+    } finally {
+        if (!finished) {
+            await reader.cancel?.().catch(() => { });
+        }
+    }
+}
+
+/**
+ * Turns a message stream into a ReadableStream of its deltas, reading a chunk each time the stream is pulled.
+ *
+ * @param {function(AbortSignal): Promise<AsyncGenerator<MessageStreamChunk>>} start - Starts the message stream (on the first read) with the signal to use for its requests.
+ * @param {Object} [options] - Options.
+ * @param {function(): Promise<void>} [options.finish] - Called once when the stream ends, errors or is cancelled.
+ * @param {AbortSignal} [options.signal] - The caller's signal, the one passed to start is also aborted when the stream is cancelled.
+ * @return {ReadableStream<string>} - The stream.
+ */
+function textStream(start, { finish = async () => { }, signal } = {}) {
+    let started;
+    let finished = false;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+        controller.abort(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const end = async () => {
+        if (!finished) {
+            finished = true;
+            signal?.removeEventListener('abort', onAbort);
+            await finish();
+        }
+    };
+    return new ReadableStream({
+        async pull(stream) {
+            try {
+                started ||= (async () => start(controller.signal))();
+                const chunks = await started;
+                // Skip chunks without new text, every read should get some
+                for (; ;) {
+                    const { done, value } = await chunks.next();
+                    if (done) {
+                        await end();
+                        stream.close();
+                        return;
+                    }
+                    if (value.delta) {
+                        stream.enqueue(value.delta);
+                        return;
+                    }
+                }
+            } catch (e) {
+                await end();
+                throw e;
+            }
+        },
+        async cancel(reason) {
+            // A read may be waiting for the next chunk, and return() would wait for it, so stop the request first
+            controller.abort(reason);
+            const chunks = await started?.catch(() => null);
+            // Runs the generator's finally blocks, which cancel the response body
+            await chunks?.return().catch(() => { });
+            await end();
+        },
+    });
+}
+
+/**
+ * Creates a ClaudeError for an error event sent in a message stream.
+ *
+ * @param {Object} payload - The parsed event, e.g. { error: { type: "rate_limit_error", message: "..." } }
+ * @param {string} endpoint - The endpoint that was requested.
+ * @param {number} status - The status of the streaming response.
+ * @return {ClaudeError} - The error (not thrown).
+ */
+function errorFromEvent(payload, endpoint, status) {
+    const error = typeof payload.error === 'object' && payload.error ? payload.error : { message: payload.error || payload.message };
+    const ERRORS = {
+        authentication_error: AuthenticationError,
+        permission_error: AuthenticationError,
+        not_found_error: NotFoundError,
+        rate_limit_error: RateLimitError,
+        api_error: ServerError,
+        overloaded_error: ServerError,
+    };
+    const ErrorClass = ERRORS[error.type] || ClaudeError;
+    const resetsAt = payload.messageLimit ? parseMessageLimit(payload.messageLimit).resetsAt : null;
+    return new ErrorClass(`Error in response from ${endpoint}: ${error.message || error.type || 'Unknown error'}`, { status, endpoint, body: payload, ...(ErrorClass === RateLimitError && { resetsAt }) });
+}
+
+/**
+ * Base class for every error thrown by the library.
+ * @class
+ * @classdesc Carries the HTTP status, endpoint and response body (when available) of a failed request.
+ */
+export class ClaudeError extends Error {
+    /**
+     * Create a ClaudeError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Details about the failed request
+     * @param {Number} [details.status] - The HTTP status code
+     * @param {String} [details.endpoint] - The API endpoint that was requested
+     * @param {Object | String} [details.body] - The response body (parsed as JSON if possible)
+     * @param {Error} [details.cause] - The underlying error
+     */
+    constructor(message, { status = null, endpoint = null, body = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.body = body;
+    }
+    /**
+     * Whether retrying the request could succeed
+     * @type {boolean}
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * Thrown on 401/403 responses, usually because the session key is invalid or has expired.
+ * @class
+ */
+export class AuthenticationError extends ClaudeError { }
+
+/**
+ * Thrown on 429 responses, or when the message limit is exceeded.
+ * @class
+ */
+export class RateLimitError extends ClaudeError {
+    /**
+     * Create a RateLimitError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {Date | null} [details.resetsAt] - When requests can be made again (if known)
+     */
+    constructor(message, { resetsAt = null, ...details } = {}) {
+        super(message, details);
+        this.resetsAt = resetsAt;
+    }
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Thrown on 404 responses, e.g. for a deleted conversation.
+ * @class
+ */
+export class NotFoundError extends ClaudeError { }
+
+/**
+ * Thrown on 5xx responses.
+ * @class
+ */
+export class ServerError extends ClaudeError {
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Thrown when fetch itself fails (DNS, connection reset, etc), there is no response in this case.
+ * @class
+ */
+export class NetworkError extends ClaudeError {
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Thrown when a request is aborted through its `signal`.
+ * @class
+ */
+export class AbortError extends ClaudeError {
+    /**
+     * Create an AbortError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {MessageStreamChunk | null} [details.partial] - The last chunk received before a message stream was aborted
+     */
+    constructor(message, { partial = null, ...details } = {}) {
+        super(message, details);
+        this.partial = partial;
+    }
+}
+
+/**
+ * Thrown when a request takes longer than its `timeout`.
+ * @class
+ */
+export class TimeoutError extends AbortError { }
+
+/**
+ * Thrown when a response can't be parsed or doesn't have the expected shape.
+ * @class
+ */
+export class ParseError extends ClaudeError { }
+
+/**
+ * Thrown by sendJSON when the response still isn't valid JSON, or doesn't match the schema, after the last attempt.
+ * @class
+ */
+export class ValidationError extends ParseError {
+    /**
+     * Create a ValidationError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {String[]} [details.errors] - What was wrong, e.g. `$.name: must be string`
+     * @param {any} [details.value] - The parsed JSON (undefined if it couldn't be parsed)
+     */
+    constructor(message, { errors = [], value, ...details } = {}) {
+        super(message, details);
+        this.errors = errors;
+        this.value = value;
+    }
+}
+
+/**
+ * Thrown by sendWithTools when Claude keeps calling tools for more than `maxSteps` messages.
+ * @class
+ */
+export class ToolError extends ClaudeError {
+    /**
+     * Create a ToolError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {ToolCall[]} [details.trace] - Every tool call that was made
+     */
+    constructor(message, { trace = [], ...details } = {}) {
+        super(message, details);
+        this.trace = trace;
+    }
+}
+
+/**
+ * Thrown before sending a message that wouldn't fit in the model's context window (with `contextCheck: "error"`).
+ * @class
+ */
+export class ContextLengthError extends ClaudeError {
+    /**
+     * Create a ContextLengthError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {Number} [details.tokens] - The estimated tokens needed
+     * @param {Number} [details.limit] - The model's context window size
+     */
+    constructor(message, { tokens = null, limit = null, ...details } = {}) {
+        super(message, details);
+        this.tokens = tokens;
+        this.limit = limit;
+    }
+}
+
+/**
+ * Thrown by uploadFile when a file is too big, isn't a supported type, or can't be read.
+ * @class
+ */
+export class FileError extends ClaudeError {
+    /**
+     * Create a FileError
+     * @param {String} message - The error message
+     * @param {Object} [details] - Same as ClaudeError
+     * @param {String} [details.file_name] - The file's name
+     * @param {String} [details.file_type] - The detected type, e.g. "pdf" or "binary"
+     */
+    constructor(message, { file_name = null, file_type = null, ...details } = {}) {
+        super(message, details);
+        this.file_name = file_name;
+        this.file_type = file_type;
+    }
+}
+
+/**
+ * Creates the appropriate ClaudeError for a response with an error status.
+ *
+ * @param {Response} response - The failed response.
+ * @param {string} endpoint - The endpoint that was requested.
+ * @return {Promise<ClaudeError>} - The error (not thrown).
+ */
+async function errorFromResponse(response, endpoint) {
+    const { status } = response;
+    let body = null;
+    try {
+        body = await response.text();
+        body = JSON.parse(body);
+    } catch (e) { }
+    const detail = body?.error?.message || (typeof body === 'string' && body.slice(0, 200)) || response.statusText || '';
+    const message = `Request to ${endpoint} failed with status ${status}${detail ? `: ${detail}` : ''}`;
+    let ErrorClass = ClaudeError;
+    if (status === 401 || status === 403) {
+        ErrorClass = AuthenticationError;
+    } else if (status === 404) {
+        ErrorClass = NotFoundError;
+    } else if (status === 429) {
+        ErrorClass = RateLimitError;
+    } else if (status >= 500) {
+        ErrorClass = ServerError;
+    }
+    const resetsAt = parseRetryAfter(response.headers?.get?.('retry-after'));
+    return new ErrorClass(message, { status, endpoint, body, ...(ErrorClass === RateLimitError && { resetsAt }) });
+}
+
+/**
+ * Copies headers into a plain object with lower case names, so they can be merged.
+ *
+ * @param {Object | Headers | Array} [headers] - The headers, in any format fetch accepts.
+ * @return {Object} - The headers.
+ */
+function lowerCaseKeys(headers = {}) {
+    const entries = Array.isArray(headers) ? headers : typeof headers.entries === 'function' ? [...headers.entries()] : Object.entries(headers);
+    return Object.fromEntries(entries.map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+/**
+ * Combines an AbortSignal with a timeout.
+ *
+ * @param {AbortSignal} [signal] - The signal passed in by the user.
+ * @param {number} [timeout] - Timeout in milliseconds.
+ * @return {[AbortSignal | undefined, function(): void]} - A signal that aborts when either does (undefined if neither was given), and a
+ * cleanup function to call once the request is done. It stops the timer and removes the listener from `signal`, which may be shared by many requests.
+ */
+function withTimeout(signal, timeout) {
+    if (!timeout) {
+        return [signal, () => { }];
+    }
+    const controller = new AbortController();
+    const abort = (reason) => { if (!controller.signal.aborted) { controller.abort(reason); } };
+    const onAbort = () => abort(signal.reason);
+    if (signal?.aborted) {
+        abort(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => abort(new DOMException(`Timed out after ${timeout}ms`, 'TimeoutError')), timeout);
+    // Don't keep node running just for the timeout
+    timer.unref?.();
+    const cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    };
+    controller.signal.addEventListener('abort', cleanup, { once: true });
+    return [controller.signal, cleanup];
+}
+
+/**
+ * Creates the error for an aborted request.
+ *
+ * @param {AbortSignal} signal - The aborted signal.
+ * @param {string} endpoint - The endpoint that was requested.
+ * @param {MessageStreamChunk} [partial] - The last chunk received, for message streams.
+ * @return {AbortError} - A TimeoutError if the signal timed out, otherwise an AbortError (not thrown).
+ */
+function abortError(signal, endpoint, partial = null) {
+    const timedOut = signal.reason?.name === 'TimeoutError';
+    const ErrorClass = timedOut ? TimeoutError : AbortError;
+    return new ErrorClass(`Request to ${endpoint} ${timedOut ? 'timed out' : 'was aborted'}`, { endpoint, partial, cause: signal.reason });
+}
+
+/**
+ * Fills in the defaults for a retry policy.
+ *
+ * @param {boolean | RetryPolicy} retry - The `retry` option passed to the Claude constructor.
+ * @return {RetryPolicy} - The complete policy, with a single attempt if retrying is disabled.
+ */
+function retryPolicy(retry) {
+    const DEFAULTS = { attempts: 3, delay: 1000, factor: 2, maxDelay: 30_000, jitter: true, retryOn: (error) => error.retryable };
+    if (!retry) {
+        return { ...DEFAULTS, attempts: 1 };
+    }
+    return { ...DEFAULTS, ...(retry === true ? {} : retry) };
+}
+
+/**
+ * Fills in the defaults for an auto continue policy.
+ *
+ * @param {boolean | AutoContinuePolicy} autoContinue - The `autoContinue` option.
+ * @return {AutoContinuePolicy | null} - The complete policy, or null if it's disabled.
+ */
+function autoContinuePolicy(autoContinue) {
+    const DEFAULTS = {
+        threshold: 0.8,
+        prompt: 'Summarize our conversation so far, so it can be continued in a new conversation without it. Include every fact, decision, name, number and piece of code that could matter later. Reply with only the summary.',
+        // Newest first, skipping any that don't fit
+        attachments: (attachments, budget) => attachments.reduceRight((kept, file) => {
+            const tokens = estimateTokens(file.extracted_content || '');
+            if (tokens <= budget) {
+                budget -= tokens;
+                kept.unshift(file);
+            }
+            return kept;
+        }, []),
+    };
+    if (!autoContinue) {
+        return null;
+    }
+    const policy = { ...DEFAULTS, ...(autoContinue === true ? {} : autoContinue) };
+    if (!(policy.threshold > 0 && policy.threshold <= 1)) {
+        throw new Error('autoContinue threshold must be between 0 and 1');
+    }
+    return policy;
+}
+
+/**
+ * Works out how long to wait before retrying.
+ *
+ * @param {RetryPolicy} policy - The retry policy.
+ * @param {number} attempt - The attempt that just failed (starting at 1).
+ * @param {Error} error - The error it failed with.
+ * @return {number | null} - The delay in milliseconds, or null if the error shouldn't be retried.
+ */
+function retryDelay({ delay, factor, maxDelay, jitter, retryOn }, attempt, error) {
+    if (!retryOn(error)) {
+        return null;
+    }
+    if (error.resetsAt) {
+        const wait = error.resetsAt.getTime() - Date.now();
+        return wait > maxDelay ? null : Math.max(wait, 0);
+    }
+    const base = Math.min(maxDelay, delay * factor ** (attempt - 1));
+    return jitter ? base / 2 + Math.random() * base / 2 : base;
+}
+
+/**
+ * Waits for a given time.
+ *
+ * @param {number} ms - Milliseconds to wait.
+ * @param {AbortSignal} [signal] - Rejects with the abort reason when aborted.
+ * @return {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(signal.reason);
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Normalizes the messageLimit object from a message stream.
+ *
+ * @param {Object} limit - The messageLimit, e.g. { type: "exceeded_limit", resetsAt: 1689800000 }
+ * @return {MessageLimit} - The limit, with resetsAt as a Date (or null).
+ */
+function parseMessageLimit(limit) {
+    let resetsAt = limit.resetsAt ?? limit.resets_at ?? null;
+    if (typeof resetsAt === 'number') {
+        // Unix timestamps in seconds
+        resetsAt = new Date(resetsAt < 1e12 ? resetsAt * 1000 : resetsAt);
+    } else if (resetsAt) {
+        resetsAt = new Date(resetsAt);
+    }
+    return { ...limit, resetsAt };
+}
+
+/**
+ * Parses a Retry-After header.
+ *
+ * @param {string | null} [header] - The header value, either seconds or an HTTP date.
+ * @return {Date | null} - When to retry.
+ */
+function parseRetryAfter(header) {
+    if (!header) {
+        return null;
+    }
+    const date = /^\d+$/.test(header.trim()) ? new Date(Date.now() + parseInt(header) * 1000) : new Date(header);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Estimates the number of tokens in a text. Words average about 4 characters per token,
+ * punctuation and symbols are usually a token each, and CJK characters can be a token or more each.
+ *
+ * @param {string} text - The text.
+ * @return {number} - The estimated number of tokens.
+ */
+function estimateTokens(text) {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu)) {
+        tokens += /^[\p{L}\p{N}]{2,}$/u.test(piece) ? Math.ceil(piece.length / 4) : 1;
+    }
+    return tokens;
+}
+
+/**
+ * Splits text into ranges of at most `maxTokens` (estimated) tokens, breaking at paragraphs, lines, sentences
+ * or words where possible, with each range starting with up to `overlap` tokens from the end of the previous one.
+ *
+ * @param {string} text - The text.
+ * @param {number} maxTokens - The most tokens in a range.
+ * @param {number} overlap - Tokens to repeat at the start of each range.
+ * @return {{start: number, end: number, tokens: number}[]} - The ranges, covering the whole text.
+ */
+function splitText(text, maxTokens, overlap) {
+    const segments = [];
+    const split = (start, end, separators) => {
+        const tokens = estimateTokens(text.slice(start, end));
+        if (tokens <= maxTokens || end - start <= 1) {
+            segments.push({ start, end, tokens });
+            return;
+        }
+        const [separator, ...rest] = separators;
+        if (!separator) {
+            // A single word that's too long on its own
+            const size = Math.max(1, Math.floor((end - start) * maxTokens / tokens));
+            for (let i = start; i < end; i += size) {
+                split(i, Math.min(end, i + size), []);
+            }
+            return;
+        }
+        let from = start;
+        for (const match of text.slice(start, end).matchAll(separator)) {
+            const to = start + match.index + match[0].length;
+            if (to > from && to < end) {
+                split(from, to, rest);
+                from = to;
+            }
+        }
+        split(from, end, rest);
+    };
+    split(0, text.length, [/\n\s*\n/g, /\n/g, /(?<=[.!?])\s+/g, /\s+/g]);
+    const ranges = [];
+    let current = [];
+    let tokens = 0;
+    for (const segment of segments) {
+        if (current.length && tokens + segment.tokens > maxTokens) {
+            ranges.push(current);
+            const kept = [];
+            let keptTokens = 0;
+            for (let i = current.length - 1; i > 0 && keptTokens + current[i].tokens <= overlap; i--) {
+                kept.unshift(current[i]);
+                keptTokens += current[i].tokens;
+            }
+            while (kept.length && keptTokens + segment.tokens > maxTokens) {
+                keptTokens -= kept.shift().tokens;
+            }
+            current = kept;
+            tokens = keptTokens;
+        }
+        current.push(segment);
+        tokens += segment.tokens;
+    }
+    ranges.push(current);
+    return ranges.map(range => ({
+        start: range[0]?.start ?? 0,
+        end: range.at(-1)?.end ?? 0,
+        tokens: range.reduce((total, segment) => total + segment.tokens, 0),
+    }));
+}
+
+/**
+ * Warns or throws when a message won't fit in a model's context window.
+ *
+ * @param {Claude} claude - The Claude instance, for its window sizes.
+ * @param {false|string} mode - false to do nothing, "warn" to log a warning or "error" to throw.
+ * @param {number} tokens - The estimated tokens of the conversation including the new message.
+ * @param {string} [model] - The model, defaults to the default model.
+ * @throws {ContextLengthError} - If mode is "error" and the message doesn't fit.
+ */
+function checkContext(claude, mode, tokens, model) {
+    const limit = claude.totalTokens(model);
+    if (!mode || !limit || tokens <= limit) {
+        return;
+    }
+    const message = `Message needs about ${tokens} tokens, more than the ${limit} token context window of ${model || claude.defaultModel()}`;
+    if (mode === 'error') {
+        throw new ContextLengthError(message, { tokens, limit });
+    }
+    console.warn(message);
+}
+
+/**
+ * Finds the tool calls in a response.
+ *
+ * @param {string} text - The response text.
+ * @return {{name: string, arguments: Object, error?: string}[]} - The calls, with an error if one couldn't be parsed.
+ */
+function parseToolCalls(text) {
+    return [...text.matchAll(/<tool_call>([\s\S]*?)<\/tool_call>/g)].map(([, body]) => {
+        let call;
+        try {
+            call = extractJSON(body.trim());
+        } catch (e) {
+            return { name: null, arguments: {}, error: `Couldn't parse the tool call as JSON: ${e.message}` };
+        }
+        if (typeof call?.name !== 'string') {
+            return { name: null, arguments: {}, error: 'Tool calls need a "name"' };
+        }
+        return { name: call.name, arguments: call.arguments ?? {} };
+    });
+}
+
+/**
+ * Finds the JSON in a response: the first code block, or else the response itself, or else the text from the first { or [ to the last } or ].
+ *
+ * @param {string} text - The response text.
+ * @return {any} - The parsed JSON.
+ * @throws {SyntaxError} - If no JSON could be parsed.
+ */
+function extractJSON(text) {
+    const block = text.match(/```[\w-]*[^\S\n]*\n([\s\S]*?)```/);
+    if (block) {
+        return JSON.parse(block[1]);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        const start = text.search(/[[{]/);
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+        if (start === -1 || end < start) {
+            throw e;
+        }
+        return JSON.parse(text.slice(start, end + 1));
+    }
+}
+
+/**
+ * Scores how well a text matches search terms.
+ *
+ * @param {string} text - The text.
+ * @param {string[]} terms - Lowercase search terms.
+ * @param {string} query - The whole query, matching it as a phrase scores extra.
+ * @return {number} - The number of times the terms appear (plus a bonus for the phrase), 0 if no term appears.
+ */
+function searchScore(text, terms, query) {
+    const lower = text.toLowerCase();
+    let score = 0;
+    for (const term of terms) {
+        score += lower.split(term).length - 1;
+    }
+    if (terms.length > 1 && lower.includes(query.trim().toLowerCase())) {
+        score += terms.length * 2;
+    }
+    return score;
+}
+
+/**
+ * Gets the text around the first search term found.
+ *
+ * @param {string} text - The text.
+ * @param {string[]} terms - Lowercase search terms.
+ * @param {number} [radius=60] - Characters to include on each side.
+ * @return {string} - The snippet, with "..." where the text was cut off.
+ */
+function searchSnippet(text, terms, radius = 60) {
+    const lower = text.toLowerCase();
+    const found = terms.map(term => lower.indexOf(term)).filter(i => i !== -1);
+    // The start of the text when there are no terms (a search with only filters) or none of them are in it
+    const index = found.length ? Math.min(...found) : 0;
+    const start = Math.max(0, index - radius);
+    const end = Math.min(text.length, index + radius);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '...' : ''}${snippet}${end < text.length ? '...' : ''}`;
+}
+
+/**
+ * Maps over items with a limited number running at once.
+ *
+ * @param {any[]} items - The items.
+ * @param {number} limit - The maximum number of fn calls running at once.
+ * @param {function(any, number): Promise<any>} fn - Called with each item and its index.
+ * @return {Promise<any[]>} - The results, in the same order as items, rejecting with the first error (no more items are started after it).
+ */
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    // Once a call fails nobody will use the results, so the other workers stop taking items
+    let failed = false;
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (e) {
+                failed = true;
+                throw e;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Reads the results of an earlier batch from a JSON Lines file.
+ *
+ * @param {string} path - The file.
+ * @return {Promise<Map<string, BatchResult>>} - The last result for each prompt id (empty if the file doesn't exist).
+ */
+async function readBatchResults(path) {
+    const { readFile } = await import('fs/promises');
+    let text;
+    try {
+        text = await readFile(path, 'utf-8');
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return new Map();
+        }
+        throw e;
+    }
+    const results = new Map();
+    for (const line of text.split('\n').filter(i => i.trim())) {
+        try {
+            const result = JSON.parse(line);
+            results.set(String(result.id), result);
+        } catch {
+            // A line cut off by a crash, that prompt will run again
+        }
+    }
+    return results;
+}
+
+/**
+ * Appends a batch result to a JSON Lines file.
+ *
+ * @param {string} path - The file.
+ * @param {BatchResult} result - The result.
+ * @return {Promise<void>}
+ */
+async function appendBatchResult(path, { error, ...result }) {
+    const { appendFile } = await import('fs/promises');
+    const serialized = { ...result, error: error && { name: error.name, message: error.message, status: error.status ?? null } };
+    await appendFile(path, JSON.stringify(serialized) + '\n');
+}
+
+/**
+ * Gets data through the Claude instance's storage: fetches and stores it when online, falls back to the stored copy when offline or the network fails.
+ *
+ * @param {Claude} claude - The Claude instance.
+ * @param {string} endpoint - The endpoint the data is from (for errors).
+ * @param {function(): Promise<any>} read - Reads the stored copy (undefined if there isn't one).
+ * @param {function(any): Promise<void>} write - Stores a fresh copy.
+ * @param {function(): Promise<any>} fetcher - Fetches the data.
+ * @return {Promise<any>} - The data.
+ */
+async function withCache(claude, endpoint, read, write, fetcher) {
+    if (!claude.store) {
+        return fetcher();
+    }
+    if (claude.offline) {
+        const cached = await read();
+        if (cached === undefined) {
+            throw new NetworkError(`${endpoint} isn't available offline`, { endpoint });
+        }
+        return cached;
+    }
+    try {
+        const json = await fetcher();
+        await write(json);
+        return json;
+    } catch (e) {
+        const cached = e instanceof NetworkError ? await read() : undefined;
+        if (cached === undefined) {
+            throw e;
+        }
+        return cached;
+    }
+}
+
+/**
+ * Parses a response as JSON, throwing a ParseError if it isn't valid, or a NetworkError if the body can't be read.
+ *
+ * @param {Response} response - The response to parse.
+ * @param {string} endpoint - The endpoint that was requested (for the error).
+ * @param {AbortSignal} [signal] - The signal the request was made with.
+ * @return {Promise<any>} - The parsed JSON.
+ */
+async function readJSON(response, endpoint, signal) {
+    try {
+        return await response.json();
+    } catch (e) {
+        if (signal?.aborted) {
+            throw abortError(signal, endpoint);
+        }
+        // JSON.parse throws SyntaxErrors, fetch a TypeError when the connection drops (by name, it may be from another realm)
+        if (e?.name !== 'SyntaxError') {
+            throw new NetworkError(`Failed to read the response from ${endpoint}: ${e.message}`, { status: response.status, endpoint, cause: e });
+        }
+        throw new ParseError(`Invalid JSON response from ${endpoint}`, { status: response.status, endpoint, cause: e });
+    }
+}
+
+/**
+ * Generates a random UUID.
+ *
+ * @return {UUID} A randomly generated UUID.
+ */
+function uuid() {
+    var h = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'a', 'b', 'c', 'd', 'e', 'f'];
+    var k = ['x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', '-', 'x', 'x', 'x', 'x', '-', '4', 'x', 'x', 'x', '-', 'y', 'x', 'x', 'x', '-', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x'];
+    var u = '', i = 0, rb = Math.random() * 0xffffffff | 0;
+    while (i++ < 36) {
+        var c = k[i - 1], r = rb & 0xf, v = c == 'x' ? r : (r & 0x3 | 0x8);
+        u += (c == '-' || c == '4') ? c : h[v]; rb = i % 8 == 0 ? Math.random() * 0xffffffff | 0 : rb >> 4
+    }
+    return u
+}
+
+/**
+ * A pool of Claude clients, one per session key.
+ * @class
+ * @classdesc Spreads new conversations across several accounts, taking keys out of rotation when they're rate limited or expire.
+ */
+export class ClaudePool {
+    #next = 0;
+    #sticky = null;
+    #owners = new Map();
+    #listeners = [];
+    /**
+     * How to pick a client for a new conversation. "round-robin" cycles through the keys, "least-recently-limited" prefers keys that haven't been rate limited (or were limited the longest time ago) and "sticky" keeps using the same key until it fails. A function is passed the healthy clients and returns one of them.
+     * @typedef {"round-robin" | "least-recently-limited" | "sticky" | function(Claude[]): Claude} PoolStrategy
      */
-    async retry(params) {
-        return this.sendMessage("", { ...params, retry: true });
+    /**
+     * The health of a session key in a pool
+     * @typedef SessionKeyStatus
+     * @property {String} sessionKey The redacted session key
+     * @property {Boolean} healthy Whether the key is currently used
+     * @property {Date | null} unhealthyUntil When a rate limited key is used again (null for expired keys)
+     * @property {Date | null} lastLimitedAt When the key was last rate limited
+     * @property {ClaudeError | null} error The error that made the key unhealthy
+     */
+    /**
+     * Create a pool of Claude clients.
+     * @param {Object} options - Options, anything other than these is passed to each Claude instance
+     * @param {string[]} options.sessionKeys - The session keys
+     * @param {PoolStrategy} [options.strategy="round-robin"] - How to pick a key for new conversations
+     * @param {number} [options.cooldown=60000] - How long a rate limited key is left out when claude.ai doesn't say when the limit resets
+     * @example
+     * const pool = new ClaudePool({
+     *   sessionKeys: [process.env.KEY_1, process.env.KEY_2],
+     *   strategy: 'least-recently-limited',
+     * });
+     * await pool.init();
+     * const conversation = await pool.startConversation('Hello!');
+     */
+    constructor({ sessionKeys, strategy = 'round-robin', cooldown = 60_000, ...options }) {
+        if (!sessionKeys?.length) {
+            throw new Error('At least one session key required');
+        }
+        if (typeof strategy !== 'function' && !['round-robin', 'least-recently-limited', 'sticky'].includes(strategy)) {
+            throw new Error('Strategy must be "round-robin", "least-recently-limited", "sticky" or a function');
+        }
+        Object.assign(this, { strategy, cooldown });
+        // Each client needs its own jar, setting the session key on a shared one would change every client's
+        const cookies = () => options.cookies instanceof CookieJar ? new CookieJar(options.cookies.toJSON()) : options.cookies;
+        this.clients = sessionKeys.map(sessionKey => new Claude({ ...options, cookies: cookies(), sessionKey }));
+        this.health = new Map(this.clients.map(client => [client, { healthy: true, unhealthyUntil: null, lastLimitedAt: null, error: null }]));
+        for (const client of this.clients) {
+            // Errors from conversations used directly (not through the pool) are noticed too
+            client.on('error', (error) => this.markUnhealthy(client, error));
+        }
     }
     /**
-     * Send a message to this conversation
-     * @param {String} message 
-     * @async
-     * @param {SendMessageParams} params The parameters to send along with the message
-     * @returns {Promise<MessageStreamChunk>}
+     * Add a middleware to every client, see Claude.use
+     * @param {Middleware} middleware The middleware
+     * @returns {ClaudePool} This pool, for chaining
      */
-    async sendMessage(message, { retry = false, timezone = "America/New_York", attachments = [], model, done = () => { }, progress = () => { }, rawResponse = () => { } } = {}) {
-        const body = {
-            organization_uuid: this.claude.organizationId,
-            conversation_uuid: this.conversationId,
-            text: message,
-            attachments,
-            completion: {
-                prompt: message,
-                timezone,
-                model: model || this.model,
-            }
-        };
-        const response = await this.request(`/api/${retry ? "retry_message" : "append_message"}`, {
-            method: "POST",
-            headers: {
-                "accept": "text/event-stream,text/event-stream",
-                "content-type": "application/json",
-                "cookie": `sessionKey=${this.claude.sessionKey}`
-            },
-            body: JSON.stringify(body)
-        });
-        let resolve;
-        let returnPromise = new Promise(r => (resolve = r));
-        let parsed;
-        readStream(response, (a) => {
-            rawResponse(a);
-            if (!a.toString().startsWith('data:')) {
-                return;
-            }
-            try {
-                parsed = JSON.parse(a.toString().replace(/^data\:/, '').split('\n\ndata:')[0]?.trim() || "{}");
-            } catch (e) {
-                return;
-            }
-            progress(parsed);
-            if (parsed.stop_reason === 'stop_sequence') {
-                done(parsed);
-                resolve(parsed);
-            }
-        })
-        return returnPromise;
+    use(middleware) {
+        this.clients.forEach(client => client.use(middleware));
+        return this;
     }
     /**
-     * Rename the current conversation
-     * @async
-     * @param {String} title The new title
-     * @returns {Promise<Response>} A Response object
+     * Listen to an event from every client, see Claude.on. Listeners are also passed the client as the last argument
+     * @param {String} event The event name
+     * @param {Function} listener Called with the event's arguments and the client
+     * @returns {ClaudePool} This pool, for chaining
      */
-    async rename(title) {
-        if (!title?.length) {
-            throw new Error('Title required');
+    on(event, listener) {
+        const wrappers = new Map(this.clients.map(client => [client, (...args) => listener(...args, client)]));
+        wrappers.forEach((wrapper, client) => client.on(event, wrapper));
+        this.#listeners.push({ event, listener, wrappers });
+        return this;
+    }
+    /**
+     * Stop listening to an event, see Claude.off
+     * @param {String} event The event name
+     * @param {Function} listener The listener passed to `on()`
+     * @returns {ClaudePool} This pool, for chaining
+     */
+    off(event, listener) {
+        const index = this.#listeners.findIndex(i => i.event === event && i.listener === listener);
+        if (index !== -1) {
+            this.#listeners[index].wrappers.forEach((wrapper, client) => client.off(event, wrapper));
+            this.#listeners.splice(index, 1);
         }
-        return await this.request('/api/rename_chat', {
-            method: 'POST',
-            headers: {
-                "cookie": `sessionKey=${this.claude.sessionKey}`
-            },
-            body: JSON.stringify({
-                conversation_uuid: this.conversationId,
-                organization_uuid: this.claude.organizationId,
-                title,
-            })
-        }).catch(errorHandle("Rename conversation " + this.conversationId));
+        return this;
     }
     /**
-     * Delete the conversation
+     * Initialize every client, keys that fail are marked unhealthy.
      * @async
-     * @returns Promise<Response>
+     * @returns {Promise<void>}
+     * @throws {ClaudeError} If no client could be initialized
      */
-    async delete() {
-        return await this.request(`/api/organizations/${this.claude.organizationId}/chat_conversations/${this.conversationId}`, {
-            headers: {
-                "cookie": `sessionKey=${this.claude.sessionKey}`
-            },
-            method: 'DELETE'
-        }).catch(errorHandle("Delete conversation " + this.conversationId));
+    async init() {
+        const results = await Promise.allSettled(this.clients.map(client => client.init()));
+        const failed = results.filter(i => i.status === 'rejected');
+        if (failed.length === this.clients.length) {
+            throw failed[0].reason;
+        }
     }
     /**
-     * @typedef Message
-     * @property {UUID} uuid The message UUID
-     * @property {String} text The message text
-     * @property {String} created_at The message created at
-     * @property {String} updated_at The message updated at
-     * @property {String | null} edited_at When the message was last edited (no editing support via api/web client)
-     * @property {Any | null} chat_feedback Feedback
-     * @property {Attachment[]} attachments The attachments
+     * Take a client out of rotation if an error means its key can't be used. Authentication errors last until markHealthy() is called, rate limits until they reset (or `cooldown` passes).
+     * @param {Claude} client - The client
+     * @param {Error} error - The error it failed with
+     * @returns {Boolean} Whether the client was marked unhealthy
+     */
+    markUnhealthy(client, error) {
+        const health = this.health.get(client);
+        if (!health) {
+            return false;
+        }
+        if (error instanceof AuthenticationError) {
+            Object.assign(health, { healthy: false, unhealthyUntil: null, error });
+        } else if (error instanceof RateLimitError) {
+            const unhealthyUntil = error.resetsAt || new Date(Date.now() + this.cooldown);
+            Object.assign(health, { healthy: false, unhealthyUntil, lastLimitedAt: new Date(), error });
+        } else {
+            return false;
+        }
+        return true;
+    }
+    /**
+     * Put a client back into rotation (e.g. after updating an expired session key)
+     * @param {Claude} client - The client
      */
+    markHealthy(client) {
+        Object.assign(this.health.get(client), { healthy: true, unhealthyUntil: null, error: null });
+    }
     /**
-     * @typedef ConversationInfo
-     * @extends Conversation
-     * @property {Message[]} chat_messages The messages in this conversation
+     * The health of each session key, in the same order as `sessionKeys`
+     * @returns {SessionKeyStatus[]}
      */
+    status() {
+        return this.clients.map(client => {
+            const { unhealthyUntil, lastLimitedAt, error } = this.health.get(client);
+            return { sessionKey: redact(client.sessionKey), healthy: this.#isHealthy(client), unhealthyUntil, lastLimitedAt, error };
+        });
+    }
     /**
-     * Get information about this conversation
-     * @returns {Promise<ConversationInfo>}
+     * Pick a client for a new conversation, or the client that owns an existing one.
+     * @param {Object} [options] - Options
+     * @param {Conversation | UUID} [options.conversation] - Route to the client that owns this conversation
+     * @returns {Claude}
+     * @throws {ClaudeError} If every key is unhealthy (a RateLimitError if they're all rate limited)
+     * @throws {Error} If a strategy function doesn't return one of the healthy clients
      */
-    async getInfo() {
-        const response = await this.request(`/api/organizations/${this.claude.organizationId}/chat_conversations/${this.conversationId}`, {
-            headers: {
-                "content-type": "application/json",
-                "cookie": `sessionKey=${this.claude.sessionKey}`
+    pick({ conversation } = {}) {
+        if (conversation) {
+            const owner = conversation instanceof Conversation ? conversation.claude : this.#owners.get(conversation);
+            if (owner) {
+                return owner;
             }
-        });
-        return await response.json().then(this.#formatMessages('chat_messages')).catch(errorHandle("getInfo"));
+        }
+        const healthy = this.clients.filter(client => this.#isHealthy(client));
+        if (!healthy.length) {
+            const statuses = [...this.health.values()];
+            if (statuses.every(i => i.error instanceof RateLimitError)) {
+                const resetsAt = new Date(Math.min(...statuses.map(i => i.unhealthyUntil.getTime())));
+                throw new RateLimitError(`All session keys are rate limited until ${resetsAt.toISOString()}`, { resetsAt });
+            }
+            throw new ClaudeError('No healthy session keys in the pool', { body: this.status() });
+        }
+        if (typeof this.strategy === 'function') {
+            const client = this.strategy(healthy);
+            if (!healthy.includes(client)) {
+                throw new Error('The pool strategy must return one of the healthy clients it was passed');
+            }
+            return client;
+        }
+        if (this.strategy === 'sticky') {
+            if (!healthy.includes(this.#sticky)) {
+                this.#sticky = healthy[0];
+            }
+            return this.#sticky;
+        }
+        if (this.strategy === 'least-recently-limited') {
+            const limitedAt = (client) => this.health.get(client).lastLimitedAt?.getTime() || 0;
+            return healthy.reduce((a, b) => limitedAt(b) < limitedAt(a) ? b : a);
+        }
+        return healthy[this.#next++ % healthy.length];
     }
     /**
-     * Get all the files from this conversation
-     * @async
-     * @returns {Promise<Attachment[]>}
+     * Start a new conversation with the next available key, failing over to another key if it's rate limited or expired
+     * @param {String} message The message to send to start the conversation
+     * @param {SendMessageParams} [params={}] Message params passed to Conversation.sendMessage
+     * @returns {Promise<Conversation>}
      */
-    getFiles() {
-        return this.getMessages().then(r => r.map(i => i.attachments)).then(r => r.flat()).catch(errorHandle('getFiles'));
+    async startConversation(message, params = {}) {
+        const conversation = await this.#failover(client => client.startConversation(message, params));
+        this.#owners.set(conversation.conversationId, conversation.claude);
+        return conversation;
     }
     /**
-     * Get all messages in the conversation
-     * @async
-     * @returns {Promise<Message[]>}
+     * Send a message to a new (temporary by default) or existing conversation, see Claude.sendMessage
+     * @param {string} message - The message
+     * @param {SendMessageParams} [params] - Additional parameters
+     * @param {Conversation | UUID} [params.conversation] - Existing conversation, sent with the key that owns it
+     * @returns {Promise<MessageStreamChunk>}
      */
-    getMessages() {
-        return this.getInfo().then((a) => a.chat_messages).catch(errorHandle("getMessages"));
+    async sendMessage(message, { conversation = null, ...params } = {}) {
+        if (conversation) {
+            const convo = await this.getConversation(conversation);
+            return convo.sendMessage(message, params);
+        }
+        return this.#failover(client => client.sendMessage(message, params));
     }
     /**
-     * Internal method for converting a JSON response to contain Message objects
-     * @param {String} message_key The message key in the object
-     * @returns {Function}
+     * Get a conversation by its ID, from whichever key owns it
+     * @param {Conversation | UUID} id The conversation or its uuid
+     * @returns {Promise<Conversation>}
+     * @throws {NotFoundError} If no key has the conversation
      */
-    #formatMessages(message_key) {
-        return (response) => {
-            if (!response[message_key]) {
-                return response;
-            }
-            return {
-                ...response,
-                [message_key]: response[message_key].map(i => new Message({ claude: this.claude, conversation: this }, { ...i })),
+    async getConversation(id) {
+        if (id instanceof Conversation) {
+            return id;
+        }
+        if (!this.#owners.has(id)) {
+            await this.getConversations();
+        }
+        const owner = this.#owners.get(id);
+        if (!owner) {
+            throw new NotFoundError(`Conversation ${id} not found in any session key's conversations`);
+        }
+        return owner.getConversation(id);
+    }
+    /**
+     * Get the conversations of every healthy key
+     * @returns {Promise<Conversation[]>}
+     */
+    async getConversations() {
+        const clients = this.clients.filter(client => this.#isHealthy(client));
+        const conversations = await Promise.all(clients.map(async (client) => {
+            if (!client.ready) {
+                await client.init();
             }
+            return client.getConversations();
+        }));
+        for (const conversation of conversations.flat()) {
+            this.#owners.set(conversation.conversationId, conversation.claude);
         }
+        return conversations.flat();
     }
-}
-
-/**
- * Reads a stream and returns the decoded data as a string.
- *
- * @param {Response} response - The response object containing the stream.
- * @param {function} progressCallback - A callback function to track the progress of reading the stream.
- * @return {Promise<string>} - A promise that resolves with the decoded data as a string.
- */
-async function readStream(response, progressCallback) {
-    const reader = response.body.getReader();
-    let received = 0;
-    let chunks = [];
-    let loading = true;
-    while (loading) {
-        const { done, value } = await reader.read();
-        if (done) {
-            loading = false;
-            break;
+    /**
+     * Extract the contents of a file using any healthy key, see Claude.uploadFile
+     * @param {File} file A JS File (like) object to upload.
+     * @param {Object} [options] Options passed to Claude.uploadFile
+     * @returns {Promise<Attachment>}
+     */
+    uploadFile(file, options) {
+        return this.#failover(async (client) => {
+            if (!client.ready) {
+                await client.init();
+            }
+            return client.uploadFile(file, options);
+        });
+    }
+    /**
+     * Whether a client can be used, rate limited clients become healthy again once their limit resets
+     * @param {Claude} client
+     * @returns {Boolean}
+     */
+    #isHealthy(client) {
+        const health = this.health.get(client);
+        if (!health.healthy && health.unhealthyUntil && health.unhealthyUntil.getTime() <= Date.now()) {
+            Object.assign(health, { healthy: true, unhealthyUntil: null, error: null });
         }
-        chunks.push(value);
-        received += value?.length || 0;
-        if (value) { progressCallback(new TextDecoder('utf-8').decode(value)); }
+        return health.healthy;
     }
-
-    let body = new Uint8Array(received);
-    let position = 0;
-
-    for (let chunk of chunks) {
-        body.set(chunk, position);
-        position += chunk.length;
+    /**
+     * Run a function with a picked client, trying another client if the key turns out to be unusable
+     * @param {function(Claude): Promise<any>} fn
+     * @returns {Promise<any>}
+     */
+    async #failover(fn) {
+        while (true) {
+            const client = this.pick();
+            try {
+                return await fn(client);
+            } catch (e) {
+                // Error events in message streams don't go through request, so check here too
+                this.markUnhealthy(client, e);
+                if (this.#isHealthy(client)) {
+                    throw e;
+                }
+            }
+        }
     }
-
-    return new TextDecoder('utf-8').decode(body);
 }
 
 /**
- * Reads the contents of a file as text.
+ * Hides most of a session key, for logging.
  *
- * @param {File} file - The file object to read.
- * @return {Object} - An object containing the content of the file and a flag indicating if it is a text file.
+ * @param {string} sessionKey - The session key.
+ * @return {string} - e.g. "sk-ant-sid01-...abcd"
  */
-async function readAsText(file) {
-    const buf = await file.arrayBuffer();
-    // const allow = ['text', 'javascript', 'json', 'html', 'sh', 'xml', 'latex', 'ecmascript']
-    const notText = ['doc', 'pdf', 'ppt', 'xls']
-    return {
-        content: new TextDecoder('utf-8').decode(buf),
-        isText: !notText.find(i => file.name.includes(i))
-    }
+function redact(sessionKey) {
+    return sessionKey ? `${sessionKey.slice(0, 13)}...${sessionKey.slice(-4)}` : sessionKey;
 }
 
 /**
- * A function that handles errors.
- *
- * @param {string} msg - The error message.
- * @return {function} - A function that logs the error message and exits the process.
+ * Organization class
+ * @class
+ * @classdesc An organization the user belongs to, returned by Claude.getOrganizations()
  */
-function errorHandle(msg) {
-    return (e) => {
-        console.error(`Error at: ${msg}`)
-        console.error(e);
-        process.exit(0);
+export class Organization {
+    /**
+     * Create an Organization instance.
+     * @param {Claude} claude - Claude instance
+     * @param {Object} organization - Organization data
+     * @param {UUID} organization.uuid - The organization UUID
+     * @param {String} organization.name - The organization name
+     * @param {String} [organization.join_token] - A token
+     * @param {String} [organization.created_at] - The organization creation date
+     * @param {String} [organization.updated_at] - The organization update date
+     * @param {String[]} [organization.capabilities] - What the organization can do, e.g. "chat"
+     * @param {Object} [organization.settings] - The organization's settings
+     * @param {Array} [organization.active_flags] - Organization's flags (none that I've found)
+     */
+    constructor(claude, { uuid, name, join_token, created_at, updated_at, capabilities = [], settings = {}, active_flags = [] }) {
+        if (!claude) {
+            throw new Error('Claude not initialized');
+        }
+        this.claude = claude;
+        this.json = { uuid, name, join_token, created_at, updated_at, capabilities, settings, active_flags };
+        Object.assign(this, this.json);
     }
-}
-
-/**
- * Generates a random UUID.
- *
- * @return {UUID} A randomly generated UUID.
- */
-function uuid() {
-    var h = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'a', 'b', 'c', 'd', 'e', 'f'];
-    var k = ['x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', '-', 'x', 'x', 'x', 'x', '-', '4', 'x', 'x', 'x', '-', 'y', 'x', 'x', 'x', '-', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x'];
-    var u = '', i = 0, rb = Math.random() * 0xffffffff | 0;
-    while (i++ < 36) {
-        var c = k[i - 1], r = rb & 0xf, v = c == 'x' ? r : (r & 0x3 | 0x8);
-        u += (c == '-' || c == '4') ? c : h[v]; rb = i % 8 == 0 ? Math.random() * 0xffffffff | 0 : rb >> 4
+    /**
+     * Convert this organization to a JSON representation
+     * @returns {Object}
+     */
+    toJSON() {
+        return this.json;
+    }
+    /**
+     * Check if the organization has a capability
+     * @param {String} capability - The capability, e.g. "chat"
+     * @returns {Boolean}
+     */
+    hasCapability(capability) {
+        return this.capabilities.includes(capability);
+    }
+    /**
+     * Whether this is the Claude instance's current organization
+     * @type {boolean}
+     */
+    get isActive() {
+        return this.claude.organizationId === this.uuid;
+    }
+    /**
+     * Make this the current organization (see Claude.useOrganization)
+     * @returns {Promise<Organization>}
+     */
+    use() {
+        return this.claude.useOrganization(this);
+    }
+    /**
+     * Get the conversations in this organization
+     * @returns {Promise<Conversation[]>}
+     */
+    getConversations() {
+        return this.claude.getConversations({ organization: this });
+    }
+    /**
+     * Delete all conversations in this organization
+     * @returns {Promise<Response[]>}
+     */
+    clearConversations() {
+        return this.claude.clearConversations({ organization: this });
     }
-    return u
 }
 
 /**
@@ -650,7 +3358,7 @@ export class Message {
      * @param {Claude} params.claude - Claude instance
      * @param {Message} message - Message data
      */
-    constructor({ conversation, claude }, { uuid, text, sender, index, updated_at, edited_at, chat_feedback, attachments }) {
+    constructor({ conversation, claude }, { uuid, text, sender, index, created_at, updated_at, edited_at, chat_feedback, attachments }) {
         if (!claude) {
             throw new Error('Claude not initialized');
         }
@@ -658,8 +3366,8 @@ export class Message {
             throw new Error('Conversation not initialized');
         }
         Object.assign(this, { conversation, claude });
-        this.request = claude.request;
-        this.json = { uuid, text, sender, index, updated_at, edited_at, chat_feedback, attachments };
+        this.request = (...args) => claude.request(...args);
+        this.json = { uuid, text, sender, index, created_at, updated_at, edited_at, chat_feedback, attachments };
         Object.assign(this, this.json);
     }
     /**
@@ -720,17 +3428,20 @@ export class Message {
         if (!FEEDBACK_TYPES.includes(type)) {
             throw new Error("Invalid feedback type, must be one of: " + FEEDBACK_TYPES.join(", "));
         }
-        return await this.request(`/api/organizations/${this.claude.organizationId}/chat_conversations/${this.conversation.conversationId}/chat_messages/${this.uuid}/chat_feedback`, {
-            "headers": {
-                "cookie": `sessionKey=${this.claude.sessionKey}`
-            },
+        return await this.request(`/api/organizations/${this.conversation.organizationId}/chat_conversations/${this.conversation.conversationId}/chat_messages/${this.uuid}/chat_feedback`, {
             "body": JSON.stringify({
                 type,
                 reason,
             }),
             "method": "POST",
-        }).catch(errorHandle("Send feedback"));
+        });
     }
 }
 
+export { MemoryStorage, JSONFileStorage, SQLiteStorage, ConversationStore } from './storage.js';
+export { validateSchema } from './schema.js';
+export { CookieJar } from './cookies.js';
+export { recordFixtures, replayFixtures } from './fixtures.js';
+export { detectFileType, extractDocument, DocumentSizeError } from './documents.js';
+
 export default Claude;
\ No newline at end of file
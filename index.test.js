@@ -1,6 +1,10 @@
-import Claude, { Conversation, Message } from './index.js';
+import Claude, { ClaudePool, Conversation, Message, Organization, ClaudeError, AuthenticationError, NotFoundError, RateLimitError, ServerError, NetworkError, ParseError, AbortError, TimeoutError, ContextLengthError, ValidationError, ToolError, FileError, CookieJar } from './index.js';
 import "dotenv/config";
 import { readFileSync } from 'fs';
+import { deflateSync } from 'zlib';
+import { getEventListeners } from 'events';
+import { MemoryStorage } from './storage.js';
+import { MockClaudeServer } from './mock-server.js';
 
 const UUIDS = {
     org: uuid(),
@@ -21,10 +25,10 @@ const mockResponse = () => ({
         getReader: jest.fn().mockReturnValue({
             read: jest.fn().mockResolvedValueOnce({
                 done: false,
-                value: enc(`data: {"completion":" Hello","stop_reason":null,"model":"claude-2.0","stop":null,"log_id":"xxxxxx","messageLimit":{"type":"within_limit"}}`)
+                value: enc(`data: {"completion":" Hello","stop_reason":null,"model":"claude-2.0","stop":null,"log_id":"xxxxxx","messageLimit":{"type":"within_limit"}}\n\n`)
             }).mockResolvedValueOnce({
                 done: false,
-                value: enc(`data: {"completion":" world","stop_reason":"stop_sequence","model":"claude-2.0","stop":"\\n\\nHuman:","log_id":"xxxxxx","messageLimit":{"type":"within_limit"}}`)
+                value: enc(`data: {"completion":" world","stop_reason":"stop_sequence","model":"claude-2.0","stop":"\\n\\nHuman:","log_id":"xxxxxx","messageLimit":{"type":"within_limit"}}\n\n`)
             }).mockResolvedValueOnce({
                 done: true,
                 value: undefined
@@ -37,6 +41,22 @@ function enc(str) {
     return new TextEncoder().encode(str);
 }
 
+const streamResponse = (...chunks) => ({
+    status: 200,
+    body: {
+        getReader: () => {
+            const queue = chunks.map(c => typeof c === 'string' ? enc(c) : c);
+            return {
+                read: jest.fn(async () => queue.length ? { done: false, value: queue.shift() } : { done: true, value: undefined }),
+                cancel: jest.fn(async () => { }),
+            }
+        }
+    }
+})
+
+// The real fetch, for the tests that run against MockClaudeServer
+const nodeFetch = globalThis.fetch;
+
 global.fetch = jest.fn(async function fetchMock(url, params) {
     let response = {};
     if (url.endsWith('/api/organizations')) {
@@ -147,6 +167,14 @@ global.fetch = jest.fn(async function fetchMock(url, params) {
     }
 })
 
+let server;
+beforeAll(async () => {
+    server = await new MockClaudeServer().listen();
+});
+afterAll(() => server.close());
+const mockClaude = (options) => new Claude({ sessionKey: 'sk-ant-sid01-*****', proxy: server.url, fetch: nodeFetch, ...options });
+const requestsTo = (endpoint) => server.requests.filter(request => request.endpoint === endpoint);
+
 describe('Claude', () => {
     let claude;
     beforeEach(async () => {
@@ -200,6 +228,753 @@ describe('Claude', () => {
             expect(fetchCalls.pop()).toEqual(['https://example.com/test', {}])
         })
     });
+    describe('errors', () => {
+        const errorFetch = (status, body) => jest.fn(async () => ({
+            status,
+            statusText: 'Error',
+            text: () => Promise.resolve(JSON.stringify(body)),
+            json: () => Promise.resolve(body),
+        }));
+        let c;
+        beforeEach(async () => {
+            server.reset();
+            c = mockClaude();
+            await c.init();
+        });
+        it.each([
+            [401, AuthenticationError],
+            [403, AuthenticationError],
+            [404, NotFoundError],
+            [429, RateLimitError],
+            [500, ServerError],
+            [400, ClaudeError],
+        ])('maps status %i to the right error', async (status, ErrorClass) => {
+            server.fail('/test', { status, body: { error: { type: 'error', message: 'Nope' } } });
+            const error = await c.request('/test').catch(e => e);
+            expect(error).toBeInstanceOf(ErrorClass);
+            expect(error).toBeInstanceOf(ClaudeError);
+            expect(error.status).toBe(status);
+            expect(error.endpoint).toBe('/test');
+            expect(error.body).toEqual({ error: { type: 'error', message: 'Nope' } });
+            expect(error.message).toContain('Nope');
+        })
+        it('throws NetworkError when fetch fails', async () => {
+            server.fail('/api/organizations', { network: true });
+            const error = await c.getOrganizations().catch(e => e);
+            expect(error).toBeInstanceOf(NetworkError);
+            // Node's fetch is from outside the test's realm, so its TypeError isn't this one
+            expect(error.cause.name).toBe('TypeError');
+        })
+        it('throws ParseError for invalid JSON', async () => {
+            claude.fetch = jest.fn(async () => ({ status: 200, json: () => Promise.reject(new SyntaxError('Unexpected token')) }));
+            await expect(claude.getConversations()).rejects.toBeInstanceOf(ParseError);
+        })
+        it('throws NetworkError when the body is cut off', async () => {
+            claude.fetch = jest.fn(async () => ({ status: 200, json: () => Promise.reject(new TypeError('terminated')) }));
+            const error = await claude.getConversations().catch(e => e);
+            expect(error).toBeInstanceOf(NetworkError);
+            expect(error.retryable).toBe(true);
+            expect(error.cause.message).toBe('terminated');
+        })
+        it('rejects conversation methods instead of exiting', async () => {
+            // The server has no conversations
+            const convo = await c.getConversation(UUIDS.conversation);
+            await expect(convo.getInfo()).rejects.toBeInstanceOf(NotFoundError);
+            await expect(convo.delete()).rejects.toBeInstanceOf(NotFoundError);
+            await expect(convo.rename('Title')).rejects.toBeInstanceOf(NotFoundError);
+        })
+        it('uses the claude instance fetch for conversations', async () => {
+            claude.fetch = errorFetch(500, 'Internal server error');
+            const convo = await claude.getConversation(UUIDS.conversation);
+            await expect(convo.getMessages()).rejects.toBeInstanceOf(ServerError);
+        })
+    })
+    describe('retry', () => {
+        const retrying = () => mockClaude({ retry: { attempts: 3, delay: 1, jitter: false } });
+        beforeEach(() => server.reset());
+        it('does not retry by default', async () => {
+            server.fail('/test', { times: Infinity });
+            await expect(mockClaude().request('/test')).rejects.toBeInstanceOf(ServerError);
+            expect(requestsTo('/test')).toHaveLength(1);
+        })
+        it('retries idempotent requests', async () => {
+            server.fail('/api/organizations', { network: true }).fail('/api/organizations', { status: 503 });
+            const response = await retrying().request('/api/organizations');
+            expect(response.status).toBe(200);
+            expect(requestsTo('/api/organizations')).toHaveLength(3);
+        })
+        it('gives up after the maximum attempts', async () => {
+            server.fail('/test', { times: Infinity });
+            await expect(retrying().request('/test')).rejects.toBeInstanceOf(ServerError);
+            expect(requestsTo('/test')).toHaveLength(3);
+        })
+        it('does not retry POST requests or non-retryable errors', async () => {
+            const c = retrying();
+            server.fail('/test');
+            await expect(c.request('/test', { method: 'POST' })).rejects.toBeInstanceOf(ServerError);
+            expect(requestsTo('/test')).toHaveLength(1);
+            server.fail('/test', { status: 401 });
+            await expect(c.request('/test')).rejects.toBeInstanceOf(AuthenticationError);
+            expect(requestsTo('/test')).toHaveLength(2);
+        })
+        it('uses a custom retryOn', async () => {
+            // The server doesn't have /test
+            const c = mockClaude({ retry: { delay: 1, retryOn: (e) => e instanceof NotFoundError } });
+            await expect(c.request('/test')).rejects.toBeInstanceOf(NotFoundError);
+            expect(requestsTo('/test')).toHaveLength(3);
+        })
+        it('does not retry when the rate limit resets too far in the future', async () => {
+            server.fail('/test', { status: 429, headers: { 'retry-after': '3600' }, times: Infinity });
+            const error = await retrying().request('/test').catch(e => e);
+            expect(error).toBeInstanceOf(RateLimitError);
+            expect(error.resetsAt.getTime()).toBeGreaterThan(Date.now() + 3500_000);
+            expect(requestsTo('/test')).toHaveLength(1);
+        })
+        it('regenerates interrupted messages with retry_message', async () => {
+            const c = retrying();
+            await c.init();
+            const convo = await c.startConversation('Start');
+            server.requests.length = 0;
+            server.reply({ chunks: ['Hel', 'lo'], incomplete: true }, 'Hello');
+            const result = await convo.sendMessage('Hi');
+            expect(result.completion).toBe('Hello');
+            expect(server.requests.map(r => r.endpoint)).toEqual(['/api/append_message', '/api/retry_message']);
+        })
+        it('regenerates messages when the connection drops', async () => {
+            const once = mockClaude();
+            await once.init();
+            server.reply({ chunks: ['Hel', 'lo'], disconnect: true });
+            const error = await once.sendMessage('Hi').catch(e => e);
+            expect(error).toBeInstanceOf(NetworkError);
+            expect(error.body.completion).toBe('Hel');
+
+            const c = mockClaude({ retry: { attempts: 3, delay: 10 } });
+            await c.init();
+            const convo = await c.startConversation('Start');
+            server.requests.length = 0;
+            server.reply({ chunks: ['Hel', 'lo'], disconnect: true }, 'Hello');
+            expect((await convo.sendMessage('Hi')).completion).toBe('Hello');
+            expect(server.requests.map(r => r.endpoint)).toEqual(['/api/append_message', '/api/retry_message']);
+        })
+        it('tracks the message limit', async () => {
+            const c = mockClaude();
+            await c.init();
+            expect(c.messageLimit).toBe(null);
+            const convo = await c.startConversation('Start');
+            const resetsAt = Math.floor(Date.now() / 1000) + 3600;
+            server.reply({ completion: 'Hi', messageLimit: { type: 'approaching_limit', resetsAt } });
+            await convo.sendMessage('Hi');
+            expect(c.messageLimit).toEqual({ type: 'approaching_limit', resetsAt: new Date(resetsAt * 1000) });
+        })
+    })
+    describe('abort', () => {
+        const hangingFetch = () => jest.fn((url, options) => new Promise((_, reject) => {
+            options.signal.addEventListener('abort', () => reject(options.signal.reason));
+        }));
+        it('rejects with AbortError when the signal is aborted', async () => {
+            claude.fetch = hangingFetch();
+            const controller = new AbortController();
+            const promise = claude.request('/test', { signal: controller.signal });
+            controller.abort();
+            const error = await promise.catch(e => e);
+            expect(error).toBeInstanceOf(AbortError);
+            expect(error).not.toBeInstanceOf(TimeoutError);
+        })
+        it('rejects with TimeoutError after the timeout', async () => {
+            claude.fetch = hangingFetch();
+            await expect(claude.request('/test', { timeout: 10 })).rejects.toBeInstanceOf(TimeoutError);
+            const convo = await claude.getConversation(UUIDS.conversation);
+            await expect(convo.getInfo({ timeout: 10 })).rejects.toBeInstanceOf(TimeoutError);
+        })
+        it('passes the signal to every request in startConversation', async () => {
+            const controller = new AbortController();
+            global.fetch.mockClear();
+            await claude.startConversation('Hi', { signal: controller.signal, timeout: 1000 });
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+            global.fetch.mock.calls.forEach(([, options]) => expect(options.signal).toBeInstanceOf(AbortSignal));
+        })
+        it('removes its listeners from a shared signal', async () => {
+            server.reset();
+            const c = mockClaude();
+            await c.init();
+            const { signal } = new AbortController();
+            for (let i = 0; i < 3; i++) {
+                await c.request('/api/organizations', { signal, timeout: 1000 });
+                await c.sendMessage('Hi', { signal, timeout: 1000 });
+            }
+            expect(getEventListeners(signal, 'abort')).toHaveLength(0);
+        })
+        it('aborts uploads', async () => {
+            const controller = new AbortController();
+            controller.abort();
+            claude.fetch = hangingFetch();
+            const file = new File([readFileSync('resources/doc.docx')], 'doc.docx');
+            await expect(claude.uploadFile(file, { extract: 'server', signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+        })
+    })
+    describe('organizations', () => {
+        const ORG2 = uuid();
+        const orgFetch = () => jest.fn(async (url, params) => {
+            if (url.endsWith('/api/organizations')) {
+                const [org] = await global.fetch(url, params).then(r => r.json());
+                return { status: 200, json: async () => [org, { ...org, uuid: ORG2, name: 'Work', capabilities: ['chat', 'claude_pro'] }] };
+            }
+            if (url.endsWith(`/api/organizations/${ORG2}/chat_conversations`) && !params.method) {
+                return { status: 200, json: async () => [{ uuid: UUIDS.conversation2, name: 'Work chat', summary: '' }] };
+            }
+            return global.fetch(url, params);
+        });
+        it('uses the first organization by default', async () => {
+            expect(claude.organizationId).toBe(UUIDS.org);
+            expect(claude.organization).toBeInstanceOf(Organization);
+            expect(claude.organization.isActive).toBe(true);
+        })
+        it('selects an organization by name or uuid', async () => {
+            for (const organization of ['Work', ORG2]) {
+                const c = new Claude({ sessionKey: 'sk-ant-sid01-*****', organization, fetch: orgFetch() });
+                await c.init();
+                expect(c.organizationId).toBe(ORG2);
+                expect(c.recent_conversations[0].name).toBe('Work chat');
+            }
+        })
+        it('throws for unknown organizations', async () => {
+            const c = new Claude({ sessionKey: 'sk-ant-sid01-*****', organization: 'Nope', fetch: orgFetch() });
+            await expect(c.init()).rejects.toBeInstanceOf(NotFoundError);
+        })
+        it('switches organizations', async () => {
+            claude.fetch = orgFetch();
+            await claude.getOrganizations();
+            const before = await claude.getConversation(UUIDS.conversation);
+            const org = await claude.useOrganization('Work');
+            expect(org.uuid).toBe(ORG2);
+            expect(claude.organizationId).toBe(ORG2);
+            expect(before.organizationId).toBe(UUIDS.org);
+            const after = await claude.getConversation(UUIDS.conversation2);
+            expect(after.organizationId).toBe(ORG2);
+        })
+        it('scopes conversations to an organization', async () => {
+            claude.fetch = orgFetch();
+            const [, work] = await claude.getOrganizations();
+            expect(work.hasCapability('claude_pro')).toBe(true);
+            expect(claude.organizations[0].hasCapability('claude_pro')).toBe(false);
+            const conversations = await work.getConversations();
+            expect(conversations.map(c => c.organizationId)).toEqual([ORG2]);
+            claude.fetch.mockClear();
+            await work.clearConversations();
+            expect(claude.fetch.mock.calls.map(([url, options]) => [url, options.method])).toEqual([
+                [`https://claude.ai/api/organizations/${ORG2}/chat_conversations`, undefined],
+                [`https://claude.ai/api/organizations/${ORG2}/chat_conversations/${UUIDS.conversation2}`, 'DELETE'],
+            ]);
+            expect(claude.organizationId).toBe(UUIDS.org);
+        })
+    })
+    describe('storage', () => {
+        const A = uuid();
+        const B = uuid();
+        let server;
+        let storage;
+        const ok = (json) => ({ status: 200, json: async () => json });
+        const createClient = (options) => new Claude({ sessionKey: 'sk-ant-sid01-*****', storage, fetch: storageFetch, ...options });
+        const storageFetch = jest.fn(async (url, options) => {
+            if (url.endsWith('/chat_conversations') && !options?.method) {
+                return ok(Object.entries(server).map(([uuid, updated_at]) => ({ uuid, name: 'Chat', summary: '', updated_at })));
+            }
+            const [, id] = url.match(/chat_conversations\/([\w-]+)$/) || [];
+            if (id && !options?.method) {
+                return ok({ uuid: id, name: 'Chat', summary: '', updated_at: server[id], chat_messages: [{ uuid: uuid(), text: 'hello', sender: 'human', index: 0, attachments: [demoFile] }] });
+            }
+            return global.fetch(url, options);
+        });
+        const infoRequests = () => storageFetch.mock.calls.filter(([url, options]) => /chat_conversations\/[\w-]+$/.test(url) && !options?.method);
+        beforeEach(() => {
+            storage = new MemoryStorage();
+            server = { [A]: '2023-07-01T00:00:00+00:00', [B]: '2023-07-02T00:00:00+00:00' };
+        });
+        it('requires storage for offline mode', () => {
+            expect(() => new Claude({ sessionKey: 'sk-ant-sid01-*****', offline: true })).toThrow();
+        });
+        it('caches conversations and reads them offline', async () => {
+            const online = createClient();
+            await online.init();
+            const [conversation] = await online.getConversations();
+            expect(await conversation.getFiles()).toEqual([demoFile]);
+
+            const offline = createClient({ offline: true, fetch: jest.fn() });
+            await offline.init();
+            expect(offline.organizationId).toBe(UUIDS.org);
+            const [cached] = await offline.getConversations();
+            expect(cached.conversationId).toBe(A);
+            expect((await cached.getMessages())[0]).toBeInstanceOf(Message);
+            expect(await cached.getFiles()).toEqual([demoFile]);
+            await expect(offline.getConversation(B).then(c => c.getInfo())).rejects.toBeInstanceOf(NetworkError);
+            await expect(cached.sendMessage('Hi')).rejects.toBeInstanceOf(NetworkError);
+            expect(offline.fetch).not.toHaveBeenCalled();
+        });
+        it('falls back to the cache when the network fails', async () => {
+            const c = createClient();
+            await c.init();
+            await (await c.getConversation(A)).getInfo();
+            c.fetch = jest.fn(() => Promise.reject(new TypeError('fetch failed')));
+            expect((await c.getConversations()).map(i => i.conversationId)).toEqual([A, B]);
+            expect((await (await c.getConversation(A)).getInfo()).uuid).toBe(A);
+        });
+        it('only refetches conversations that changed when syncing', async () => {
+            const c = createClient();
+            await c.init();
+            const first = await c.sync();
+            expect(first.updated.map(i => i.conversationId)).toEqual([A, B]);
+
+            storageFetch.mockClear();
+            server[B] = '2023-07-03T00:00:00+00:00';
+            delete server[A];
+            server.C = '2023-07-03T00:00:00+00:00';
+            const second = await c.sync();
+            expect(second.updated.map(i => i.conversationId)).toEqual([B, 'C']);
+            expect(second.removed).toEqual([A]);
+            expect(infoRequests().length).toBe(2);
+            expect(await storage.get(`conversation:${A}`)).toBeUndefined();
+
+            storageFetch.mockClear();
+            const [conversation] = await c.getConversations();
+            await conversation.getMessages();
+            expect(infoRequests().length).toBe(0);
+        });
+        it('refetches conversations after sending a message', async () => {
+            const c = createClient();
+            await c.init();
+            await c.sync();
+            const [conversation] = await c.getConversations();
+            await conversation.sendMessage('Hi');
+            expect((await storage.get(`conversation:${A}`)).stale).toBe(true);
+            storageFetch.mockClear();
+            await conversation.getInfo();
+            expect(infoRequests().length).toBe(1);
+        });
+    })
+    describe('middleware and events', () => {
+        const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+        it('runs middleware in order around fetch', async () => {
+            const order = [];
+            claude.use(async (context, next) => {
+                order.push('first');
+                context.options.headers = { ...context.options.headers, 'x-test': '1' };
+                const response = await next();
+                order.push('first done');
+                return response;
+            }).use(async (context, next) => {
+                order.push(`second ${context.attempt}`);
+                return next({ ...context, url: context.url + '?rewritten' });
+            });
+            global.fetch.mockClear();
+            await claude.request('/test', { headers: { a: 'b' } });
+            expect(order).toEqual(['first', 'second 1', 'first done']);
+            expect(global.fetch).toHaveBeenCalledWith('https://claude.ai/test?rewritten', { headers: { cookie: 'sessionKey=sk-ant-sid01-*****', a: 'b', 'x-test': '1' } });
+        });
+        it('lets middleware replace responses', async () => {
+            const c = new Claude({
+                sessionKey: 'sk-ant-sid01-*****',
+                middleware: [async ({ endpoint }, next) => {
+                    if (endpoint === '/api/organizations') {
+                        return { status: 200, json: async () => [{ uuid: 'rewritten', name: 'Mine' }] };
+                    }
+                    return endpoint.endsWith('/chat_conversations') ? { status: 200, json: async () => [] } : next();
+                }],
+            });
+            await c.init();
+            expect(c.organizationId).toBe('rewritten');
+            expect(() => c.use('nope')).toThrow();
+        });
+        it('retries ClaudeErrors thrown by middleware but not other errors', async () => {
+            const c = new Claude({ sessionKey: 'sk-ant-sid01-*****', retry: { attempts: 2, delay: 0, jitter: false } });
+            let calls = 0;
+            c.use(async (context, next) => {
+                if (calls++ === 0) {
+                    throw new ServerError('Injected', { endpoint: context.endpoint });
+                }
+                return next();
+            });
+            await c.request('/test');
+            expect(calls).toBe(2);
+
+            const bug = new TypeError('oops');
+            const broken = new Claude({ sessionKey: 'sk-ant-sid01-*****', retry: { attempts: 3, delay: 0 }, middleware: [async () => { calls++; throw bug; }] });
+            calls = 0;
+            await expect(broken.request('/test')).rejects.toBe(bug);
+            expect(calls).toBe(1);
+        });
+        it('emits request, response and error events', async () => {
+            const events = [];
+            claude.on('request', ({ endpoint, url, attempt }) => events.push(['request', endpoint, url, attempt]));
+            claude.on('response', (response, { endpoint }) => events.push(['response', endpoint, response.status]));
+            claude.on('error', (error, { endpoint }) => events.push(['error', endpoint, error.name]));
+            await claude.request('/test');
+            claude.fetch = jest.fn(async () => ({ status: 404, headers: new Headers(), text: async () => '{}' }));
+            await expect(claude.request('/missing')).rejects.toBeInstanceOf(NotFoundError);
+            expect(events).toEqual([
+                ['request', '/test', 'https://claude.ai/test', 1],
+                ['response', '/test', 200],
+                ['request', '/missing', 'https://claude.ai/missing', 1],
+                ['response', '/missing', 404],
+                ['error', '/missing', 'NotFoundError'],
+            ]);
+        });
+        it('emits message and conversation events', async () => {
+            const events = [];
+            for (const name of ['chunk', 'done', 'error', 'conversationCreated', 'conversationDeleted']) {
+                claude.on(name, (value) => events.push([name, value.delta ?? value.conversationId ?? value.name]));
+            }
+            const conversation = await claude.startConversation('Hi');
+            expect(events.find(([name]) => name === 'conversationCreated')).toEqual(['conversationCreated', UUIDS.conversation]);
+            events.length = 0;
+            claude.fetch = jest.fn(async () => streamResponse(event({ completion: ' Hello', stop_reason: null }), event({ completion: ' Hello world', stop_reason: 'stop_sequence' })));
+            await conversation.sendMessage('Hi');
+            claude.fetch = jest.fn(async () => streamResponse(event({ completion: ' Hel', stop_reason: null })));
+            await expect(conversation.sendMessage('Hi')).rejects.toBeInstanceOf(NetworkError);
+            claude.fetch = global.fetch;
+            await conversation.delete();
+            expect(events).toEqual([
+                ['chunk', ' Hello'],
+                ['chunk', ' world'],
+                ['done', ' world'],
+                ['chunk', ' Hel'],
+                ['error', 'NetworkError'],
+                ['conversationDeleted', UUIDS.conversation],
+            ]);
+        });
+        it('removes listeners', () => {
+            const listener = jest.fn();
+            claude.once('test', listener);
+            expect(claude.emit('test', 1)).toBe(true);
+            expect(claude.emit('test', 2)).toBe(false);
+            claude.on('test', listener).off('test', listener);
+            claude.once('test', listener).off('test', listener);
+            claude.emit('test', 3);
+            expect(listener.mock.calls).toEqual([[1]]);
+        });
+    })
+    describe('sessions', () => {
+        const account = { uuid: uuid(), email_address: 'ada@example.com', full_name: 'Ada', memberships: [] };
+        let responses;
+        let c;
+        beforeEach(() => {
+            responses = [];
+            c = new Claude({
+                sessionKey: 'sk-ant-sid01-*****',
+                headers: { 'User-Agent': 'test-agent' },
+                cookies: { theme: 'dark' },
+                fetch: jest.fn(async () => responses.shift() || { status: 200, headers: new Headers(), json: async () => ({ account }) }),
+            });
+        });
+        const respond = (status, headers = {}, body = {}) => responses.push({ status, headers: new Headers(headers), json: async () => body, text: async () => JSON.stringify(body) });
+        it('sends default headers and cookies', async () => {
+            await c.request('/test', { headers: { 'user-agent': 'override', accept: 'text/plain' } });
+            expect(c.fetch).toHaveBeenLastCalledWith('https://claude.ai/test', { headers: { 'user-agent': 'override', cookie: 'theme=dark; sessionKey=sk-ant-sid01-*****', accept: 'text/plain' } });
+            await c.request('/test');
+            expect(c.fetch.mock.calls.at(-1)[1].headers['user-agent']).toBe('test-agent');
+        });
+        it('keeps cookies set by claude.ai', async () => {
+            respond(200, [['set-cookie', 'sessionKey=sk-ant-sid01-new; Path=/; Max-Age=2592000; HttpOnly'], ['set-cookie', 'theme=; Max-Age=0']]);
+            await c.request('/test');
+            expect(c.sessionKey).toBe('sk-ant-sid01-new');
+            await c.request('/test');
+            expect(c.fetch.mock.calls.at(-1)[1].headers.cookie).toBe('sessionKey=sk-ant-sid01-new');
+        });
+        it('validates the session', async () => {
+            expect(await c.whoami()).toEqual(account);
+            expect(c.fetch.mock.calls.at(-1)[0]).toBe('https://claude.ai/api/auth/current_account');
+            expect(await c.validateSession()).toEqual({ valid: true, account, error: null });
+            respond(401, {}, { error: { message: 'Invalid authorization' } });
+            const { valid, error } = await c.validateSession();
+            expect(valid).toBe(false);
+            expect(error).toBeInstanceOf(AuthenticationError);
+            c.fetch.mockRejectedValueOnce(new TypeError('fetch failed'));
+            await expect(c.validateSession()).rejects.toBeInstanceOf(NetworkError);
+        });
+        it('emits sessionExpired once until the session works again', async () => {
+            const expired = jest.fn();
+            c.on('sessionExpired', expired);
+            respond(403);
+            respond(401);
+            await expect(c.request('/test')).rejects.toBeInstanceOf(AuthenticationError);
+            await expect(c.request('/test')).rejects.toBeInstanceOf(AuthenticationError);
+            expect(expired).toHaveBeenCalledTimes(1);
+            expect(expired.mock.calls[0][0].status).toBe(403);
+            expect(c.sessionExpired).toBe(true);
+            c.sessionKey = 'sk-ant-sid01-other';
+            expect(c.sessionExpired).toBe(false);
+            expect(() => { c.sessionKey = 'nope'; }).toThrow('invalid');
+            respond(401);
+            await expect(c.request('/test')).rejects.toThrow();
+            expect(expired).toHaveBeenCalledTimes(2);
+            await c.request('/test');
+            expect(c.sessionExpired).toBe(false);
+        });
+        it('emits sessionExpired when the session cookie is removed', async () => {
+            const expired = jest.fn();
+            c.on('sessionExpired', expired);
+            respond(200, { 'set-cookie': 'sessionKey=deleted; Expires=Thu, 01 Jan 1970 00:00:00 GMT' });
+            await c.request('/test');
+            expect(c.sessionKey).toBeUndefined();
+            expect(expired).toHaveBeenCalledWith(expect.any(AuthenticationError));
+            expect(c.sessionExpired).toBe(true);
+        });
+    })
+    describe('searchConversations', () => {
+        const message = (text, created_at, attachments = []) => ({ uuid: uuid(), text, sender: 'human', index: 0, created_at, attachments });
+        const conversations = {
+            bread: { name: 'Baking', model: 'claude-2', created_at: '2023-06-01T00:00:00+00:00', updated_at: '2023-06-02T00:00:00+00:00', chat_messages: [
+                message('How do I make a sourdough starter?', '2023-06-01T00:00:00+00:00'),
+                message('Mix flour and water. A sourdough starter needs feeding every day.', '2023-06-02T00:00:00+00:00'),
+            ] },
+            report: { name: 'Quarterly report', model: 'claude-instant-1', created_at: '2023-07-01T00:00:00+00:00', updated_at: '2023-07-01T00:00:00+00:00', chat_messages: [
+                message('Summarize this', '2023-07-01T00:00:00+00:00', [{ ...demoFile, file_name: 'report.txt', extracted_content: 'Revenue grew, mostly from sourdough sales.' }]),
+            ] },
+            empty: { name: 'Untitled', model: 'claude-2', created_at: '2023-08-01T00:00:00+00:00', updated_at: '2023-08-01T00:00:00+00:00', chat_messages: [] },
+        };
+        const ok = (json) => ({ status: 200, json: async () => json });
+        const searchFetch = jest.fn(async (url) => {
+            if (url.endsWith('/chat_conversations')) {
+                return ok(Object.entries(conversations).map(([uuid, { chat_messages, ...info }]) => ({ uuid, summary: '', ...info })));
+            }
+            const [, id] = url.match(/chat_conversations\/([\w-]+)$/) || [];
+            return id ? ok({ uuid: id, summary: '', ...conversations[id] }) : global.fetch(url);
+        });
+        let c;
+        beforeEach(async () => {
+            c = new Claude({ sessionKey: 'sk-ant-sid01-*****', fetch: searchFetch });
+            await c.init();
+        });
+        const ids = ({ results }) => results.map(i => i.conversation.conversationId);
+        it('ranks conversations by matches in messages and attachments', async () => {
+            const search = await c.searchConversations({ query: 'Sourdough' });
+            expect(search.total).toBe(2);
+            expect(ids(search)).toEqual(['bread', 'report']);
+            const [bread, report] = search.results;
+            expect(bread.matches.length).toBe(2);
+            expect(bread.matches[0].message).toBeInstanceOf(Message);
+            expect(bread.matches[0].snippet).toContain('sourdough starter');
+            expect(report.matches[0]).toMatchObject({ source: 'attachment', file_name: 'report.txt', snippet: 'Revenue grew, mostly from sourdough sales.' });
+        });
+        it('requires every word to match', async () => {
+            expect(ids(await c.searchConversations({ query: 'sourdough revenue' }))).toEqual(['report']);
+            expect((await c.searchConversations({ query: 'sourdough pizza' })).total).toBe(0);
+        });
+        it('shortens snippets', async () => {
+            const long = { ...conversations.bread.chat_messages[1], text: 'a'.repeat(200) + ' sourdough ' + 'b'.repeat(200) };
+            c.fetch = jest.fn(async (url) => url.endsWith('/bread') ? ok({ uuid: 'bread', ...conversations.bread, chat_messages: [long] }) : searchFetch(url));
+            const { results: [bread] } = await c.searchConversations({ query: 'sourdough', from: '2023-06-02' });
+            expect(bread.matches.length).toBe(1);
+            expect(bread.matches[0].snippet).toMatch(/^\.\.\.a+ sourdough b+\.\.\.$/);
+            expect(bread.matches[0].snippet.length).toBeLessThan(130);
+        });
+        it('filters by date, model and attachments', async () => {
+            expect(ids(await c.searchConversations({ from: '2023-06-15', to: new Date('2023-07-15') }))).toEqual(['report']);
+            expect(ids(await c.searchConversations({ query: 'sourdough', model: 'claude-2' }))).toEqual(['bread']);
+            expect(ids(await c.searchConversations({ hasAttachments: true }))).toEqual(['report']);
+            expect(ids(await c.searchConversations({ hasAttachments: false }))).toEqual(['bread']);
+            await expect(c.searchConversations({ from: 'yesterday' })).rejects.toThrow('Invalid');
+        });
+        it('returns snippets from the start of messages without a query', async () => {
+            const { results: [report] } = await c.searchConversations({ query: '', hasAttachments: true });
+            expect(report.matches.map(i => i.snippet)).toEqual(['Summarize this', 'Revenue grew, mostly from sourdough sales.']);
+        });
+        it('paginates results', async () => {
+            const page = await c.searchConversations({ limit: 1, offset: 1 });
+            expect(page.total).toBe(2);
+            expect(ids(page)).toEqual(['bread']);
+        });
+    })
+    describe('batch', () => {
+        let running, maxRunning, deleted, created;
+        const batchFetch = jest.fn(async (url, params) => {
+            if (url.endsWith('/chat_conversations') && params?.method === 'POST') {
+                const id = uuid();
+                created.push(id);
+                return { status: 200, json: async () => ({ uuid: id, name: '', summary: '' }) };
+            }
+            if (params?.method === 'DELETE') {
+                deleted.push(url.split('/').pop());
+                return { status: 204, json: async () => ({}) };
+            }
+            if (url.endsWith('/api/append_message')) {
+                const { text } = JSON.parse(params.body);
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running--;
+                if (text.includes('fail')) {
+                    return { status: 400, json: async () => ({ error: { message: 'Bad prompt' } }) };
+                }
+                return streamResponse(`data: ${JSON.stringify({ completion: text.toUpperCase(), stop_reason: 'stop_sequence', model: 'claude-2' })}\n\n`);
+            }
+            return global.fetch(url, params);
+        });
+        let c;
+        beforeEach(async () => {
+            running = maxRunning = 0;
+            deleted = [];
+            created = [];
+            c = new Claude({ sessionKey: 'sk-ant-sid01-*****', fetch: batchFetch });
+            await c.init();
+        });
+        it('runs prompts with limited concurrency and keeps per-item errors', async () => {
+            const progress = jest.fn();
+            const results = await c.batch(['a', 'b', { id: 'third', message: 'fail' }, 'd', 'e'], { concurrency: 2, progress });
+            expect(maxRunning).toBe(2);
+            expect(results.map(r => r.status)).toEqual(['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+            expect(results[0]).toMatchObject({ index: 0, id: 0, message: 'a', error: null, conversationId: null });
+            expect(results[0].response.completion).toBe('A');
+            expect(results[2].id).toBe('third');
+            expect(results[2].error).toBeInstanceOf(ClaudeError);
+            expect(progress).toHaveBeenCalledTimes(5);
+            expect(progress).toHaveBeenLastCalledWith(expect.objectContaining({ completed: 5, failed: 1, total: 5 }));
+            // Every conversation is deleted, including the one that failed
+            expect(deleted.sort()).toEqual(created.sort());
+            expect(created.length).toBe(5);
+        });
+        it('keeps conversations when not temporary', async () => {
+            const [result] = await c.batch(['hi'], { temporary: false });
+            expect(result.conversationId).toBe(created[0]);
+            expect(result.response.completion).toBe('HI');
+            expect(deleted).toEqual([]);
+        });
+        it('resumes from a results file', async () => {
+            const { mkdtemp, readFile, appendFile, rm } = await import('fs/promises');
+            const { tmpdir } = await import('os');
+            const dir = await mkdtemp(`${tmpdir()}/claude-batch-`);
+            const resultsFile = `${dir}/results.jsonl`;
+            try {
+                await c.batch(['a', 'fail'], { resultsFile });
+                const lines = (await readFile(resultsFile, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+                expect(lines.length).toBe(2);
+                expect(lines.find(r => r.id === 1).error).toMatchObject({ name: 'ClaudeError', status: 400 });
+                // A line cut off by a crash is ignored
+                await appendFile(resultsFile, '{"id": 2, "sta');
+                created = [];
+                const results = await c.batch(['a', 'fail', 'c'], { resultsFile });
+                // Only the failed and the new prompts run again
+                expect(created.length).toBe(2);
+                expect(results[0]).toMatchObject({ status: 'fulfilled', message: 'a', response: { completion: 'A' } });
+                expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+            } finally {
+                await rm(dir, { recursive: true, force: true });
+            }
+        });
+        it('stops starting prompts when aborted', async () => {
+            const controller = new AbortController();
+            const progress = jest.fn(() => controller.abort());
+            await expect(c.batch(['a', 'b', 'c'], { concurrency: 1, progress, signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+            expect(progress).toHaveBeenCalledTimes(1);
+            expect(deleted).toEqual(created);
+        });
+        it('validates its arguments', async () => {
+            await expect(c.batch('hi')).rejects.toThrow('array');
+            await expect(c.batch(['hi'], { concurrency: 0 })).rejects.toThrow('Concurrency');
+            await expect(c.batch([{ id: 1 }])).rejects.toThrow('Prompt 0');
+        });
+    })
+    describe('documents', () => {
+        const paragraphs = Array.from({ length: 12 }, (_, i) => `Paragraph ${i} mentions the number ${i * 7}. It has a second sentence.`);
+        const document = { file_name: 'report.txt', file_type: 'text/plain', file_size: 0, extracted_content: paragraphs.join('\n\n') };
+        it('splits documents into overlapping chunks', () => {
+            const chunks = claude.splitDocument(document, { chunkTokens: 50, overlap: 21 });
+            expect(chunks.length).toBeGreaterThan(3);
+            expect(chunks[0].start).toBe(0);
+            expect(chunks.at(-1).end).toBe(document.extracted_content.length);
+            for (const [i, chunk] of chunks.entries()) {
+                expect(chunk.tokens).toBeLessThanOrEqual(50);
+                expect(claude.countTokens(chunk.attachment.extracted_content)).toBeLessThanOrEqual(50);
+                expect(chunk.attachment.extracted_content).toBe(document.extracted_content.slice(chunk.start, chunk.end));
+                expect(chunk.attachment.file_name).toBe(`report.txt (part ${i + 1} of ${chunks.length})`);
+                if (i > 0) {
+                    // Overlapping, without gaps
+                    expect(chunk.start).toBeLessThan(chunks[i - 1].end);
+                    expect(chunk.start).toBeGreaterThan(chunks[i - 1].start);
+                }
+            }
+            // Paragraphs aren't cut when they fit
+            expect(chunks.every(chunk => /^Paragraph|^It has/.test(chunk.attachment.extracted_content))).toBe(true);
+        });
+        it('splits text without breaks', () => {
+            const chunks = claude.splitDocument('x'.repeat(1000), { chunkTokens: 50, overlap: 0 });
+            expect(chunks.map(i => i.attachment.extracted_content).join('')).toBe('x'.repeat(1000));
+            expect(chunks.every(i => i.tokens <= 50)).toBe(true);
+            expect(claude.splitDocument('short')).toMatchObject([{ start: 0, end: 5, attachment: { file_name: 'document.txt', extracted_content: 'short' } }]);
+            expect(() => claude.splitDocument('text', { chunkTokens: 10, overlap: 10 })).toThrow('overlap');
+        });
+        describe('askDocument', () => {
+            let sent, deleted;
+            const docFetch = jest.fn(async (url, params) => {
+                if (url.endsWith('/chat_conversations') && params?.method === 'POST') {
+                    return { status: 200, json: async () => ({ uuid: uuid(), name: '', summary: '' }) };
+                }
+                if (params?.method === 'DELETE') {
+                    deleted++;
+                    return { status: 204, json: async () => ({}) };
+                }
+                if (url.endsWith('/api/append_message')) {
+                    const { text, attachments } = JSON.parse(params.body);
+                    sent.push({ text, attachments });
+                    const numbers = attachments.flatMap(a => a.extracted_content.match(/number \d+/g) || []);
+                    const answer = text.startsWith('These are answers') ? `combined: ${text.match(/number \d+/g).join(', ')}` : numbers.join(', ');
+                    return streamResponse(`data: ${JSON.stringify({ completion: answer, stop_reason: 'stop_sequence', model: 'claude-2' })}\n\n`);
+                }
+                return global.fetch(url, params);
+            });
+            let c;
+            beforeEach(async () => {
+                sent = [];
+                deleted = 0;
+                c = new Claude({ sessionKey: 'sk-ant-sid01-*****', fetch: docFetch });
+                await c.init();
+            });
+            it('maps over chunks and combines the answers', async () => {
+                const progress = jest.fn();
+                const result = await c.askDocument('Which numbers are mentioned?', document, { chunkTokens: 40, overlap: 0, progress });
+                const chunks = c.splitDocument(document, { chunkTokens: 40, overlap: 0 });
+                expect(result.strategy).toBe('map-reduce');
+                expect(result.chunks.map(({ start, end }) => [start, end])).toEqual(chunks.map(({ start, end }) => [start, end]));
+                expect(result.chunks[0].answer).toBe('number 0, number 7');
+                expect(result.answer).toBe(`combined: ${paragraphs.map((_, i) => `number ${i * 7}`).join(', ')}`);
+                expect(sent.length).toBe(chunks.length + 1);
+                expect(sent[0].text).toContain(`part 1 of ${chunks.length} of report.txt`);
+                expect(sent.at(-1).attachments).toEqual([]);
+                expect(deleted).toBe(sent.length);
+                expect(progress).toHaveBeenLastCalledWith({ stage: 'reduce', completed: 1, total: 1 });
+            });
+            it('combines answers in rounds when they don\'t fit', async () => {
+                c.totalTokens = () => 250;
+                const result = await c.askDocument('Which numbers?', document, { chunkTokens: 30, overlap: 0 });
+                const reduces = sent.filter(i => i.text.startsWith('These are answers'));
+                expect(reduces.length).toBeGreaterThan(2);
+                expect(result.answer).toMatch(/^combined: number 0, .*number 77$/);
+            });
+            it('refines an answer chunk by chunk', async () => {
+                const result = await c.askDocument('Which numbers?', document, { strategy: 'refine', chunkTokens: 40, overlap: 0, prompts: { refine: ({ answer, index }) => `Refine ${index}: ${answer}` } });
+                expect(sent[0].text).toContain('part 1 of');
+                expect(sent[1].text).toBe('Refine 1: number 0, number 7');
+                expect(result.chunks.length).toBe(sent.length);
+                expect(result.answer).toBe(result.chunks.at(-1).answer);
+            });
+            it('sends small documents as they are', async () => {
+                const result = await c.askDocument('Which numbers?', 'The number 42.');
+                expect(sent).toEqual([{ text: 'Which numbers?', attachments: [expect.objectContaining({ extracted_content: 'The number 42.' })] }]);
+                expect(result).toMatchObject({ answer: 'number 42', chunks: [{ index: 0, start: 0, end: 14, answer: 'number 42' }] });
+                await expect(c.askDocument('?', 'text', { strategy: 'summarize' })).rejects.toThrow('strategy');
+            });
+            it('stops sending chunks after one fails', async () => {
+                server.reset();
+                const m = mockClaude();
+                await m.init();
+                server.fail('/api/append_message', { status: 400 });
+                await expect(m.askDocument('Which numbers?', document, { chunkTokens: 40, overlap: 0, concurrency: 2 })).rejects.toBeInstanceOf(ClaudeError);
+                expect(m.splitDocument(document, { chunkTokens: 40, overlap: 0 }).length).toBeGreaterThan(2);
+                // The other worker only finishes the chunk it had already started
+                await new Promise(resolve => setTimeout(resolve, 100));
+                expect(requestsTo('/api/append_message')).toHaveLength(2);
+            });
+        });
+    })
     describe('methods', () => {
         it('gets models', () => {
             expect(claude.models()).toBeInstanceOf(Array)
@@ -207,6 +982,15 @@ describe('Claude', () => {
         it('total tokens', () => {
             expect(claude.totalTokens()).toBe(100_000)
         })
+        it('estimates tokens', () => {
+            expect(claude.countTokens('')).toBe(0);
+            expect(claude.countTokens('Hi there!')).toBe(4);
+            expect(claude.countTokens('你好')).toBe(2);
+            expect(claude.countTokens(demoFile)).toBe(7);
+            expect(claude.countTokens('Hi there!', [demoFile, null])).toBe(11);
+            expect(claude.countTokens({ text: 'hello', attachments: [demoFile] })).toBe(9);
+            expect(claude.countTokens('word '.repeat(1000))).toBe(1000);
+        })
         it('ready', async () => {
             expect(claude.ready).toBe(true);
         });
@@ -230,20 +1014,52 @@ describe('Claude', () => {
             expect(await convo.getFiles()).toStrictEqual([demoFile])
         })
         it('uploads non-text files', async () => {
-            const text = 'This is a demo file\n';
-            const attachment = await claude.uploadFile(
-                new File([readFileSync('resources/doc.docx')], 'doc.docx', {
-                    type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-                })
-            );
-            expect(attachment).toStrictEqual({
+            const docx = new File([readFileSync('resources/doc.docx')], 'doc.docx', {
+                type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            });
+            global.fetch.mockClear();
+            expect(await claude.uploadFile(docx)).toStrictEqual({
+                "file_name": "doc.docx",
+                "file_size": 11889,
+                "file_type": "docx",
+                "extracted_content": 'This is a demo file',
+            })
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(await claude.uploadFile(docx, { extract: 'server' })).toStrictEqual({
                 "file_name": "doc.docx",
                 "file_size": 12242,
                 "file_type": "docx",
-                "extracted_content": text,
+                "extracted_content": 'This is a demo file\n',
                 "totalPages": null
             })
         })
+        it('sends documents it can\'t read to claude.ai', async () => {
+            const doc = new File([Uint8Array.of(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0)], 'old.doc');
+            global.fetch.mockClear();
+            expect((await claude.uploadFile(doc)).extracted_content).toBe('This is a demo file\n');
+            expect(global.fetch.mock.calls[0][0]).toBe('https://claude.ai/api/convert_document');
+            await expect(claude.uploadFile(doc, { extract: 'local' })).rejects.toBeInstanceOf(FileError);
+        })
+        it('rejects documents that decompress to too much', async () => {
+            const data = deflateSync(Buffer.alloc(40 * 1024 * 1024, 'a'));
+            const bomb = Buffer.concat([Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'), data, Buffer.from('\nendstream\nendobj\n')]);
+            global.fetch.mockClear();
+            const error = await claude.uploadFile(new File([bomb], 'bomb.pdf')).catch(e => e);
+            expect(error).toBeInstanceOf(FileError);
+            expect(error.message).toContain('decompresses to more than');
+            expect(global.fetch).not.toHaveBeenCalled();
+        })
+        it('rejects files it can\'t upload', async () => {
+            const upload = (parts, name, options) => claude.uploadFile(new File(parts, name), options).catch(e => e);
+            const binary = await upload([Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0)], 'data.txt');
+            expect(binary).toBeInstanceOf(FileError);
+            expect(binary).toMatchObject({ file_name: 'data.txt', file_type: 'binary' });
+            expect((await upload(['Hello world'], 'a.txt', { maxSize: 5 })).message).toContain('more than the limit of 5');
+            expect((await upload(['Hello world'], 'a.txt', { maxCharacters: 5 })).message).toContain('11 characters');
+            expect((await upload(['PK\x03\x04 broken'], 'a.zip')).message).toContain('can\'t be read (zip)');
+            // Only text is extracted from HTML
+            expect((await claude.uploadFile(new File(['<p>Hi <b>there</b></p>'], 'page.html', { type: 'text/html' }))).extracted_content).toBe('Hi there');
+        })
     })
     describe('startConversation', () => {
         it('starts new conversation', async () => {
@@ -253,9 +1069,136 @@ describe('Claude', () => {
             expect(conversation).toBeInstanceOf(Conversation);
             expect(conversation.conversationId).toBeDefined();
         });
+        it('rejects messages that are too long before creating a conversation', async () => {
+            global.fetch.mockClear();
+            await expect(claude.startConversation('word '.repeat(10_000), { model: 'claude-1.3', contextCheck: 'error' })).rejects.toBeInstanceOf(ContextLengthError);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
     });
 })
 
+describe('ClaudePool', () => {
+    const KEYS = ['sk-ant-sid01-aaaa', 'sk-ant-sid01-bbbb', 'sk-ant-sid01-cccc'];
+    let failing;
+    let fetch;
+    const keyOf = (options) => options?.headers?.cookie?.replace('sessionKey=', '');
+    beforeEach(() => {
+        failing = {};
+        fetch = jest.fn(async (url, options) => {
+            const status = failing[keyOf(options)];
+            if (status && options?.method === 'POST') {
+                return { status, headers: new Headers(), text: async () => '{}' };
+            }
+            if (url.endsWith('/chat_conversations') && options?.method === 'POST') {
+                return { status: 200, json: async () => ({ uuid: uuid(), name: '', summary: '' }) };
+            }
+            return global.fetch(url, options);
+        });
+    });
+    const createPool = async (options) => {
+        const pool = new ClaudePool({ sessionKeys: KEYS, fetch, ...options });
+        await pool.init();
+        return pool;
+    };
+    it('gives each client its own cookie jar', async () => {
+        const cookies = new CookieJar({ activitySessionId: 'abc' });
+        const pool = await createPool({ cookies });
+        expect(pool.clients.map(client => client.sessionKey)).toEqual(KEYS);
+        expect(pool.clients.map(client => client.cookies.get('activitySessionId'))).toEqual(['abc', 'abc', 'abc']);
+        expect(cookies.get('sessionKey')).toBeUndefined();
+        fetch.mockClear();
+        for (let i = 0; i < 3; i++) {
+            await pool.startConversation('Hi');
+        }
+        const sent = fetch.mock.calls.filter(([url]) => url.endsWith('/append_message')).map(([, options]) => /sessionKey=([^;]+)/.exec(options.headers.cookie)[1]);
+        expect(sent).toEqual(KEYS);
+    });
+    it('throws without session keys or with an unknown strategy', () => {
+        expect(() => new ClaudePool({ sessionKeys: [] })).toThrow();
+        expect(() => new ClaudePool({ sessionKeys: KEYS, strategy: 'random' })).toThrow();
+    });
+    it('round-robins new conversations', async () => {
+        const pool = await createPool();
+        const conversations = [];
+        for (let i = 0; i < 4; i++) {
+            conversations.push(await pool.startConversation('Hi'));
+        }
+        expect(conversations.map(c => c.claude.sessionKey)).toEqual([...KEYS, KEYS[0]]);
+    });
+    it('fails over when a key is rate limited', async () => {
+        const pool = await createPool({ strategy: 'sticky' });
+        failing[KEYS[0]] = 429;
+        const conversation = await pool.startConversation('Hi');
+        expect(conversation.claude.sessionKey).toBe(KEYS[1]);
+        const [first] = pool.status();
+        expect(first).toEqual(expect.objectContaining({ sessionKey: 'sk-ant-sid01-...aaaa', healthy: false, error: expect.any(RateLimitError) }));
+        expect(first.unhealthyUntil.getTime()).toBeGreaterThan(Date.now());
+        expect((await pool.startConversation('Hi')).claude.sessionKey).toBe(KEYS[1]);
+    });
+    it('keeps expired keys out until marked healthy', async () => {
+        const pool = await createPool({ strategy: 'sticky' });
+        failing[KEYS[0]] = 401;
+        await pool.startConversation('Hi');
+        expect(pool.status()[0]).toEqual(expect.objectContaining({ healthy: false, unhealthyUntil: null, error: expect.any(AuthenticationError) }));
+        delete failing[KEYS[0]];
+        pool.markHealthy(pool.clients[0]);
+        expect(pool.status()[0].healthy).toBe(true);
+        // Sticky keeps using the key it failed over to
+        expect((await pool.startConversation('Hi')).claude.sessionKey).toBe(KEYS[1]);
+    });
+    it('prefers keys that were limited the longest time ago', async () => {
+        const pool = await createPool({ strategy: 'least-recently-limited', cooldown: 0 });
+        pool.markUnhealthy(pool.clients[0], new RateLimitError('Limited'));
+        pool.health.get(pool.clients[0]).lastLimitedAt = new Date(Date.now() - 1000);
+        pool.markUnhealthy(pool.clients[1], new RateLimitError('Limited'));
+        expect(pool.pick()).toBe(pool.clients[2]);
+        pool.markUnhealthy(pool.clients[2], new RateLimitError('Limited'));
+        expect(pool.pick()).toBe(pool.clients[0]);
+    });
+    it('uses a strategy function and checks what it returns', async () => {
+        const pool = await createPool({ strategy: (healthy) => healthy.at(-1) });
+        expect(pool.pick()).toBe(pool.clients[2]);
+        pool.strategy = () => undefined;
+        expect(() => pool.pick()).toThrow('The pool strategy must return one of the healthy clients');
+        pool.markUnhealthy(pool.clients[0], new RateLimitError('Limited'));
+        pool.strategy = () => pool.clients[0];
+        expect(() => pool.pick()).toThrow('The pool strategy must return one of the healthy clients');
+    });
+    it('routes follow-up messages to the key that owns the conversation', async () => {
+        const pool = await createPool();
+        await pool.startConversation('Hi');
+        const conversation = await pool.startConversation('Hi');
+        fetch.mockClear();
+        await pool.sendMessage('Follow-up', { conversation: conversation.conversationId });
+        const [url, options] = fetch.mock.calls.at(-1);
+        expect(url).toMatch(/append_message$/);
+        expect(keyOf(options)).toBe(KEYS[1]);
+        expect(JSON.parse(options.body).conversation_uuid).toBe(conversation.conversationId);
+    });
+    it('throws when every key is rate limited', async () => {
+        const pool = await createPool();
+        KEYS.forEach(key => failing[key] = 429);
+        const error = await pool.startConversation('Hi').catch(e => e);
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.resetsAt).toBeInstanceOf(Date);
+    });
+    it('adds middleware and listeners to every client', async () => {
+        const pool = await createPool();
+        const seen = [];
+        const listener = (context, client) => seen.push(client);
+        pool.use(async (context, next) => next({ ...context, options: { ...context.options, headers: { ...context.options.headers, 'x-pool': '1' } } }));
+        pool.on('request', listener);
+        await pool.startConversation('Hi');
+        await pool.startConversation('Hi');
+        expect(new Set(seen)).toEqual(new Set([pool.clients[0], pool.clients[1]]));
+        expect(fetch.mock.calls.at(-1)[1].headers['x-pool']).toBe('1');
+        pool.off('request', listener);
+        seen.length = 0;
+        await pool.startConversation('Hi');
+        expect(seen).toEqual([]);
+    });
+});
+
 describe('Message', () => {
     let message;
     let conversation;
@@ -369,12 +1312,531 @@ describe('Conversation', () => {
         });
     });
 
+    describe('stream', () => {
+        const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+        const onServer = async () => {
+            server.reset();
+            claude = mockClaude();
+            await claude.init();
+            conversation = await claude.startConversation('Start');
+        };
+        it('yields cumulative completions and deltas', async () => {
+            await onServer();
+            server.reply({ chunks: [' Hello', ' world', '!'] });
+            const chunks = [];
+            for await (const chunk of conversation.stream('Hi')) {
+                chunks.push(chunk);
+            }
+            expect(chunks.map(c => c.delta)).toEqual([' Hello', ' world', '!']);
+            expect(chunks.at(-1).completion).toBe(' Hello world!');
+        });
+        it('decodes characters and events split across chunks', async () => {
+            const bytes = enc(event({ completion: 'héllo 👋', stop_reason: 'stop_sequence' }));
+            const split = bytes.indexOf(0xf0) + 2;
+            claude.fetch = jest.fn(async () => streamResponse(bytes.slice(0, 3), bytes.slice(3, split), bytes.slice(split)));
+            const result = await conversation.sendMessage('Hi');
+            expect(result.completion).toBe('héllo 👋');
+        });
+        it('handles multiple events in one chunk and CRLF line endings', async () => {
+            claude.fetch = jest.fn(async () => streamResponse(
+                `: comment\r\ndata: {"completion":"a","stop_reason":null}\r\n\r\ndata: {"completion":"ab",`,
+                `"stop_reason":"max_tokens"}\r`,
+                `\n\r\n`,
+            ));
+            const progress = jest.fn();
+            const result = await conversation.sendMessage('Hi', { progress });
+            expect(progress).toHaveBeenCalledTimes(2);
+            expect(result).toEqual(expect.objectContaining({ completion: 'ab', stop_reason: 'max_tokens' }));
+        });
+        it('throws on error events', async () => {
+            await onServer();
+            server.reply({ completion: 'Hi there', error: { type: 'rate_limit_error', message: 'Too many messages' }, errorAfter: 1 });
+            await expect(conversation.sendMessage('Hi')).rejects.toBeInstanceOf(RateLimitError);
+        });
+        it('throws if the stream ends without a stop reason', async () => {
+            await onServer();
+            server.reply({ chunks: ['Hi', ' there'], incomplete: true });
+            const error = await conversation.sendMessage('Hi').catch(e => e);
+            expect(error).toBeInstanceOf(NetworkError);
+            expect(error.body.completion).toBe('Hi');
+        });
+        it('stops reading and keeps the partial response when aborted', async () => {
+            await onServer();
+            const controller = new AbortController();
+            server.reply({ chunks: ['Hi', ' there'], delay: 200 });
+            const error = await conversation.sendMessage('Hi', { signal: controller.signal, progress: () => controller.abort() }).catch(e => e);
+            expect(error).toBeInstanceOf(AbortError);
+            expect(error.partial.completion).toBe('Hi');
+
+            const again = new AbortController();
+            server.reply({ chunks: ['Hey', ' there'], delay: 200 });
+            const result = await conversation.sendMessage('Hi', { signal: again.signal, progress: () => again.abort(), keepPartial: true });
+            expect(result.completion).toBe('Hey');
+        });
+        it('times out while streaming', async () => {
+            await onServer();
+            server.reply({ chunks: ['Hi', ' there'], delay: 200 });
+            await expect(conversation.sendMessage('Hi', { timeout: 50 })).rejects.toBeInstanceOf(TimeoutError);
+        });
+        it('cancels the reader when iteration stops early', async () => {
+            const response = streamResponse(event({ completion: 'Hi', stop_reason: null }), event({ completion: 'Hi there', stop_reason: 'stop_sequence' }));
+            const reader = response.body.getReader();
+            response.body.getReader = () => reader;
+            claude.fetch = jest.fn(async () => response);
+            for await (const chunk of conversation.stream('Hi')) {
+                break;
+            }
+            expect(reader.cancel).toHaveBeenCalled();
+        });
+    });
+
+    describe('textStream', () => {
+        const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+        const readAll = async (stream) => {
+            const parts = [];
+            for await (const part of stream) {
+                parts.push(part);
+            }
+            return parts;
+        };
+        it('streams the new text of each chunk', async () => {
+            claude.fetch = jest.fn(async () => streamResponse(
+                event({ completion: 'Hello', stop_reason: null }),
+                event({ completion: 'Hello', stop_reason: null, messageLimit: { type: 'within_limit' } }),
+                event({ completion: 'Hello world', stop_reason: 'stop_sequence' }),
+            ));
+            expect(await readAll(conversation.textStream('Hi'))).toEqual(['Hello', ' world']);
+            expect(JSON.parse(claude.fetch.mock.calls[0][1].body).text).toBe('Hi');
+        });
+        it('only reads from claude.ai as fast as the stream is read', async () => {
+            const response = streamResponse(...['a', 'ab', 'abc'].map((completion, i) => event({ completion, stop_reason: i === 2 ? 'stop_sequence' : null })));
+            const reader = response.body.getReader();
+            response.body.getReader = () => reader;
+            claude.fetch = jest.fn(async () => response);
+            const stream = conversation.textStream('Hi');
+            const streamReader = stream.getReader();
+            expect(await streamReader.read()).toEqual({ done: false, value: 'a' });
+            // One chunk is read ahead (the default high water mark)
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(reader.read).toHaveBeenCalledTimes(2);
+            await streamReader.cancel();
+            expect(reader.cancel).toHaveBeenCalled();
+            expect(reader.read).toHaveBeenCalledTimes(2);
+        });
+        it('stops the request when cancelled while waiting for a chunk', async () => {
+            const read = jest.fn()
+                .mockResolvedValueOnce({ done: false, value: enc(event({ completion: 'Hi', stop_reason: null })) })
+                // claude.ai stops sending
+                .mockReturnValue(new Promise(() => { }));
+            const cancel = jest.fn(async () => { });
+            claude.fetch = jest.fn(async () => ({ status: 200, body: { getReader: () => ({ read, cancel }) } }));
+            const reader = conversation.textStream('Hi').getReader();
+            expect(await reader.read()).toEqual({ done: false, value: 'Hi' });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            await reader.cancel();
+            expect(claude.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+            expect(cancel).toHaveBeenCalled();
+        });
+        it('errors the stream', async () => {
+            claude.fetch = jest.fn(async () => streamResponse(
+                event({ completion: 'Hi', stop_reason: null }),
+                event({ error: { type: 'rate_limit_error', message: 'Too many messages' } }),
+            ));
+            const error = await readAll(conversation.textStream('Hi')).catch(e => e);
+            expect(error).toBeInstanceOf(RateLimitError);
+            claude.fetch = jest.fn(async () => streamResponse(event({ completion: 'Hi', stop_reason: null })));
+            await expect(readAll(conversation.textStream('Hi'))).rejects.toThrow(NetworkError);
+        });
+        it('pipes into Node streams', async () => {
+            claude.fetch = jest.fn(async () => streamResponse(
+                event({ completion: 'héllo', stop_reason: null }),
+                event({ completion: 'héllo 👋', stop_reason: 'stop_sequence' }),
+            ));
+            const { Writable } = await import('stream');
+            const { pipeline } = await import('stream/promises');
+            const written = [];
+            await pipeline(await conversation.nodeStream('Hi'), new Writable({ write: (chunk, encoding, callback) => callback(null, written.push(chunk.toString())) }));
+            expect(written.join('')).toBe('héllo 👋');
+        });
+        it('deletes temporary conversations when the stream ends', async () => {
+            const calls = [];
+            claude.fetch = jest.fn(async (url, options) => {
+                calls.push(`${options.method || 'GET'} ${url.replace('https://claude.ai', '').replace(/[\w-]{36}/g, ':id')}`);
+                if (url.endsWith('/chat_conversations')) {
+                    return { status: 200, json: async () => ({ uuid: UUIDS.conversation2, name: '', summary: '' }) };
+                }
+                if (url.endsWith('/api/append_message')) {
+                    return streamResponse(event({ completion: 'One', stop_reason: null }), event({ completion: 'One two', stop_reason: 'stop_sequence' }));
+                }
+                return { status: 204 };
+            });
+            expect(await readAll(claude.textStream('Hi'))).toEqual(['One', ' two']);
+            expect(calls).toEqual(['POST /api/organizations/:id/chat_conversations', 'POST /api/append_message', 'DELETE /api/organizations/:id/chat_conversations/:id']);
+
+            calls.length = 0;
+            const reader = claude.textStream('Hi').getReader();
+            await reader.read();
+            await reader.cancel();
+            expect(calls.at(-1)).toBe('DELETE /api/organizations/:id/chat_conversations/:id');
+
+            calls.length = 0;
+            await readAll(claude.textStream('Hi', { conversation: UUIDS.conversation }));
+            expect(calls).toEqual(['POST /api/append_message']);
+        });
+    });
+
     describe('rename', () => {
         it('renames conversation', async () => {
             expect(await conversation.rename('New title')).toBeDefined();
         });
     });
 
+    describe('contextUsage', () => {
+        it('estimates the tokens used by each message', async () => {
+            expect(await conversation.contextUsage()).toEqual({
+                model: 'claude-2',
+                used: 13,
+                total: 100_000,
+                remaining: 99_987,
+                percentage: 0.013,
+                messages: [
+                    { uuid: 'ee248d02-976b-4317-8da1-52a9db8a07ef', sender: 'human', tokens: 9 },
+                    { uuid: '1c7130af-9be9-4e4f-93d2-0011931f6bf8', sender: 'assistant', tokens: 4 },
+                ],
+            });
+            expect((await conversation.contextUsage({ model: 'claude-1.3' })).total).toBe(9000);
+            expect((await conversation.contextUsage({ model: 'unknown' })).remaining).toBeNull();
+        });
+        it('checks the context window before sending', async () => {
+            const long = 'word '.repeat(8990);
+            global.fetch.mockClear();
+            await expect(conversation.sendMessage(long, { model: 'claude-1.3', contextCheck: 'error' })).rejects.toMatchObject({ tokens: 9003, limit: 9000 });
+            expect(global.fetch.mock.calls.some(([url]) => url.endsWith('/append_message'))).toBe(false);
+
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => { });
+            await conversation.sendMessage(long, { model: 'claude-1.3', contextCheck: 'warn' });
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('9000 token context window'));
+            warn.mockClear();
+            await conversation.sendMessage('Hi', { model: 'claude-1.3', contextCheck: 'warn' });
+            expect(warn).not.toHaveBeenCalled();
+            warn.mockRestore();
+        });
+        it('uses the contextCheck option by default', async () => {
+            expect(() => new Claude({ sessionKey: 'sk-ant-sid01-*****', contextCheck: 'yes' })).toThrow();
+            const strict = new Claude({ sessionKey: 'sk-ant-sid01-*****', contextCheck: 'error' });
+            await strict.init();
+            const convo = new Conversation(strict, { conversationId: UUIDS.conversation, model: 'claude-1.3' });
+            await expect(convo.sendMessage('word '.repeat(9000))).rejects.toBeInstanceOf(ContextLengthError);
+            await expect(convo.sendMessage('word '.repeat(9000), { contextCheck: false })).resolves.toBeDefined();
+        });
+    })
+    describe('autoContinue', () => {
+        const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+        const NEW = uuid();
+        let sent;
+        beforeEach(() => {
+            sent = [];
+            claude.fetch = jest.fn(async (url, options) => {
+                if (url.endsWith('/append_message')) {
+                    sent.push(JSON.parse(options.body));
+                    return streamResponse(event({ completion: sent.length === 1 ? 'The summary' : 'Answer', stop_reason: 'stop_sequence' }));
+                }
+                if (url.endsWith('/chat_conversations') && options.method === 'POST') {
+                    return { status: 200, json: async () => ({ uuid: NEW, name: '', summary: '' }) };
+                }
+                return global.fetch(url, options);
+            });
+        });
+        it('summarizes and continues in a new conversation close to the context window', async () => {
+            const message = 'word '.repeat(7200);
+            const done = jest.fn();
+            const response = await conversation.sendMessage(message, { model: 'claude-1.3', autoContinue: true, done });
+            expect(response.completion).toBe('Answer');
+            expect(done).toHaveBeenCalledWith(response);
+
+            expect(sent[0]).toMatchObject({ conversation_uuid: UUIDS.conversation, text: expect.stringContaining('Summarize our conversation') });
+            expect(sent[1].conversation_uuid).toBe(NEW);
+            expect(sent[1].text).toContain('<summary>\nThe summary\n</summary>');
+            expect(sent[1].text.endsWith(message)).toBe(true);
+            expect(sent[1].attachments).toEqual([demoFile]);
+
+            const continued = conversation.continuedIn;
+            expect(continued).toBeInstanceOf(Conversation);
+            expect(continued.continuedFrom).toBe(conversation);
+            expect(continued.model).toBe('claude-1.3');
+            expect(conversation.latest).toBe(continued);
+
+            await conversation.sendMessage('Hi');
+            expect(sent[2].conversation_uuid).toBe(NEW);
+        });
+        it('sends normally below the threshold', async () => {
+            await conversation.sendMessage('Hi', { model: 'claude-1.3', autoContinue: { threshold: 0.5 } });
+            expect(sent.length).toBe(1);
+            expect(sent[0].conversation_uuid).toBe(UUIDS.conversation);
+            expect(conversation.continuedIn).toBeNull();
+            expect(conversation.latest).toBe(conversation);
+        });
+        it('only carries over attachments that fit', async () => {
+            const big = { ...demoFile, file_name: 'big.txt', extracted_content: 'word '.repeat(3000) };
+            const fetch = claude.fetch;
+            claude.fetch = jest.fn(async (url, options) => url.endsWith(UUIDS.conversation)
+                ? { status: 200, json: async () => ({ uuid: UUIDS.conversation, chat_messages: [{ uuid: uuid(), text: 'hello', sender: 'human', index: 0, attachments: [demoFile, big] }] }) }
+                : fetch(url, options));
+            await conversation.sendMessage('word '.repeat(4500), { model: 'claude-1.3', autoContinue: true });
+            expect(sent[1].attachments).toEqual([demoFile]);
+
+            const pick = jest.fn(() => [big]);
+            conversation.continuedIn = null;
+            await conversation.sendMessage('word '.repeat(4500), { model: 'claude-1.3', autoContinue: { attachments: pick } });
+            expect(pick).toHaveBeenCalledWith([demoFile, big], 2250);
+            expect(sent[3].attachments).toEqual([big]);
+            expect(() => new Claude({ sessionKey: 'sk-ant-sid01-*****', autoContinue: { threshold: 2 } })).toThrow();
+        });
+    })
+    describe('fork', () => {
+        const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+        const HUMAN = 'ee248d02-976b-4317-8da1-52a9db8a07ef';
+        const ASSISTANT = '1c7130af-9be9-4e4f-93d2-0011931f6bf8';
+        let sent;
+        let created;
+        beforeEach(() => {
+            sent = [];
+            created = [];
+            claude.fetch = jest.fn(async (url, options) => {
+                if (url.endsWith('/append_message')) {
+                    sent.push(JSON.parse(options.body));
+                    return streamResponse(event({ completion: 'OK', stop_reason: 'stop_sequence' }));
+                }
+                if (url.endsWith('/chat_conversations') && options.method === 'POST') {
+                    created.push(uuid());
+                    return { status: 200, json: async () => ({ uuid: created[created.length - 1], name: '', summary: '' }) };
+                }
+                const id = created.find(i => url.endsWith(i));
+                if (id) {
+                    return { status: 200, json: async () => ({ uuid: id, chat_messages: [{ uuid: uuid(), text: 'OK', sender: 'assistant', index: 0, attachments: [] }] }) };
+                }
+                return global.fetch(url, options);
+            });
+        });
+        it('sends the history as a transcript', async () => {
+            const branch = await conversation.fork({ message: 'What else?' });
+            expect(sent.length).toBe(1);
+            expect(sent[0].conversation_uuid).toBe(created[0]);
+            expect(sent[0].text).toContain('<transcript>\nHuman: hello\n[Attached: test.txt]\n\nAssistant: Hi there!\n</transcript>');
+            expect(sent[0].text.endsWith('What else?')).toBe(true);
+            expect(sent[0].attachments).toEqual([demoFile]);
+            expect(branch.conversationId).toBe(created[0]);
+            expect(branch.forkedFrom).toEqual({ conversation, messageId: ASSISTANT });
+        });
+        it('replays human messages up to a message', async () => {
+            const done = jest.fn();
+            const branch = await conversation.fork({ atMessage: 0, message: 'What else?', replay: 'messages', done });
+            expect(sent.map(i => [i.conversation_uuid, i.text, i.attachments])).toEqual([
+                [created[0], 'hello', [demoFile]],
+                [created[0], 'What else?', []],
+            ]);
+            expect(done).toHaveBeenCalledTimes(1);
+            expect(branch.forkedFrom.messageId).toBe(HUMAN);
+            await expect(conversation.fork({ atMessage: uuid() })).rejects.toBeInstanceOf(NotFoundError);
+            await expect(conversation.fork({ replay: 'copy' })).rejects.toThrow('replay');
+        });
+        it('builds a branch tree', async () => {
+            const a = await conversation.fork({ atMessage: HUMAN });
+            const b = await conversation.fork();
+            const c = await a.fork();
+            const tree = await claude.getBranchTree(c);
+            expect(tree.conversationId).toBe(UUIDS.conversation);
+            expect(tree.link).toBeNull();
+            expect(tree.children.map(i => [i.conversationId, i.link.messageId, i.link.type])).toEqual([
+                [a.conversationId, HUMAN, 'fork'],
+                [b.conversationId, ASSISTANT, 'fork'],
+            ]);
+            expect(tree.children[0].children.map(i => i.conversationId)).toEqual([c.conversationId]);
+            expect(tree.children[1].children).toEqual([]);
+        });
+        it('saves branches in storage', async () => {
+            const storage = new MemoryStorage();
+            const first = new Claude({ sessionKey: 'sk-ant-sid01-*****', storage });
+            await first.linkConversations('parent', 'child', { message: HUMAN });
+            await first.linkConversations('child', 'parent');
+            const second = new Claude({ sessionKey: 'sk-ant-sid01-*****', storage });
+            const tree = await second.getBranchTree('child');
+            expect(tree.conversationId).toBe('parent');
+            expect(tree.children[0]).toMatchObject({ conversationId: 'child', link: { parent: 'parent', messageId: HUMAN, type: 'fork' } });
+            // Cycles are cut off
+            expect(tree.children[0].children).toEqual([]);
+        });
+    })
+    describe('generateCandidates', () => {
+        const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+        let sent;
+        let replies;
+        beforeEach(() => {
+            sent = [];
+            replies = ['not json', '{"a": 1}', '{"b": 2}'];
+            claude.fetch = jest.fn(async (url, options) => {
+                if (url.endsWith('/append_message') || url.endsWith('/retry_message')) {
+                    sent.push([url.split('/').pop(), JSON.parse(options.body)]);
+                    return streamResponse(event({ completion: replies[sent.length - 1], stop_reason: 'stop_sequence' }));
+                }
+                if (url.endsWith('/chat_conversations') && options.method === 'POST') {
+                    return { status: 200, json: async () => ({ uuid: 'fork', name: '', summary: '' }) };
+                }
+                return global.fetch(url, options);
+            });
+        });
+        const isJSON = ({ completion }) => {
+            try {
+                JSON.parse(completion);
+                return true;
+            } catch {
+                return false;
+            }
+        };
+        it('sends the message then regenerates the reply', async () => {
+            const { candidates, selected } = await conversation.generateCandidates('Hi', { n: 3 });
+            expect(sent.map(([endpoint]) => endpoint)).toEqual(['append_message', 'retry_message', 'retry_message']);
+            expect(sent[0][1].text).toBe('Hi');
+            expect(candidates.map(i => [i.index, i.completion, i.active, i.score])).toEqual([
+                [0, 'not json', false, null],
+                [1, '{"a": 1}', false, null],
+                [2, '{"b": 2}', true, null],
+            ]);
+            expect(selected).toBe(candidates[2]);
+            await expect(conversation.generateCandidates('Hi', { n: 0 })).rejects.toThrow('n must be');
+        });
+        it('stops at the first candidate selected', async () => {
+            const { candidates, selected } = await conversation.generateCandidates(null, { n: 3, select: isJSON });
+            expect(sent.map(([endpoint]) => endpoint)).toEqual(['retry_message', 'retry_message']);
+            expect(candidates.length).toBe(2);
+            expect(selected).toMatchObject({ index: 1, completion: '{"a": 1}', score: true, active: true });
+        });
+        it('selects the highest score', async () => {
+            const { selected } = await conversation.generateCandidates('Hi', { select: ({ index }) => [1, 3, 2][index] });
+            expect(selected).toMatchObject({ index: 1, score: 3, active: false });
+            expect((await conversation.generateCandidates('Hi', { n: 1, select: () => false })).selected).toBeNull();
+        });
+        it('keeps a candidate by forking', async () => {
+            const { candidates } = await conversation.generateCandidates('Hi', { n: 2 });
+            expect(await conversation.keepCandidate(candidates[1])).toBe(conversation);
+            const fork = await conversation.keepCandidate(candidates[0]);
+            expect(fork.conversationId).toBe('fork');
+            expect(fork.forkedFrom.conversation).toBe(conversation);
+            expect(sent[2][1].text).toContain('Human: hello\n[Attached: test.txt]\n\nAssistant: not json\n</transcript>');
+        });
+    })
+    describe('sendWithTools', () => {
+        const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+        const call = (name, args) => `<tool_call>\n${JSON.stringify({ name, arguments: args })}\n</tool_call>`;
+        const add = { name: 'add', description: 'Add two numbers', parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] }, handler: jest.fn(({ a, b }) => a + b) };
+        let sent;
+        const reply = (...replies) => {
+            sent = [];
+            claude.fetch = jest.fn(async (url, options) => {
+                sent.push(JSON.parse(options.body));
+                return streamResponse(event({ completion: replies[sent.length - 1], stop_reason: 'stop_sequence' }));
+            });
+        };
+        beforeEach(() => {
+            claude.registerTool(add);
+            claude.registerTool({ name: 'fail', description: 'Always fails', handler: () => { throw new Error('Broken'); } });
+        });
+        it('registers tools', () => {
+            expect(claude.tools.map(i => i.name)).toEqual(['add', 'fail']);
+            expect(claude.tools[1].parameters).toEqual({ type: 'object' });
+            expect(() => claude.registerTool({ name: 'bad name', handler() { } })).toThrow();
+            expect(() => claude.registerTool({ name: 'nohandler' })).toThrow();
+            expect(claude.unregisterTool('fail')).toBe(true);
+            expect(claude.unregisterTool('fail')).toBe(false);
+        });
+        it('runs tools until Claude answers', async () => {
+            reply(`Let me add those.\n${call('add', { a: 2, b: 3 })}\n${call('add', { a: 5, b: 1 })}`, 'The answers are 5 and 6.');
+            const toolCall = jest.fn();
+            claude.on('toolCall', toolCall);
+            const { answer, trace, steps } = await conversation.sendWithTools('What are 2 + 3 and 5 + 1?', { attachments: [demoFile] });
+            expect(answer).toBe('The answers are 5 and 6.');
+            expect(steps).toBe(2);
+            expect(trace.map(({ duration, ...i }) => i)).toEqual([
+                { step: 1, name: 'add', arguments: { a: 2, b: 3 }, result: 5, error: null },
+                { step: 1, name: 'add', arguments: { a: 5, b: 1 }, result: 6, error: null },
+            ]);
+            expect(toolCall).toHaveBeenCalledTimes(2);
+            expect(sent[0].text).toContain('- add: Add two numbers\n  Arguments (JSON Schema): {"type":"object"');
+            expect(sent[0].text).toContain('- fail: Always fails');
+            expect(sent[0].text.endsWith('What are 2 + 3 and 5 + 1?')).toBe(true);
+            expect(sent[0].attachments).toEqual([demoFile]);
+            expect(sent[1].text).toBe('<tool_result name="add">\n5\n</tool_result>\n\n<tool_result name="add">\n6\n</tool_result>');
+            expect(sent[1].attachments).toEqual([]);
+        });
+        it('sends errors back to Claude', async () => {
+            reply([call('fail', {}), call('add', { a: '1' }), call('search', {}), '<tool_call>{oops</tool_call>'].join('\n'), 'Sorry.');
+            const { trace } = await conversation.sendWithTools('Hi', { tools: ['fail', 'add'] });
+            expect(trace.map(i => i.error)).toEqual([
+                'Broken',
+                '$: must have property "b", $.a: must be number',
+                'Unknown tool "search", use one of: fail, add',
+                expect.stringMatching(/^Couldn't parse the tool call as JSON/),
+            ]);
+            expect(sent[1].text).toContain('<tool_result name="fail">\nError: Broken\n</tool_result>');
+            await expect(conversation.sendWithTools('Hi', { tools: ['missing'] })).rejects.toThrow('not registered');
+        });
+        it('stops after maxSteps', async () => {
+            reply(call('add', { a: 1, b: 1 }), call('add', { a: 1, b: 1 }));
+            const error = await conversation.sendWithTools('Hi', { maxSteps: 2 }).catch(e => e);
+            expect(error).toBeInstanceOf(ToolError);
+            expect(error.trace.length).toBe(2);
+            expect(sent.length).toBe(2);
+        });
+    })
+    describe('sendJSON', () => {
+        const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+        const schema = { type: 'object', properties: { colors: { type: 'array', items: { type: 'string' } } }, required: ['colors'] };
+        let sent;
+        const reply = (...replies) => {
+            sent = [];
+            claude.fetch = jest.fn(async (url, options) => {
+                sent.push(JSON.parse(options.body));
+                return streamResponse(event({ completion: replies[sent.length - 1], stop_reason: 'stop_sequence' }));
+            });
+        };
+        it('extracts and validates JSON', async () => {
+            reply('Here you go:\n```json\n{"colors": ["red"]}\n```\nAnything else?');
+            const { data, response, attempts } = await conversation.sendJSON('Colors?', schema, { attachments: [demoFile] });
+            expect(data).toEqual({ colors: ['red'] });
+            expect(response.completion).toContain('Anything else?');
+            expect(attempts).toBe(1);
+            expect(sent[0].text).toContain('Colors?\n\nRespond with only JSON');
+            expect(sent[0].text).toContain('"required": [');
+            expect(sent[0].attachments).toEqual([demoFile]);
+        });
+        it('sends corrections until the JSON matches', async () => {
+            reply('Sure! {"colors": "red"', 'The colors are {"colors": "red"}.', '[1]', '{"colors": ["red"]}');
+            const { data, attempts } = await conversation.sendJSON('Colors?', schema, { attempts: 4, attachments: [demoFile] });
+            expect(data).toEqual({ colors: ['red'] });
+            expect(attempts).toBe(4);
+            expect(sent[1].text).toMatch(/^Your response didn't have valid JSON in it/);
+            expect(sent[1].attachments).toEqual([]);
+            expect(sent[2].text).toBe('That JSON doesn\'t match the schema:\n\n- $.colors: must be array\n\nRespond with only the corrected JSON, in a code block.');
+            expect(sent[3].text).toContain('- $: must be object');
+        });
+        it('throws after the last attempt', async () => {
+            reply('{}', '{"colors": [1]}');
+            const error = await conversation.sendJSON('Colors?', schema, { attempts: 2 }).catch(e => e);
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error).toBeInstanceOf(ParseError);
+            expect(error.errors).toEqual(['$.colors[0]: must be string']);
+            expect(error.value).toEqual({ colors: [1] });
+            expect(sent.length).toBe(2);
+            await expect(conversation.sendJSON('Colors?')).rejects.toThrow('Schema required');
+        });
+        it('uses a custom validator', async () => {
+            reply('{"colors": []}', '{"colors": ["red"]}');
+            const validate = jest.fn(({ colors }) => colors.length > 0);
+            const { data } = await conversation.sendJSON('Colors?', schema, { validate });
+            expect(data.colors).toEqual(['red']);
+            expect(sent[1].text).toContain('- $: is invalid');
+        });
+    })
     describe('getInfo', () => {
         it('gets conversation info', async () => {
             const res = await conversation.getInfo();
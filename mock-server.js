@@ -0,0 +1,427 @@
+/**
+ * A mock claude.ai server for tests and offline development (Node only).
+ *
+ * It implements the endpoints the library uses, keeps organizations, conversations and messages in memory, and streams
+ * replies as server-sent events like claude.ai does. Point a client at it with the `proxy` option:
+ *
+ * const server = await new MockClaudeServer().listen();
+ * const claude = new Claude({ sessionKey: 'sk-ant-sid01-test', proxy: server.url });
+ */
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+
+/**
+ * A scripted reply to append_message or retry_message
+ * @typedef MockReply
+ * @property {String} [completion] The text of the reply
+ * @property {String[]} [chunks] The reply in the chunks to stream it in, instead of `completion` (split into words by default)
+ * @property {String} [model] The model in the events, defaults to the model that was asked for
+ * @property {{type: String, message: String}} [error] Send an error event instead of finishing the reply
+ * @property {Number} [errorAfter=0] How many chunks to send before the error
+ * @property {Boolean} [incomplete=false] End the stream before the last chunk, like a dropped connection
+ * @property {Boolean} [disconnect=false] Close the connection before the last chunk without ending the response, so reading it fails
+ * @property {Object} [messageLimit] The messageLimit in the events, defaults to `{ type: "within_limit" }`
+ * @property {Number} [delay] Milliseconds to wait between chunks, defaults to the server's `chunkDelay`
+ */
+
+/**
+ * An in-memory claude.ai.
+ * @class
+ */
+export class MockClaudeServer {
+    #server = null;
+    #replies = [];
+    #failures = [];
+    /**
+     * Create a MockClaudeServer
+     * @param {Object} [options] Options
+     * @param {String[]} [options.sessionKeys] Only accept these session keys (any `sk-ant-sid01` key is accepted by default)
+     * @param {Number} [options.latency=0] Milliseconds to wait before every response
+     * @param {Number} [options.chunkDelay=0] Milliseconds to wait between the chunks of a streamed reply
+     * @param {function(String, {conversation: Object, model: String, attachments: Object[]}): (String | MockReply)} [options.respond] Makes the reply to a message when none are queued with `reply()`, defaults to echoing it
+     * @param {function({file_name: String, file_type: String, bytes: Uint8Array}): String} [options.convert] Makes the extracted_content of files sent to convert_document, defaults to decoding them as UTF-8
+     * @param {String[]} [options.organizations=["Mock Organization"]] The names of the organizations
+     * @example
+     * const server = await new MockClaudeServer({ respond: (message) => `You asked: ${message}` }).listen();
+     */
+    constructor({ sessionKeys = null, latency = 0, chunkDelay = 0, respond = (message) => `You said: ${message}`, convert = ({ bytes }) => new TextDecoder().decode(bytes), organizations = ['Mock Organization'] } = {}) {
+        Object.assign(this, { sessionKeys, latency, chunkDelay, respond, convert });
+        this.organizationNames = organizations;
+        this.reset();
+    }
+    /**
+     * Forget every conversation, request, queued reply and failure
+     * @returns {MockClaudeServer}
+     */
+    reset() {
+        const now = new Date().toISOString();
+        /**
+         * The organizations, conversations (by UUID, with their chat_messages) and message feedback
+         * @type {{organizations: Object[], conversations: Map<String, Object>}}
+         */
+        this.state = {
+            organizations: this.organizationNames.map(name => ({ uuid: randomUUID(), name, join_token: 'TOKEN', created_at: now, updated_at: now, capabilities: ['chat'], settings: {}, active_flags: [] })),
+            conversations: new Map(),
+        };
+        /**
+         * Every request that was received
+         * @type {{method: String, endpoint: String, headers: Object, body: any}[]}
+         */
+        this.requests = [];
+        this.#replies = [];
+        this.#failures = [];
+        return this;
+    }
+    /**
+     * Queue replies for the next messages, used before `respond`
+     * @param {...(String | MockReply)} replies The replies, in order
+     * @returns {MockClaudeServer}
+     * @example
+     * server.reply('First answer', { error: { type: 'rate_limit_error', message: 'Too many messages' } });
+     */
+    reply(...replies) {
+        this.#replies.push(...replies);
+        return this;
+    }
+    /**
+     * Make requests fail
+     * @param {String | RegExp | function(Object): Boolean} match The endpoint (or the end of it, e.g. "/chat_conversations"), a pattern, or a function called with the request
+     * @param {Object} [options] Options
+     * @param {Number} [options.status=500] The status to respond with
+     * @param {Object} [options.body] The response body, defaults to a claude.ai style error
+     * @param {Object} [options.headers] Response headers, e.g. `{ "retry-after": "1" }`
+     * @param {Number} [options.times=1] How many requests to fail, `Infinity` for all of them
+     * @param {Boolean} [options.network=false] Close the connection without responding, so fetch fails
+     * @returns {MockClaudeServer}
+     * @example
+     * server.fail('/api/append_message', { status: 429, times: 2 });
+     */
+    fail(match, { status = 500, body, headers = {}, times = 1, network = false } = {}) {
+        body ??= { error: { type: status === 429 ? 'rate_limit_error' : status >= 500 ? 'api_error' : 'invalid_request_error', message: `Mock error ${status}` } };
+        this.#failures.push({ match, status, body, headers, times, network });
+        return this;
+    }
+    /**
+     * Start listening
+     * @async
+     * @param {Number} [port=0] The port, a free one by default
+     * @param {String} [host="127.0.0.1"] The host
+     * @returns {Promise<MockClaudeServer>} This server, with `url` set
+     */
+    async listen(port = 0, host = '127.0.0.1') {
+        this.#server = createServer((req, res) => this.#handle(req, res).catch(e => {
+            if (!res.headersSent) {
+                send(res, 500, { error: { type: 'api_error', message: e.message } });
+            } else {
+                res.destroy();
+            }
+        }));
+        await new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(port, host, resolve);
+        });
+        /**
+         * The server's URL, to pass as `proxy`
+         * @type {String}
+         */
+        this.url = `http://${host}:${this.#server.address().port}`;
+        return this;
+    }
+    /**
+     * Stop listening and close open connections
+     * @async
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this.#server) {
+            return;
+        }
+        const server = this.#server;
+        this.#server = null;
+        await new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections?.();
+        });
+    }
+    /**
+     * Handle a request
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     * @returns {Promise<void>}
+     */
+    async #handle(req, res) {
+        const { pathname: endpoint } = new URL(req.url, 'http://localhost');
+        const raw = await readBody(req);
+        const headers = { ...req.headers };
+        let body = raw.length ? raw : null;
+        // Some requests (e.g. rename_chat) are sent as text/plain, so parse anything that isn't a file upload
+        if (raw.length && !/multipart/.test(headers['content-type'] || '')) {
+            try {
+                body = JSON.parse(raw.toString('utf-8'));
+            } catch {
+                return send(res, 400, { error: { type: 'invalid_request_error', message: 'Invalid JSON' } });
+            }
+        }
+        const request = { method: req.method, endpoint, headers, body };
+        this.requests.push(request);
+        await sleep(this.latency);
+        const failure = this.#failures.find(({ match, times }) => times > 0 && matches(match, request));
+        if (failure) {
+            failure.times--;
+            if (failure.network) {
+                return res.destroy();
+            }
+            return send(res, failure.status, failure.body, failure.headers);
+        }
+        const sessionKey = /(?:^|;\s*)sessionKey=([^;]*)/.exec(headers.cookie || '')?.[1];
+        if (!sessionKey?.startsWith('sk-ant-sid01') || (this.sessionKeys && !this.sessionKeys.includes(sessionKey))) {
+            return send(res, 403, { error: { type: 'permission_error', message: 'Invalid authorization' } });
+        }
+        return this.#route(request, res);
+    }
+    /**
+     * Respond to an authorized request
+     * @param {Object} request The parsed request
+     * @param {ServerResponse} res
+     * @returns {Promise<void>}
+     */
+    async #route({ method, endpoint, headers, body }, res) {
+        const notFound = () => send(res, 404, { error: { type: 'not_found_error', message: 'Not found' } });
+        const { organizations, conversations } = this.state;
+        const find = (organizationId, conversationId) => {
+            const conversation = conversations.get(conversationId);
+            return conversation?.organizationId === organizationId ? conversation : null;
+        };
+        if (endpoint === '/api/organizations' && method === 'GET') {
+            return send(res, 200, organizations);
+        }
+        if (endpoint === '/api/auth/current_account' && method === 'GET') {
+            return send(res, 200, { account: { uuid: 'mock-account', email_address: 'mock@example.com', full_name: 'Mock User', memberships: organizations.map(organization => ({ organization, role: 'admin' })) } });
+        }
+        let match = endpoint.match(/^\/api\/organizations\/([\w-]+)\/chat_conversations$/);
+        if (match) {
+            if (!organizations.some(i => i.uuid === match[1])) {
+                return notFound();
+            }
+            if (method === 'GET') {
+                const list = [...conversations.values()].filter(i => i.organizationId === match[1]).sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+                return send(res, 200, list.map(info));
+            }
+            if (method === 'POST') {
+                const now = new Date().toISOString();
+                const conversation = { uuid: body?.uuid || randomUUID(), name: body?.name || '', summary: '', created_at: now, updated_at: now, organizationId: match[1], chat_messages: [] };
+                conversations.set(conversation.uuid, conversation);
+                return send(res, 201, info(conversation));
+            }
+        }
+        match = endpoint.match(/^\/api\/organizations\/([\w-]+)\/chat_conversations\/([\w-]+)$/);
+        if (match) {
+            const conversation = find(match[1], match[2]);
+            if (!conversation) {
+                return notFound();
+            }
+            if (method === 'GET') {
+                return send(res, 200, { ...info(conversation), chat_messages: conversation.chat_messages });
+            }
+            if (method === 'DELETE') {
+                conversations.delete(conversation.uuid);
+                return send(res, 204);
+            }
+        }
+        match = endpoint.match(/^\/api\/organizations\/([\w-]+)\/chat_conversations\/([\w-]+)\/chat_messages\/([\w-]+)\/chat_feedback$/);
+        if (match && method === 'POST') {
+            const message = find(match[1], match[2])?.chat_messages.find(i => i.uuid === match[3]);
+            if (!message) {
+                return notFound();
+            }
+            const now = new Date().toISOString();
+            message.chat_feedback = { uuid: message.uuid, type: body?.type, reason: body?.reason ?? null, created_at: message.chat_feedback?.created_at ?? now, updated_at: now };
+            return send(res, 200, message.chat_feedback);
+        }
+        if ((endpoint === '/api/append_message' || endpoint === '/api/retry_message') && method === 'POST') {
+            const conversation = find(body?.organization_uuid, body?.conversation_uuid);
+            if (!conversation) {
+                return notFound();
+            }
+            return this.#message(conversation, body, endpoint === '/api/retry_message', res);
+        }
+        if ((endpoint === '/api/generate_chat_title' || endpoint === '/api/rename_chat') && method === 'POST') {
+            const conversation = find(body?.organization_uuid, body?.conversation_uuid);
+            if (!conversation) {
+                return notFound();
+            }
+            conversation.name = body.title ?? (body.message_content || '').split(/\s+/).slice(0, 5).join(' ');
+            return send(res, 200, { title: conversation.name });
+        }
+        if (endpoint === '/api/convert_document' && method === 'POST') {
+            const file = parseMultipart(body || Buffer.alloc(0), headers['content-type'] || '').find(part => part.name === 'file');
+            if (!file?.filename) {
+                return send(res, 400, { error: { type: 'invalid_request_error', message: 'No file' } });
+            }
+            const file_type = file.filename.includes('.') ? file.filename.split('.').pop().toLowerCase() : 'txt';
+            return send(res, 200, {
+                file_name: file.filename,
+                file_size: file.data.length,
+                file_type,
+                extracted_content: await this.convert({ file_name: file.filename, file_type, bytes: new Uint8Array(file.data) }),
+                totalPages: null,
+            });
+        }
+        return notFound();
+    }
+    /**
+     * Stream a reply to a message (or regenerate the last reply)
+     * @param {Object} conversation The conversation
+     * @param {Object} body The request body
+     * @param {Boolean} retry Whether to regenerate the last reply
+     * @param {ServerResponse} res
+     * @returns {Promise<void>}
+     */
+    async #message(conversation, body, retry, res) {
+        const messages = conversation.chat_messages;
+        const now = () => new Date().toISOString();
+        const message = (sender, text, attachments = []) => ({ uuid: randomUUID(), text, sender, index: messages.length, created_at: now(), updated_at: now(), edited_at: null, chat_feedback: null, attachments });
+        if (retry) {
+            if (messages.at(-1)?.sender === 'assistant') {
+                messages.pop();
+            }
+        } else {
+            messages.push(message('human', body.text ?? body.completion?.prompt ?? '', body.attachments || []));
+        }
+        const human = messages.findLast(i => i.sender === 'human');
+        const model = body.completion?.model || 'claude-2';
+        let reply = this.#replies.length ? this.#replies.shift() : await this.respond(human?.text ?? '', { conversation, model, attachments: human?.attachments || [] });
+        reply = typeof reply === 'string' ? { completion: reply } : reply;
+        const { completion = '', chunks = completion.match(/\s*\S+\s*|\s+/g) || [''], error, errorAfter = 0, incomplete = false, disconnect = false, messageLimit = { type: 'within_limit' }, delay = this.chunkDelay } = reply;
+        res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+        const event = (data, name) => res.write(`${name ? `event: ${name}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+        const log_id = randomUUID();
+        let text = '';
+        for (const [i, chunk] of chunks.entries()) {
+            if (error && i === errorAfter) {
+                break;
+            }
+            const last = i === chunks.length - 1;
+            if (last && incomplete) {
+                break;
+            }
+            if (last && disconnect) {
+                // After what was written has been sent, destroying the socket would discard it
+                await new Promise(resolve => res.write('', resolve));
+                res.destroy();
+                return;
+            }
+            // Like claude.ai, each event has the whole completion so far
+            text += chunk;
+            event({ completion: text, stop_reason: last ? 'stop_sequence' : null, model: reply.model || model, stop: last ? '\n\nHuman:' : null, log_id, messageLimit });
+            await sleep(delay);
+        }
+        if (error) {
+            event({ error, messageLimit }, 'error');
+        } else if (!incomplete) {
+            messages.push(message('assistant', text));
+            conversation.updated_at = now();
+        }
+        res.end();
+    }
+}
+
+/**
+ * A conversation without its messages, as claude.ai lists them.
+ *
+ * @param {Object} conversation - The stored conversation.
+ * @return {Object} - The conversation info.
+ */
+function info({ uuid, name, summary, created_at, updated_at }) {
+    return { uuid, name, summary, created_at, updated_at };
+}
+
+/**
+ * Whether a failure applies to a request.
+ *
+ * @param {string | RegExp | Function} match - The endpoint, the end of it, a pattern or a function.
+ * @param {Object} request - The request.
+ * @return {boolean}
+ */
+function matches(match, request) {
+    if (typeof match === 'function') {
+        return match(request);
+    }
+    if (match instanceof RegExp) {
+        return match.test(request.endpoint);
+    }
+    return request.endpoint === match || request.endpoint.endsWith(match);
+}
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {ServerResponse} res - The response.
+ * @param {number} status - The status.
+ * @param {any} [body] - The body, none if undefined.
+ * @param {Object} [headers] - Extra headers.
+ */
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { ...(body !== undefined && { 'content-type': 'application/json' }), ...headers });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Reads a request's body.
+ *
+ * @param {IncomingMessage} req - The request.
+ * @return {Promise<Buffer>} - The body.
+ */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Parses a multipart/form-data body, enough for the file uploads convert_document gets.
+ *
+ * @param {Buffer} body - The body.
+ * @param {string} contentType - The Content-Type header, with the boundary.
+ * @return {{name: string, filename: string | undefined, data: Buffer}[]} - The parts.
+ */
+function parseMultipart(body, contentType) {
+    const boundary = /boundary="?([^";]+)"?/.exec(contentType)?.[1];
+    if (!boundary) {
+        return [];
+    }
+    const parts = [];
+    const delimiter = Buffer.from(`--${boundary}`);
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) {
+            break;
+        }
+        // Each part is \r\n, headers, \r\n\r\n, the data, then \r\n before the next delimiter
+        const part = body.subarray(start + delimiter.length + 2, next - 2);
+        const split = part.indexOf('\r\n\r\n');
+        if (split !== -1) {
+            const head = part.subarray(0, split).toString('utf-8');
+            parts.push({
+                name: /name="([^"]*)"/.exec(head)?.[1],
+                filename: /filename="([^"]*)"/.exec(head)?.[1],
+                data: part.subarray(split + 4),
+            });
+        }
+        start = next;
+    }
+    return parts;
+}
+
+/**
+ * Waits.
+ *
+ * @param {number} ms - Milliseconds to wait.
+ * @return {Promise<void>}
+ */
+function sleep(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
@@ -0,0 +1,107 @@
+import Claude, { AuthenticationError, NetworkError, NotFoundError, RateLimitError, ServerError, TimeoutError } from './index.js';
+import { MockClaudeServer } from './mock-server.js';
+import { readFileSync } from 'fs';
+
+const sessionKey = 'sk-ant-sid01-mock';
+
+describe('MockClaudeServer', () => {
+    let server;
+    let claude;
+    beforeAll(async () => {
+        server = await new MockClaudeServer().listen();
+    });
+    afterAll(() => server.close());
+    beforeEach(async () => {
+        server.reset();
+        server.latency = 0;
+        claude = new Claude({ sessionKey, proxy: server.url });
+        await claude.init();
+    });
+    it('handles conversations end to end', async () => {
+        expect(claude.organizationId).toBe(server.state.organizations[0].uuid);
+        const chunks = [];
+        const conversation = await claude.startConversation('Hello there Claude', { progress: (chunk) => chunks.push(chunk.delta) });
+        expect(chunks).toEqual(['You ', 'said: ', 'Hello ', 'there ', 'Claude']);
+        const [listed] = await claude.getConversations();
+        expect(listed.conversationId).toBe(conversation.conversationId);
+        expect(listed.name).toBe('Hello there Claude');
+
+        await conversation.rename('Greetings');
+        expect(server.state.conversations.get(conversation.conversationId).name).toBe('Greetings');
+        const messages = await conversation.getMessages();
+        expect(messages.map(m => [m.sender, m.text])).toEqual([['human', 'Hello there Claude'], ['assistant', 'You said: Hello there Claude']]);
+
+        await messages[1].sendFeedback('flag/bug', 'Wrong');
+        expect(server.state.conversations.get(conversation.conversationId).chat_messages[1].chat_feedback).toMatchObject({ type: 'flag/bug', reason: 'Wrong' });
+
+        await conversation.delete();
+        expect(server.state.conversations.size).toBe(0);
+        await expect(conversation.getInfo()).rejects.toThrow(NotFoundError);
+    });
+    it('plays scripted replies and regenerates the last one', async () => {
+        server.reply('First', { chunks: ['Sec', 'ond'], model: 'claude-instant-1' });
+        const conversation = await claude.startConversation('Hi');
+        expect(conversation.conversationId).toBeTruthy();
+        const retried = await conversation.retry();
+        expect(retried).toMatchObject({ completion: 'Second', model: 'claude-instant-1', stop_reason: 'stop_sequence' });
+        const messages = await conversation.getMessages();
+        expect(messages.map(m => m.text)).toEqual(['Hi', 'Second']);
+        expect(server.requests.map(r => r.endpoint)).toContain('/api/retry_message');
+
+        server.respond = (message, { model }) => ({ completion: `${model}: ${message.toUpperCase()}` });
+        expect((await claude.sendMessage('temporary', { model: 'claude-2' })).completion).toBe('claude-2: TEMPORARY');
+        expect(server.state.conversations.size).toBe(1);
+        server.respond = new MockClaudeServer().respond;
+    });
+    it('injects errors', async () => {
+        server.reset();
+        server.fail('/api/organizations', { status: 429, headers: { 'retry-after': '0' } });
+        const retrying = new Claude({ sessionKey, proxy: server.url, retry: { attempts: 2, delay: 1 } });
+        await retrying.init();
+        expect(server.requests.filter(r => r.endpoint === '/api/organizations')).toHaveLength(2);
+
+        server.fail('/chat_conversations', { status: 503, times: Infinity });
+        await expect(claude.getConversations()).rejects.toThrow(ServerError);
+        server.reset();
+        await claude.init();
+
+        server.fail('/api/append_message', { network: true });
+        await expect(claude.sendMessage('Hi')).rejects.toThrow(NetworkError);
+
+        server.reply({ completion: 'One two three', error: { type: 'rate_limit_error', message: 'Too many messages' }, errorAfter: 2 });
+        const chunks = [];
+        await expect(claude.sendMessage('Hi', { progress: (chunk) => chunks.push(chunk.completion) })).rejects.toThrow(RateLimitError);
+        expect(chunks).toEqual(['One ', 'One two ']);
+
+        server.reply({ completion: 'Cut off here', incomplete: true });
+        await expect(claude.sendMessage('Hi')).rejects.toThrow('ended before it was complete');
+        expect(server.state.conversations.size).toBe(0);
+    });
+    it('adds latency', async () => {
+        server.latency = 100;
+        await expect(claude.whoami({ timeout: 20 })).rejects.toThrow(TimeoutError);
+        server.latency = 0;
+        server.reply({ completion: 'Slow reply streams here', delay: 50 });
+        await expect(claude.sendMessage('Hi', { timeout: 80 })).rejects.toMatchObject({ partial: { completion: expect.stringMatching(/^Slow /) } });
+    });
+    it('checks the session key', async () => {
+        const strict = await new MockClaudeServer({ sessionKeys: [sessionKey] }).listen();
+        try {
+            const other = new Claude({ sessionKey: 'sk-ant-sid01-other', proxy: strict.url });
+            await expect(other.init()).rejects.toThrow(AuthenticationError);
+            expect(other.sessionExpired).toBe(true);
+            const { valid, account } = await new Claude({ sessionKey, proxy: strict.url }).validateSession();
+            expect(valid).toBe(true);
+            expect(account.email_address).toBe('mock@example.com');
+        } finally {
+            await strict.close();
+        }
+    });
+    it('converts documents', async () => {
+        server.convert = ({ file_name, bytes }) => `${file_name}: ${bytes.length} bytes`;
+        const file = new File([readFileSync('resources/doc.docx')], 'doc.docx');
+        const attachment = await claude.uploadFile(file, { extract: 'server' });
+        expect(attachment).toEqual({ file_name: 'doc.docx', file_size: file.size, file_type: 'docx', extracted_content: `doc.docx: ${file.size} bytes`, totalPages: null });
+        expect(server.requests.at(-1).endpoint).toBe('/api/convert_document');
+    });
+});
@@ -0,0 +1,261 @@
+import express from 'express';
+import { AbortError } from '../index.js';
+import { randomUUID } from 'crypto';
+import { resolveModel, transcript, complete, contentText, startEvents, errorStatus, jsonBody } from './bridge.js';
+import { allow } from './auth.js';
+
+/**
+ * Anthropic API compatible routes: POST /v1/complete and POST /v1/messages, with the official request, response and streaming
+ * event shapes, so code written for the official API can use this server by changing its base URL.
+ *
+ * Like the OpenAI compatible routes, the prompt goes to a temporary conversation (deleted afterwards), or one that's kept with
+ * `store: true`, or an existing one with `conversation_id` (both extra body fields). Kept and reused conversations' IDs are
+ * returned in `conversation_id`.
+ * @param {function(express.Request, express.Response, Function): Promise<void>} authenticate The middleware that sets `req.claude` and
+ * `req.tenant`, from `authenticate` in auth.js. Its errors are sent in Anthropic's format, like the routes' own.
+ * @returns {express.Router}
+ */
+export function anthropicRoutes(authenticate) {
+    const router = express.Router();
+
+    router.post('/v1/complete', authenticate, allow('write'), jsonBody(), async (req, res) => {
+        const { claude } = req;
+        const { model: requested, prompt, stream = false, store = false, conversation_id } = req.body || {};
+        const model = requested || claude.defaultModel();
+        let text;
+        try {
+            if (!resolveModel(claude, model)) {
+                return sendError(res, 404, { type: 'not_found_error', message: `model: ${model}` });
+            }
+            const { system, turns } = parsePrompt(prompt);
+            text = conversation_id ? lastHumanTurn(turns) : (turns.length ? transcript(system, turns) : system.join('\n\n'));
+        } catch (err) {
+            return sendError(res, 400, { type: 'invalid_request_error', message: err.message });
+        }
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+        const id = `compl_${randomUUID().replace(/-/g, '')}`;
+        // The legacy API streams the new text of each chunk, the last event has the stop_reason
+        const progress = (data) => {
+            if (!stream) {
+                return;
+            }
+            if (!res.headersSent) {
+                startEvents(res);
+            }
+            sendEvent(res, 'completion', { type: 'completion', id, completion: data.delta, stop_reason: data.stop_reason || null, model });
+        };
+        try {
+            const { response, conversationId } = await complete(claude, text, { model: resolveModel(claude, model), store, conversationId: conversation_id, signal: controller.signal, progress });
+            const extra = conversationId ? { conversation_id: conversationId } : {};
+            if (!stream) {
+                return res.json({ type: 'completion', id, completion: response.completion, stop_reason: response.stop_reason || 'stop_sequence', model, ...extra });
+            }
+            if (!res.headersSent) {
+                startEvents(res);
+            }
+            if (conversationId) {
+                // An extra event, official clients ignore event types they don't know
+                sendEvent(res, 'conversation', { type: 'conversation', ...extra });
+            }
+            res.end();
+        } catch (err) {
+            streamError(res, err, controller.signal);
+        }
+    });
+
+    router.post('/v1/messages', authenticate, allow('write'), jsonBody(), async (req, res) => {
+        const { claude } = req;
+        const { model: requested, messages, system, stream = false, store = false, conversation_id } = req.body || {};
+        const model = requested || claude.defaultModel();
+        let prompt;
+        try {
+            if (!resolveModel(claude, model)) {
+                return sendError(res, 404, { type: 'not_found_error', message: `model: ${model}` });
+            }
+            const turns = messageTurns(messages);
+            prompt = conversation_id ? lastHumanTurn(turns) : transcript(system === undefined ? [] : [contentText(system, 'system')], turns);
+        } catch (err) {
+            return sendError(res, 400, { type: 'invalid_request_error', message: err.message });
+        }
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+        const id = `msg_${randomUUID().replace(/-/g, '')}`;
+        const input_tokens = claude.countTokens(prompt);
+        let last = null;
+        const progress = (data) => {
+            if (!stream) {
+                return;
+            }
+            if (!res.headersSent) {
+                startEvents(res);
+                sendEvent(res, 'message_start', { type: 'message_start', message: { id, type: 'message', role: 'assistant', content: [], model, stop_reason: null, stop_sequence: null, usage: { input_tokens, output_tokens: 0 } } });
+                sendEvent(res, 'content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } });
+                sendEvent(res, 'ping', { type: 'ping' });
+            }
+            // claude.ai starts completions with a space
+            const delta = last ? data.delta : data.delta.trimStart();
+            if (delta) {
+                sendEvent(res, 'content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: delta } });
+            }
+            last = data;
+        };
+        try {
+            const { response, conversationId } = await complete(claude, prompt, { model: resolveModel(claude, model), store, conversationId: conversation_id, signal: controller.signal, progress });
+            const extra = conversationId ? { conversation_id: conversationId } : {};
+            const output_tokens = claude.countTokens(response.completion);
+            if (!stream) {
+                return res.json({
+                    id,
+                    type: 'message',
+                    role: 'assistant',
+                    content: [{ type: 'text', text: response.completion.trimStart() }],
+                    model,
+                    stop_reason: stopReason(response.stop_reason),
+                    stop_sequence: null,
+                    usage: { input_tokens, output_tokens },
+                    ...extra,
+                });
+            }
+            if (!res.headersSent) {
+                progress({ delta: '' });
+            }
+            sendEvent(res, 'content_block_stop', { type: 'content_block_stop', index: 0 });
+            sendEvent(res, 'message_delta', { type: 'message_delta', delta: { stop_reason: stopReason(response.stop_reason), stop_sequence: null }, usage: { output_tokens }, ...extra });
+            sendEvent(res, 'message_stop', { type: 'message_stop' });
+            res.end();
+        } catch (err) {
+            streamError(res, err, controller.signal);
+        }
+    });
+
+    // Errors from authenticate, allow and jsonBody
+    router.use((err, req, res, next) => sendError(res, ...anthropicError(err)));
+
+    return router;
+}
+
+/**
+ * Splits a legacy "\n\nHuman: ... \n\nAssistant:" prompt into turns.
+ *
+ * @param {string} prompt - The prompt.
+ * @return {{system: string[], turns: [string, string][]}} - The text before the first turn, and the turns without the empty Assistant turn at the end.
+ */
+function parsePrompt(prompt) {
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw new Error('prompt: field required');
+    }
+    const parts = prompt.split(/\n\n(Human|Assistant):/);
+    const turns = [];
+    for (let i = 1; i < parts.length; i += 2) {
+        turns.push([parts[i], parts[i + 1].trim()]);
+    }
+    // The prompt ends with an empty Assistant turn for Claude to fill in
+    if (turns.at(-1)?.[0] === 'Assistant' && !turns.at(-1)[1]) {
+        turns.pop();
+    }
+    return { system: [parts[0].trim()].filter(Boolean), turns };
+}
+
+/**
+ * Turns Messages API messages into Human/Assistant turns.
+ *
+ * @param {Object[]} messages - The messages, `{ role, content }`.
+ * @return {[string, string][]}
+ */
+function messageTurns(messages) {
+    if (!Array.isArray(messages) || !messages.length) {
+        throw new Error('messages: at least one message is required');
+    }
+    const ROLES = { user: 'Human', assistant: 'Assistant' };
+    return messages.map((message, i) => {
+        if (!ROLES[message?.role]) {
+            throw new Error(`messages.${i}.role: Input should be 'user' or 'assistant'`);
+        }
+        return [ROLES[message.role], contentText(message.content, `messages.${i}`)];
+    });
+}
+
+/**
+ * The text of the last turn, which has to be from the user, for sending to an existing conversation.
+ *
+ * @param {[string, string][]} turns - The turns.
+ * @return {string}
+ */
+function lastHumanTurn(turns) {
+    if (turns.at(-1)?.[0] !== 'Human') {
+        throw new Error('The last message must be from the user');
+    }
+    return turns.at(-1)[1];
+}
+
+/**
+ * The Messages API stop_reason for a claude.ai stop_reason.
+ *
+ * @param {string | null} stopReason - The claude.ai stop_reason.
+ * @return {string}
+ */
+function stopReason(stopReason) {
+    return stopReason === 'max_tokens' ? 'max_tokens' : 'end_turn';
+}
+
+/**
+ * Writes a server-sent event.
+ *
+ * @param {express.Response} res - The response.
+ * @param {string} event - The event type.
+ * @param {Object} data - The data.
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Sends an Anthropic error object.
+ *
+ * @param {express.Response} res - The response.
+ * @param {number} status - The status.
+ * @param {Object} error - `{ type, message }`.
+ */
+function sendError(res, status, error) {
+    res.status(status).json({ type: 'error', error });
+}
+
+/**
+ * Sends an error as a response, or as an error event if the stream has started. Nothing is sent if the client went away.
+ *
+ * @param {express.Response} res - The response.
+ * @param {Error} err - The error.
+ * @param {AbortSignal} signal - Aborted when the client went away.
+ */
+function streamError(res, err, signal) {
+    if (err instanceof AbortError && signal.aborted) {
+        return;
+    }
+    const [status, error] = anthropicError(err);
+    if (res.headersSent) {
+        sendEvent(res, 'error', { type: 'error', error });
+        return res.end();
+    }
+    sendError(res, status, error);
+}
+
+/**
+ * Maps an error to an Anthropic status and error object.
+ *
+ * @param {Error} err - The error.
+ * @return {[number, Object]} - The status and `{ type, message }`.
+ */
+function anthropicError(err) {
+    const TYPES = {
+        authentication: 'authentication_error',
+        permission: 'permission_error',
+        not_found: 'not_found_error',
+        rate_limit: 'rate_limit_error',
+        context_length: 'invalid_request_error',
+        invalid_request: 'invalid_request_error',
+        server: 'api_error',
+    };
+    const [status, kind] = errorStatus(err);
+    return [status, { type: TYPES[kind], message: err.message }];
+}
@@ -0,0 +1,112 @@
+import { anthropicRoutes } from './anthropic.js';
+import { AccessError } from './auth.js';
+import { serveRoutes, events } from './testing.js';
+
+describe('Anthropic routes', () => {
+    const api = serveRoutes(anthropicRoutes);
+    const { post, sentPrompt } = api;
+
+    describe('/v1/complete', () => {
+        it('splits the prompt into turns', async () => {
+            await post('/v1/complete', { prompt: '\n\nHuman: Hi\n\nAssistant:' });
+            expect(sentPrompt()).toBe('Hi');
+            await post('/v1/complete', { prompt: 'Be brief.\n\nHuman: Hi\n\nAssistant: Hello\n\nHuman: How are you?\n\nAssistant:' });
+            expect(sentPrompt()).toBe('Be brief.\n\nHuman: Hi\n\nAssistant: Hello\n\nHuman: How are you?');
+        });
+        it('rejects prompts that don\'t end with a Human turn', async () => {
+            const res = await post('/v1/complete', { prompt: '\n\nHuman: Hi\n\nAssistant: Hello' });
+            expect(res.status).toBe(400);
+            expect(await res.json()).toEqual({ type: 'error', error: { type: 'invalid_request_error', message: 'The last message must be from the user' } });
+            expect((await post('/v1/complete', {})).status).toBe(400);
+        });
+        it('returns a completion', async () => {
+            const body = await (await post('/v1/complete', { model: 'claude-2', prompt: '\n\nHuman: Hi\n\nAssistant:' })).json();
+            expect(body).toMatchObject({ type: 'completion', completion: 'You said: Hi', stop_reason: 'stop_sequence', model: 'claude-2' });
+            expect(body.id).toMatch(/^compl_/);
+            expect(api.server.state.conversations.size).toBe(0);
+        });
+        it('streams completions', async () => {
+            api.server.reply({ chunks: [' Hello', ' there'] });
+            const res = await post('/v1/complete', { prompt: '\n\nHuman: Hi\n\nAssistant:', stream: true, store: true });
+            expect(res.headers.get('content-type')).toMatch(/^text\/event-stream/);
+            const [first, second, last] = events(await res.text());
+            expect([first.event, second.event, last.event]).toEqual(['completion', 'completion', 'conversation']);
+            expect([first.data.completion, second.data.completion]).toEqual([' Hello', ' there']);
+            expect([first.data.stop_reason, second.data.stop_reason]).toEqual([null, 'stop_sequence']);
+            expect(api.server.state.conversations.has(last.data.conversation_id)).toBe(true);
+        });
+    });
+
+    describe('/v1/messages', () => {
+        it('returns a message', async () => {
+            const res = await post('/v1/messages', { model: 'claude-2', system: 'Be brief.', messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }, { role: 'user', content: [{ type: 'text', text: 'Again' }] }] });
+            const body = await res.json();
+            expect(sentPrompt()).toBe('Be brief.\n\nHuman: Hi\n\nAssistant: Hello\n\nHuman: Again');
+            expect(body).toMatchObject({ type: 'message', role: 'assistant', model: 'claude-2', stop_reason: 'end_turn', stop_sequence: null });
+            expect(body.content).toEqual([{ type: 'text', text: `You said: ${sentPrompt()}` }]);
+            expect(body.usage).toEqual({ input_tokens: api.claude.countTokens(sentPrompt()), output_tokens: api.claude.countTokens(body.content[0].text) });
+            expect(body.id).toMatch(/^msg_/);
+        });
+        it('maps stop reasons', async () => {
+            const sendMessage = api.claude.sendMessage.bind(api.claude);
+            jest.spyOn(api.claude, 'sendMessage').mockImplementationOnce(async (...args) => ({ ...await sendMessage(...args), stop_reason: 'max_tokens' }));
+            const body = await (await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }] })).json();
+            expect(body.stop_reason).toBe('max_tokens');
+        });
+        it('streams the events in order', async () => {
+            api.server.reply({ chunks: [' Hello', ' there'] });
+            const list = events(await (await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }], stream: true })).text());
+            expect(list.map(i => i.event)).toEqual(['message_start', 'content_block_start', 'ping', 'content_block_delta', 'content_block_delta', 'content_block_stop', 'message_delta', 'message_stop']);
+            expect(list.every(i => i.event === i.data.type)).toBe(true);
+            expect(list[0].data.message).toMatchObject({ role: 'assistant', content: [], stop_reason: null, usage: { input_tokens: api.claude.countTokens('Hi'), output_tokens: 0 } });
+            expect(list.filter(i => i.event === 'content_block_delta').map(i => i.data.delta)).toEqual([{ type: 'text_delta', text: 'Hello' }, { type: 'text_delta', text: ' there' }]);
+            expect(list[6].data).toMatchObject({ delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: api.claude.countTokens(' Hello there') } });
+        });
+        it('reuses conversations', async () => {
+            const first = await (await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }], store: true })).json();
+            const list = events(await (await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }, { role: 'user', content: 'Again' }], conversation_id: first.conversation_id, stream: true })).text());
+            expect(sentPrompt()).toBe('Again');
+            expect(list.find(i => i.event === 'message_delta').data.conversation_id).toBe(first.conversation_id);
+            expect(api.server.state.conversations.get(first.conversation_id).chat_messages).toHaveLength(4);
+        });
+        it('returns a 404 for unknown models', async () => {
+            const res = await post('/v1/messages', { model: 'gpt-4', messages: [{ role: 'user', content: 'Hi' }] });
+            expect(res.status).toBe(404);
+            expect(await res.json()).toEqual({ type: 'error', error: { type: 'not_found_error', message: 'model: gpt-4' } });
+        });
+        it('rejects malformed JSON as an Anthropic error', async () => {
+            const res = await post('/v1/messages', '{"messages": [');
+            expect(res.status).toBe(400);
+            expect(await res.json()).toEqual({ type: 'error', error: { type: 'invalid_request_error', message: expect.any(String) } });
+        });
+        it('maps errors', async () => {
+            api.server.fail('/api/append_message', { status: 429, headers: { 'retry-after': '0' }, times: Infinity });
+            const res = await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }] });
+            expect(res.status).toBe(429);
+            expect((await res.json()).error.type).toBe('rate_limit_error');
+        });
+        it('sends errors after the stream started as an event', async () => {
+            api.server.reply({ completion: 'Hi there', error: { type: 'rate_limit_error', message: 'Too many messages' }, errorAfter: 1 });
+            const res = await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }], stream: true });
+            expect(res.status).toBe(200);
+            const list = events(await res.text());
+            expect(list.at(-1)).toEqual({ event: 'error', data: { type: 'error', error: expect.objectContaining({ type: 'rate_limit_error' }) } });
+            expect(list.map(i => i.event)).not.toContain('message_stop');
+        });
+    });
+
+    it('sends authentication errors as Anthropic errors', async () => {
+        api.auth = (req, res, next) => next(new AccessError('Invalid API key', 401));
+        let res = await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }] });
+        expect(res.status).toBe(401);
+        expect(await res.json()).toEqual({ type: 'error', error: { type: 'authentication_error', message: 'Invalid API key' } });
+
+        api.auth = (req, res, next) => {
+            req.tenant = { ...req.tenant, permissions: ['read'] };
+            next();
+        };
+        res = await post('/v1/complete', { prompt: '\n\nHuman: Hi\n\nAssistant:' });
+        expect(res.status).toBe(403);
+        expect((await res.json()).error.type).toBe('permission_error');
+    });
+});
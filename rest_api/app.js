@@ -0,0 +1,276 @@
+import express from 'express';
+import { ClaudeError } from '../index.js';
+import bodyParser from 'body-parser';
+import { openaiRoutes } from './openai.js';
+import { anthropicRoutes } from './anthropic.js';
+import { authenticate, allow, AccessError } from './auth.js';
+import { errorStatus } from './bridge.js';
+
+/**
+ * Creates the REST API app: the native routes, the OpenAI and Anthropic compatible routes and API key authentication.
+ * @param {Object} options Options
+ * @param {import('./auth.js').TenantConfig} options.tenants The API keys and the session keys they use, from `loadTenants`
+ * @param {String} options.version The version shown by `GET /` and `GET /version`
+ * @param {Object} [options.clientOptions] Options for the Claude clients besides `sessionKey`, e.g. `proxy`
+ * @returns {express.Express}
+ */
+export function createApp({ tenants, version, clientOptions }) {
+    const app = express();
+    app.set('json spaces', 2)
+
+    app.get('/', (req, res) => {
+        res.type('text/plain');
+        res.send(`
+        Claude REST API v${version}
+
+        Routes:
+        - GET /conversations - Get conversations
+        - GET /conversations/:id - Get conversation detail
+        - POST /conversations/:id - Send message
+        - POST /conversations/:id/files - Upload file
+        - GET /conversations/:id/files - Get files
+        - DELETE /conversations/:id - Delete conversation  
+        - PATCH /conversations/:id - Rename conversation
+        - POST /ask - Sync ask
+        - GET /v1/models - List models (OpenAI compatible)
+        - POST /v1/chat/completions - Chat completions (OpenAI compatible)
+        - POST /v1/messages - Messages (Anthropic API compatible)
+        - POST /v1/complete - Text completions (Anthropic API compatible)
+
+        Send an API key in Authorization: Bearer <key> or X-API-Key
+      `.split('\n').map(i => i.trim()).map(i => i.startsWith('-') ? '    ' + i : i).join('\n'));
+    });
+    app.get('/version', (req, res) => {
+        res.type('text/plain')
+        res.send(version);
+    });
+
+    // Everything else needs an API key, the OpenAI and Anthropic routes send its errors in their own format
+    const auth = authenticate(tenants, { clientOptions });
+    app.use(openaiRoutes(auth));
+    app.use(anthropicRoutes(auth));
+    app.use(auth);
+
+    // After the OpenAI and Anthropic routes, which parse their own bodies to send errors in their format
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: true }));
+
+    app.get('/organizations', allow('read'), async (req, res) => {
+        try {
+            const organizations = await req.claude.getOrganizations();
+            res.json(organizations);
+        } catch (err) {
+            sendError(res, err, 'Failed to get organizations');
+        }
+    })
+    // Get conversations
+    app.get('/conversations', allow('read'), async (req, res) => {
+        try {
+            const conversations = await req.claude.getConversations();
+            res.json(conversations);
+        } catch (err) {
+            sendError(res, err, 'Failed to get conversations');
+        }
+    });
+
+    // Get conversation details
+    app.get('/conversations/:id', allow('read'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.id);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+            res.json(await conversation.getInfo());
+        } catch (err) {
+            sendError(res, err, 'Failed to get conversation');
+        }
+    });
+
+    // Delete conversation
+    app.delete('/conversations/:id', allow('delete'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.id);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+
+            await conversation.delete();
+            res.sendStatus(204);
+        } catch (err) {
+            sendError(res, err, 'Failed to delete conversation');
+        }
+    });
+
+    app.delete('/conversations', allow('delete'), async (req, res) => {
+        try {
+            await req.claude.clearConversations();
+            res.sendStatus(204);
+        } catch (err) {
+            sendError(res, err, 'Failed to delete conversations');
+        }
+    })
+
+    // Rename conversation
+    app.patch('/conversations/:id', allow('write'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.id);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+
+            await conversation.rename(req.body.name);
+            res.sendStatus(204);
+
+        } catch (err) {
+            sendError(res, err, 'Failed to rename conversation');
+        }
+    });
+
+    // Send message
+    app.post('/conversations/:id', allow('write'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.id);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+
+            // Stream progress
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Connection', 'keep-alive');
+            res.flushHeaders();
+
+            const stream = conversation.sendMessage(req.body.message, {
+                progress: (data) => res.write(`data: ${JSON.stringify(data)}\n\n`)
+            });
+
+            stream.then(data => {
+                res.write(`data: ${JSON.stringify(data)}\n\n`);
+                res.end();
+            }).catch(err => {
+                res.write(`data: ${JSON.stringify({ error: 'Failed to send message', type: err.name, detail: err.message })}\n\n`);
+                res.end();
+            });
+
+        } catch (err) {
+            sendError(res, err, 'Failed to send message');
+        }
+    });
+
+    // Get files for conversation
+    app.get('/conversations/:id/files', allow('read'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.id);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+
+            const files = await conversation.getFiles();
+            res.json(files);
+
+        } catch (err) {
+            sendError(res, err, 'Failed to get files');
+        }
+    });
+
+    // Upload file
+    app.post('/conversations/:id/files', allow('write'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.id);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+
+            const file = req.files.file;
+            const result = await conversation.uploadFile(file);
+            res.json(result);
+
+        } catch (err) {
+            sendError(res, err, 'Failed to upload file');
+        }
+    });
+
+    // Message feedback
+    app.post('/conversations/:conversationId/messages/:messageId/feedback', allow('write'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.conversationId);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+
+            const message = conversation.getMessage(req.params.messageId);
+            if (!message) {
+                return res.status(404).send({ error: 'Message not found' });
+            }
+
+            await message.sendFeedback(req.body.type, req.body.reason);
+            res.sendStatus(204);
+
+        } catch (err) {
+            sendError(res, err, 'Failed to send feedback');
+        }
+    });
+
+    // Get messages
+    app.get('/conversations/:conversationId/messages', allow('read'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.conversationId);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+
+            const messages = await conversation.getMessages();
+            res.json(messages);
+
+        } catch (err) {
+            sendError(res, err, 'Failed to get messages');
+        }
+    });
+
+    // Retry conversation
+    app.post('/conversations/:conversationId/retry', allow('write'), async (req, res) => {
+        try {
+            const conversation = await req.claude.getConversation(req.params.conversationId);
+            if (!conversation) {
+                return res.status(404).send({ error: 'Conversation not found' });
+            }
+
+            await conversation.retry();
+            res.sendStatus(204);
+
+        } catch (err) {
+            sendError(res, err, 'Failed to retry conversation');
+        }
+    });
+
+    // Sync ask route
+    app.post('/ask', allow('write'), async (req, res) => {
+        try {
+            const conversation = await req.claude.startConversation(req.body.message);
+            const response = await conversation.sendMessage(req.body.message);
+            res.json(response);
+        } catch (err) {
+            sendError(res, err, 'Failed to get response');
+        }
+    });
+
+    // Errors from authenticate and allow, anything else (like an invalid body) gets Express's default handling
+    app.use((err, req, res, next) => {
+        if (!(err instanceof AccessError || err instanceof ClaudeError)) {
+            return next(err);
+        }
+        sendError(res, err, err instanceof AccessError ? err.message : 'Failed to initialize Claude');
+    });
+
+    return app;
+}
+
+function sendError(res, err, message) {
+    const [status] = errorStatus(err);
+    if (!(err instanceof ClaudeError || err instanceof AccessError)) {
+        console.log(err);
+    }
+    res.status(status).send({
+        error: message,
+        ...(err instanceof ClaudeError ? { type: err.name, detail: err.message } : {}),
+    });
+}
@@ -0,0 +1,60 @@
+import { MockClaudeServer } from '../mock-server.js';
+import { createApp } from './app.js';
+import { loadTenants } from './auth.js';
+import { listen, events } from './testing.js';
+
+describe('app', () => {
+    let server;
+    let api;
+    beforeAll(async () => {
+        server = await new MockClaudeServer().listen();
+        const tenants = loadTenants({ API_KEY: 'key', CLAUDE_KEY: 'sk-ant-sid01-mock' });
+        api = await listen(createApp({ tenants, version: '1.0.0', clientOptions: { proxy: server.url } }));
+    });
+    afterAll(() => {
+        api.close();
+        server.close();
+    });
+
+    const request = (method, route, headers = {}, body) => fetch(`${api.url}${route}`, { method, headers: { 'content-type': 'application/json', ...headers }, body: typeof body === 'string' ? body : JSON.stringify(body) });
+    const bearer = { authorization: 'Bearer key' };
+
+    it('serves the index without an API key', async () => {
+        const res = await fetch(api.url);
+        expect(res.status).toBe(200);
+        expect(await res.text()).toContain('Claude REST API v1.0.0');
+    });
+    it('sends authentication errors in the format of each API', async () => {
+        const wrong = { 'x-api-key': 'wrong' };
+        let res = await request('POST', '/v1/chat/completions', wrong, { messages: [{ role: 'user', content: 'Hi' }] });
+        expect(res.status).toBe(401);
+        expect(await res.json()).toEqual({ error: { message: 'Invalid API key', type: 'authentication_error', param: null, code: 'invalid_api_key' } });
+        res = await request('POST', '/v1/messages', wrong, { messages: [{ role: 'user', content: 'Hi' }] });
+        expect(res.status).toBe(401);
+        expect(await res.json()).toEqual({ type: 'error', error: { type: 'authentication_error', message: 'Invalid API key' } });
+        res = await request('GET', '/conversations', wrong);
+        expect(res.status).toBe(401);
+        expect(await res.json()).toEqual({ error: 'Invalid API key' });
+    });
+    it('sends malformed JSON errors in the format of each API', async () => {
+        let res = await request('POST', '/v1/chat/completions', bearer, '{"messages": [');
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toMatchObject({ type: 'invalid_request_error', param: null, code: null });
+        res = await request('POST', '/v1/messages', bearer, '{"messages": [');
+        expect(res.status).toBe(400);
+        expect(await res.json()).toEqual({ type: 'error', error: { type: 'invalid_request_error', message: expect.any(String) } });
+    });
+    it('answers chat completions and messages', async () => {
+        const completion = await (await request('POST', '/v1/chat/completions', bearer, { messages: [{ role: 'user', content: 'Hi' }] })).json();
+        expect(completion.choices[0].message.content).toBe('You said: Hi');
+        const res = await request('POST', '/v1/messages', { 'x-api-key': 'key' }, { messages: [{ role: 'user', content: 'Hello' }], stream: true });
+        const deltas = events(await res.text()).filter(i => i.event === 'content_block_delta');
+        expect(deltas.map(i => i.data.delta.text).join('')).toBe('You said: Hello');
+    });
+    it('parses bodies for the native routes', async () => {
+        const res = await request('POST', '/ask', bearer, { message: 'Hi' });
+        expect(res.status).toBe(200);
+        expect(server.requests.findLast(r => r.endpoint.endsWith('/append_message')).body.completion.prompt).toBe('Hi');
+        expect((await request('GET', '/conversations', bearer)).status).toBe(200);
+    });
+});
@@ -0,0 +1,185 @@
+import { Claude } from '../index.js';
+import { readFileSync } from 'fs';
+
+/**
+ * API key authentication for the REST API, with a Claude client per session key.
+ *
+ * The tenant config (a JSON file, see loadTenants) maps API keys to session keys and permissions. Clients send their API key in
+ * `Authorization: Bearer <key>` (what OpenAI SDKs send) or `X-API-Key` (what Anthropic SDKs send). API keys without a session
+ * key, and clients without an API key if `allowSessionKeyHeader` is set, send a session key in `X-Claude-Session-Key` instead.
+ */
+
+/**
+ * What an API key can do: "read" (GET routes), "write" (sending messages, uploading, renaming, etc) and "delete"
+ * @typedef {"read" | "write" | "delete"} Permission
+ */
+
+/**
+ * An API key's settings
+ * @typedef Tenant
+ * @property {String} name A name, for logs
+ * @property {String | null} sessionKey The session key to use, the client's X-Claude-Session-Key header if null
+ * @property {Permission[]} permissions What it can do
+ */
+
+/**
+ * The tenant config
+ * @typedef TenantConfig
+ * @property {Map<String, Tenant>} keys Tenants by API key
+ * @property {Boolean} allowSessionKeyHeader Let clients without an API key use their own session key
+ * @property {Permission[]} sessionKeyPermissions What those clients can do
+ * @property {Tenant | null} open The tenant for requests without an API key, only with ALLOW_ANONYMOUS=1
+ */
+
+/**
+ * Passed to `next` by `authenticate` and `allow` when a request has no valid API key, or its key doesn't have a permission,
+ * so each group of routes can send it in its own error format.
+ * @class
+ */
+export class AccessError extends Error {
+    /**
+     * Create an AccessError
+     * @param {String} message The error message
+     * @param {401 | 403} status 401 for a missing or invalid key, 403 for a missing permission
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'AccessError';
+        this.status = status;
+    }
+}
+
+/**
+ * Read the tenant config from the file in CLAUDE_TENANTS. Without one, API_KEY is the only API key and uses CLAUDE_KEY.
+ * Requests without an API key are only let through (using CLAUDE_KEY, like before API keys were added) with ALLOW_ANONYMOUS=1,
+ * a key that's sent still has to be valid.
+ *
+ * The file looks like `{ "keys": { "<API key>": { "name": "ci", "sessionKey": "sk-ant-sid01-...", "permissions": ["read"] } }, "allowSessionKeyHeader": false }`.
+ * `permissions` defaults to all of them, and so does `sessionKeyPermissions` for clients using their own session key.
+ * @param {Object} [env=process.env] The environment variables
+ * @returns {TenantConfig}
+ * @throws {Error} If the file can't be read or is invalid, or there are no API keys and ALLOW_ANONYMOUS isn't set
+ */
+export function loadTenants({ CLAUDE_TENANTS, CLAUDE_KEY, API_KEY, ALLOW_ANONYMOUS } = process.env) {
+    const PERMISSIONS = ['read', 'write', 'delete'];
+    const permissions = (value = PERMISSIONS, where) => {
+        if (!Array.isArray(value) || value.some(i => !PERMISSIONS.includes(i))) {
+            throw new Error(`${where} must be an array of ${PERMISSIONS.join(', ')}`);
+        }
+        return value;
+    };
+    const open = ALLOW_ANONYMOUS === '1' ? { name: 'anonymous', sessionKey: CLAUDE_KEY || null, permissions: PERMISSIONS } : null;
+    if (!CLAUDE_TENANTS) {
+        if (!API_KEY && !open) {
+            throw new Error('Set API_KEY or CLAUDE_TENANTS, or ALLOW_ANONYMOUS=1 to let anyone who can reach this server use CLAUDE_KEY');
+        }
+        return {
+            keys: new Map(API_KEY ? [[API_KEY, { name: 'default', sessionKey: CLAUDE_KEY || null, permissions: PERMISSIONS }]] : []),
+            allowSessionKeyHeader: false,
+            sessionKeyPermissions: PERMISSIONS,
+            open,
+        };
+    }
+    let json;
+    try {
+        json = JSON.parse(readFileSync(CLAUDE_TENANTS, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Couldn't read the tenant config ${CLAUDE_TENANTS}: ${e.message}`);
+    }
+    const keys = new Map();
+    for (const [key, tenant] of Object.entries(json.keys || {})) {
+        if (typeof tenant?.sessionKey !== 'undefined' && typeof tenant.sessionKey !== 'string') {
+            throw new Error(`keys.${tenant.name || '<key>'}.sessionKey must be a string`);
+        }
+        keys.set(key, {
+            name: tenant.name || `key ${keys.size + 1}`,
+            sessionKey: tenant.sessionKey || null,
+            permissions: permissions(tenant.permissions, `keys.${tenant.name || '<key>'}.permissions`),
+        });
+    }
+    return {
+        keys,
+        allowSessionKeyHeader: Boolean(json.allowSessionKeyHeader),
+        sessionKeyPermissions: permissions(json.sessionKeyPermissions, 'sessionKeyPermissions'),
+        open,
+    };
+}
+
+/**
+ * Middleware that finds the tenant for a request and sets `req.tenant` and `req.claude`, a Claude client for the tenant's
+ * session key. Clients are created (and initialized) the first time a session key is used, and dropped when it expires.
+ * Requests without a valid API key get an AccessError, and a client that can't be initialized its error, both passed to `next`.
+ * @param {TenantConfig} config The tenant config
+ * @param {Object} [options] Options
+ * @param {Number} [options.maxClients=100] How many clients to keep, the least recently used are dropped
+ * @param {Object} [options.clientOptions] Options for the clients besides `sessionKey`, e.g. `proxy`
+ * @returns {function(express.Request, express.Response, Function): Promise<void>}
+ */
+export function authenticate(config, { maxClients = 100, clientOptions = {} } = {}) {
+    const clients = new Map();
+    const client = (sessionKey) => {
+        let claude = clients.get(sessionKey);
+        // Moved to the end, so the least recently used is first
+        clients.delete(sessionKey);
+        if (!claude) {
+            claude = (async () => {
+                const instance = new Claude({ ...clientOptions, sessionKey });
+                instance.on('sessionExpired', () => {
+                    if (clients.get(sessionKey) === claude) {
+                        clients.delete(sessionKey);
+                    }
+                });
+                await instance.init();
+                return instance;
+            })();
+            claude.catch(() => {
+                if (clients.get(sessionKey) === claude) {
+                    clients.delete(sessionKey);
+                }
+            });
+        }
+        clients.set(sessionKey, claude);
+        if (clients.size > maxClients) {
+            clients.delete(clients.keys().next().value);
+        }
+        return claude;
+    };
+    return async (req, res, next) => {
+        const apiKey = req.get('x-api-key') || /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+        const headerKey = req.get('x-claude-session-key');
+        // A key that's sent has to match, even when requests without one are let through
+        let tenant = apiKey ? config.keys.get(apiKey) : config.open;
+        if (!tenant && !apiKey && headerKey && config.allowSessionKeyHeader) {
+            tenant = { name: 'session key', sessionKey: null, permissions: config.sessionKeyPermissions };
+        }
+        if (!tenant) {
+            return next(new AccessError(apiKey ? 'Invalid API key' : 'An API key is required, in Authorization: Bearer <key> or X-API-Key', 401));
+        }
+        const sessionKey = tenant.sessionKey || headerKey;
+        if (!sessionKey) {
+            return next(new AccessError('A session key is required in the X-Claude-Session-Key header', 401));
+        }
+        try {
+            req.claude = await client(sessionKey);
+        } catch (err) {
+            return next(err);
+        }
+        req.tenant = tenant;
+        next();
+    };
+}
+
+/**
+ * Middleware that only lets tenants with a permission through (after `authenticate`), others get a 403 AccessError
+ * @param {Permission} permission The permission
+ * @returns {function(express.Request, express.Response, Function): void}
+ */
+export function allow(permission) {
+    return (req, res, next) => {
+        if (!req.tenant?.permissions.includes(permission)) {
+            return next(new AccessError(`This API key doesn't have the ${permission} permission`, 403));
+        }
+        next();
+    };
+}
+
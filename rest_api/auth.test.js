@@ -0,0 +1,148 @@
+import { AuthenticationError } from '../index.js';
+import { MockClaudeServer } from '../mock-server.js';
+import { loadTenants, authenticate, allow, AccessError } from './auth.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe('auth', () => {
+    let server;
+    let dir;
+    beforeAll(async () => {
+        server = await new MockClaudeServer({ sessionKeys: ['sk-ant-sid01-one', 'sk-ant-sid01-two', 'sk-ant-sid01-three'] }).listen();
+        dir = mkdtempSync(join(tmpdir(), 'claude-auth-'));
+    });
+    afterAll(() => {
+        server.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+    beforeEach(() => server.reset());
+
+    // Runs a middleware with a fake request, resolving with what it passed to next and the request
+    const run = (middleware, headers = {}, req = {}) => new Promise(resolve => {
+        Object.assign(req, { get: (name) => headers[name.toLowerCase()] });
+        middleware(req, {}, (err) => resolve({ err, req }));
+    });
+    const tenantsFile = (json) => {
+        const file = join(dir, `${Math.random()}.json`);
+        writeFileSync(file, JSON.stringify(json));
+        return file;
+    };
+    const middleware = (config, options) => authenticate(config, { ...options, clientOptions: { proxy: server.url } });
+    const initRequests = () => server.requests.filter(r => r.endpoint === '/api/organizations').length;
+
+    describe('loadTenants', () => {
+        it('needs API keys unless anonymous access is allowed', () => {
+            expect(() => loadTenants({ CLAUDE_KEY: 'sk-ant-sid01-one' })).toThrow('ALLOW_ANONYMOUS=1');
+            expect(loadTenants({ CLAUDE_KEY: 'sk-ant-sid01-one', ALLOW_ANONYMOUS: '1' }).open).toMatchObject({ sessionKey: 'sk-ant-sid01-one' });
+            const { keys, open } = loadTenants({ CLAUDE_KEY: 'sk-ant-sid01-one', API_KEY: 'secret' });
+            expect(keys.get('secret')).toEqual({ name: 'default', sessionKey: 'sk-ant-sid01-one', permissions: ['read', 'write', 'delete'] });
+            expect(open).toBe(null);
+        });
+        it('reads the tenant config', () => {
+            const CLAUDE_TENANTS = tenantsFile({ keys: { 'key-1': { name: 'ci', sessionKey: 'sk-ant-sid01-one', permissions: ['read'] }, 'key-2': {} }, allowSessionKeyHeader: true, sessionKeyPermissions: ['read', 'write'] });
+            const config = loadTenants({ CLAUDE_TENANTS });
+            expect(config.keys.get('key-1')).toEqual({ name: 'ci', sessionKey: 'sk-ant-sid01-one', permissions: ['read'] });
+            expect(config.keys.get('key-2')).toEqual({ name: 'key 2', sessionKey: null, permissions: ['read', 'write', 'delete'] });
+            expect(config).toMatchObject({ allowSessionKeyHeader: true, sessionKeyPermissions: ['read', 'write'], open: null });
+        });
+        it('throws on invalid configs', () => {
+            expect(() => loadTenants({ CLAUDE_TENANTS: join(dir, 'missing.json') })).toThrow("Couldn't read the tenant config");
+            expect(() => loadTenants({ CLAUDE_TENANTS: tenantsFile({ keys: { k: { name: 'ci', permissions: ['admin'] } } }) })).toThrow('keys.ci.permissions must be an array');
+            expect(() => loadTenants({ CLAUDE_TENANTS: tenantsFile({ keys: { k: { sessionKey: 1 } } }) })).toThrow('sessionKey must be a string');
+        });
+    });
+
+    describe('authenticate', () => {
+        const config = (options = {}) => ({
+            keys: new Map([['key-1', { name: 'one', sessionKey: 'sk-ant-sid01-one', permissions: ['read'] }], ['key-2', { name: 'two', sessionKey: null, permissions: ['read', 'write'] }]]),
+            allowSessionKeyHeader: false,
+            sessionKeyPermissions: ['read'],
+            open: null,
+            ...options,
+        });
+        it('takes the API key from Authorization or X-API-Key', async () => {
+            const auth = middleware(config());
+            const bearer = await run(auth, { authorization: 'Bearer key-1' });
+            expect(bearer.err).toBeUndefined();
+            expect(bearer.req.tenant.name).toBe('one');
+            expect(bearer.req.claude.sessionKey).toBe('sk-ant-sid01-one');
+            const header = await run(auth, { 'x-api-key': 'key-1' });
+            expect(header.req.tenant.name).toBe('one');
+            // The same client
+            expect(header.req.claude).toBe(bearer.req.claude);
+        });
+        it('rejects missing and invalid API keys', async () => {
+            const auth = middleware(config());
+            let { err } = await run(auth);
+            expect(err).toBeInstanceOf(AccessError);
+            expect(err.status).toBe(401);
+            ({ err } = await run(auth, { authorization: 'Bearer wrong' }));
+            expect(err).toMatchObject({ status: 401, message: 'Invalid API key' });
+            ({ err } = await run(auth, { authorization: 'Basic key-1' }));
+            expect(err.status).toBe(401);
+        });
+        it('rejects invalid API keys when anonymous access is allowed', async () => {
+            const auth = middleware(config({ open: { name: 'anonymous', sessionKey: 'sk-ant-sid01-three', permissions: ['read'] } }));
+            expect((await run(auth)).req.tenant.name).toBe('anonymous');
+            const { err, req } = await run(auth, { 'x-api-key': 'wrong' });
+            expect(err).toMatchObject({ status: 401, message: 'Invalid API key' });
+            expect(req.claude).toBeUndefined();
+        });
+        it('uses the session key header for API keys without one', async () => {
+            const auth = middleware(config());
+            const { err } = await run(auth, { 'x-api-key': 'key-2' });
+            expect(err).toMatchObject({ status: 401, message: 'A session key is required in the X-Claude-Session-Key header' });
+            const { req } = await run(auth, { 'x-api-key': 'key-2', 'x-claude-session-key': 'sk-ant-sid01-two' });
+            expect(req.claude.sessionKey).toBe('sk-ant-sid01-two');
+        });
+        it('only takes session keys without an API key if allowed', async () => {
+            const headers = { 'x-claude-session-key': 'sk-ant-sid01-two' };
+            expect((await run(middleware(config()), headers)).err.status).toBe(401);
+            const { err, req } = await run(middleware(config({ allowSessionKeyHeader: true })), headers);
+            expect(err).toBeUndefined();
+            expect(req.tenant).toEqual({ name: 'session key', sessionKey: null, permissions: ['read'] });
+            expect(req.claude.sessionKey).toBe('sk-ant-sid01-two');
+            // Even then, a key that's sent has to be valid
+            expect((await run(middleware(config({ allowSessionKeyHeader: true })), { ...headers, 'x-api-key': 'wrong' })).err.status).toBe(401);
+        });
+        it('drops the least recently used clients', async () => {
+            const auth = middleware(config({ allowSessionKeyHeader: true }), { maxClients: 2 });
+            const client = async (sessionKey) => (await run(auth, { 'x-claude-session-key': sessionKey })).req.claude;
+            const one = await client('sk-ant-sid01-one');
+            const two = await client('sk-ant-sid01-two');
+            expect(await client('sk-ant-sid01-one')).toBe(one);
+            await client('sk-ant-sid01-three');
+            expect(initRequests()).toBe(3);
+            expect(await client('sk-ant-sid01-one')).toBe(one);
+            expect(await client('sk-ant-sid01-two')).not.toBe(two);
+            expect(initRequests()).toBe(4);
+        });
+        it('drops clients whose session expired', async () => {
+            const auth = middleware(config());
+            const { req } = await run(auth, { 'x-api-key': 'key-1' });
+            req.claude.emit('sessionExpired', new AuthenticationError('Expired'));
+            const again = await run(auth, { 'x-api-key': 'key-1' });
+            expect(again.req.claude).not.toBe(req.claude);
+        });
+        it('passes on errors initializing clients, and tries again next time', async () => {
+            const auth = middleware(config({ allowSessionKeyHeader: true }));
+            const headers = { 'x-claude-session-key': 'sk-ant-sid01-unknown' };
+            const { err, req } = await run(auth, headers);
+            expect(err).toBeInstanceOf(AuthenticationError);
+            expect(req.claude).toBeUndefined();
+            await run(auth, headers);
+            expect(initRequests()).toBe(2);
+        });
+    });
+
+    describe('allow', () => {
+        it('checks the permission', async () => {
+            expect((await run(allow('read'), {}, { tenant: { permissions: ['read'] } })).err).toBeUndefined();
+            const { err } = await run(allow('delete'), {}, { tenant: { permissions: ['read', 'write'] } });
+            expect(err).toBeInstanceOf(AccessError);
+            expect(err).toMatchObject({ status: 403, message: "This API key doesn't have the delete permission" });
+            expect((await run(allow('read'))).err.status).toBe(403);
+        });
+    });
+});
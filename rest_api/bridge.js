@@ -0,0 +1,146 @@
+import express from 'express';
+import { AuthenticationError, NotFoundError, RateLimitError, ServerError, NetworkError, ParseError, ContextLengthError, FileError } from '../index.js';
+import { AccessError } from './auth.js';
+
+/**
+ * Helpers shared by the routes that make the REST API compatible with other APIs (OpenAI and Anthropic).
+ */
+
+/**
+ * Finds the claude.ai model for a model name, allowing versioned names like the official API's ("claude-2.1" is claude-2).
+ *
+ * @param {Claude} claude - The client.
+ * @param {string} [model] - The requested model, the default one if not given.
+ * @return {string | null} - The model, or null if there's no such model.
+ */
+export function resolveModel(claude, model) {
+    if (!model) {
+        return claude.defaultModel();
+    }
+    if (claude.models().includes(model)) {
+        return model;
+    }
+    // The longest match, so claude-instant-1.2 isn't taken for claude-instant-100k or the other way around
+    const matches = claude.models().filter(name => model.startsWith(`${name}-`) || model.startsWith(`${name}.`));
+    return matches.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Builds the prompt for a new conversation from system text and turns.
+ *
+ * @param {string[]} system - System prompts, put first.
+ * @param {[string, string][]} turns - `["Human" | "Assistant", text]` pairs, ending with a Human turn.
+ * @return {string} - The prompt, just the message if there's a single Human turn.
+ */
+export function transcript(system, turns) {
+    if (turns.at(-1)?.[0] !== 'Human') {
+        throw new Error('The last message must be from the user');
+    }
+    if (turns.length === 1) {
+        return [...system, turns[0][1]].filter(Boolean).join('\n\n');
+    }
+    return [...system.filter(Boolean), ...turns.map(([role, text]) => `${role}: ${text}`)].join('\n\n');
+}
+
+/**
+ * The text of a message's content, a string or an array of parts.
+ *
+ * @param {string | Object[]} content - The content.
+ * @param {string} name - What it's the content of, for errors, e.g. "messages[0]".
+ * @return {string}
+ */
+export function contentText(content, name) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (Array.isArray(content)) {
+        return content.map(part => {
+            if (part?.type !== 'text') {
+                throw new Error(`${name} has a ${part?.type} part, only text is supported`);
+            }
+            return part.text;
+        }).join('\n');
+    }
+    if (content === null || content === undefined) {
+        return '';
+    }
+    throw new Error(`${name}.content must be a string or an array of parts`);
+}
+
+/**
+ * Sends a prompt to a temporary conversation (deleted afterwards), a new conversation that's kept, or an existing conversation.
+ *
+ * @param {Claude} claude - The client.
+ * @param {string} prompt - The message.
+ * @param {Object} options - Options.
+ * @param {string} options.model - The model.
+ * @param {boolean} [options.store=false] - Keep the new conversation (started with startConversation, so it gets a title).
+ * @param {string} [options.conversationId] - Send to this conversation instead.
+ * @param {AbortSignal} [options.signal] - Stops the response.
+ * @param {function(MessageStreamChunk): void} [options.progress] - Called with each chunk.
+ * @return {Promise<{response: MessageStreamChunk, conversationId: string | null}>} - The response, and the ID of the conversation if it still exists.
+ */
+export async function complete(claude, prompt, { model, store = false, conversationId, signal, progress }) {
+    const params = { model, signal, progress };
+    if (conversationId) {
+        const response = await (await claude.getConversation(conversationId)).sendMessage(prompt, params);
+        return { response, conversationId };
+    }
+    if (store) {
+        let response;
+        const conversation = await claude.startConversation(prompt, { ...params, done: (data) => { response = data; } });
+        return { response, conversationId: conversation.conversationId };
+    }
+    return { response: await claude.sendMessage(prompt, { ...params, temporary: true }), conversationId: null };
+}
+
+/**
+ * Sets the headers for a server-sent events response.
+ *
+ * @param {express.Response} res - The response.
+ */
+export function startEvents(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+}
+
+/**
+ * Middleware that parses JSON bodies, up to 10mb as chat completions carry whole conversations. It's used on each route instead of
+ * the whole app, so an invalid body is passed to the route's router and sent in its API's error format.
+ *
+ * @return {function(express.Request, express.Response, Function): void}
+ */
+export function jsonBody() {
+    return express.json({ limit: '10mb' });
+}
+
+/**
+ * The status for an error, and its kind for the routes to turn into their API's error type. Anything that isn't a library error,
+ * an AccessError or a client error from parsing the body is a 500.
+ *
+ * @param {Error} err - The error.
+ * @return {[number, string]} - The status and kind: "authentication", "permission", "not_found", "rate_limit", "context_length", "invalid_request" or "server".
+ */
+export function errorStatus(err) {
+    if (err instanceof AccessError) {
+        return [err.status, err.status === 401 ? 'authentication' : 'permission'];
+    }
+    // From jsonBody, e.g. invalid JSON or a body that's too large (`expose` marks errors meant for the client)
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return [err.status, 'invalid_request'];
+    }
+    const ERRORS = [
+        [AuthenticationError, 401, 'authentication'],
+        [NotFoundError, 404, 'not_found'],
+        [RateLimitError, 429, 'rate_limit'],
+        [ContextLengthError, 400, 'context_length'],
+        [FileError, 400, 'invalid_request'],
+        [ServerError, 502, 'server'],
+        [NetworkError, 502, 'server'],
+        [ParseError, 502, 'server'],
+    ];
+    const [, status, kind] = ERRORS.find(([ErrorClass]) => err instanceof ErrorClass) || [null, 500, 'server'];
+    return [status, kind];
+}
@@ -0,0 +1,194 @@
+import express from 'express';
+import { AbortError } from '../index.js';
+import { randomUUID } from 'crypto';
+import { resolveModel, transcript, complete, contentText, startEvents, errorStatus, jsonBody } from './bridge.js';
+import { allow } from './auth.js';
+
+/**
+ * OpenAI compatible routes: GET /v1/models and POST /v1/chat/completions, so OpenAI SDKs and tools can use Claude.
+ *
+ * The messages are sent to a new conversation as one prompt, with system messages first and the other messages as
+ * Human/Assistant turns. It's deleted afterwards unless `store` is true. Pass `conversation_id` (an extra body field) to send the
+ * last user message to an existing conversation instead. Stored and reused conversations' IDs are returned in `conversation_id`
+ * (in the last chunk when streaming).
+ * @param {function(express.Request, express.Response, Function): Promise<void>} authenticate The middleware that sets `req.claude` and
+ * `req.tenant`, from `authenticate` in auth.js. Its errors are sent in OpenAI's format, like the routes' own.
+ * @returns {express.Router}
+ */
+export function openaiRoutes(authenticate) {
+    const router = express.Router();
+
+    router.get('/v1/models', authenticate, allow('read'), (req, res) => {
+        const { claude } = req;
+        res.json({
+            object: 'list',
+            data: claude.models().map(id => ({ id, object: 'model', created: 0, owned_by: 'anthropic' })),
+        });
+    });
+
+    router.post('/v1/chat/completions', authenticate, allow('write'), jsonBody(), async (req, res) => {
+        const { claude } = req;
+        const { model: requested, messages, stream = false, store = false, conversation_id, stream_options } = req.body || {};
+        const model = requested || claude.defaultModel();
+        let prompt;
+        try {
+            if (!resolveModel(claude, model)) {
+                return sendError(res, 404, { message: `The model '${model}' does not exist, use one of ${claude.models().join(', ')}`, type: 'invalid_request_error', param: 'model', code: 'model_not_found' });
+            }
+            prompt = conversation_id ? lastUserMessage(messages) : toPrompt(messages);
+        } catch (err) {
+            return sendError(res, 400, { message: err.message, type: 'invalid_request_error', param: 'messages', code: null });
+        }
+        // Stop generating when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+        const id = `chatcmpl-${randomUUID()}`;
+        const created = Math.floor(Date.now() / 1000);
+        const usage = (completion) => {
+            const prompt_tokens = claude.countTokens(prompt);
+            const completion_tokens = claude.countTokens(completion);
+            return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+        };
+        let started = false;
+        let last = null;
+        const chunk = (delta, finish_reason = null, extra = {}) => ({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta, logprobs: null, finish_reason }], ...extra });
+        const progress = (data) => {
+            if (!stream) {
+                return;
+            }
+            if (!started) {
+                started = true;
+                startEvents(res);
+                res.write(`data: ${JSON.stringify(chunk({ role: 'assistant', content: '' }))}\n\n`);
+            }
+            // claude.ai starts completions with a space
+            const delta = last ? data.delta : data.delta.trimStart();
+            if (delta) {
+                res.write(`data: ${JSON.stringify(chunk({ content: delta }))}\n\n`);
+            }
+            last = data;
+        };
+        try {
+            const { response, conversationId } = await complete(claude, prompt, { model: resolveModel(claude, model), store, conversationId: conversation_id, signal: controller.signal, progress });
+            // Only set for conversations that still exist afterwards
+            const extra = conversationId ? { conversation_id: conversationId } : {};
+            if (!stream) {
+                return res.json({
+                    id,
+                    object: 'chat.completion',
+                    created,
+                    model,
+                    choices: [{ index: 0, message: { role: 'assistant', content: response.completion.trimStart() }, logprobs: null, finish_reason: finishReason(response.stop_reason) }],
+                    usage: usage(response.completion),
+                    ...extra,
+                });
+            }
+            if (!started) {
+                progress({ delta: '' });
+            }
+            res.write(`data: ${JSON.stringify(chunk({}, finishReason(response.stop_reason), extra))}\n\n`);
+            if (stream_options?.include_usage) {
+                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [], usage: usage(response.completion) })}\n\n`);
+            }
+            res.write('data: [DONE]\n\n');
+            res.end();
+        } catch (err) {
+            if (err instanceof AbortError && controller.signal.aborted) {
+                return;
+            }
+            const [status, error] = openaiError(err);
+            if (res.headersSent) {
+                res.write(`data: ${JSON.stringify({ error })}\n\n`);
+                return res.end();
+            }
+            sendError(res, status, error);
+        }
+    });
+
+    // Errors from authenticate, allow and jsonBody
+    router.use((err, req, res, next) => sendError(res, ...openaiError(err)));
+
+    return router;
+}
+
+/**
+ * Turns OpenAI chat messages into a prompt for a new conversation.
+ *
+ * @param {Object[]} messages - The messages, `{ role, content }`.
+ * @return {string} - The prompt: the system messages, then the other messages as Human/Assistant turns (just the message if there's only one user message).
+ */
+function toPrompt(messages) {
+    if (!Array.isArray(messages) || !messages.length) {
+        throw new Error('messages must be a non-empty array');
+    }
+    const ROLES = { user: 'Human', assistant: 'Assistant', tool: 'Human', function: 'Human' };
+    const system = [];
+    const turns = [];
+    for (const [i, message] of messages.entries()) {
+        const text = contentText(message?.content, `messages[${i}]`);
+        if (['system', 'developer'].includes(message.role)) {
+            system.push(text);
+        } else if (ROLES[message.role]) {
+            const prefix = ['tool', 'function'].includes(message.role) ? `Result of ${message.name || message.tool_call_id || 'a tool call'}:\n` : '';
+            turns.push([ROLES[message.role], prefix + text]);
+        } else {
+            throw new Error(`messages[${i}].role must be one of system, developer, user, assistant or tool`);
+        }
+    }
+    return transcript(system, turns);
+}
+
+/**
+ * The text of the last message, which has to be from the user, for sending to an existing conversation.
+ *
+ * @param {Object[]} messages - The messages.
+ * @return {string}
+ */
+function lastUserMessage(messages) {
+    if (!Array.isArray(messages) || messages.at(-1)?.role !== 'user') {
+        throw new Error('The last message must be from the user');
+    }
+    return contentText(messages.at(-1).content, `messages[${messages.length - 1}]`);
+}
+
+/**
+ * The OpenAI finish_reason for a claude.ai stop_reason.
+ *
+ * @param {string | null} stopReason - The stop_reason.
+ * @return {string}
+ */
+function finishReason(stopReason) {
+    return stopReason === 'max_tokens' ? 'length' : 'stop';
+}
+
+/**
+ * Sends an OpenAI error object.
+ *
+ * @param {express.Response} res - The response.
+ * @param {number} status - The status.
+ * @param {Object} error - `{ message, type, param, code }`.
+ */
+function sendError(res, status, error) {
+    res.status(status).json({ error });
+}
+
+/**
+ * Maps an error to an OpenAI status and error object.
+ *
+ * @param {Error} err - The error.
+ * @return {[number, Object]} - The status and `{ message, type, param, code }`.
+ */
+function openaiError(err) {
+    const TYPES = {
+        authentication: ['authentication_error', 'invalid_api_key'],
+        permission: ['permission_error', null],
+        not_found: ['invalid_request_error', 'not_found'],
+        rate_limit: ['rate_limit_error', 'rate_limit_exceeded'],
+        context_length: ['invalid_request_error', 'context_length_exceeded'],
+        invalid_request: ['invalid_request_error', null],
+        server: ['server_error', null],
+    };
+    const [status, kind] = errorStatus(err);
+    const [type, code] = TYPES[kind];
+    return [status, { message: err.message, type, param: null, code }];
+}
@@ -0,0 +1,134 @@
+import { openaiRoutes } from './openai.js';
+import { AccessError } from './auth.js';
+import { serveRoutes, events } from './testing.js';
+
+describe('OpenAI routes', () => {
+    const api = serveRoutes(openaiRoutes);
+    const post = (body) => api.post('/v1/chat/completions', body);
+    const streamed = async (res) => events(await res.text()).map(i => i.data);
+
+    it('lists the models', async () => {
+        const res = await fetch(`${api.url}/v1/models`);
+        expect(res.status).toBe(200);
+        const { object, data } = await res.json();
+        expect(object).toBe('list');
+        expect(data.map(m => m.id)).toEqual(api.claude.models());
+        expect(data[0]).toEqual({ id: api.claude.models()[0], object: 'model', created: 0, owned_by: 'anthropic' });
+    });
+    it('sends a single user message as it is', async () => {
+        const res = await post({ messages: [{ role: 'user', content: 'Hello' }] });
+        expect(res.status).toBe(200);
+        expect(api.sentPrompt()).toBe('Hello');
+    });
+    it('turns the messages into a prompt', async () => {
+        await post({
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'developer', content: [{ type: 'text', text: 'Use metric units.' }] },
+                { role: 'user', content: 'How far is it?' },
+                { role: 'assistant', content: 'Let me check.' },
+                { role: 'tool', tool_call_id: 'call_1', content: '42 km' },
+                { role: 'user', content: 'So?' },
+            ],
+        });
+        expect(api.sentPrompt()).toBe('Be brief.\n\nUse metric units.\n\nHuman: How far is it?\n\nAssistant: Let me check.\n\nHuman: Result of call_1:\n42 km\n\nHuman: So?');
+    });
+    it('rejects invalid messages', async () => {
+        let res = await post({ messages: [{ role: 'robot', content: 'Beep' }] });
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toMatchObject({ type: 'invalid_request_error', param: 'messages' });
+        res = await post({ messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] });
+        expect(res.status).toBe(400);
+        expect((await res.json()).error.message).toBe('The last message must be from the user');
+        expect(api.server.requests.some(r => r.endpoint.endsWith('/append_message'))).toBe(false);
+    });
+    it('rejects malformed JSON as an OpenAI error', async () => {
+        const res = await post('{"messages": [');
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toMatchObject({ type: 'invalid_request_error', param: null, code: null });
+    });
+    it('returns a chat completion', async () => {
+        const res = await post({ model: 'claude-2', messages: [{ role: 'user', content: 'Hello there' }] });
+        const body = await res.json();
+        expect(body).toMatchObject({
+            object: 'chat.completion',
+            model: 'claude-2',
+            choices: [{ index: 0, message: { role: 'assistant', content: 'You said: Hello there' }, logprobs: null, finish_reason: 'stop' }],
+        });
+        expect(body.id).toMatch(/^chatcmpl-/);
+        const prompt_tokens = api.claude.countTokens('Hello there');
+        const completion_tokens = api.claude.countTokens('You said: Hello there');
+        expect(body.usage).toEqual({ prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens });
+        expect(body.conversation_id).toBeUndefined();
+        // Temporary conversations are deleted afterwards
+        expect(api.server.state.conversations.size).toBe(0);
+    });
+    it('maps max_tokens to length', async () => {
+        const sendMessage = api.claude.sendMessage.bind(api.claude);
+        jest.spyOn(api.claude, 'sendMessage').mockImplementationOnce(async (...args) => ({ ...await sendMessage(...args), stop_reason: 'max_tokens' }));
+        const { choices } = await (await post({ messages: [{ role: 'user', content: 'Hi' }] })).json();
+        expect(choices[0].finish_reason).toBe('length');
+    });
+    it('streams chunks', async () => {
+        api.server.reply({ chunks: [' Hello', ' there'] });
+        const res = await post({ messages: [{ role: 'user', content: 'Hi' }], stream: true, stream_options: { include_usage: true } });
+        expect(res.headers.get('content-type')).toMatch(/^text\/event-stream/);
+        const chunks = await streamed(res);
+        expect(chunks.at(-1)).toBe('[DONE]');
+        const [first, ...rest] = chunks.slice(0, -1);
+        expect(first).toMatchObject({ object: 'chat.completion.chunk', choices: [{ delta: { role: 'assistant', content: '' }, finish_reason: null }] });
+        expect(rest.map(i => i.choices[0]?.delta)).toEqual([{ content: 'Hello' }, { content: ' there' }, {}, undefined]);
+        expect(rest[2].choices[0].finish_reason).toBe('stop');
+        expect(rest[3]).toMatchObject({ choices: [], usage: { prompt_tokens: api.claude.countTokens('Hi'), completion_tokens: api.claude.countTokens(' Hello there') } });
+        expect(new Set(chunks.slice(0, -1).map(i => i.id)).size).toBe(1);
+    });
+    it('leaves out the usage chunk unless asked for', async () => {
+        const chunks = await streamed(await post({ messages: [{ role: 'user', content: 'Hi' }], stream: true }));
+        expect(chunks.at(-2).choices[0].finish_reason).toBe('stop');
+        expect(chunks.some(i => i.usage)).toBe(false);
+    });
+    it('keeps and reuses conversations', async () => {
+        const first = await (await post({ messages: [{ role: 'user', content: 'Hi' }], store: true })).json();
+        expect(api.server.state.conversations.has(first.conversation_id)).toBe(true);
+        const chunks = await streamed(await post({ messages: [{ role: 'user', content: 'Hi' }, { role: 'user', content: 'Again' }], conversation_id: first.conversation_id, stream: true }));
+        expect(chunks.at(-2).conversation_id).toBe(first.conversation_id);
+        expect(api.sentPrompt()).toBe('Again');
+        expect(api.server.state.conversations.get(first.conversation_id).chat_messages).toHaveLength(4);
+    });
+    it('returns a 404 for unknown models', async () => {
+        const res = await post({ model: 'gpt-4', messages: [{ role: 'user', content: 'Hi' }] });
+        expect(res.status).toBe(404);
+        expect((await res.json()).error).toMatchObject({ type: 'invalid_request_error', param: 'model', code: 'model_not_found' });
+        // Versioned names are fine
+        expect((await post({ model: 'claude-2.1', messages: [{ role: 'user', content: 'Hi' }] })).status).toBe(200);
+    });
+    it('maps errors', async () => {
+        api.server.fail('/api/append_message', { status: 429, headers: { 'retry-after': '0' }, times: Infinity });
+        const res = await post({ messages: [{ role: 'user', content: 'Hi' }] });
+        expect(res.status).toBe(429);
+        expect((await res.json()).error).toMatchObject({ type: 'rate_limit_error', code: 'rate_limit_exceeded', param: null });
+    });
+    it('sends errors after the stream started as a chunk', async () => {
+        api.server.reply({ completion: 'Hi there', error: { type: 'rate_limit_error', message: 'Too many messages' }, errorAfter: 1 });
+        const res = await post({ messages: [{ role: 'user', content: 'Hi' }], stream: true });
+        expect(res.status).toBe(200);
+        const chunks = await streamed(res);
+        expect(chunks.at(-1).error).toMatchObject({ type: 'rate_limit_error', code: 'rate_limit_exceeded' });
+        expect(chunks).not.toContain('[DONE]');
+    });
+    it('sends authentication errors as OpenAI errors', async () => {
+        api.auth = (req, res, next) => next(new AccessError('Invalid API key', 401));
+        let res = await post({ messages: [{ role: 'user', content: 'Hi' }] });
+        expect(res.status).toBe(401);
+        expect(await res.json()).toEqual({ error: { message: 'Invalid API key', type: 'authentication_error', param: null, code: 'invalid_api_key' } });
+
+        api.auth = (req, res, next) => {
+            req.tenant = { ...req.tenant, permissions: ['read'] };
+            next();
+        };
+        res = await post({ messages: [{ role: 'user', content: 'Hi' }] });
+        expect(res.status).toBe(403);
+        expect((await res.json()).error).toMatchObject({ type: 'permission_error' });
+        expect((await fetch(`${api.url}/v1/models`)).status).toBe(200);
+    });
+});
@@ -0,0 +1,76 @@
+import express from 'express';
+import Claude from '../index.js';
+import { MockClaudeServer } from '../mock-server.js';
+
+/**
+ * Starts an app on a random local port
+ * @param {express.Express} app The app
+ * @returns {Promise<{url: String, close: function(): void}>}
+ */
+export async function listen(app) {
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+            server.closeAllConnections();
+            server.close();
+        },
+    };
+}
+
+/**
+ * Serves routes like `openaiRoutes` for the tests in the current `describe` block, with a client of a mock server for every test.
+ * `authenticate` is replaced by a middleware that gives every permission and then calls `harness.auth`, which the tests can change to check errors.
+ * @param {function(Function): express.Router} routes Creates the router from an authentication middleware
+ */
+export function serveRoutes(routes) {
+    let api;
+    const harness = {
+        /** @type {MockClaudeServer} */
+        server: null,
+        /** @type {Claude} */
+        claude: null,
+        url: null,
+        auth: (req, res, next) => next(),
+        // Strings are sent as they are, to test malformed bodies
+        post: (route, body) => fetch(`${harness.url}${route}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: typeof body === 'string' ? body : JSON.stringify(body) }),
+        // The prompt of the last message sent to the mock server
+        sentPrompt: () => harness.server.requests.findLast(r => r.endpoint.endsWith('/append_message')).body.completion.prompt,
+    };
+    beforeAll(async () => {
+        harness.server = await new MockClaudeServer().listen();
+        const app = express();
+        app.use(routes((req, res, next) => {
+            req.claude = harness.claude;
+            req.tenant = { name: 'test', sessionKey: null, permissions: ['read', 'write', 'delete'] };
+            harness.auth(req, res, next);
+        }));
+        api = await listen(app);
+        harness.url = api.url;
+    });
+    afterAll(() => {
+        api.close();
+        harness.server.close();
+    });
+    beforeEach(async () => {
+        harness.server.reset();
+        harness.claude = new Claude({ sessionKey: 'sk-ant-sid01-mock', proxy: harness.server.url });
+        await harness.claude.init();
+        harness.auth = (req, res, next) => next();
+    });
+    return harness;
+}
+
+/**
+ * Parses a server-sent event stream, `data` is parsed as JSON except OpenAI's `[DONE]`
+ * @param {String} text The response body
+ * @returns {Array<{event: String | undefined, data: any}>}
+ */
+export function events(text) {
+    return text.split('\n\n').filter(Boolean).map(i => {
+        const event = /^event: (.*)$/m.exec(i)?.[1];
+        const [, data] = /^data: (.*)$/m.exec(i);
+        return { event, data: data === '[DONE]' ? data : JSON.parse(data) };
+    });
+}
@@ -0,0 +1,205 @@
+/**
+ * A small JSON Schema validator, used by Conversation.sendJSON.
+ *
+ * Supports the keywords Claude's output is usually checked with: type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, uniqueItems, minLength, maxLength, pattern, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, multipleOf, allOf, anyOf, oneOf, not, and local $refs (#/definitions/... or #/$defs/...).
+ * Other keywords (like format) are ignored, pass your own `validate` function to sendJSON to use a complete validator like Ajv.
+ */
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object | Boolean} schema The schema
+ * @param {any} value The value
+ * @returns {String[]} The validation errors (empty if the value is valid), e.g. `$.tags[0]: must be string`
+ * @example
+ * validateSchema({ type: 'object', required: ['name'] }, {}); // ['$: must have property "name"']
+ */
+export function validateSchema(schema, value) {
+    const errors = [];
+    check(schema, value, '$', schema, errors);
+    return errors;
+}
+
+/**
+ * Checks a value against a (sub)schema, adding any errors.
+ *
+ * @param {Object | boolean} schema - The schema.
+ * @param {any} value - The value.
+ * @param {string} path - Where the value is, for error messages.
+ * @param {Object} root - The root schema, for $refs.
+ * @param {string[]} errors - Errors are added to this.
+ */
+function check(schema, value, path, root, errors) {
+    if (schema === true || schema === undefined) {
+        return;
+    }
+    if (schema === false) {
+        errors.push(`${path}: isn't allowed`);
+        return;
+    }
+    if (schema.$ref) {
+        check(resolve(root, schema.$ref), value, path, root, errors);
+    }
+    const error = (message) => errors.push(`${path}: ${message}`);
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer'))) {
+            error(`must be ${types.join(' or ')}`);
+            // The other keywords would only add confusing errors
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some(i => equal(i, value))) {
+        error(`must be one of ${schema.enum.map(i => JSON.stringify(i)).join(', ')}`);
+    }
+    if ('const' in schema && !equal(schema.const, value)) {
+        error(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            error(`must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            error(`must have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            error(`must match /${schema.pattern}/`);
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            error(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            error(`must be at most ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            error(`must be more than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            error(`must be less than ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+            error(`must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            error(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => equal(item, other)) !== i)) {
+            error('must not have duplicate items');
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, root, errors));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                error(`must have property ${JSON.stringify(key)}`);
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const childPath = /^[a-z_$][\w$]*$/i.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+            if (schema.properties && key in schema.properties) {
+                check(schema.properties[key], item, childPath, root, errors);
+            } else if (schema.additionalProperties === false) {
+                error(`must not have property ${JSON.stringify(key)}`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, item, childPath, root, errors);
+            }
+        }
+    }
+    for (const sub of schema.allOf || []) {
+        check(sub, value, path, root, errors);
+    }
+    if (schema.anyOf && !schema.anyOf.some(sub => validateSub(sub, value, root))) {
+        error('must match at least one schema in anyOf');
+    }
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(sub => validateSub(sub, value, root)).length;
+        if (matches !== 1) {
+            error(`must match exactly one schema in oneOf (matches ${matches})`);
+        }
+    }
+    if (schema.not !== undefined && validateSub(schema.not, value, root)) {
+        error('must not match the schema in not');
+    }
+}
+
+/**
+ * Whether a value matches a subschema.
+ *
+ * @param {Object | boolean} schema - The subschema.
+ * @param {any} value - The value.
+ * @param {Object} root - The root schema, for $refs.
+ * @return {boolean} - Whether it matches.
+ */
+function validateSub(schema, value, root) {
+    const errors = [];
+    check(schema, value, '$', root, errors);
+    return errors.length === 0;
+}
+
+/**
+ * Finds the schema a local $ref points to.
+ *
+ * @param {Object} root - The root schema.
+ * @param {string} ref - The reference, e.g. "#/definitions/user".
+ * @return {Object | boolean} - The referenced schema.
+ */
+function resolve(root, ref) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Only local $refs are supported: ${ref}`);
+    }
+    const found = ref.slice(1).split('/').filter(Boolean)
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((schema, part) => schema?.[part], root);
+    if (found === undefined) {
+        throw new Error(`Can't resolve $ref: ${ref}`);
+    }
+    return found;
+}
+
+/**
+ * The JSON Schema type of a value.
+ *
+ * @param {any} value - The value.
+ * @return {string} - "null", "array", "integer", "number", "object", "string" or "boolean".
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+/**
+ * Compares two JSON values.
+ *
+ * @param {any} a - A value.
+ * @param {any} b - Another value.
+ * @return {boolean} - Whether they're equal.
+ */
+function equal(a, b) {
+    if (typeOf(a) !== typeOf(b)) {
+        return false;
+    }
+    if (a && typeof a === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => equal(a[key], b[key]));
+    }
+    return a === b;
+}
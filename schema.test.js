@@ -0,0 +1,70 @@
+import { validateSchema } from './schema.js';
+
+describe('validateSchema', () => {
+    const user = {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 10 },
+            age: { type: 'integer', minimum: 0, exclusiveMaximum: 150 },
+            email: { type: ['string', 'null'], pattern: '^[^@]+@[^@]+$' },
+            role: { enum: ['admin', 'user'] },
+            tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3, uniqueItems: true },
+        },
+        required: ['name', 'age'],
+        additionalProperties: false,
+    };
+    it('accepts valid values', () => {
+        expect(validateSchema(user, { name: 'Ada', age: 36, email: null, role: 'admin', tags: ['math'] })).toEqual([]);
+        expect(validateSchema(true, 'anything')).toEqual([]);
+        expect(validateSchema({}, null)).toEqual([]);
+        expect(validateSchema({ type: 'number' }, 1)).toEqual([]);
+    });
+    it('reports every error with its path', () => {
+        expect(validateSchema(user, { name: '', age: 1.5, email: 'nope', role: 'owner', tags: ['a', 'a'], extra: 1 })).toEqual([
+            '$.name: must have at least 1 characters',
+            '$.age: must be integer',
+            '$.email: must match /^[^@]+@[^@]+$/',
+            '$.role: must be one of "admin", "user"',
+            '$.tags: must not have duplicate items',
+            '$: must not have property "extra"',
+        ]);
+        expect(validateSchema(user, { tags: [1, 'b', 'c', 'd'], 'odd key': true })).toEqual([
+            '$: must have property "name"',
+            '$: must have property "age"',
+            '$.tags: must have at most 3 items',
+            '$.tags[0]: must be string',
+            '$: must not have property "odd key"',
+        ]);
+        expect(validateSchema(false, 1)).toEqual(['$: isn\'t allowed']);
+    });
+    it('checks numbers', () => {
+        const schema = { type: 'number', minimum: 0, maximum: 10, exclusiveMinimum: 1, multipleOf: 0.5 };
+        expect(validateSchema(schema, 2.5)).toEqual([]);
+        expect(validateSchema(schema, 1)).toEqual(['$: must be more than 1']);
+        expect(validateSchema(schema, 10.25)).toEqual(['$: must be at most 10', '$: must be a multiple of 0.5']);
+    });
+    it('combines schemas', () => {
+        const schema = {
+            anyOf: [{ type: 'string' }, { type: 'number' }],
+            oneOf: [{ const: 1 }, { type: 'integer' }, { type: 'string' }],
+            not: { const: 'no' },
+            allOf: [{ maxLength: 3 }],
+        };
+        expect(validateSchema(schema, 'abc')).toEqual([]);
+        expect(validateSchema(schema, 1)).toEqual(['$: must match exactly one schema in oneOf (matches 2)']);
+        expect(validateSchema(schema, 'no')).toEqual(['$: must not match the schema in not']);
+        expect(validateSchema(schema, true)).toEqual(['$: must match at least one schema in anyOf', '$: must match exactly one schema in oneOf (matches 0)']);
+        expect(validateSchema(schema, 'abcd')).toEqual(['$: must have at most 3 characters']);
+    });
+    it('resolves local refs', () => {
+        const schema = {
+            $defs: { point: { type: 'object', required: ['x', 'y'], additionalProperties: { type: 'number' } } },
+            type: 'array',
+            items: { $ref: '#/$defs/point' },
+        };
+        expect(validateSchema(schema, [{ x: 1, y: 2 }])).toEqual([]);
+        expect(validateSchema(schema, [{ x: 1, y: '2' }, {}])).toEqual(['$[0].y: must be number', '$[1]: must have property "x"', '$[1]: must have property "y"']);
+        expect(() => validateSchema({ $ref: '#/missing' }, 1)).toThrow('resolve');
+        expect(() => validateSchema({ $ref: 'https://example.com/schema.json' }, 1)).toThrow('local');
+    });
+});
@@ -0,0 +1,251 @@
+/**
+ * Storage adapters for caching organizations, conversations and messages locally.
+ *
+ * An adapter is any object with async `get(key)`, `set(key, value)`, `delete(key)` and `keys(prefix)` methods,
+ * values are JSON serializable objects.
+ */
+
+/**
+ * Keeps everything in memory, lost when the process exits.
+ * @class
+ */
+export class MemoryStorage {
+    #data = new Map();
+    /**
+     * Get a value
+     * @param {String} key
+     * @returns {Promise<any>} The value, or undefined if there isn't one
+     */
+    async get(key) {
+        return clone(this.#data.get(key));
+    }
+    /**
+     * Set a value
+     * @param {String} key
+     * @param {any} value A JSON serializable value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        this.#data.set(key, clone(value));
+    }
+    /**
+     * Delete a value
+     * @param {String} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.#data.delete(key);
+    }
+    /**
+     * List keys
+     * @param {String} [prefix=""] Only list keys starting with this
+     * @returns {Promise<String[]>}
+     */
+    async keys(prefix = '') {
+        return [...this.#data.keys()].filter(key => key.startsWith(prefix));
+    }
+}
+
+/**
+ * Keeps everything in a JSON file (Node only). The file is read once and rewritten on every change.
+ * @class
+ */
+export class JSONFileStorage {
+    #data;
+    #writing = Promise.resolve();
+    /**
+     * Create a JSONFileStorage
+     * @param {String} path The path to the JSON file, created if it doesn't exist
+     * @example
+     * const claude = new Claude({ sessionKey, storage: new JSONFileStorage('claude-cache.json') });
+     */
+    constructor(path) {
+        if (!path) {
+            throw new Error('Path required');
+        }
+        this.path = path;
+    }
+    async get(key) {
+        return clone((await this.#load())[key]);
+    }
+    async set(key, value) {
+        (await this.#load())[key] = clone(value);
+        return this.#save();
+    }
+    async delete(key) {
+        delete (await this.#load())[key];
+        return this.#save();
+    }
+    async keys(prefix = '') {
+        return Object.keys(await this.#load()).filter(key => key.startsWith(prefix));
+    }
+    /**
+     * Read the file the first time it's needed
+     * @returns {Promise<Object>}
+     */
+    #load() {
+        this.#data ||= (async () => {
+            const { readFile } = await import('fs/promises');
+            try {
+                return JSON.parse(await readFile(this.path, 'utf-8'));
+            } catch (e) {
+                if (e.code === 'ENOENT') {
+                    return {};
+                }
+                throw new Error(`Couldn't read storage file ${this.path}: ${e.message}`);
+            }
+        })();
+        return this.#data;
+    }
+    /**
+     * Write the file, one write at a time so they don't interleave
+     * @returns {Promise<void>}
+     */
+    async #save() {
+        const { writeFile } = await import('fs/promises');
+        const data = await this.#data;
+        this.#writing = this.#writing.catch(() => { }).then(() => writeFile(this.path, JSON.stringify(data)));
+        return this.#writing;
+    }
+}
+
+/**
+ * Keeps everything in a SQLite table. Takes a synchronous database handle like the ones from
+ * better-sqlite3 or node:sqlite (anything with `prepare(sql)` returning `run`, `get` and `all`).
+ * @class
+ */
+export class SQLiteStorage {
+    /**
+     * Create a SQLiteStorage
+     * @param {Object} db The database handle
+     * @param {Object} [options] Options
+     * @param {String} [options.table="claude_storage"] The table to use, created if it doesn't exist
+     * @example
+     * import Database from 'better-sqlite3';
+     * const claude = new Claude({ sessionKey, storage: new SQLiteStorage(new Database('claude.db')) });
+     */
+    constructor(db, { table = 'claude_storage' } = {}) {
+        if (!db?.prepare) {
+            throw new Error('Database handle with a prepare() method required');
+        }
+        if (!/^\w+$/.test(table)) {
+            throw new Error('Invalid table name: ' + table);
+        }
+        Object.assign(this, { db, table });
+        db.prepare(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`).run();
+    }
+    async get(key) {
+        const row = this.db.prepare(`SELECT value FROM ${this.table} WHERE key = ?`).get(key);
+        return row ? JSON.parse(row.value) : undefined;
+    }
+    async set(key, value) {
+        this.db.prepare(`INSERT OR REPLACE INTO ${this.table} (key, value) VALUES (?, ?)`).run(key, JSON.stringify(value));
+    }
+    async delete(key) {
+        this.db.prepare(`DELETE FROM ${this.table} WHERE key = ?`).run(key);
+    }
+    async keys(prefix = '') {
+        return this.db.prepare(`SELECT key FROM ${this.table} WHERE substr(key, 1, ?) = ?`).all(prefix.length, prefix).map(row => row.key);
+    }
+}
+
+/**
+ * Stores claude.ai data in a storage adapter, used by Claude when the `storage` option is passed.
+ * @class
+ */
+export class ConversationStore {
+    /**
+     * A cached conversation
+     * @typedef CachedConversation
+     * @property {Object} info The conversation info as returned by claude.ai (with chat_messages)
+     * @property {Boolean} stale Whether the conversation has changed since it was cached (e.g. a message was sent)
+     */
+    /**
+     * Create a ConversationStore
+     * @param {MemoryStorage | JSONFileStorage | SQLiteStorage} adapter The storage adapter
+     */
+    constructor(adapter) {
+        if (!['get', 'set', 'delete', 'keys'].every(method => typeof adapter?.[method] === 'function')) {
+            throw new Error('Storage adapter must have get, set, delete and keys methods');
+        }
+        this.adapter = adapter;
+    }
+    getOrganizations() {
+        return this.adapter.get('organizations');
+    }
+    setOrganizations(organizations) {
+        return this.adapter.set('organizations', organizations);
+    }
+    /**
+     * Get the cached conversation list of an organization
+     * @param {String} organizationId
+     * @returns {Promise<Object[] | undefined>}
+     */
+    getConversations(organizationId) {
+        return this.adapter.get(`conversations:${organizationId}`);
+    }
+    setConversations(organizationId, conversations) {
+        return this.adapter.set(`conversations:${organizationId}`, conversations);
+    }
+    /**
+     * Get a cached conversation
+     * @param {String} conversationId
+     * @returns {Promise<CachedConversation | undefined>}
+     */
+    getConversation(conversationId) {
+        return this.adapter.get(`conversation:${conversationId}`);
+    }
+    /**
+     * Cache a conversation's info
+     * @param {String} conversationId
+     * @param {Object} info The conversation info (with chat_messages)
+     * @returns {Promise<void>}
+     */
+    setConversation(conversationId, info) {
+        return this.adapter.set(`conversation:${conversationId}`, { info, stale: false });
+    }
+    /**
+     * Mark a conversation as changed, it's still used when offline but refetched otherwise
+     * @param {String} conversationId
+     * @returns {Promise<void>}
+     */
+    async invalidateConversation(conversationId) {
+        const cached = await this.getConversation(conversationId);
+        if (cached) {
+            await this.adapter.set(`conversation:${conversationId}`, { ...cached, stale: true });
+        }
+    }
+    /**
+     * Remove a conversation from the cache, including from the organization's conversation list
+     * @param {String} conversationId
+     * @param {String} [organizationId]
+     * @returns {Promise<void>}
+     */
+    async deleteConversation(conversationId, organizationId) {
+        await this.adapter.delete(`conversation:${conversationId}`);
+        const list = organizationId && await this.getConversations(organizationId);
+        if (list) {
+            await this.setConversations(organizationId, list.filter(i => i.uuid !== conversationId));
+        }
+    }
+    /**
+     * Get the links between forked and continued conversations
+     * @returns {Promise<Object[] | undefined>}
+     */
+    getBranches() {
+        return this.adapter.get('branches');
+    }
+    setBranches(branches) {
+        return this.adapter.set('branches', branches);
+    }
+}
+
+/**
+ * Copies a JSON value so cached data can't be changed from outside.
+ *
+ * @param {any} value - The value.
+ * @return {any} - A deep copy.
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,113 @@
+import { MemoryStorage, JSONFileStorage, SQLiteStorage, ConversationStore } from './storage.js';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Just enough of better-sqlite3's API for the statements SQLiteStorage uses
+function fakeDatabase() {
+    const rows = new Map();
+    const statements = [];
+    return {
+        statements,
+        prepare(sql) {
+            statements.push(sql);
+            return {
+                run: (...params) => {
+                    if (sql.startsWith('INSERT')) { rows.set(params[0], params[1]); }
+                    if (sql.startsWith('DELETE')) { rows.delete(params[0]); }
+                },
+                get: (key) => rows.has(key) ? { value: rows.get(key) } : undefined,
+                all: (length, prefix) => [...rows.keys()].filter(key => key.slice(0, length) === prefix).map(key => ({ key })),
+            }
+        }
+    }
+}
+
+const adapters = {
+    MemoryStorage: () => new MemoryStorage(),
+    JSONFileStorage: () => new JSONFileStorage(join(mkdtempSync(join(tmpdir(), 'claude-')), 'storage.json')),
+    SQLiteStorage: () => new SQLiteStorage(fakeDatabase()),
+};
+
+describe.each(Object.entries(adapters))('%s', (name, create) => {
+    let storage;
+    beforeEach(() => {
+        storage = create();
+    });
+    it('gets, sets and deletes values', async () => {
+        expect(await storage.get('a')).toBeUndefined();
+        await storage.set('a', { b: [1, 2] });
+        expect(await storage.get('a')).toEqual({ b: [1, 2] });
+        await storage.delete('a');
+        expect(await storage.get('a')).toBeUndefined();
+    });
+    it('lists keys by prefix', async () => {
+        await storage.set('conversation:1', {});
+        await storage.set('conversation:2', {});
+        await storage.set('conversations:org', []);
+        expect((await storage.keys('conversation:')).sort()).toEqual(['conversation:1', 'conversation:2']);
+        expect(await storage.keys()).toHaveLength(3);
+    });
+    it('copies values', async () => {
+        const value = { a: 1 };
+        await storage.set('a', value);
+        value.a = 2;
+        (await storage.get('a')).a = 3;
+        expect(await storage.get('a')).toEqual({ a: 1 });
+    });
+});
+
+describe('JSONFileStorage', () => {
+    let dir;
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'claude-'));
+    });
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+    it('persists to the file', async () => {
+        const path = join(dir, 'storage.json');
+        await new JSONFileStorage(path).set('a', 1);
+        expect(JSON.parse(readFileSync(path, 'utf-8'))).toEqual({ a: 1 });
+        expect(await new JSONFileStorage(path).get('a')).toBe(1);
+    });
+    it('throws for invalid files', async () => {
+        const path = join(dir, 'storage.json');
+        writeFileSync(path, 'not json');
+        await expect(new JSONFileStorage(path).get('a')).rejects.toThrow(/Couldn't read storage file/);
+    });
+});
+
+describe('SQLiteStorage', () => {
+    it('creates the table and validates the table name', () => {
+        const db = fakeDatabase();
+        new SQLiteStorage(db, { table: 'cache' });
+        expect(db.statements[0]).toMatch(/^CREATE TABLE IF NOT EXISTS cache/);
+        expect(() => new SQLiteStorage(db, { table: 'x; DROP TABLE y' })).toThrow();
+        expect(() => new SQLiteStorage({})).toThrow();
+    });
+});
+
+describe('ConversationStore', () => {
+    let store;
+    beforeEach(() => {
+        store = new ConversationStore(new MemoryStorage());
+    });
+    it('requires a valid adapter', () => {
+        expect(() => new ConversationStore({ get() { } })).toThrow();
+    });
+    it('invalidates conversations', async () => {
+        await store.invalidateConversation('missing');
+        expect(await store.getConversation('missing')).toBeUndefined();
+        await store.setConversation('1', { uuid: '1', chat_messages: [] });
+        await store.invalidateConversation('1');
+        expect(await store.getConversation('1')).toEqual({ info: { uuid: '1', chat_messages: [] }, stale: true });
+    });
+    it('deletes conversations from the organization list', async () => {
+        await store.setConversations('org', [{ uuid: '1' }, { uuid: '2' }]);
+        await store.setConversation('1', { uuid: '1' });
+        await store.deleteConversation('1', 'org');
+        expect(await store.getConversation('1')).toBeUndefined();
+        expect(await store.getConversations('org')).toEqual([{ uuid: '2' }]);
+    });
+});